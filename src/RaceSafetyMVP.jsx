@@ -1,6 +1,55 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
+import { UCA_TYPES, UCA_STATUSES, openUcaCount, newUca, ucaTypeSummary, layoutControlStructure } from "./stpa";
+import { clamp, pct, isValidRange } from "./utils";
+import {
+  DOMAINS_EN, DOMAINS_EL, ROLES_EN, ROLES_EL, CONTROLS_EN_TO_EL, INCIDENTS_EN_TO_EL, TEMPLATES_LABELS,
+  READINESS_CRITERIA, DOMAINS, ROLES, ROLE_DOMAINS, ROLE_CONTROLS, TEMPLATES, WHOLE_COURSE_SEGMENT,
+} from "./catalog";
+import {
+  residualRpn, scoreEvent, scoreStatus, normalizedWeights, validateScoringProfile, explainScore, segmentRiskScores,
+  derivedControlsActive, applyControlCoverage, adjustedControlReadiness,
+  SCORING_PRESETS, STATUS_BANDS,
+} from "./scoring";
+import {
+  CONSTRAINT_INPUTS, isValidRule, ruleInputs, describeRule, applyConstraintRules,
+  overrideConstraint, clearConstraintOverride,
+} from "./constraints";
+import {
+  CONDITION_FIELDS, EMPTY_CONDITIONS, FLAG_O_OFFSET, assessConditions, conditionInputs, applyHeatOccurrence,
+  parseConditionsFeed, conditionsFromReading,
+} from "./conditions";
+import {
+  CHECKPOINTS, DECISIONS, GO_DECISIONS, makeDecisionSnapshot, openCheckpoint, proposeDecision, signOff, missingSignOffs, objections,
+  validateDecision, finalizeDecision, verifyRecord, sharedSigners,
+} from "./decisions";
+import {
+  SEGMENT_STATUSES, EMPTY_RACE_DAY, segmentStatus, setSegmentStatus, startRaceClock, formatElapsed, segmentHazardLoad,
+  latestSegmentIncidents,
+} from "./raceday";
+import {
+  INCIDENT_SEVERITIES, INCIDENT_OUTCOMES, INCIDENT_STATUSES, newIncident, setIncidentStatus,
+  addIncidentNote, statusSince, validateIncident, filterIncidents, searchIncidents, pageOf, incidentStats,
+} from "./incidents";
+import { EVIDENCE_WINDOWS_H, applyIncidentEvidence } from "./evidence";
+import {
+  parseGpx, routeOf, routeLengthKm, projectRoute, pointAtKm, sliceRoute, nearestKm, segmentAtKm, rangeFromName,
+} from "./course";
+import { ASSET_KINDS, normalizeAsset, assetSegment, checkAssets } from "./assets";
+import {
+  ACTION_STATUSES, ACTION_TARGETS, EFFECT_FIELDS, isOpenAction, newAction, cleanEffect, validateAction, setActionStatus,
+  isOverdue, overdueByRole, localDay, applyActionEffects, projectOpenActions, isPendingAction,
+} from "./actions";
+import { MATRIX_MODES, riskMatrix, inMatrixCell, cellLevel, domainSegmentMatrix } from "./matrix";
+import {
+  HAZARD_DEFAULTS, nextPrefixedId, nextHazardId, validateHazard, newUserTemplateKey, resolveTemplate, templateLabelOf,
+  TEMPLATE_FILE_KIND, templateDraftFrom, validateTemplate, parseTemplateFile,
+} from "./templates";
+import { newEventId, createEvent, loadAppState, saveAppState, readEventFile, buildEventFile } from "./events";
+import {
+  makeSnapshot, appendSnapshot, isSignificantChange, isPeriodicDue, findBaseline, BASELINES,
+} from "./history";
 
 /**
  * Race Safety Health Web — v4.1 (extended scoring)
@@ -8,24 +57,46 @@ import autoTable from "jspdf-autotable";
  * - Templates: Road 5/10K, Half/Marathon, Trail/Ultra
  * - Role-based views
  * - Course segments filtering
+ * - Course map from an imported GPX (offline SVG): segments as distance ranges, colored by residual risk,
+ *   hazards / AED posts / aid stations / incidents placed as markers
+ * - Per-segment risk (own hazards + apportioned whole-course hazards): heat strip, ranking, optional score input
+ * - Briefing matrices: domain × segment residual RPN and a 5×5 likelihood / severity grid
+ *   (inherent or residual); clicking a cell filters the hazard list
+ * - Action plan: mitigations on hazards / controls / constraints / criteria with owner, due date and expected
+ *   effect; overdue list per role and a projected "all actions done" score
+ * - Asset register (AEDs, aid stations, medical posts, ambulances, marshals, barriers) with a spacing check
+ *   that feeds the constraint inputs
  * - FMEA hazards (S/O/D + controlsActive) with Residual RPN
- * - STPA controls (readiness + UCA penalties)
- * - STAMP critical constraints
- * - Incident log increases Occurrence
+ * - STPA control loops (controller, process, actions, feedback) with typed UCAs and causal scenarios
+ * - Control structure diagram (SVG, click a loop to open it; also drawn into the PDF)
+ * - STAMP critical constraints, evaluated from measured inputs by rules (override needs a reason)
+ * - Conditions panel: heat index, WBGT estimate and flag feed heat constraints and heat hazard O
+ * - Go / No-Go checkpoints (T-24h, T-2h, start line) with role sign-offs and tamper-evident decision records
+ * - Race-day live mode: race clock, segment status board, per-segment load and incidents (dark, touch-sized)
+ * - Occurrence = register baseline + incident evidence (severity-weighted, fading over a chosen window);
+ *   incidents carry severity, segment, reporter, people, outcome, notes
+ *   and an open → responding → resolved → closed lifecycle, stay editable and can be filtered
+ * - Full incident history with search, paging and statistics (by type / hazard / segment / hour, per 1,000 finishers)
  * - NEW: Readiness sub-criteria per domain (manual scoring)
  * - NEW: Classic fuel-gauge style (thin arc, no rounded caps)
+ * - Hazard register editor (add / edit / duplicate / archive)
+ * - User templates (builder, derive from existing, JSON share)
+ * - Per-template workspaces (switching templates keeps edits)
+ * - Multi-event workspace (several races side by side)
+ * - Versioned JSON import/export of an event
+ * - Schema-versioned persistence with migrations and backups (persistence.js)
+ * - Static catalog (catalog.js) and pure scoring engine (scoring.js)
+ * - Per-event scoring profiles (weights, UCA penalty, risk scale, gauge bands)
+ * - "Why this status?" score decomposition with links to the cards
+ * - Score history snapshots, trend vs. a chosen baseline, sparkline
+ * - Hazard ↔ control links: controlsActive derived from linked controls, visible manual override
  *
  * Drop into /src as RaceSafetyMVP.jsx and import in App.jsx.
  */
 
 // -----------------------------
-// Utilities
+// SVG helpers
 // -----------------------------
-const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
-const sum = (arr) => arr.reduce((a, b) => a + b, 0);
-const avg = (arr) => (arr.length ? sum(arr) / arr.length : 0);
-const pct = (x) => Math.round(clamp(x * 100, 0, 100));
-
 function polarToCartesian(cx, cy, r, angleDeg) {
   const a = (angleDeg - 90) * (Math.PI / 180);
   return { x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) };
@@ -64,8 +135,8 @@ const I18N = {
     readinessTitle: "Domain Readiness (EMBOK)",
     readinessHint: "Permits, staffing, vendors, comms, logistics",
     incidentLogTitle: "Incident Quick Log",
-    incidentLogHint: "Logs increase Occurrence (O) for linked hazards",
-    recentIncidents: "Recent Incidents",
+    incidentLogHint: "Incidents raise Occurrence (O) of their hazard by severity, fading over the evidence window",
+    recentIncidents: "Incident history",
     recentIncidentsHint: "Latest first",
     noIncidents: "No incidents yet.",
     logIncident: "Log incident",
@@ -79,6 +150,21 @@ const I18N = {
     notHealthy: "Not Healthy",
     constraintFail: "Constraint Fail",
     trend: "Trend",
+    trendWholeEvent: "Trend (whole event)",
+    noBaseline: "no baseline yet",
+    vsBaseline: (label) => `vs ${label}`,
+    baseline: "Compare with",
+    baseline_yesterday: "Yesterday",
+    baseline_briefing: "Last briefing",
+    baseline_t7: "T-7 days",
+    baseline_first: "First snapshot",
+    markBriefing: "Mark briefing",
+    scoreHistory: "Score history",
+    historyEmpty: "The trend line appears after a few snapshots (every 15 min, on significant edits and incidents).",
+    snapshotReason_periodic: "Periodic",
+    snapshotReason_edit: "Edit",
+    snapshotReason_incident: "Incident",
+    snapshotReason_briefing: "Briefing",
     improving: "Improving",
     degrading: "Degrading",
     stable: "Stable",
@@ -97,11 +183,427 @@ const I18N = {
     o: "O",
     d: "D",
     readinessShort: "Readiness",
-    ucaCount: "UCA count",
+    openUcas: "Open UCAs",
     severityLabel: (n) => `Severity ${n}`,
     notesPlaceholder: "Notes (optional)",
     addNote: "Add note",
     subCriteria: "Sub‑criteria",
+    hazardRegister: "Hazard register",
+    addHazard: "Add hazard",
+    editHazard: "Edit",
+    duplicateHazard: "Duplicate",
+    archiveHazard: "Archive",
+    restoreHazard: "Restore",
+    archivedHazards: "Archived hazards",
+    hazardName: "Hazard name",
+    weight: "Weight",
+    save: "Save",
+    cancel: "Cancel",
+    copySuffix: "(copy)",
+    errNameRequired: "Name is required",
+    errDomainInvalid: "Pick a valid domain",
+    errSegmentInvalid: "Pick a segment of this template",
+    errScale: "Use a whole number 1–10",
+    errWeight: "Weight must be between 0.1 and 3",
+    errControlsActive: "Controls active must be 0–100%",
+    templates: "Templates",
+    builtInTemplates: "Built-in templates",
+    userTemplates: "My templates",
+    templateBuilder: "Template builder",
+    newTemplate: "New template",
+    editTemplate: "Edit template",
+    deleteTemplate: "Delete",
+    exportTemplate: "Export JSON",
+    importTemplate: "Import JSON",
+    deriveFrom: "Derive from",
+    currentWorkspace: "Current workspace",
+    labelEn: "Label (EN)",
+    labelEl: "Label (GR)",
+    segmentName: "Segment name",
+    addSegment: "Add segment",
+    constraintStatement: "Constraint statement",
+    addConstraint: "Add constraint",
+    critical: "Critical",
+    remove: "Remove",
+    saveTemplate: "Save template",
+    confirmDeleteTemplate: "Delete this template? Events using it fall back to Road 5K / 10K.",
+    errLabelRequired: "Label is required",
+    errSegmentsRequired: "Add at least one segment with a name",
+    errConstraintRequired: "Every constraint needs a statement",
+    errHazardsInvalid: "Fix the highlighted hazards",
+    errDuplicateHazardIds: "Two or more hazards share an id",
+    errTemplateFile: "Not a valid template file",
+    resetTemplate: "Reset to template defaults",
+    confirmResetTemplate: "Discard all hazard and constraint edits for this template and restore its defaults?",
+    events: "Events",
+    eventsTitle: "Event workspace",
+    eventsHint: "Each event keeps its own template, hazards, controls, readiness and incidents",
+    event: "Event",
+    newEvent: "New event",
+    openEvent: "Open",
+    duplicateEvent: "Duplicate",
+    deleteEvent: "Delete",
+    eventName: "Event name",
+    eventDate: "Date",
+    eventVenue: "Venue",
+    activeEvent: "Active",
+    exportJson: "Export JSON",
+    importJson: "Import JSON",
+    importedEvent: (name) => `Imported "${name}" as a new event.`,
+    errEventFile: "This file cannot be imported:",
+    errNotJson: "Not a JSON file",
+    errFileRead: "Could not read the file",
+    errUnknownDocument: "Not a race safety event file",
+    errNewerSchema: (v) => `Written by a newer app version (schema ${v})`,
+    errMissingField: (f) => `Missing or invalid field: ${f}`,
+    errInvalidHazard: (id) => `Invalid hazard ${id}`,
+    dismiss: "Dismiss",
+    storage_unavailable: () => "Browser storage is not available — changes will not be kept after closing this page.",
+    storage_corrupt: (x) => `Saved data could not be read and was backed up as "${x.backupKey}". Starting fresh.`,
+    storage_newerSchema: (x) => `Saved data comes from a newer version (schema ${x.from}). It was backed up as "${x.backupKey}" and not loaded.`,
+    storage_migrationFailed: (x) => `Saved data (schema ${x.from}) could not be upgraded and was backed up as "${x.backupKey}". ${x.detail || ""}`,
+    storage_migrated: (x) => `Saved data was upgraded from schema ${x.from} to ${x.to}.`,
+    storage_occurrenceRebased: (x) =>
+      `Occurrence of ${x.hazards} was lowered back to its register value: logged incidents now raise O as evidence instead of editing it.`,
+    storage_saveFailed: (x) => `Changes could not be saved (${x.detail || "storage full?"}). Export your events as JSON to keep them.`,
+    hideWhy: "Hide explanation",
+    scoreBreakdown: "Score breakdown",
+    contributionLine: (pts, lost, w) => `+${pts} pts, −${lost} pts lost (weight ${w}%)`,
+    riskInverted: "Inverted risk (100 − risk load)",
+    topHazards: "Highest residual RPN",
+    ucaLosses: "Controls losing most to UCAs",
+    ucaLossLine: (n, loss) => `${n} UCA → −${loss}% readiness`,
+    weakestCriteria: "Lowest readiness sub-criteria",
+    failingConstraints: "Failing critical constraints",
+    lockedRedExplain: "The gauge is locked red regardless of the score until these pass:",
+    nothingToReport: "Nothing to report.",
+    scoringProfile: "Scoring profile",
+    editProfile: "Edit",
+    closeProfile: "Close",
+    profilePreset: "Preset",
+    profileName: "Profile name",
+    customProfile: "Custom",
+    customSuffix: "(custom)",
+    profile_standard: "Standard",
+    profile_insurer: "Insurer (risk-weighted)",
+    profile_compliance: "Permits & compliance",
+    profile_strict: "Strict (high-risk events)",
+    weightReadiness: "Readiness weight %",
+    weightControls: "Controls weight %",
+    weightRisk: "Inverted risk weight %",
+    ucaPenalty: "UCA penalty % per action",
+    riskScale: "Risk scale (RPN ÷)",
+    segmentRiskShare: "Riskiest segment share of risk %",
+    bandWatch: "Watch from %",
+    bandHealthy: "Healthy from %",
+    profileWeightsNote: "Weights are rescaled to sum to 100%.",
+    errProfile_weights: "Weights must be ≥ 0 with a positive total",
+    errProfile_ucaPenalty: "UCA penalty must be 0–50%",
+    errProfile_riskScale: "Risk scale must be 1–100",
+    errProfile_bands: "Need 0 < watch < healthy ≤ 100",
+    errProfile_segmentRiskShare: "Segment share must be 0–100%",
+    mitigatingControls: "Mitigating controls (effectiveness %)",
+    mitigates: "Mitigates",
+    derivedFrom: (list) => `From controls: ${list}`,
+    overrideDerived: "Manual override",
+    manualOverride: (derived) => `Manual override — linked controls give ${derived}%`,
+    useDerived: "Use derived",
+    manualShort: "manual",
+    errControlLinks: "Each control once, effectiveness 0–100%",
+    stpaLoop: "Control loop & UCAs",
+    controller: "Controller",
+    controlledProcess: "Controlled process",
+    controlActions: "Control actions",
+    feedbackChannels: "Feedback",
+    onePerLine: "one per line",
+    ucasTitle: "Unsafe control actions",
+    addUca: "+ Add UCA",
+    removeUca: "Remove",
+    ucaDescription: "What is unsafe",
+    ucaUndescribed: "(not described yet)",
+    causalScenarios: "Causal scenarios",
+    ucaType_notProvided: "Not provided",
+    ucaType_providedUnsafe: "Provided unsafely",
+    ucaType_wrongTiming: "Too early / too late / out of order",
+    ucaType_wrongDuration: "Stopped too soon / applied too long",
+    ucaStatus_open: "Open",
+    ucaStatus_closed: "Closed",
+    noUcas: "No UCAs recorded",
+    controlStructure: "Control structure",
+    controlStructureHint: "Loops colored by readiness after open UCAs — click one to open it",
+    raceDirector: "Race Director",
+    legendActions: "control actions",
+    legendFeedback: "feedback",
+    measuredInputs: "Measured inputs",
+    measuredInputsHint: "Rule-based constraints are evaluated from these values",
+    input_heatIndex: "Heat index",
+    input_heatProtocolLevel: "Heat protocol level",
+    input_startTimeAdjusted: "Start time adjusted",
+    input_lightningKm: "Nearest lightning",
+    input_aedSpacingKm: "AED spacing",
+    input_aedAtStartFinish: "AED at start/finish",
+    input_rovingMedics: "Roving medics",
+    input_alsOnCourse: "ALS unit on course",
+    input_openVehicleAccess: "Open vehicle access points",
+    input_waterSpacingKm: "Water point spacing",
+    input_sweepContactMin: "Sweep contact interval",
+    input_gearCheckActive: "Mandatory gear check active",
+    input_commsCoveragePct: "Comms coverage",
+    ruleOr: "OR",
+    ruleAnd: "AND",
+    warnFrom: (n) => `warn from ${n}`,
+    yes: "yes",
+    no: "no",
+    missingInputs: (list) => `Missing input: ${list}`,
+    overrideStatus: "Override",
+    overrideReason: "Reason (required)",
+    applyOverride: "Apply",
+    clearOverride: "Clear override",
+    overriddenTo: (status, rule) => `Overridden to ${status} — the rule says ${rule}`,
+    overrideLog: (n) => `Override history (${n})`,
+    overrideClearedEntry: "override cleared",
+    errOverrideReason: "A reason is required to override a rule",
+    ruleJson: "Rule (JSON, optional)",
+    errRuleInvalid:
+      'Not a valid rule. Expected a number check {"input": "heatIndex", "op": "<=", "warn": 30, "fail": 32} (for ">=" warn is at or above fail), a yes/no check {"input": "gearCheckActive", "op": "is", "value": true}, or {"any": [rules]} / {"all": [rules]}',
+    basis: "Basis",
+    conditionsTitle: "Conditions",
+    conditionsHint: "Weather feeds the heat / lightning constraints and the Occurrence of heat hazards",
+    cond_tempC: "Air temp (°C)",
+    cond_rh: "Humidity (%)",
+    cond_windMs: "Wind (m/s)",
+    cond_solarWm2: "Solar load (W/m²)",
+    cond_lightningKm: "Lightning (km)",
+    cond_precipMmH: "Rain (mm/h)",
+    heatIndex: "Heat index",
+    wbgtEstimate: "WBGT (est.)",
+    flag_white: "White flag — cold risk",
+    flag_green: "Green flag — low risk",
+    flag_yellow: "Yellow flag — moderate risk",
+    flag_red: "Red flag — high risk",
+    flag_black: "Black flag — extreme, consider cancelling",
+    flagRaisesO: (n) => `Heat hazards: Occurrence +${n}`,
+    loadReadings: "Load readings (JSON/CSV)",
+    clearConditions: "Clear",
+    conditionsUpdated: (when, source) => `Updated ${when} — ${source}`,
+    manualEntry: "manual entry",
+    feedLoaded: (n) => `${n} readings read, newest applied`,
+    errFeedFormat: "Could not read the readings file",
+    errFeedEmpty: "No readings found in the file",
+    fromConditions: "from conditions",
+    conditionsO: (n) => `+${n} from conditions`,
+    heatDriven: "Heat-driven (conditions raise Occurrence)",
+    goNoGoTitle: "Go / No-Go",
+    goNoGoHint: "A checkpoint freezes the score; every role signs off before the decision is recorded",
+    checkpoint_t24h: "T-24h",
+    checkpoint_t2h: "T-2h",
+    checkpoint_start: "Start line",
+    openCheckpoint: (label) => `Open ${label} checkpoint`,
+    decision: "Decision",
+    chooseDecision: "Choose…",
+    decision_go: "Go",
+    decision_goMitigations: "Go with mitigations",
+    decision_delay: "Delay",
+    decision_reroute: "Re-route",
+    decision_cancel: "Cancel race",
+    decisionReason: "Reason (required unless Go)",
+    snapshotTaken: (ts) => `Snapshot taken ${ts}`,
+    goBlockedHint: "A critical constraint was failing — Go is not available",
+    failingAtCheckpoint: "Failing constraints",
+    noneFailing: "None",
+    topOpenHazards: "Top open hazards",
+    signOffsTitle: "Sign-offs",
+    signOffsPending: (n) => `${n} pending`,
+    signerName: "Name",
+    signOffNote: "Note (optional)",
+    concur: "Concur",
+    object: "Object",
+    proposeFirst: "Choose a decision before collecting sign-offs",
+    reviseProposal: "Revise decision (clears sign-offs)",
+    recordDecision: "Record decision",
+    discardDraft: "Discard draft",
+    confirmDiscardDecision: "Discard this checkpoint draft and its sign-offs?",
+    errDecisionRequired: "Choose a decision",
+    errGoBlocked: "Go is not available while a critical constraint fails",
+    errDecisionReason: "Give a reason for this decision",
+    errSignOffsMissing: "Every role must sign off",
+    errObjectionsUnconfirmed: "Confirm the objections before going ahead",
+    signOffAwaiting: "Awaiting sign-off — each role signs when it is the active role",
+    objectionsTitle: (n) => `${n} objection${n === 1 ? "" : "s"} to going ahead`,
+    confirmObjections: "I have read the objections and the decision stands",
+    decisionRecords: "Decision record",
+    noDecisions: "No decisions recorded yet",
+    decidedAt: "Decided",
+    scoreAtCheckpoint: "Score at checkpoint",
+    signOffSummary: (c, o) => `${c} concur, ${o} object`,
+    signOffsUnverified: "Sign-offs are attributed by the role selected in the app and a typed name; neither is verified.",
+    sharedSigner: (name, roles) => `${name} signed for ${roles}`,
+    recordIntact: "Record intact",
+    recordAltered: "Record altered after signing",
+    role: "Role",
+    liveMode: "Race day",
+    exitLiveMode: "Back to planning",
+    raceClock: "Race clock",
+    clockNotStarted: "Not started",
+    startRaceClock: "Start race clock",
+    resetRaceDay: "Reset race day",
+    confirmResetRaceDay: "Reset the race clock and all segment statuses?",
+    timeOfDay: "Time",
+    segStatus_open: "Open",
+    segStatus_leadThrough: "Lead runner through",
+    segStatus_sweepThrough: "Sweep through",
+    segStatus_closed: "Closed",
+    segmentLoad: (n, rpn) => `${n} hazard(s) • residual RPN ${rpn}`,
+    statusSince: (time) => `since ${time}`,
+    latestIncidents: "Latest incidents",
+    incidentType: "Type",
+    incidentSeverity: "Severity",
+    reporterRole: "Reported by",
+    peopleAffected: "People affected",
+    outcome: "Outcome",
+    outcomePending: "Not known yet",
+    outcome_treatedOnSite: "Treated on site",
+    outcome_transported: "Transported",
+    outcome_dnf: "DNF",
+    incidentStatus: "Status",
+    editIncident: "Edit",
+    incStatus_open: "Open",
+    incStatus_responding: "Responding",
+    incStatus_resolved: "Resolved",
+    incStatus_closed: "Closed",
+    segmentFromHazard: "Hazard's segment",
+    filterAll: "All",
+    incidentsShown: (n, total) => `${n} of ${total}`,
+    incidentNotes: (n) => `Notes (${n})`,
+    statusHistory: "Status history",
+    errIncidentHazard: "Choose the hazard this incident relates to",
+    errIncidentSeverity: "Severity is 1 to 5",
+    errPeopleAffected: "Enter a whole number (0 or more)",
+    searchIncidents: "Search incidents…",
+    pageOf: (p, n) => `Page ${p} of ${n}`,
+    prevPage: "Previous",
+    nextPage: "Next",
+    incidentStatsTitle: "Statistics",
+    incidentStatsHint: "For the incidents shown (filters and search apply)",
+    finishers: "Finishers",
+    ratePer1000: "Incidents per 1,000 finishers",
+    rateNeedsFinishers: "Enter the finisher count",
+    totalIncidents: "Incidents",
+    byType: "By type",
+    byHazard: "By hazard",
+    bySegment: "By segment",
+    byHour: "Per hour",
+    noSegment: "No segment",
+    evidenceWindow: "Evidence window",
+    windowHours: (h) => (h < 48 ? `${h} h` : `${h / 24} days`),
+    baselineO: "baseline",
+    evidenceAdjustedO: "with incidents",
+    deleteIncident: "Delete",
+    confirmDeleteIncident: "Delete this incident? Occurrence is recomputed without it.",
+    courseMap: "Course map",
+    courseMapHint: "Imported GPX, drawn offline; tap a stretch to filter by its segment",
+    importGpx: "Import GPX",
+    removeCourse: "Remove course",
+    confirmRemoveCourse: "Remove the course map? Segment ranges and placed markers stay.",
+    errGpxNoTrack: "No track or route points found in this GPX file",
+    noCourse: "No course imported yet. Import a GPX file of the route to draw it here.",
+    courseLength: (km) => `${km} km`,
+    segmentRanges: "Segment ranges (km)",
+    fromKm: "from",
+    toKm: "to",
+    unranged: "not on the map",
+    placeOnRoute: "Place on the route…",
+    placingHint: "Tap the route where it goes",
+    placedMarkers: "Placed markers",
+    marker_hazard: "Hazard",
+    marker_aed: "AED",
+    marker_aid: "Aid / water station",
+    marker_medical: "Medical post",
+    marker_ambulance: "Ambulance",
+    marker_marshal: "Marshals",
+    marker_barrier: "Barriers",
+    marker_incident: "Incident",
+    riskLow: "lower residual risk",
+    riskHigh: "higher",
+    removeMarker: "Remove",
+    assetsTitle: "Resources on course",
+    assetsHint: "Where AEDs, water, medical cover, marshals and barriers are; spacing feeds the constraints",
+    assetKind: "Kind",
+    assetLabel: "Label",
+    assetCount: "Count",
+    alsCrew: "ALS crew",
+    addAsset: "Add",
+    autoSegment: (seg) => `auto${seg ? `: ${seg}` : ""}`,
+    noAssets: "No resources registered yet. Add them here or place them on the course map.",
+    courseLengthUnknown: "Course length unknown — import a GPX or set segment ranges to check spacing.",
+    checkedOver: (km) => `Checked over ${km} km`,
+    maxGap: "longest gap",
+    unplacedAssets: (n) => `${n} without a km (counted per segment, not in gaps)`,
+    spacingViolations: "Spacing violations",
+    noViolations: "No spacing violations",
+    gapOver: (from, to, gap, limit) => `km ${from}–${to}: ${gap} km (limit ${limit} km)`,
+    coverageBySegment: "Coverage by segment",
+    fromAssets: "from resources",
+    assetCheckPdf: "Spacing check",
+    segmentRiskTitle: "Risk by segment",
+    segmentRiskHint: "Residual RPN of the segment's hazards plus its share of whole-course hazards",
+    segmentRanking: "Segment ranking",
+    segmentRiskDetail: (own, shared, n) => `${own} own (${n} hazards) + ${shared} whole-course`,
+    riskiestSegment: (name, p) => `riskiest segment: ${name} ${p}%`,
+    segmentRiskInScore: (p) => `${p}% from the riskiest segment`,
+    matricesTitle: "Risk matrices",
+    matricesHint: "Brief from the grid; tap a cell to filter the hazard list",
+    domainSegmentMatrix: "Domain × segment (residual RPN)",
+    lsMatrix: "Likelihood × severity",
+    matrixMode_inherent: "Inherent",
+    matrixMode_residual: "Residual",
+    likelihood: "Likelihood",
+    severity: "Severity",
+    total: "Total",
+    level_low: "Low",
+    level_medium: "Medium",
+    level_high: "High",
+    level_extreme: "Extreme",
+    matrixCellFilter: (mode, l, s) => `${mode}: likelihood ${l} × severity ${s}`,
+    clearFilter: "Clear filter",
+    actionPlanTitle: "Action plan",
+    actionPlanHint: "Mitigations with an owner and a due date; completing one applies its effect",
+    addAction: "Add action",
+    actionTitle: "Action",
+    actionTarget: "Applies to",
+    actionTarget_hazard: "Hazard",
+    actionTarget_control: "Control",
+    actionTarget_constraint: "Constraint",
+    actionTarget_criterion: "Readiness sub-criterion",
+    ownerRole: "Owner",
+    dueDate: "Due",
+    expectedEffect: "Expected effect",
+    effect_S: "S ±",
+    effect_O: "O ±",
+    effect_D: "D ±",
+    effect_controlsActive: "Controls active ± %",
+    effect_readiness: "Readiness ± %",
+    effect_value: "Score ± %",
+    effectConstraintPasses: "Completing it makes the constraint pass",
+    actStatus_planned: "Planned",
+    actStatus_inProgress: "In progress",
+    actStatus_done: "Done",
+    actStatus_cancelled: "Cancelled",
+    overdueByRole: "Overdue by owner",
+    noOverdue: "Nothing overdue",
+    overdueDays: (n) => `${n} d overdue`,
+    noActions: "No actions yet. Record what will be done instead of dragging sliders.",
+    effectApplied: (ts) => `effect applied ${ts}`,
+    projectedScore: (n, v, st, d) => `If all ${n} open actions are done: ${v}% — ${st} (${d >= 0 ? "+" : ""}${d})`,
+    confirmDeleteAction: "Delete this action?",
+    deleteAction: "Delete",
+    errActionTitle: "Describe the action",
+    errActionTarget: "Pick what the action applies to",
+    errActionOwner: "Pick an owner",
+    errActionDue: "Set a due date",
+    errActionEffect: "Set at least one expected effect",
+    confirmDeleteEvent: (name) => `Delete "${name}" with all its hazards, controls and incidents?`,
+    confirmOrphanIncidents: (n) => `${n} logged incident(s) are linked to hazards of the current template and will not match the new one. Switch anyway? (Your edits are kept for when you switch back.)`,
     mvpFooter: "v4.1 — extended readiness scoring, PDF export, persistence, segments, bilingual UI.",
   },
   el: {
@@ -125,8 +627,8 @@ const I18N = {
     readinessTitle: "Ετοιμότητα Τομέα (EMBOK)",
     readinessHint: "Άδειες, στελέχωση, προμηθευτές, επικοινωνίες, logistics",
     incidentLogTitle: "Γρήγορη Καταγραφή Συμβάντος",
-    incidentLogHint: "Τα συμβάντα αυξάνουν τη Συχνότητα (O) σε σχετικούς κινδύνους",
-    recentIncidents: "Πρόσφατα Συμβάντα",
+    incidentLogHint: "Τα συμβάντα αυξάνουν τη Συχνότητα (O) του κινδύνου τους ανάλογα με τη σοβαρότητα, με εξασθένηση στο παράθυρο τεκμηρίωσης",
+    recentIncidents: "Ιστορικό συμβάντων",
     recentIncidentsHint: "Πιο πρόσφατα πρώτα",
     noIncidents: "Δεν υπάρχουν συμβάντα ακόμη.",
     logIncident: "Καταγραφή συμβάντος",
@@ -140,6 +642,21 @@ const I18N = {
     notHealthy: "Μη Ασφαλές",
     constraintFail: "Αποτυχία Κρίσιμου Περιορισμού",
     trend: "Τάση",
+    trendWholeEvent: "Τάση (όλη η διοργάνωση)",
+    noBaseline: "χωρίς σημείο αναφοράς ακόμη",
+    vsBaseline: (label) => `έναντι: ${label}`,
+    baseline: "Σύγκριση με",
+    baseline_yesterday: "Χθες",
+    baseline_briefing: "Τελευταία ενημέρωση",
+    baseline_t7: "T-7 ημέρες",
+    baseline_first: "Πρώτο στιγμιότυπο",
+    markBriefing: "Σήμανση ενημέρωσης",
+    scoreHistory: "Ιστορικό βαθμολογίας",
+    historyEmpty: "Η γραμμή τάσης εμφανίζεται μετά από μερικά στιγμιότυπα (ανά 15 λεπτά, σε σημαντικές αλλαγές και συμβάντα).",
+    snapshotReason_periodic: "Περιοδικό",
+    snapshotReason_edit: "Αλλαγή",
+    snapshotReason_incident: "Συμβάν",
+    snapshotReason_briefing: "Ενημέρωση",
     improving: "Βελτίωση",
     degrading: "Υποβάθμιση",
     stable: "Σταθερό",
@@ -158,289 +675,455 @@ const I18N = {
     o: "O",
     d: "D",
     readinessShort: "Ετοιμότητα",
-    ucaCount: "Πλήθος UCA",
+    openUcas: "Ανοιχτά UCA",
     severityLabel: (n) => `Σοβαρότητα ${n}`,
     notesPlaceholder: "Σημειώσεις (προαιρετικό)",
     addNote: "Προσθήκη σημείωσης",
     subCriteria: "Υπο‑κριτήρια",
+    hazardRegister: "Μητρώο κινδύνων",
+    addHazard: "Προσθήκη κινδύνου",
+    editHazard: "Επεξεργασία",
+    duplicateHazard: "Αντίγραφο",
+    archiveHazard: "Αρχειοθέτηση",
+    restoreHazard: "Επαναφορά",
+    archivedHazards: "Αρχειοθετημένοι κίνδυνοι",
+    hazardName: "Όνομα κινδύνου",
+    weight: "Βάρος",
+    save: "Αποθήκευση",
+    cancel: "Ακύρωση",
+    copySuffix: "(αντίγραφο)",
+    errNameRequired: "Απαιτείται όνομα",
+    errDomainInvalid: "Επιλέξτε έγκυρο τομέα",
+    errSegmentInvalid: "Επιλέξτε τμήμα αυτού του προτύπου",
+    errScale: "Ακέραιος αριθμός 1–10",
+    errWeight: "Το βάρος πρέπει να είναι από 0.1 έως 3",
+    errControlsActive: "Οι ενεργοί έλεγχοι πρέπει να είναι 0–100%",
+    templates: "Πρότυπα",
+    builtInTemplates: "Ενσωματωμένα πρότυπα",
+    userTemplates: "Τα πρότυπά μου",
+    templateBuilder: "Δημιουργία προτύπου",
+    newTemplate: "Νέο πρότυπο",
+    editTemplate: "Επεξεργασία προτύπου",
+    deleteTemplate: "Διαγραφή",
+    exportTemplate: "Εξαγωγή JSON",
+    importTemplate: "Εισαγωγή JSON",
+    deriveFrom: "Βάσει του",
+    currentWorkspace: "Τρέχων χώρος εργασίας",
+    labelEn: "Τίτλος (EN)",
+    labelEl: "Τίτλος (GR)",
+    segmentName: "Όνομα τμήματος",
+    addSegment: "Προσθήκη τμήματος",
+    constraintStatement: "Διατύπωση περιορισμού",
+    addConstraint: "Προσθήκη περιορισμού",
+    critical: "Κρίσιμος",
+    remove: "Αφαίρεση",
+    saveTemplate: "Αποθήκευση προτύπου",
+    confirmDeleteTemplate: "Διαγραφή προτύπου; Όσα το χρησιμοποιούν επιστρέφουν στο Δρόμος 5K / 10K.",
+    errLabelRequired: "Απαιτείται τίτλος",
+    errSegmentsRequired: "Προσθέστε τουλάχιστον ένα τμήμα με όνομα",
+    errConstraintRequired: "Κάθε περιορισμός χρειάζεται διατύπωση",
+    errHazardsInvalid: "Διορθώστε τους επισημασμένους κινδύνους",
+    errDuplicateHazardIds: "Δύο ή περισσότεροι κίνδυνοι έχουν το ίδιο αναγνωριστικό",
+    errTemplateFile: "Μη έγκυρο αρχείο προτύπου",
+    resetTemplate: "Επαναφορά προεπιλογών προτύπου",
+    confirmResetTemplate: "Απόρριψη όλων των αλλαγών σε κινδύνους και περιορισμούς αυτού του προτύπου και επαναφορά των προεπιλογών;",
+    events: "Αγώνες",
+    eventsTitle: "Χώρος εργασίας αγώνων",
+    eventsHint: "Κάθε αγώνας έχει δικό του πρότυπο, κινδύνους, ελέγχους, ετοιμότητα και συμβάντα",
+    event: "Αγώνας",
+    newEvent: "Νέος αγώνας",
+    openEvent: "Άνοιγμα",
+    duplicateEvent: "Αντίγραφο",
+    deleteEvent: "Διαγραφή",
+    eventName: "Όνομα αγώνα",
+    eventDate: "Ημερομηνία",
+    eventVenue: "Τοποθεσία",
+    activeEvent: "Ενεργός",
+    exportJson: "Εξαγωγή JSON",
+    importJson: "Εισαγωγή JSON",
+    importedEvent: (name) => `Το "${name}" εισήχθη ως νέος αγώνας.`,
+    errEventFile: "Το αρχείο δεν μπορεί να εισαχθεί:",
+    errNotJson: "Δεν είναι αρχείο JSON",
+    errFileRead: "Δεν ήταν δυνατή η ανάγνωση του αρχείου",
+    errUnknownDocument: "Δεν είναι αρχείο αγώνα",
+    errNewerSchema: (v) => `Γράφτηκε από νεότερη έκδοση (σχήμα ${v})`,
+    errMissingField: (f) => `Λείπει ή είναι άκυρο το πεδίο: ${f}`,
+    errInvalidHazard: (id) => `Άκυρος κίνδυνος ${id}`,
+    dismiss: "Απόκρυψη",
+    storage_unavailable: () => "Ο χώρος αποθήκευσης του browser δεν είναι διαθέσιμος — οι αλλαγές δεν θα διατηρηθούν.",
+    storage_corrupt: (x) => `Τα αποθηκευμένα δεδομένα δεν διαβάστηκαν και κρατήθηκαν ως "${x.backupKey}". Νέα αρχή.`,
+    storage_newerSchema: (x) => `Τα αποθηκευμένα δεδομένα είναι από νεότερη έκδοση (σχήμα ${x.from}). Κρατήθηκαν ως "${x.backupKey}" χωρίς φόρτωση.`,
+    storage_migrationFailed: (x) => `Τα αποθηκευμένα δεδομένα (σχήμα ${x.from}) δεν αναβαθμίστηκαν και κρατήθηκαν ως "${x.backupKey}". ${x.detail || ""}`,
+    storage_migrated: (x) => `Τα αποθηκευμένα δεδομένα αναβαθμίστηκαν από σχήμα ${x.from} σε ${x.to}.`,
+    storage_occurrenceRebased: (x) =>
+      `Η Πιθανότητα των ${x.hazards} επανήλθε στην τιμή του μητρώου: τα καταγεγραμμένα συμβάντα πλέον αυξάνουν την O ως τεκμήρια αντί να την τροποποιούν.`,
+    storage_saveFailed: (x) => `Οι αλλαγές δεν αποθηκεύτηκαν (${x.detail || "πλήρης χώρος;"}). Εξάγετε τους αγώνες σε JSON.`,
+    hideWhy: "Απόκρυψη εξήγησης",
+    scoreBreakdown: "Ανάλυση βαθμολογίας",
+    contributionLine: (pts, lost, w) => `+${pts} μον., −${lost} μον. απώλεια (βάρος ${w}%)`,
+    riskInverted: "Αντεστραμμένος κίνδυνος (100 − φορτίο)",
+    topHazards: "Υψηλότερο υπολειπόμενο RPN",
+    ucaLosses: "Έλεγχοι με τις μεγαλύτερες απώλειες UCA",
+    ucaLossLine: (n, loss) => `${n} UCA → −${loss}% ετοιμότητα`,
+    weakestCriteria: "Χαμηλότερα υπο‑κριτήρια ετοιμότητας",
+    failingConstraints: "Κρίσιμοι περιορισμοί σε αποτυχία",
+    lockedRedExplain: "Ο δείκτης μένει κόκκινος ανεξαρτήτως βαθμολογίας μέχρι να περάσουν:",
+    nothingToReport: "Τίποτα προς αναφορά.",
+    scoringProfile: "Προφίλ βαθμολόγησης",
+    editProfile: "Επεξεργασία",
+    closeProfile: "Κλείσιμο",
+    profilePreset: "Προεπιλογή",
+    profileName: "Όνομα προφίλ",
+    customProfile: "Προσαρμοσμένο",
+    customSuffix: "(προσαρμοσμένο)",
+    profile_standard: "Τυπικό",
+    profile_insurer: "Ασφαλιστής (έμφαση στον κίνδυνο)",
+    profile_compliance: "Άδειες & συμμόρφωση",
+    profile_strict: "Αυστηρό (αγώνες υψηλού κινδύνου)",
+    weightReadiness: "Βάρος ετοιμότητας %",
+    weightControls: "Βάρος ελέγχων %",
+    weightRisk: "Βάρος αντεστραμμένου κινδύνου %",
+    ucaPenalty: "Ποινή UCA % ανά ενέργεια",
+    riskScale: "Κλίμακα κινδύνου (RPN ÷)",
+    segmentRiskShare: "Μερίδιο πιο επικίνδυνου τμήματος στον κίνδυνο %",
+    bandWatch: "Προσοχή από %",
+    bandHealthy: "Ασφαλές από %",
+    profileWeightsNote: "Τα βάρη αναπροσαρμόζονται ώστε να αθροίζουν 100%.",
+    errProfile_weights: "Τα βάρη πρέπει να είναι ≥ 0 με θετικό άθροισμα",
+    errProfile_ucaPenalty: "Η ποινή UCA πρέπει να είναι 0–50%",
+    errProfile_riskScale: "Η κλίμακα κινδύνου πρέπει να είναι 1–100",
+    errProfile_bands: "Απαιτείται 0 < προσοχή < ασφαλές ≤ 100",
+    errProfile_segmentRiskShare: "Το μερίδιο τμήματος πρέπει να είναι 0–100%",
+    mitigatingControls: "Έλεγχοι μετριασμού (αποτελεσματικότητα %)",
+    mitigates: "Μετριάζει",
+    derivedFrom: (list) => `Από ελέγχους: ${list}`,
+    overrideDerived: "Χειροκίνητη τιμή",
+    manualOverride: (derived) => `Χειροκίνητη τιμή — οι συνδεδεμένοι έλεγχοι δίνουν ${derived}%`,
+    useDerived: "Χρήση υπολογισμένης",
+    manualShort: "χειροκ.",
+    errControlLinks: "Κάθε έλεγχος μία φορά, αποτελεσματικότητα 0–100%",
+    stpaLoop: "Βρόχος ελέγχου & UCA",
+    controller: "Ελεγκτής",
+    controlledProcess: "Ελεγχόμενη διεργασία",
+    controlActions: "Ενέργειες ελέγχου",
+    feedbackChannels: "Ανάδραση",
+    onePerLine: "μία ανά γραμμή",
+    ucasTitle: "Μη ασφαλείς ενέργειες ελέγχου",
+    addUca: "+ Προσθήκη UCA",
+    removeUca: "Αφαίρεση",
+    ucaDescription: "Τι είναι μη ασφαλές",
+    ucaUndescribed: "(δεν έχει περιγραφεί)",
+    causalScenarios: "Αιτιώδη σενάρια",
+    ucaType_notProvided: "Δεν παρέχεται",
+    ucaType_providedUnsafe: "Παρέχεται με μη ασφαλή τρόπο",
+    ucaType_wrongTiming: "Νωρίς / αργά / εκτός σειράς",
+    ucaType_wrongDuration: "Διακόπτεται νωρίς / διαρκεί πολύ",
+    ucaStatus_open: "Ανοιχτό",
+    ucaStatus_closed: "Κλειστό",
+    noUcas: "Δεν έχουν καταγραφεί UCA",
+    controlStructure: "Δομή ελέγχου",
+    controlStructureHint: "Χρώμα βρόχου βάσει ετοιμότητας μετά τα ανοιχτά UCA — κλικ για άνοιγμα",
+    raceDirector: "Αλυτάρχης",
+    legendActions: "ενέργειες ελέγχου",
+    legendFeedback: "ανάδραση",
+    measuredInputs: "Μετρούμενες τιμές",
+    measuredInputsHint: "Οι περιορισμοί με κανόνα αξιολογούνται από αυτές τις τιμές",
+    input_heatIndex: "Δείκτης θερμότητας",
+    input_heatProtocolLevel: "Επίπεδο πρωτοκόλλου θερμότητας",
+    input_startTimeAdjusted: "Αλλαγή ώρας εκκίνησης",
+    input_lightningKm: "Πλησιέστερος κεραυνός",
+    input_aedSpacingKm: "Απόσταση μεταξύ AED",
+    input_aedAtStartFinish: "AED σε εκκίνηση/τερματισμό",
+    input_rovingMedics: "Κινητοί διασώστες",
+    input_alsOnCourse: "Μονάδα ALS στη διαδρομή",
+    input_openVehicleAccess: "Ανοιχτά σημεία πρόσβασης οχημάτων",
+    input_waterSpacingKm: "Απόσταση σταθμών νερού",
+    input_sweepContactMin: "Διάστημα επαφής σκούπας",
+    input_gearCheckActive: "Έλεγχος υποχρεωτικού εξοπλισμού",
+    input_commsCoveragePct: "Κάλυψη επικοινωνιών",
+    ruleOr: "Ή",
+    ruleAnd: "ΚΑΙ",
+    warnFrom: (n) => `προειδοποίηση από ${n}`,
+    yes: "ναι",
+    no: "όχι",
+    missingInputs: (list) => `Λείπει τιμή: ${list}`,
+    overrideStatus: "Παράκαμψη",
+    overrideReason: "Αιτιολογία (υποχρεωτική)",
+    applyOverride: "Εφαρμογή",
+    clearOverride: "Άρση παράκαμψης",
+    overriddenTo: (status, rule) => `Παράκαμψη σε ${status} — ο κανόνας δίνει ${rule}`,
+    overrideLog: (n) => `Ιστορικό παρακάμψεων (${n})`,
+    overrideClearedEntry: "άρση παράκαμψης",
+    errOverrideReason: "Απαιτείται αιτιολογία για παράκαμψη κανόνα",
+    ruleJson: "Κανόνας (JSON, προαιρετικό)",
+    errRuleInvalid:
+      'Μη έγκυρος κανόνας. Αναμένεται αριθμητικός έλεγχος {"input": "heatIndex", "op": "<=", "warn": 30, "fail": 32} (με ">=" το warn είναι ίσο ή πάνω από το fail), έλεγχος ναι/όχι {"input": "gearCheckActive", "op": "is", "value": true}, ή {"any": [κανόνες]} / {"all": [κανόνες]}',
+    basis: "Βάση",
+    conditionsTitle: "Συνθήκες",
+    conditionsHint: "Ο καιρός τροφοδοτεί τους περιορισμούς θερμότητας / κεραυνών και την Πιθανότητα των κινδύνων θερμότητας",
+    cond_tempC: "Θερμοκρασία (°C)",
+    cond_rh: "Υγρασία (%)",
+    cond_windMs: "Άνεμος (m/s)",
+    cond_solarWm2: "Ηλιακή ακτινοβολία (W/m²)",
+    cond_lightningKm: "Κεραυνοί (km)",
+    cond_precipMmH: "Βροχή (mm/h)",
+    heatIndex: "Δείκτης θερμότητας",
+    wbgtEstimate: "WBGT (εκτίμ.)",
+    flag_white: "Λευκή σημαία — κίνδυνος ψύχους",
+    flag_green: "Πράσινη σημαία — χαμηλός κίνδυνος",
+    flag_yellow: "Κίτρινη σημαία — μέτριος κίνδυνος",
+    flag_red: "Κόκκινη σημαία — υψηλός κίνδυνος",
+    flag_black: "Μαύρη σημαία — ακραίος κίνδυνος, εξετάστε ακύρωση",
+    flagRaisesO: (n) => `Κίνδυνοι θερμότητας: Πιθανότητα +${n}`,
+    loadReadings: "Φόρτωση μετρήσεων (JSON/CSV)",
+    clearConditions: "Καθαρισμός",
+    conditionsUpdated: (when, source) => `Ενημέρωση ${when} — ${source}`,
+    manualEntry: "χειροκίνητη καταχώριση",
+    feedLoaded: (n) => `${n} μετρήσεις, εφαρμόστηκε η νεότερη`,
+    errFeedFormat: "Δεν ήταν δυνατή η ανάγνωση του αρχείου μετρήσεων",
+    errFeedEmpty: "Δεν βρέθηκαν μετρήσεις στο αρχείο",
+    fromConditions: "από τις συνθήκες",
+    conditionsO: (n) => `+${n} από τις συνθήκες`,
+    heatDriven: "Εξαρτάται από τη ζέστη (οι συνθήκες αυξάνουν την Πιθανότητα)",
+    goNoGoTitle: "Go / No-Go",
+    goNoGoHint: "Το σημείο ελέγχου παγώνει τη βαθμολογία· κάθε ρόλος υπογράφει πριν καταγραφεί η απόφαση",
+    checkpoint_t24h: "T-24ω",
+    checkpoint_t2h: "T-2ω",
+    checkpoint_start: "Γραμμή εκκίνησης",
+    openCheckpoint: (label) => `Άνοιγμα σημείου ελέγχου ${label}`,
+    decision: "Απόφαση",
+    chooseDecision: "Επιλογή…",
+    decision_go: "Εκκίνηση",
+    decision_goMitigations: "Εκκίνηση με μέτρα μετριασμού",
+    decision_delay: "Καθυστέρηση",
+    decision_reroute: "Αλλαγή διαδρομής",
+    decision_cancel: "Ακύρωση αγώνα",
+    decisionReason: "Αιτιολογία (υποχρεωτική εκτός από Εκκίνηση)",
+    snapshotTaken: (ts) => `Στιγμιότυπο ${ts}`,
+    goBlockedHint: "Αποτύγχανε κρίσιμος περιορισμός — η Εκκίνηση δεν επιτρέπεται",
+    failingAtCheckpoint: "Περιορισμοί που αποτυγχάνουν",
+    noneFailing: "Κανένας",
+    topOpenHazards: "Κυριότεροι ανοιχτοί κίνδυνοι",
+    signOffsTitle: "Υπογραφές",
+    signOffsPending: (n) => `${n} σε αναμονή`,
+    signerName: "Όνομα",
+    signOffNote: "Σημείωση (προαιρετική)",
+    concur: "Συμφωνώ",
+    object: "Διαφωνώ",
+    proposeFirst: "Επιλέξτε απόφαση πριν συλλέξετε υπογραφές",
+    reviseProposal: "Αναθεώρηση απόφασης (διαγράφει τις υπογραφές)",
+    recordDecision: "Καταγραφή απόφασης",
+    discardDraft: "Απόρριψη προσχεδίου",
+    confirmDiscardDecision: "Απόρριψη αυτού του προσχεδίου και των υπογραφών του;",
+    errDecisionRequired: "Επιλέξτε απόφαση",
+    errGoBlocked: "Η Εκκίνηση δεν επιτρέπεται όσο αποτυγχάνει κρίσιμος περιορισμός",
+    errDecisionReason: "Δώστε αιτιολογία για την απόφαση",
+    errSignOffsMissing: "Όλοι οι ρόλοι πρέπει να υπογράψουν",
+    errObjectionsUnconfirmed: "Επιβεβαιώστε τις αντιρρήσεις πριν προχωρήσετε",
+    signOffAwaiting: "Αναμονή υπογραφής — κάθε ρόλος υπογράφει όταν είναι ο ενεργός ρόλος",
+    objectionsTitle: (n) => `${n} ${n === 1 ? "αντίρρηση" : "αντιρρήσεις"} στη διεξαγωγή`,
+    confirmObjections: "Διάβασα τις αντιρρήσεις και η απόφαση ισχύει",
+    decisionRecords: "Αρχείο αποφάσεων",
+    noDecisions: "Δεν έχουν καταγραφεί αποφάσεις",
+    decidedAt: "Απόφαση",
+    scoreAtCheckpoint: "Βαθμολογία στο σημείο ελέγχου",
+    signOffSummary: (c, o) => `${c} συμφωνούν, ${o} διαφωνούν`,
+    signOffsUnverified: "Οι υπογραφές αποδίδονται από τον ρόλο που επιλέχθηκε στην εφαρμογή και ένα πληκτρολογημένο όνομα· κανένα από τα δύο δεν επαληθεύεται.",
+    sharedSigner: (name, roles) => `${name} υπέγραψε για ${roles}`,
+    recordIntact: "Αρχείο ακέραιο",
+    recordAltered: "Το αρχείο άλλαξε μετά την υπογραφή",
+    role: "Ρόλος",
+    liveMode: "Ημέρα αγώνα",
+    exitLiveMode: "Επιστροφή στον σχεδιασμό",
+    raceClock: "Χρόνος αγώνα",
+    clockNotStarted: "Δεν ξεκίνησε",
+    startRaceClock: "Έναρξη χρόνου αγώνα",
+    resetRaceDay: "Επαναφορά ημέρας αγώνα",
+    confirmResetRaceDay: "Επαναφορά του χρόνου αγώνα και όλων των καταστάσεων τμημάτων;",
+    timeOfDay: "Ώρα",
+    segStatus_open: "Ανοιχτό",
+    segStatus_leadThrough: "Πέρασε ο πρώτος δρομέας",
+    segStatus_sweepThrough: "Πέρασε η σκούπα",
+    segStatus_closed: "Κλειστό",
+    segmentLoad: (n, rpn) => `${n} κίνδυνος(οι) • υπολειπόμενο RPN ${rpn}`,
+    statusSince: (time) => `από ${time}`,
+    latestIncidents: "Τελευταία συμβάντα",
+    incidentType: "Τύπος",
+    incidentSeverity: "Σοβαρότητα",
+    reporterRole: "Αναφορά από",
+    peopleAffected: "Άτομα που επηρεάστηκαν",
+    outcome: "Έκβαση",
+    outcomePending: "Δεν είναι γνωστή ακόμη",
+    outcome_treatedOnSite: "Αντιμετώπιση επί τόπου",
+    outcome_transported: "Διακομιδή",
+    outcome_dnf: "DNF",
+    incidentStatus: "Κατάσταση",
+    editIncident: "Επεξεργασία",
+    incStatus_open: "Ανοιχτό",
+    incStatus_responding: "Σε εξέλιξη",
+    incStatus_resolved: "Επιλύθηκε",
+    incStatus_closed: "Κλειστό",
+    segmentFromHazard: "Τμήμα του κινδύνου",
+    filterAll: "Όλα",
+    incidentsShown: (n, total) => `${n} από ${total}`,
+    incidentNotes: (n) => `Σημειώσεις (${n})`,
+    statusHistory: "Ιστορικό κατάστασης",
+    errIncidentHazard: "Επιλέξτε τον κίνδυνο του συμβάντος",
+    errIncidentSeverity: "Η σοβαρότητα είναι από 1 έως 5",
+    errPeopleAffected: "Δώστε ακέραιο αριθμό (0 ή περισσότερα)",
+    searchIncidents: "Αναζήτηση συμβάντων…",
+    pageOf: (p, n) => `Σελίδα ${p} από ${n}`,
+    prevPage: "Προηγούμενη",
+    nextPage: "Επόμενη",
+    incidentStatsTitle: "Στατιστικά",
+    incidentStatsHint: "Για τα συμβάντα που εμφανίζονται (ισχύουν φίλτρα και αναζήτηση)",
+    finishers: "Τερματίσαντες",
+    ratePer1000: "Συμβάντα ανά 1.000 τερματίσαντες",
+    rateNeedsFinishers: "Δώστε τον αριθμό τερματισάντων",
+    totalIncidents: "Συμβάντα",
+    byType: "Ανά τύπο",
+    byHazard: "Ανά κίνδυνο",
+    bySegment: "Ανά τμήμα",
+    byHour: "Ανά ώρα",
+    noSegment: "Χωρίς τμήμα",
+    evidenceWindow: "Παράθυρο τεκμηρίωσης",
+    windowHours: (h) => (h < 48 ? `${h} ώρες` : `${h / 24} ημέρες`),
+    baselineO: "βάση",
+    evidenceAdjustedO: "με συμβάντα",
+    deleteIncident: "Διαγραφή",
+    confirmDeleteIncident: "Διαγραφή αυτού του συμβάντος; Η Συχνότητα υπολογίζεται ξανά χωρίς αυτό.",
+    courseMap: "Χάρτης διαδρομής",
+    courseMapHint: "Εισαγόμενο GPX, χωρίς σύνδεση· πατήστε ένα κομμάτι για φιλτράρισμα ανά τμήμα",
+    importGpx: "Εισαγωγή GPX",
+    removeCourse: "Αφαίρεση διαδρομής",
+    confirmRemoveCourse: "Αφαίρεση του χάρτη διαδρομής; Τα εύρη τμημάτων και οι δείκτες παραμένουν.",
+    errGpxNoTrack: "Δεν βρέθηκαν σημεία διαδρομής σε αυτό το αρχείο GPX",
+    noCourse: "Δεν έχει εισαχθεί διαδρομή. Εισαγάγετε το GPX της διαδρομής για να σχεδιαστεί εδώ.",
+    courseLength: (km) => `${km} χλμ`,
+    segmentRanges: "Εύρη τμημάτων (χλμ)",
+    fromKm: "από",
+    toKm: "έως",
+    unranged: "εκτός χάρτη",
+    placeOnRoute: "Τοποθέτηση στη διαδρομή…",
+    placingHint: "Πατήστε στο σημείο της διαδρομής",
+    placedMarkers: "Τοποθετημένοι δείκτες",
+    marker_hazard: "Κίνδυνος",
+    marker_aed: "AED",
+    marker_aid: "Σταθμός τροφοδοσίας / νερού",
+    marker_medical: "Ιατρικό σημείο",
+    marker_ambulance: "Ασθενοφόρο",
+    marker_marshal: "Κριτές / εθελοντές",
+    marker_barrier: "Κιγκλιδώματα",
+    marker_incident: "Συμβάν",
+    riskLow: "χαμηλότερος υπολειπόμενος κίνδυνος",
+    riskHigh: "υψηλότερος",
+    removeMarker: "Αφαίρεση",
+    assetsTitle: "Πόροι στη διαδρομή",
+    assetsHint: "Πού βρίσκονται AED, νερό, ιατρική κάλυψη, κριτές και κιγκλιδώματα· οι αποστάσεις τροφοδοτούν τους περιορισμούς",
+    assetKind: "Είδος",
+    assetLabel: "Ετικέτα",
+    assetCount: "Πλήθος",
+    alsCrew: "Πλήρωμα ALS",
+    addAsset: "Προσθήκη",
+    autoSegment: (seg) => `αυτόματα${seg ? `: ${seg}` : ""}`,
+    noAssets: "Δεν έχουν καταχωριστεί πόροι. Προσθέστε τους εδώ ή τοποθετήστε τους στον χάρτη.",
+    courseLengthUnknown: "Άγνωστο μήκος διαδρομής — εισαγάγετε GPX ή ορίστε εύρη τμημάτων για τον έλεγχο αποστάσεων.",
+    checkedOver: (km) => `Έλεγχος σε ${km} χλμ`,
+    maxGap: "μέγιστο κενό",
+    unplacedAssets: (n) => `${n} χωρίς χλμ (μετρώνται ανά τμήμα, όχι στα κενά)`,
+    spacingViolations: "Παραβιάσεις αποστάσεων",
+    noViolations: "Καμία παραβίαση αποστάσεων",
+    gapOver: (from, to, gap, limit) => `χλμ ${from}–${to}: ${gap} χλμ (όριο ${limit} χλμ)`,
+    coverageBySegment: "Κάλυψη ανά τμήμα",
+    fromAssets: "από τους πόρους",
+    assetCheckPdf: "Έλεγχος αποστάσεων",
+    segmentRiskTitle: "Κίνδυνος ανά τμήμα",
+    segmentRiskHint: "Υπολειπόμενο RPN των κινδύνων του τμήματος συν το μερίδιό του από κινδύνους όλης της διαδρομής",
+    segmentRanking: "Κατάταξη τμημάτων",
+    segmentRiskDetail: (own, shared, n) => `${own} δικοί του (${n} κίνδυνοι) + ${shared} όλης της διαδρομής`,
+    riskiestSegment: (name, p) => `πιο επικίνδυνο τμήμα: ${name} ${p}%`,
+    segmentRiskInScore: (p) => `${p}% από το πιο επικίνδυνο τμήμα`,
+    matricesTitle: "Πίνακες κινδύνου",
+    matricesHint: "Ενημέρωση από το πλέγμα· πατήστε ένα κελί για φιλτράρισμα της λίστας κινδύνων",
+    domainSegmentMatrix: "Τομέας × τμήμα (υπολειπόμενο RPN)",
+    lsMatrix: "Πιθανότητα × σοβαρότητα",
+    matrixMode_inherent: "Εγγενής",
+    matrixMode_residual: "Υπολειπόμενος",
+    likelihood: "Πιθανότητα",
+    severity: "Σοβαρότητα",
+    total: "Σύνολο",
+    level_low: "Χαμηλός",
+    level_medium: "Μέτριος",
+    level_high: "Υψηλός",
+    level_extreme: "Ακραίος",
+    matrixCellFilter: (mode, l, s) => `${mode}: πιθανότητα ${l} × σοβαρότητα ${s}`,
+    clearFilter: "Καθαρισμός φίλτρου",
+    actionPlanTitle: "Σχέδιο ενεργειών",
+    actionPlanHint: "Μέτρα μετριασμού με υπεύθυνο και προθεσμία· η ολοκλήρωση εφαρμόζει την επίδρασή τους",
+    addAction: "Προσθήκη ενέργειας",
+    actionTitle: "Ενέργεια",
+    actionTarget: "Αφορά",
+    actionTarget_hazard: "Κίνδυνο",
+    actionTarget_control: "Έλεγχο",
+    actionTarget_constraint: "Περιορισμό",
+    actionTarget_criterion: "Υπο-κριτήριο ετοιμότητας",
+    ownerRole: "Υπεύθυνος",
+    dueDate: "Προθεσμία",
+    expectedEffect: "Αναμενόμενη επίδραση",
+    effect_S: "S ±",
+    effect_O: "O ±",
+    effect_D: "D ±",
+    effect_controlsActive: "Ενεργοί έλεγχοι ± %",
+    effect_readiness: "Ετοιμότητα ± %",
+    effect_value: "Βαθμός ± %",
+    effectConstraintPasses: "Με την ολοκλήρωση ο περιορισμός περνά",
+    actStatus_planned: "Προγραμματισμένη",
+    actStatus_inProgress: "Σε εξέλιξη",
+    actStatus_done: "Ολοκληρώθηκε",
+    actStatus_cancelled: "Ακυρώθηκε",
+    overdueByRole: "Εκπρόθεσμες ανά υπεύθυνο",
+    noOverdue: "Καμία εκπρόθεσμη",
+    overdueDays: (n) => `${n} ημ. καθυστέρηση`,
+    noActions: "Καμία ενέργεια ακόμη. Καταγράψτε τι θα γίνει αντί να σύρετε ρυθμιστικά.",
+    effectApplied: (ts) => `η επίδραση εφαρμόστηκε ${ts}`,
+    projectedScore: (n, v, st, d) => `Αν ολοκληρωθούν και οι ${n} ανοιχτές ενέργειες: ${v}% — ${st} (${d >= 0 ? "+" : ""}${d})`,
+    confirmDeleteAction: "Διαγραφή αυτής της ενέργειας;",
+    deleteAction: "Διαγραφή",
+    errActionTitle: "Περιγράψτε την ενέργεια",
+    errActionTarget: "Επιλέξτε τι αφορά η ενέργεια",
+    errActionOwner: "Επιλέξτε υπεύθυνο",
+    errActionDue: "Ορίστε προθεσμία",
+    errActionEffect: "Ορίστε τουλάχιστον μία αναμενόμενη επίδραση",
+    confirmDeleteEvent: (name) => `Διαγραφή του "${name}" μαζί με όλους τους κινδύνους, ελέγχους και συμβάντα;`,
+    confirmOrphanIncidents: (n) => `${n} καταγεγραμμένα συμβάντα συνδέονται με κινδύνους του τρέχοντος προτύπου και δεν θα αντιστοιχούν στο νέο. Αλλαγή παρ' όλα αυτά; (Οι αλλαγές σας διατηρούνται για όταν επιστρέψετε.)`,
     mvpFooter: "v4.1 — αναλυτική βαθμολόγηση ετοιμότητας, PDF, αποθήκευση, ζώνες, δίγλωσσο UI.",
   },
 };
 
 // -----------------------------
-// Labels / Canonical EN keys
-// -----------------------------
-const DOMAINS_EN = [
-  "Financial",
-  "Organizational",
-  "Health / Sanitary",
-  "Legal",
-  "Operational",
-  "Sports",
-  "Public Relations / Publicity",
-  "Human Resources",
-  "Environmental",
-  "Security – Threats",
-];
-const DOMAINS_EL = [
-  "Οικονομικά",
-  "Οργανωτικά",
-  "Υγεία / Υγειονομικά",
-  "Νομικά",
-  "Λειτουργικά",
-  "Αθλητικά",
-  "Δημόσιες Σχέσεις / Προβολή",
-  "Ανθρώπινο Δυναμικό",
-  "Περιβαλλοντικά",
-  "Ασφάλεια – Απειλές",
-];
-
-const ROLES_EN = [
-  "Race Director",
-  "Operations Lead",
-  "Medical Lead",
-  "Security Lead",
-  "PR / Media Lead",
-  "Finance Lead",
-  "HR / Volunteers Lead",
-  "Environmental Lead",
-  "Legal / Compliance Lead",
-  "Sports / Course Lead",
-];
-const ROLES_EL = [
-  "Διευθυντής Αγώνα",
-  "Υπεύθυνος Λειτουργιών",
-  "Υπεύθυνος Υγειονομικού",
-  "Υπεύθυνος Ασφαλείας",
-  "Υπεύθυνος Δημοσίων Σχέσεων",
-  "Υπεύθυνος Οικονομικών",
-  "Υπεύθυνος Εθελοντών / ΑΔ",
-  "Υπεύθυνος Περιβάλλοντος",
-  "Υπεύθυνος Νομικής Συμμόρφωσης",
-  "Υπεύθυνος Διαδρομής / Αθλητικού",
-];
-
-const CONTROLS_EN_TO_EL = {
-  "Heat / Cold Protocol": "Πρωτόκολλο Θερμότητας / Ψύχους",
-  "Traffic / Course Separation": "Διαχωρισμός Διαδρομής από Οχήματα",
-  "Medical Response & AED coverage": "Υγειονομική Υποστήριξη & Κάλυψη AED",
-  "Crowd Flow at Start/Finish": "Ροή Πλήθους στην Εκκίνηση/Τερματισμό",
-  "Security Screening Perimeter": "Ζώνη Ελέγχου Ασφαλείας",
-  "Trail Sweep / Search & Rescue": "Ορεινό Σκούπισμα / Έρευνα & Διάσωση",
-};
-
-const INCIDENTS_EN_TO_EL = {
-  "Heat illness": "Θερμική Κατάρρευση",
-  "Runner collision": "Σύγκρουση Δρομέων",
-  "Course confusion": "Λάθος πορεία",
-  "Traffic incursion": "Εισβολή Οχήματος",
-  "Security concern": "Ζήτημα Ασφάλειας",
-  "Lightning / storm": "Κεραυνός / Κακοκαιρία",
-  "Trail fall": "Πτώση στο Μονοπάτι",
-};
-
-const TEMPLATES_LABELS = {
-  roadShort: { en: "Road 5K / 10K", el: "Δρόμος 5K / 10K" },
-  roadMarathon: { en: "Road Half / Marathon", el: "Ημιμαραθώνιος / Μαραθώνιος" },
-  trailUltra: { en: "Trail / Ultra", el: "Ορεινό / Υπέρ-Αγώνας" },
-};
-
-// -----------------------------
-// Readiness sub-criteria (manual scoring)
-// Each criterion has weight (default 1)
-// -----------------------------
-const READINESS_CRITERIA = {
-  "Financial": [
-    { id: "budget", en: "Budget secured", el: "Εξασφαλισμένος προϋπολογισμός" },
-    { id: "sponsors", en: "Sponsors/contracts signed", el: "Συμφωνίες χορηγών/συμβάσεων" },
-    { id: "cashflow", en: "Cashflow / payments plan", el: "Ρευστότητα / πλάνο πληρωμών" },
-  ],
-  "Organizational": [
-    { id: "plan", en: "Operational plan complete", el: "Ολοκληρωμένο επιχειρησιακό σχέδιο" },
-    { id: "comms", en: "Internal comms structure", el: "Δομή εσωτερικής επικοινωνίας" },
-    { id: "briefings", en: "Staff/volunteer briefings", el: "Briefings προσωπικού/εθελοντών" },
-  ],
-  "Health / Sanitary": [
-    { id: "medicalPlan", en: "Medical plan approved", el: "Εγκεκριμένο υγειονομικό σχέδιο" },
-    { id: "aed", en: "AED coverage ready", el: "Έτοιμη κάλυψη AED" },
-    { id: "hydration", en: "Hydration/heat plan", el: "Πλάνο ενυδάτωσης/ζέστης" },
-  ],
-  "Legal": [
-    { id: "permits", en: "All permits issued", el: "Έχουν εκδοθεί οι άδειες" },
-    { id: "insurance", en: "Insurance active", el: "Ενεργή ασφάλιση" },
-    { id: "waivers", en: "Waivers/rules published", el: "Κανονισμοί/δηλώσεις συμμετοχής" },
-  ],
-  "Operational": [
-    { id: "traffic", en: "Traffic plan & closures", el: "Σχέδιο κυκλοφορίας/κλεισίματα" },
-    { id: "vendors", en: "Vendors confirmed", el: "Επιβεβαίωση προμηθευτών" },
-    { id: "logistics", en: "Logistics ready", el: "Logistics έτοιμα" },
-    { id: "signage", en: "Signage & wayfinding", el: "Σήμανση/καθοδήγηση" },
-  ],
-  "Sports": [
-    { id: "courseCert", en: "Course measured/certified", el: "Μετρημένη/πιστοποιημένη διαδρομή" },
-    { id: "timing", en: "Timing/results provider ready", el: "Έτοιμος πάροχος χρονομέτρησης" },
-    { id: "stations", en: "Aid stations plan", el: "Πλάνο σταθμών υποστήριξης" },
-  ],
-  "Public Relations / Publicity": [
-    { id: "mediaPlan", en: "Media plan ready", el: "Έτοιμο media plan" },
-    { id: "crisis", en: "Crisis comms prepared", el: "Πλάνο επικοινωνίας κρίσης" },
-    { id: "athleteInfo", en: "Athlete info sent", el: "Ενημέρωση αθλητών" },
-  ],
-  "Human Resources": [
-    { id: "staffing", en: "Staffing complete", el: "Ολοκληρωμένη στελέχωση" },
-    { id: "volunteers", en: "Volunteers recruited", el: "Στρατολόγηση εθελοντών" },
-    { id: "training", en: "Training delivered", el: "Δόθηκαν εκπαιδεύσεις" },
-  ],
-  "Environmental": [
-    { id: "waste", en: "Waste plan", el: "Πλάνο απορριμμάτων" },
-    { id: "trailProtect", en: "Course protection", el: "Προστασία διαδρομής" },
-    { id: "weather", en: "Weather monitoring", el: "Παρακολούθηση καιρού" },
-  ],
-  "Security – Threats": [
-    { id: "riskAssess", en: "Threat assessment", el: "Αξιολόγηση απειλών" },
-    { id: "perimeter", en: "Security perimeter", el: "Ζώνες ασφαλείας" },
-    { id: "response", en: "Incident response ready", el: "Ετοιμότητα αντίδρασης" },
-  ],
-};
-
-// -----------------------------
-// Roles visibility
-// -----------------------------
-const DOMAINS = DOMAINS_EN;
-const ROLES = ROLES_EN;
-
-const ROLE_DOMAINS = {
-  "Race Director": DOMAINS,
-  "Operations Lead": ["Organizational", "Operational", "Sports"],
-  "Medical Lead": ["Health / Sanitary", "Sports"],
-  "Security Lead": ["Security – Threats", "Operational"],
-  "PR / Media Lead": ["Public Relations / Publicity"],
-  "Finance Lead": ["Financial"],
-  "HR / Volunteers Lead": ["Human Resources", "Organizational"],
-  "Environmental Lead": ["Environmental"],
-  "Legal / Compliance Lead": ["Legal"],
-  "Sports / Course Lead": ["Sports", "Operational", "Environmental"],
-};
-
-const ROLE_CONTROLS = {
-  "Race Director": null,
-  "Operations Lead": ["Traffic / Course Separation", "Crowd Flow at Start/Finish"],
-  "Medical Lead": ["Heat / Cold Protocol", "Medical Response & AED coverage"],
-  "Security Lead": ["Security Screening Perimeter", "Traffic / Course Separation"],
-  "PR / Media Lead": [],
-  "Finance Lead": [],
-  "HR / Volunteers Lead": [],
-  "Environmental Lead": ["Heat / Cold Protocol"],
-  "Legal / Compliance Lead": [],
-  "Sports / Course Lead": ["Trail Sweep / Search & Rescue", "Crowd Flow at Start/Finish"],
-};
-
-// -----------------------------
-// Templates
+// File downloads
 // -----------------------------
-const TEMPLATES = {
-  roadShort: {
-    label: TEMPLATES_LABELS.roadShort.en,
-    hazards: [
-      { id: "H1", domain: "Health / Sanitary", name: "Heat illness / dehydration", S: 8, O: 4, D: 4, controlsActive: 0.8, weight: 1.3, segmentId: "SEG-START" },
-      { id: "H2", domain: "Operational", name: "Course misdirection at junctions", S: 5, O: 4, D: 5, controlsActive: 0.7, weight: 1.0, segmentId: "SEG-2" },
-      { id: "H3", domain: "Security – Threats", name: "Unauthorized vehicle access", S: 9, O: 2, D: 6, controlsActive: 0.7, weight: 1.4, segmentId: "SEG-ALL" },
-      { id: "H4", domain: "Sports", name: "Runner crowding at start", S: 6, O: 5, D: 3, controlsActive: 0.9, weight: 1.0, segmentId: "SEG-START" },
-      { id: "H5", domain: "Environmental", name: "Sudden rain / slippery road", S: 6, O: 3, D: 5, controlsActive: 0.7, weight: 1.0, segmentId: "SEG-3" },
-      { id: "H6", domain: "Human Resources", name: "Volunteer no-shows", S: 5, O: 4, D: 4, controlsActive: 0.6, weight: 0.9, segmentId: "SEG-START" },
-    ],
-    constraints: [
-      { id: "S1", statement: "Heat index <= 32°C OR Heat Protocol Level 2 active", critical: true, status: "pass" },
-      { id: "S2", statement: "No open vehicle access on any course segment", critical: true, status: "pass" },
-      { id: "S3", statement: "AED coverage at start/finish + roving medics", critical: true, status: "pass" },
-    ],
-    segments: [
-      { id: "SEG-START", name: "Start/Finish Zone" },
-      { id: "SEG-1", name: "KM 0–1" },
-      { id: "SEG-2", name: "KM 1–3" },
-      { id: "SEG-3", name: "KM 3–5" },
-      { id: "SEG-ALL", name: "Whole course" },
-    ],
-  },
-  roadMarathon: {
-    label: TEMPLATES_LABELS.roadMarathon.en,
-    hazards: [
-      { id: "H1", domain: "Health / Sanitary", name: "Heat illness / dehydration", S: 9, O: 5, D: 4, controlsActive: 0.75, weight: 1.5, segmentId: "SEG-ALL" },
-      { id: "H2", domain: "Sports", name: "Cardiac emergency", S: 10, O: 2, D: 7, controlsActive: 0.7, weight: 1.6, segmentId: "SEG-ALL" },
-      { id: "H3", domain: "Operational", name: "Water station depletion", S: 8, O: 3, D: 6, controlsActive: 0.7, weight: 1.3, segmentId: "SEG-10" },
-      { id: "H4", domain: "Operational", name: "Course misdirection at junctions", S: 6, O: 4, D: 6, controlsActive: 0.7, weight: 1.1, segmentId: "SEG-5" },
-      { id: "H5", domain: "Security – Threats", name: "Unauthorized vehicle access", S: 10, O: 2, D: 6, controlsActive: 0.65, weight: 1.5, segmentId: "SEG-ALL" },
-      { id: "H6", domain: "Environmental", name: "Lightning / severe storm", S: 10, O: 2, D: 7, controlsActive: 0.7, weight: 1.3, segmentId: "SEG-ALL" },
-      { id: "H7", domain: "Human Resources", name: "Volunteer fatigue / shift gaps", S: 6, O: 5, D: 4, controlsActive: 0.6, weight: 1.0, segmentId: "SEG-START" },
-    ],
-    constraints: [
-      { id: "S1", statement: "Heat index <= 30°C OR Start-time adjusted / heat protocol active", critical: true, status: "pass" },
-      { id: "S2", statement: "AED spacing <= 1.5km and ALS on course", critical: true, status: "pass" },
-      { id: "S3", statement: "No open vehicle access on any course segment", critical: true, status: "pass" },
-      { id: "S4", statement: "Water points every <= 3km", critical: true, status: "pass" },
-      { id: "S5", statement: "Lightning >10km away", critical: true, status: "pass" },
-    ],
-    segments: [
-      { id: "SEG-START", name: "Start/Finish Zone" },
-      { id: "SEG-5", name: "KM 3–7 Junction Cluster" },
-      { id: "SEG-10", name: "KM 9–12 Long straight" },
-      { id: "SEG-20", name: "KM 18–22 Exposed area" },
-      { id: "SEG-ALL", name: "Whole course" },
-    ],
-  },
-  trailUltra: {
-    label: TEMPLATES_LABELS.trailUltra.en,
-    hazards: [
-      { id: "H1", domain: "Sports", name: "Falls on technical terrain", S: 8, O: 5, D: 6, controlsActive: 0.6, weight: 1.4, segmentId: "SEG-TECH" },
-      { id: "H2", domain: "Environmental", name: "Rapid weather change (cold/rain)", S: 9, O: 4, D: 7, controlsActive: 0.6, weight: 1.5, segmentId: "SEG-RIDGE" },
-      { id: "H3", domain: "Operational", name: "Runner lost off-course", S: 9, O: 3, D: 7, controlsActive: 0.65, weight: 1.4, segmentId: "SEG-ALL" },
-      { id: "H4", domain: "Health / Sanitary", name: "Hypothermia / dehydration", S: 9, O: 4, D: 6, controlsActive: 0.6, weight: 1.5, segmentId: "SEG-ALL" },
-      { id: "H5", domain: "Security – Threats", name: "Delayed rescue access", S: 9, O: 3, D: 8, controlsActive: 0.55, weight: 1.6, segmentId: "SEG-REMOTE" },
-      { id: "H6", domain: "Human Resources", name: "Aid station understaffing", S: 7, O: 4, D: 5, controlsActive: 0.6, weight: 1.2, segmentId: "SEG-AID" },
-    ],
-    constraints: [
-      { id: "S1", statement: "Sweep team contact interval <= 30 min", critical: true, status: "pass" },
-      { id: "S2", statement: "Mandatory gear check active", critical: true, status: "pass" },
-      { id: "S3", statement: "Comms coverage on all segments", critical: true, status: "pass" },
-      { id: "S4", statement: "Lightning / storm thresholds respected", critical: true, status: "pass" },
-    ],
-    segments: [
-      { id: "SEG-START", name: "Start/Finish Zone" },
-      { id: "SEG-TECH", name: "Technical descent" },
-      { id: "SEG-RIDGE", name: "Exposed ridge" },
-      { id: "SEG-REMOTE", name: "Remote valley" },
-      { id: "SEG-AID", name: "Aid Stations" },
-      { id: "SEG-ALL", name: "Whole course" },
-    ],
-  },
-};
+function downloadTemplateFile(tpl) {
+  const doc = { kind: TEMPLATE_FILE_KIND, version: 1, template: templateDraftFrom(tpl, tpl.labels) };
+  downloadJson(doc, `race-template-${fileSlug(tpl.labels.en)}.json`);
+}
 
-// STPA controls
-const INITIAL_CONTROLS = [
-  { id: "C1", name: "Heat / Cold Protocol", readiness: 0.7, ucaCount: 1 },
-  { id: "C2", name: "Traffic / Course Separation", readiness: 0.8, ucaCount: 0 },
-  { id: "C3", name: "Medical Response & AED coverage", readiness: 0.75, ucaCount: 1 },
-  { id: "C4", name: "Crowd Flow at Start/Finish", readiness: 0.85, ucaCount: 0 },
-  { id: "C5", name: "Security Screening Perimeter", readiness: 0.6, ucaCount: 2 },
-  { id: "C6", name: "Trail Sweep / Search & Rescue", readiness: 0.65, ucaCount: 1 },
-];
+function downloadJson(doc, filename) {
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
-// -----------------------------
-// Persistence
-// -----------------------------
-const LS_KEY = "raceSafetyMVP.v41";
-const loadLS = () => {
-  try { const raw = localStorage.getItem(LS_KEY); return raw ? JSON.parse(raw) : null; }
-  catch { return null; }
-};
-const saveLS = (state) => {
-  try { localStorage.setItem(LS_KEY, JSON.stringify(state)); } catch {}
-};
+const fileSlug = (name) => name.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
 
 // -----------------------------
 // Fuel Gauge Component
 // -----------------------------
-function SafetyGauge({ t, value = 0, lockedRed = false, label, prevValue = null }) {
+function SafetyGauge({ t, value = 0, lockedRed = false, label, trend = null, trendBase = "", trendWholeEvent = false, bands = STATUS_BANDS }) {
   const v = clamp(value, 0, 100);
   const displayValue = lockedRed ? 0 : v;
 
@@ -450,16 +1133,16 @@ function SafetyGauge({ t, value = 0, lockedRed = false, label, prevValue = null
   const needleAngle = startAngle - (displayValue / 100) * angleRange;
 
   const segs = [
-    { from: 0, to: 49, className: "stroke-red-500" },
-    { from: 50, to: 74, className: "stroke-amber-400" },
-    { from: 75, to: 100, className: "stroke-emerald-500" },
+    { from: 0, to: bands.watch - 1, className: "stroke-red-500" },
+    { from: bands.watch, to: bands.healthy - 1, className: "stroke-amber-400" },
+    { from: bands.healthy, to: 100, className: "stroke-emerald-500" },
   ];
 
-  const statusKey = lockedRed || v < 50 ? "notHealthy" : v < 75 ? "watch" : "healthy";
-  const status = t(statusKey);
+  const statusKey = scoreStatus(v, lockedRed, bands);
 
-  const trend = prevValue == null ? 0 : v - prevValue;
-  const trendLabel = trend > 1 ? t("improving") : trend < -1 ? t("degrading") : t("stable");
+  // trend is the score change against the chosen baseline snapshot (null when there is none);
+  // snapshots score the whole event, so under a narrowed role view the trend says so
+  const trendLabel = trend == null ? t("noBaseline") : trend > 1 ? t("improving") : trend < -1 ? t("degrading") : t("stable");
 
   const ticks = Array.from({ length: 11 }, (_, i) => i * 10);
 
@@ -468,8 +1151,9 @@ function SafetyGauge({ t, value = 0, lockedRed = false, label, prevValue = null
       <div className="text-center mb-2">
         <h2 className="text-xl font-semibold tracking-tight">{label}</h2>
         <div className="text-xs text-slate-500">
-          {t("trend")}: {trendLabel}
-          {trend !== 0 && !lockedRed ? ` (${trend > 0 ? "+" : ""}${Math.round(trend)}%)` : ""}
+          {t(trendWholeEvent ? "trendWholeEvent" : "trend")}: {trendLabel}
+          {trend != null && Math.round(trend) !== 0 && !lockedRed ? ` (${trend > 0 ? "+" : ""}${Math.round(trend)}%)` : ""}
+          {trend != null && trendBase ? ` ${t("vsBaseline", trendBase)}` : ""}
         </div>
       </div>
 
@@ -531,7 +1215,7 @@ function SafetyGauge({ t, value = 0, lockedRed = false, label, prevValue = null
             statusKey === "healthy" ? "fill-emerald-600" : statusKey === "watch" ? "fill-amber-600" : "fill-red-600"
           }`}
         >
-          {lockedRed ? t("constraintFail") : status}
+          {t(statusKey)}
         </text>
       </svg>
 
@@ -543,251 +1227,2795 @@ function SafetyGauge({ t, value = 0, lockedRed = false, label, prevValue = null
 }
 
 // -----------------------------
-// Scoring Engine
+// Score trend chart (sparkline under the gauge)
 // -----------------------------
-function residualRpn(h) {
-  const base = h.S * h.O * h.D;
-  return base * (1 - clamp(h.controlsActive, 0, 1)) * (h.weight ?? 1);
-}
-function domainRiskScore(hazards, domain) {
-  const hs = hazards.filter((h) => h.domain === domain);
-  if (!hs.length) return 0;
-  const rpnVals = hs.map(residualRpn);
-  return avg(rpnVals);
-}
-function normalizeRiskToPct(risk) {
-  // typical RPN max is 10*10*10=1000; scale to 0-100
-  return clamp(risk / 10, 0, 100);
-}
-function controlHealthPct(controls) {
-  if (!controls.length) return 100;
-  const adjusted = controls.map((c) => clamp(c.readiness - c.ucaCount * 0.06, 0, 1));
-  return pct(avg(adjusted));
-}
-function readinessFromCriteria(criteriaMap, criteriaValues) {
-  // returns readiness per domain (0..1) as weighted average of sub-criteria
-  const out = {};
-  DOMAINS.forEach((d) => {
-    const crits = criteriaMap[d] || [];
-    if (!crits.length) { out[d] = 0.75; return; }
-    const vals = crits.map((c) => {
-      const v = criteriaValues?.[d]?.[c.id];
-      return typeof v === "number" ? v : 0.75;
-    });
-    out[d] = avg(vals);
-  });
-  return out;
+function ScoreTrendChart({ t, history, baseline, bands }) {
+  if (history.length < 2) return <div className="text-xs text-slate-500 text-center">{t("historyEmpty")}</div>;
+
+  const W = 300, H = 80, padX = 8, top = 6, bottom = 70;
+  const t0 = history[0].ts;
+  const t1 = history[history.length - 1].ts;
+  const x = (ts) => padX + ((ts - t0) / Math.max(1, t1 - t0)) * (W - 2 * padX);
+  const y = (v) => bottom - (clamp(v, 0, 100) / 100) * (bottom - top);
+  const line = (pick) => history.map((p) => `${x(p.ts).toFixed(1)},${y(pick(p)).toFixed(1)}`).join(" ");
+
+  const series = [
+    { key: "readiness", pick: (p) => p.readinessPct, className: "stroke-sky-400", label: t("readiness") },
+    { key: "controls", pick: (p) => p.controlPct, className: "stroke-violet-400", label: t("controlHealth") },
+    { key: "risk", pick: (p) => 100 - p.riskLoadPct, className: "stroke-rose-300", label: t("riskInverted") },
+  ];
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+        {[bands.watch, bands.healthy].map((b) => (
+          <line key={b} x1={padX} x2={W - padX} y1={y(b)} y2={y(b)} className="stroke-slate-200" strokeDasharray="3 3" />
+        ))}
+        {baseline && (
+          <line x1={x(baseline.ts)} x2={x(baseline.ts)} y1={top} y2={bottom} className="stroke-amber-400" strokeDasharray="2 2" />
+        )}
+        {series.map((sr) => (
+          <polyline key={sr.key} points={line(sr.pick)} fill="none" className={sr.className} strokeWidth="1" />
+        ))}
+        <polyline points={line((p) => p.holisticPct)} fill="none" className="stroke-slate-900" strokeWidth="2" />
+        {history.map((p, i) =>
+          p.reason === "incident" || p.reason === "briefing" || p.lockedRed ? (
+            <circle
+              key={i}
+              cx={x(p.ts)}
+              cy={y(p.holisticPct)}
+              r="2.5"
+              className={p.lockedRed ? "fill-red-700" : p.reason === "incident" ? "fill-red-500" : "fill-sky-600"}
+            >
+              <title>
+                {`${t(`snapshotReason_${p.reason}`)}${p.note ? ` — ${p.note}` : ""} • ${new Date(p.ts).toLocaleString()} • ${Math.round(p.holisticPct)}%`}
+              </title>
+            </circle>
+          ) : null
+        )}
+      </svg>
+      <div className="flex flex-wrap justify-center gap-3 text-[11px] text-slate-500">
+        <span><span className="inline-block w-3 h-0.5 align-middle bg-slate-900 mr-1" />{t("gaugeLabel")}</span>
+        {series.map((sr) => (
+          <span key={sr.key}>
+            <span className={`inline-block w-3 h-0.5 align-middle mr-1 ${sr.className.replace("stroke-", "bg-")}`} />
+            {sr.label}
+          </span>
+        ))}
+        <span><span className="inline-block w-2 h-2 rounded-full align-middle bg-red-500 mr-1" />{t("snapshotReason_incident")}</span>
+        <span><span className="inline-block w-2 h-2 rounded-full align-middle bg-sky-600 mr-1" />{t("snapshotReason_briefing")}</span>
+      </div>
+    </div>
+  );
 }
 
 // -----------------------------
-// PDF Export
+// STPA control structure diagram
+// Layout comes from stpa.js; the PDF draws the same layout with jsPDF primitives.
 // -----------------------------
-function exportPdf({ t, lang, templateLabel, roleLabel, hazards, controls, constraints, readiness, incidents }) {
-  const doc = new jsPDF();
-  doc.setFontSize(16);
-  doc.text(`${t("appTitle")} — ${templateLabel}`, 14, 16);
-  doc.setFontSize(11);
-  doc.text(`${t("roleView")}: ${roleLabel}`, 14, 24);
+const LOOP_STATUS_CLS = {
+  healthy: { box: "fill-emerald-50 stroke-emerald-500", line: "stroke-emerald-500", head: "fill-emerald-500" },
+  watch: { box: "fill-amber-50 stroke-amber-400", line: "stroke-amber-400", head: "fill-amber-400" },
+  notHealthy: { box: "fill-red-50 stroke-red-500", line: "stroke-red-500", head: "fill-red-500" },
+};
 
-  // Readiness table
-  autoTable(doc, {
-    startY: 30,
-    head: [[t("domain"), t("readinessShort") + " %"]],
-    body: DOMAINS.map((d, i) => [
-      lang === "el" ? DOMAINS_EL[i] : d,
-      pct(readiness[d]),
-    ]),
-  });
+// healthy / watch / notHealthy for a loop's readiness after open UCAs
+const loopStatus = (c, profile) => scoreStatus(pct(adjustedControlReadiness(c, profile.ucaPenalty)), false, profile.bands);
 
-  // Hazards table
-  const hazY = (doc.lastAutoTable?.finalY ?? 30) + 8;
-  autoTable(doc, {
-    startY: hazY,
-    head: [[t("hazard"), t("domain"), t("segment"), t("s"), t("o"), t("d"), t("controlsActive"), t("residualRpn")]],
-    body: hazards.map((h) => [
-      h.name,
-      h.domain,
-      h.segmentId,
-      h.S,
-      h.O,
-      h.D,
-      Math.round(h.controlsActive * 100) + "%",
-      Math.round(residualRpn(h)),
-    ]),
-  });
+function ControlStructureDiagram({ t, controls, controlLabel, profile, selectedId, onOpen }) {
+  if (!controls.length) return null;
+  const layout = layoutControlStructure(controls, { labelOf: (c) => controlLabel(c.name), directorLabel: t("raceDirector") });
+  const byId = Object.fromEntries(controls.map((c) => [c.id, c]));
+  const clsOf = (id) => LOOP_STATUS_CLS[loopStatus(byId[id], profile)];
+  const arrowHead = (e) => {
+    const dir = e.y2 > e.y1 ? -1 : 1;
+    return `${e.x2},${e.y2} ${e.x2 - 4},${e.y2 + dir * 7} ${e.x2 + 4},${e.y2 + dir * 7}`;
+  };
 
-  // Controls table
-  const ctrlY = (doc.lastAutoTable?.finalY ?? hazY) + 8;
-  autoTable(doc, {
-    startY: ctrlY,
-    head: [[t("controlsTitle"), t("readinessShort") + " %", t("ucaCount")]],
-    body: controls.map((c) => [
-      lang === "el" ? (CONTROLS_EN_TO_EL[c.name] || c.name) : c.name,
-      pct(c.readiness),
-      c.ucaCount,
-    ]),
-  });
+  return (
+    <div>
+      <svg viewBox={`0 0 ${layout.width} ${layout.height}`} className="w-full h-auto">
+        {layout.edges.map((e, i) => {
+          const cls = e.controlId ? clsOf(e.controlId) : { line: "stroke-slate-400", head: "fill-slate-400" };
+          const c = byId[e.controlId];
+          return (
+            <g key={i}>
+              <line
+                x1={e.x1} y1={e.y1} x2={e.x2} y2={e.y2}
+                className={cls.line}
+                strokeWidth="2"
+                strokeDasharray={e.kind === "feedback" ? "4 3" : undefined}
+              />
+              <polygon points={arrowHead(e)} className={cls.head} />
+              {c && (
+                <title>
+                  {(e.kind === "action" ? c.actions : c.feedback).filter((x) => x.trim()).join("\n") ||
+                    t(e.kind === "action" ? "legendActions" : "legendFeedback")}
+                </title>
+              )}
+            </g>
+          );
+        })}
+        {layout.nodes.map((n) => {
+          const c = n.controlId && byId[n.controlId];
+          const open = c ? openUcaCount(c) : 0;
+          return (
+            <g
+              key={n.id}
+              onClick={c ? () => onOpen(c.id) : undefined}
+              className={c ? "cursor-pointer" : undefined}
+            >
+              <rect
+                x={n.x} y={n.y} width={n.w} height={n.h} rx="8"
+                className={c ? clsOf(c.id).box : n.kind === "director" ? "fill-slate-900 stroke-slate-900" : "fill-white stroke-slate-300"}
+                strokeWidth={c && selectedId === c.id ? 3 : 1.5}
+              />
+              {n.lines.map((line, i) => (
+                <text
+                  key={i}
+                  x={n.x + n.w / 2}
+                  y={n.y + 16 + i * 13}
+                  textAnchor="middle"
+                  fontSize="11"
+                  fontWeight="600"
+                  className={n.kind === "director" ? "fill-white" : "fill-slate-800"}
+                >
+                  {line}
+                </text>
+              ))}
+              {(n.sub || []).map((line, i) => (
+                <text key={`s${i}`} x={n.x + n.w / 2} y={n.y + 16 + (n.lines.length + i) * 12} textAnchor="middle" fontSize="9" className="fill-slate-500">
+                  {line}
+                </text>
+              ))}
+              {open > 0 && (
+                <g>
+                  <circle cx={n.x + n.w - 4} cy={n.y + 4} r="9" className="fill-amber-400" />
+                  <text x={n.x + n.w - 4} y={n.y + 8} textAnchor="middle" fontSize="10" fontWeight="700" className="fill-white">
+                    {open}
+                  </text>
+                </g>
+              )}
+              {c && <title>{`${controlLabel(c.name)} — ${pct(adjustedControlReadiness(c, profile.ucaPenalty))}% • ${t("openUcas")}: ${open}`}</title>}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap justify-center gap-4 text-[11px] text-slate-500">
+        <span><span className="inline-block w-4 border-t-2 border-slate-500 align-middle mr-1" />{t("legendActions")}</span>
+        <span><span className="inline-block w-4 border-t-2 border-dashed border-slate-500 align-middle mr-1" />{t("legendFeedback")}</span>
+        <span><span className="inline-block w-2 h-2 rounded-full bg-amber-400 align-middle mr-1" />{t("openUcas")}</span>
+      </div>
+    </div>
+  );
+}
 
-  // Constraints
-  const consY = (doc.lastAutoTable?.finalY ?? ctrlY) + 8;
-  autoTable(doc, {
-    startY: consY,
-    head: [[t("constraintsTitle"), "Critical", "Status"]],
-    body: constraints.map((s) => [s.statement, s.critical ? "yes" : "no", s.status]),
-  });
+// -----------------------------
+// STPA control loop editor (controller, process, actions, feedback, UCAs)
+// -----------------------------
+function ControlLoopEditor({ t, control, onChange }) {
+  const field = (k, v) => onChange({ ...control, [k]: v });
+  const setUca = (id, patch) => field("ucas", control.ucas.map((u) => (u.id === id ? { ...u, ...patch } : u)));
+  const inputCls = "w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm";
+  const lines = (k) => (
+    <label className="text-sm">
+      <div>{t(k === "actions" ? "controlActions" : "feedbackChannels")} <span className="text-xs text-slate-400">({t("onePerLine")})</span></div>
+      <textarea rows={3} value={control[k].join("\n")} onChange={(e) => field(k, e.target.value.split("\n"))} className={inputCls} />
+    </label>
+  );
 
-  // Incidents
-  const incY = (doc.lastAutoTable?.finalY ?? consY) + 8;
-  autoTable(doc, {
-    startY: incY,
-    head: [[t("incidentLogTitle"), "Linked hazard", "Time"]],
-    body: incidents.map((x) => [x.type, x.hazardId, new Date(x.ts).toLocaleString()]),
-  });
+  return (
+    <div className="mt-3 border-t border-slate-100 pt-3 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-sm">
+          <div>{t("controller")}</div>
+          <input value={control.controller} onChange={(e) => field("controller", e.target.value)} className={inputCls} />
+        </label>
+        <label className="text-sm">
+          <div>{t("controlledProcess")}</div>
+          <input value={control.process} onChange={(e) => field("process", e.target.value)} className={inputCls} />
+        </label>
+        {lines("actions")}
+        {lines("feedback")}
+      </div>
 
-  doc.save(`race-safety-health-${templateLabel}.pdf`);
+      <div>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">{t("ucasTitle")}</div>
+          <button
+            onClick={() => field("ucas", [...control.ucas, newUca(control.ucas)])}
+            className="px-2 py-0.5 rounded border border-slate-200 bg-white text-xs"
+          >
+            {t("addUca")}
+          </button>
+        </div>
+        {!control.ucas.length && <div className="text-xs text-slate-500 mt-1">{t("noUcas")}</div>}
+        <div className="mt-2 space-y-2">
+          {control.ucas.map((u) => (
+            <div
+              key={u.id}
+              className={`rounded-lg border p-2 space-y-2 ${u.status === "closed" ? "border-slate-100 bg-slate-50 text-slate-500" : "border-amber-200"}`}
+            >
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs font-semibold">{u.id}</span>
+                <select value={u.type} onChange={(e) => setUca(u.id, { type: e.target.value })} className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs">
+                  {UCA_TYPES.map((k) => (
+                    <option key={k} value={k}>{t(`ucaType_${k}`)}</option>
+                  ))}
+                </select>
+                <select value={u.status} onChange={(e) => setUca(u.id, { status: e.target.value })} className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs">
+                  {UCA_STATUSES.map((k) => (
+                    <option key={k} value={k}>{t(`ucaStatus_${k}`)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => field("ucas", control.ucas.filter((x) => x.id !== u.id))}
+                  className="ml-auto px-2 py-0.5 rounded border border-slate-200 bg-white text-xs"
+                >
+                  {t("removeUca")}
+                </button>
+              </div>
+              <input
+                value={u.description}
+                placeholder={t("ucaDescription")}
+                onChange={(e) => setUca(u.id, { description: e.target.value })}
+                className={inputCls}
+              />
+              <label className="block text-xs">
+                <div>{t("causalScenarios")} <span className="text-slate-400">({t("onePerLine")})</span></div>
+                <textarea
+                  rows={2}
+                  value={u.scenarios.join("\n")}
+                  onChange={(e) => setUca(u.id, { scenarios: e.target.value.split("\n") })}
+                  className={inputCls}
+                />
+              </label>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
 }
 
 // -----------------------------
-// Main App Component
+// Hazard Form (register editor)
 // -----------------------------
-function RaceSafetyMVP() {
-  const saved = typeof window !== "undefined" ? loadLS() : null;
+function HazardForm({ t, domainLabel, controlLabel, segments, controls, ucaPenalty, draft, errors, onChange, onSave, onCancel }) {
+  const field = (k, v) => onChange({ ...draft, [k]: v });
+  const links = draft.controlLinks || [];
+  const derived = derivedControlsActive(draft, controls, ucaPenalty);
+  const manual = derived == null || draft.controlsOverride;
+  const toggleLink = (controlId, on) =>
+    field("controlLinks", on ? [...links, { controlId, effectiveness: 0.5 }] : links.filter((l) => l.controlId !== controlId));
+  const setEffectiveness = (controlId, v) =>
+    field("controlLinks", links.map((l) => (l.controlId === controlId ? { ...l, effectiveness: v } : l)));
+  const err = (k) => errors[k] && <div className="text-xs text-red-600 mt-0.5">{t(errors[k])}</div>;
+  const inputCls = "w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm";
 
-  const [lang, setLang] = useState(saved?.lang || "en");
-  const t = (k, ...args) => {
-    const v = I18N[lang][k];
-    return typeof v === "function" ? v(...args) : v ?? k;
-  };
+  return (
+    <div className="border border-emerald-300 bg-emerald-50/40 rounded-xl p-3 space-y-3">
+      <div className="text-sm font-semibold">{draft.id} — {t("hazardRegister")}</div>
 
-  const [templateKey, setTemplateKey] = useState(saved?.templateKey || "roadShort");
-  const template = TEMPLATES[templateKey];
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <label className="text-sm md:col-span-3">
+          <div>{t("hazardName")}</div>
+          <input value={draft.name} onChange={(e) => field("name", e.target.value)} className={inputCls} />
+          {err("name")}
+        </label>
 
-  const [role, setRole] = useState(saved?.role || "Race Director");
-  const [selectedSegment, setSelectedSegment] = useState(saved?.selectedSegment || null);
-  const [selectedDomain, setSelectedDomain] = useState(saved?.selectedDomain || null);
+        <label className="text-sm">
+          <div>{t("domain")}</div>
+          <select value={draft.domain} onChange={(e) => field("domain", e.target.value)} className={inputCls}>
+            {DOMAINS_EN.map((d) => (
+              <option key={d} value={d}>{domainLabel(d)}</option>
+            ))}
+          </select>
+          {err("domain")}
+        </label>
 
-  const [hazards, setHazards] = useState(saved?.hazards || template.hazards);
-  const [controls, setControls] = useState(saved?.controls || INITIAL_CONTROLS);
-  const [constraints, setConstraints] = useState(saved?.constraints || template.constraints);
+        <label className="text-sm">
+          <div>{t("segment")}</div>
+          <select value={draft.segmentId} onChange={(e) => field("segmentId", e.target.value)} className={inputCls}>
+            {segments.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          {err("segmentId")}
+        </label>
 
-  // criteria values per domain {domain: {criterionId: 0..1}}
-  const [criteriaValues, setCriteriaValues] = useState(saved?.criteriaValues || {});
-  const readiness = useMemo(
-    () => readinessFromCriteria(READINESS_CRITERIA, criteriaValues),
-    [criteriaValues]
-  );
+        <label className="text-sm">
+          <div>{t("weight")}</div>
+          <input
+            type="number" min={0.1} max={3} step={0.1}
+            value={draft.weight}
+            onChange={(e) => field("weight", Number(e.target.value))}
+            className={inputCls}
+          />
+          {err("weight")}
+        </label>
 
-  const [incidents, setIncidents] = useState(saved?.incidents || []);
-  const [incidentType, setIncidentType] = useState("Heat illness");
-  const [incidentHazardId, setIncidentHazardId] = useState(template.hazards[0]?.id || "");
+        {["S", "O", "D"].map((k) => (
+          <label key={k} className="text-sm">
+            <div>{t(k.toLowerCase())}</div>
+            <input
+              type="number" min={1} max={10} step={1}
+              value={draft[k]}
+              onChange={(e) => field(k, Number(e.target.value))}
+              className={inputCls}
+            />
+            {err(k)}
+          </label>
+        ))}
 
-  // when template changes, reset to template defaults
-  useEffect(() => {
-    setHazards(template.hazards);
-    setConstraints(template.constraints);
-    setSelectedSegment(null);
-    setSelectedDomain(null);
-  }, [templateKey]); // eslint-disable-line
+        <div className="text-sm md:col-span-3">
+          <div>{t("mitigatingControls")}</div>
+          <div className="mt-1 grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1">
+            {controls.map((c) => {
+              const link = links.find((l) => l.controlId === c.id);
+              return (
+                <div key={c.id} className="flex items-center gap-2">
+                  <label className="flex items-center gap-2 flex-1 min-w-0">
+                    <input type="checkbox" checked={!!link} onChange={(e) => toggleLink(c.id, e.target.checked)} />
+                    <span className="truncate">{controlLabel(c.name)}</span>
+                  </label>
+                  {link && (
+                    <input
+                      type="number" min={0} max={100} step={5}
+                      value={pct(link.effectiveness)}
+                      onChange={(e) => setEffectiveness(c.id, Number(e.target.value) / 100)}
+                      className="w-16 px-2 py-0.5 rounded border border-slate-200 bg-white text-sm"
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {err("controlLinks")}
+        </div>
 
-  // persist
-  useEffect(() => {
-    saveLS({
-      lang, templateKey, role, selectedSegment, selectedDomain,
-      hazards, controls, constraints, criteriaValues, incidents,
-    });
-  }, [lang, templateKey, role, selectedSegment, selectedDomain, hazards, controls, constraints, criteriaValues, incidents]);
+        <label className="text-sm md:col-span-3">
+          <div className="flex justify-between">
+            <span>{t("controlsActive")}</span>
+            <span className="font-semibold">{pct(manual ? draft.controlsActive : derived)}%</span>
+          </div>
+          <input
+            type="range" min={0} max={100} step={5}
+            value={pct(manual ? draft.controlsActive : derived)}
+            disabled={!manual}
+            onChange={(e) => field("controlsActive", e.target.value / 100)}
+            className="w-full"
+          />
+          {err("controlsActive")}
+        </label>
+        <label className="text-xs flex items-center gap-2 md:col-span-3">
+          <input
+            type="checkbox"
+            checked={draft.conditionDriver === "heat"}
+            onChange={(e) => field("conditionDriver", e.target.checked ? "heat" : null)}
+          />
+          <span>{t("heatDriven")}</span>
+        </label>
+        {derived != null && (
+          <label className="text-xs flex items-center gap-2 md:col-span-3">
+            <input
+              type="checkbox"
+              checked={!!draft.controlsOverride}
+              onChange={(e) => onChange({ ...draft, controlsOverride: e.target.checked, controlsActive: pct(derived) / 100 })}
+            />
+            <span>{t("overrideDerived")}</span>
+          </label>
+        )}
+      </div>
 
-  // role filtering
-  const visibleDomains = ROLE_DOMAINS[role] || DOMAINS;
-  const visibleControls = ROLE_CONTROLS[role];
-  const filteredControls = visibleControls == null ? controls : controls.filter((c) => visibleControls.includes(c.name));
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm">
+          {t("cancel")}
+        </button>
+        <button onClick={onSave} className="px-3 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold">
+          {t("save")}
+        </button>
+      </div>
+    </div>
+  );
+}
 
-  // segment + domain filtering hazards
-  const filteredHazards = hazards.filter((h) => {
-    if (selectedSegment && h.segmentId !== selectedSegment) return false;
-    if (selectedDomain && h.domain !== selectedDomain) return false;
-    if (!visibleDomains.includes(h.domain)) return false;
-    return true;
-  });
+// -----------------------------
+// Constraint rule field (JSON; only valid rules reach the draft)
+// -----------------------------
+function RuleField({ t, rule, onChange }) {
+  const [text, setText] = useState(rule ? JSON.stringify(rule) : "");
+  const [invalid, setInvalid] = useState(false);
+  const commit = () => {
+    if (!text.trim()) { setInvalid(false); onChange(undefined); return; }
+    try {
+      const next = JSON.parse(text);
+      setInvalid(!isValidRule(next));
+      if (isValidRule(next)) onChange(next);
+    } catch {
+      setInvalid(true);
+    }
+  };
 
-  // scoring
-  const riskByDomain = DOMAINS.reduce((acc, d) => {
-    acc[d] = normalizeRiskToPct(domainRiskScore(hazards, d));
-    return acc;
-  }, {});
-  const riskLoadPct = clamp(avg(Object.values(riskByDomain)), 0, 100);
-  const controlPct = controlHealthPct(filteredControls);
-  const readinessPct = pct(avg(Object.values(readiness)));
-
-  const anyCriticalFail = constraints.some((c) => c.critical && c.status === "fail");
-
-  const holisticPct = clamp(
-    // weight: readiness 40%, controls 30%, risk inverted 30%
-    (readinessPct * 0.4) + (controlPct * 0.3) + ((100 - riskLoadPct) * 0.3),
-    0, 100
+  return (
+    <label className="block text-xs pl-12">
+      <span className="text-slate-500">{t("ruleJson")}</span>
+      <textarea
+        rows={2}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        className={`w-full px-2 py-1 rounded-lg border bg-white font-mono text-xs ${invalid ? "border-red-300" : "border-slate-200"}`}
+      />
+      {invalid && <div className="text-red-600">{t("errRuleInvalid")}</div>}
+    </label>
   );
+}
 
-  // incident → increase occurrence
-  const logIncident = () => {
-    if (!incidentHazardId) return;
-    setIncidents((prev) => [{ type: incidentType, hazardId: incidentHazardId, ts: Date.now() }, ...prev].slice(0, 20));
-    setHazards((prev) =>
-      prev.map((h) =>
-        h.id === incidentHazardId ? { ...h, O: clamp(h.O + 1, 1, 10) } : h
-      )
-    );
-  };
+// -----------------------------
+// Template Builder
+// -----------------------------
+function TemplateBuilder({ t, domainLabel, sources, initialDraft, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initialDraft);
+  const [errors, setErrors] = useState({});
+  const inputCls = "w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm";
+  const smallBtn = "px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs";
 
-  const clearFilters = () => { setSelectedSegment(null); setSelectedDomain(null); };
+  const setList = (k, fn) => setDraft((prev) => ({ ...prev, [k]: fn(prev[k]) }));
+  const patchItem = (k, id, patch) => setList(k, (xs) => xs.map((x) => (x.id === id ? { ...x, ...patch } : x)));
+  const removeItem = (k, id) => setList(k, (xs) => xs.filter((x) => x.id !== id));
 
-  // small helpers for UI
-  const domainLabel = (d) => (lang === "el" ? DOMAINS_EL[DOMAINS_EN.indexOf(d)] || d : d);
-  const roleLabel = (r) => (lang === "el" ? ROLES_EL[ROLES_EN.indexOf(r)] || r : r);
-  const controlLabel = (c) => (lang === "el" ? (CONTROLS_EN_TO_EL[c] || c) : c);
+  const derive = (key) => {
+    const src = sources.find((x) => x.key === key);
+    if (src) setDraft(templateDraftFrom(src.template, draft.labels));
+  };
 
-  const setCriterionValue = (domain, critId, val01) => {
-    setCriteriaValues((prev) => ({
-      ...prev,
-      [domain]: { ...(prev[domain] || {}), [critId]: val01 },
-    }));
+  const save = () => {
+    const clean = {
+      ...draft,
+      labels: { en: draft.labels.en.trim(), el: draft.labels.el.trim() },
+      hazards: draft.hazards.map((h) => ({ ...h, name: h.name.trim() })),
+    };
+    const e = validateTemplate(clean);
+    setErrors(e);
+    if (!Object.keys(e).length) onSave(clean);
   };
 
+  const err = (k) => errors[k] && <div className="text-xs text-red-600 mt-0.5">{t(errors[k])}</div>;
+
   return (
-    <div className="min-h-screen bg-slate-50 text-slate-900">
-      <header className="sticky top-0 bg-white/90 backdrop-blur border-b border-slate-200 z-10">
-        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
-          <div>
-            <h1 className="text-2xl font-bold tracking-tight">{t("appTitle")}</h1>
-            <div className="text-sm text-slate-500">{t("subtitle")}</div>
-          </div>
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <label className="text-sm">
+          <div>{t("labelEn")}</div>
+          <input
+            value={draft.labels.en}
+            onChange={(e) => setDraft({ ...draft, labels: { ...draft.labels, en: e.target.value } })}
+            className={inputCls}
+          />
+          {err("labelEn")}
+        </label>
+        <label className="text-sm">
+          <div>{t("labelEl")}</div>
+          <input
+            value={draft.labels.el}
+            onChange={(e) => setDraft({ ...draft, labels: { ...draft.labels, el: e.target.value } })}
+            className={inputCls}
+          />
+          {err("labelEl")}
+        </label>
+        <label className="text-sm">
+          <div>{t("deriveFrom")}</div>
+          <select value="" onChange={(e) => derive(e.target.value)} className={inputCls}>
+            <option value="">—</option>
+            {sources.map((x) => (
+              <option key={x.key} value={x.key}>{x.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
 
-          <div className="flex flex-wrap items-center gap-2">
-            {/* Language */}
-            <div className="flex rounded-full border border-slate-200 overflow-hidden">
-              {LANGS.map((L) => (
-                <button
-                  key={L.code}
-                  onClick={() => setLang(L.code)}
-                  className={`px-3 py-1 text-sm font-semibold ${lang === L.code ? "bg-slate-900 text-white" : "bg-white text-slate-700"}`}
-                >
-                  {L.label}
-                </button>
-              ))}
+      {/* segments */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">{t("segmentsTitle")}</div>
+          <button
+            onClick={() => setList("segments", (xs) => [...xs, { id: nextPrefixedId(xs, "SEG-U"), name: "" }])}
+            className={smallBtn}
+          >
+            {t("addSegment")}
+          </button>
+        </div>
+        <div className="mt-2 space-y-1">
+          {draft.segments.map((sg) => (
+            <div key={sg.id} className="flex items-center gap-2">
+              <div className="w-24 text-xs text-slate-500 tabular-nums">{sg.id}</div>
+              <input
+                value={sg.name}
+                placeholder={t("segmentName")}
+                onChange={(e) => patchItem("segments", sg.id, { name: e.target.value })}
+                className={inputCls}
+              />
+              <button
+                onClick={() => removeItem("segments", sg.id)}
+                disabled={draft.hazards.some((h) => h.segmentId === sg.id)}
+                className={`${smallBtn} disabled:opacity-40`}
+              >
+                {t("remove")}
+              </button>
             </div>
+          ))}
+        </div>
+        {err("segments")}
+      </div>
 
-            {/* Template */}
-            <select
-              value={templateKey}
-              onChange={(e) => setTemplateKey(e.target.value)}
-              className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm"
-              title={t("template")}
-            >
-              {Object.entries(TEMPLATES_LABELS).map(([k, lab]) => (
-                <option key={k} value={k}>{lab[lang]}</option>
-              ))}
-            </select>
-
-            {/* Role */}
+      {/* constraints */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">{t("constraintsTitle")}</div>
+          <button
+            onClick={() =>
+              setList("constraints", (xs) => [...xs, { id: nextPrefixedId(xs, "S"), statement: "", critical: true, status: "pass" }])
+            }
+            className={smallBtn}
+          >
+            {t("addConstraint")}
+          </button>
+        </div>
+        <div className="mt-2 space-y-1">
+          {draft.constraints.map((c) => (
+            <div key={c.id} className="space-y-1">
+              <div className="flex items-center gap-2">
+                <div className="w-10 text-xs text-slate-500">{c.id}</div>
+                <input
+                  value={c.statement}
+                  placeholder={t("constraintStatement")}
+                  onChange={(e) => patchItem("constraints", c.id, { statement: e.target.value })}
+                  className={inputCls}
+                />
+                <label className="flex items-center gap-1 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={c.critical}
+                    onChange={(e) => patchItem("constraints", c.id, { critical: e.target.checked })}
+                  />
+                  {t("critical")}
+                </label>
+                <button onClick={() => removeItem("constraints", c.id)} className={smallBtn}>{t("remove")}</button>
+              </div>
+              <RuleField t={t} rule={c.rule} onChange={(rule) => patchItem("constraints", c.id, { rule })} />
+            </div>
+          ))}
+        </div>
+        {err("constraints")}
+      </div>
+
+      {/* hazards */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">{t("hazardsTitle")}</div>
+          <button
+            onClick={() =>
+              setList("hazards", (xs) => [
+                ...xs,
+                { ...HAZARD_DEFAULTS, id: nextHazardId(xs), name: "", domain: DOMAINS_EN[0], segmentId: draft.segments[0]?.id || "" },
+              ])
+            }
+            className={smallBtn}
+          >
+            {t("addHazard")}
+          </button>
+        </div>
+        <div className="mt-2 space-y-2">
+          {draft.hazards.map((h) => {
+            const he = errors.hazardErrors?.[h.id] || {};
+            const bad = (k) => (he[k] ? "border-red-400" : "");
+            return (
+              <div key={h.id} className="grid grid-cols-2 md:grid-cols-12 gap-1 items-center">
+                <div className="text-xs text-slate-500 md:col-span-1">{h.id}</div>
+                <input
+                  value={h.name}
+                  placeholder={t("hazardName")}
+                  onChange={(e) => patchItem("hazards", h.id, { name: e.target.value })}
+                  className={`${inputCls} ${bad("name")} md:col-span-3`}
+                />
+                <select
+                  value={h.domain}
+                  onChange={(e) => patchItem("hazards", h.id, { domain: e.target.value })}
+                  className={`${inputCls} ${bad("domain")} md:col-span-2`}
+                >
+                  {DOMAINS_EN.map((d) => (
+                    <option key={d} value={d}>{domainLabel(d)}</option>
+                  ))}
+                </select>
+                <select
+                  value={h.segmentId}
+                  onChange={(e) => patchItem("hazards", h.id, { segmentId: e.target.value })}
+                  className={`${inputCls} ${bad("segmentId")} md:col-span-2`}
+                >
+                  {draft.segments.map((sg) => (
+                    <option key={sg.id} value={sg.id}>{sg.name || sg.id}</option>
+                  ))}
+                </select>
+                {["S", "O", "D"].map((k) => (
+                  <input
+                    key={k}
+                    type="number" min={1} max={10} step={1}
+                    title={t(k.toLowerCase())}
+                    value={h[k]}
+                    onChange={(e) => patchItem("hazards", h.id, { [k]: Number(e.target.value) })}
+                    className={`${inputCls} ${bad(k)} md:col-span-1`}
+                  />
+                ))}
+                <button onClick={() => removeItem("hazards", h.id)} className={`${smallBtn} md:col-span-1`}>
+                  {t("remove")}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        {err("hazards")}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm">
+          {t("cancel")}
+        </button>
+        <button onClick={save} className="px-3 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold">
+          {t("saveTemplate")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Scoring Profile Editor
+// -----------------------------
+function ScoringProfileEditor({ t, profile, onChange }) {
+  const [draft, setDraft] = useState(profile);
+  const errors = validateScoringProfile(draft);
+  const inputCls = "w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm";
+  const isPreset = !!SCORING_PRESETS[draft.id];
+
+  // any manual edit turns the profile into a custom one named after its origin
+  const edit = (patch) => {
+    const next = {
+      ...draft,
+      ...patch,
+      id: "custom",
+      name: isPreset ? `${t(`profile_${draft.id}`)} ${t("customSuffix")}` : draft.name,
+    };
+    setDraft(next);
+    if (!Object.keys(validateScoringProfile(next)).length) onChange(next);
+  };
+  const pickPreset = (id) => {
+    const next = SCORING_PRESETS[id];
+    if (!next) return;
+    setDraft(next);
+    onChange(next);
+  };
+
+  const num = (label, value, onValue, props = {}) => (
+    <label className="text-sm">
+      <div>{label}</div>
+      <input type="number" value={value} onChange={(e) => onValue(Number(e.target.value))} className={inputCls} {...props} />
+    </label>
+  );
+  const shares = Object.keys(errors).includes("weights") ? null : normalizedWeights(draft.weights);
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-sm">
+          <div>{t("profilePreset")}</div>
+          <select value={isPreset ? draft.id : "custom"} onChange={(e) => pickPreset(e.target.value)} className={inputCls}>
+            {Object.keys(SCORING_PRESETS).map((id) => (
+              <option key={id} value={id}>{t(`profile_${id}`)}</option>
+            ))}
+            <option value="custom" disabled>{t("customProfile")}</option>
+          </select>
+        </label>
+        {!isPreset && (
+          <label className="text-sm">
+            <div>{t("profileName")}</div>
+            <input value={draft.name} onChange={(e) => edit({ name: e.target.value })} className={inputCls} />
+          </label>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {num(t("weightReadiness"), Math.round(draft.weights.readiness * 100), (v) => edit({ weights: { ...draft.weights, readiness: v / 100 } }), { min: 0, max: 100, step: 5 })}
+        {num(t("weightControls"), Math.round(draft.weights.controls * 100), (v) => edit({ weights: { ...draft.weights, controls: v / 100 } }), { min: 0, max: 100, step: 5 })}
+        {num(t("weightRisk"), Math.round(draft.weights.risk * 100), (v) => edit({ weights: { ...draft.weights, risk: v / 100 } }), { min: 0, max: 100, step: 5 })}
+      </div>
+      <div className="text-xs text-slate-500">
+        {t("profileWeightsNote")}
+        {shares && ` ${pct(shares.readiness)} / ${pct(shares.controls)} / ${pct(shares.risk)}`}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {num(t("ucaPenalty"), Math.round(draft.ucaPenalty * 100), (v) => edit({ ucaPenalty: v / 100 }), { min: 0, max: 50, step: 1 })}
+        {num(t("riskScale"), draft.riskScale, (v) => edit({ riskScale: v }), { min: 1, max: 100, step: 1 })}
+        {num(t("bandWatch"), draft.bands.watch, (v) => edit({ bands: { ...draft.bands, watch: v } }), { min: 1, max: 99, step: 1 })}
+        {num(t("bandHealthy"), draft.bands.healthy, (v) => edit({ bands: { ...draft.bands, healthy: v } }), { min: 2, max: 100, step: 1 })}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {num(t("segmentRiskShare"), Math.round((draft.segmentRiskShare || 0) * 100), (v) => edit({ segmentRiskShare: v / 100 }), { min: 0, max: 100, step: 5 })}
+      </div>
+
+      {Object.keys(errors).map((k) => (
+        <div key={k} className="text-xs text-red-600">{t(`errProfile_${k}`)}</div>
+      ))}
+    </div>
+  );
+}
+
+// -----------------------------
+// "Why this status?" panel
+// -----------------------------
+function WhyStatusPanel({ t, lang, explanation, domainLabel, controlLabel, onJump }) {
+  const { contributions, topHazards, controlLosses, weakestCriteria, failingConstraints, score } = explanation;
+  const partLabel = { readiness: t("readiness"), controls: t("controlHealth"), risk: t("riskInverted") };
+  const linkCls = "w-full text-left flex items-center justify-between gap-2 px-2 py-1 rounded-lg hover:bg-slate-100";
+
+  const list = (title, items, render) => (
+    <div>
+      <div className="text-xs font-semibold text-slate-500">{title}</div>
+      <div className="mt-1 space-y-0.5">
+        {items.length ? items.map(render) : <div className="text-sm text-slate-400 px-2">{t("nothingToReport")}</div>}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {score.lockedRed && (
+        <div className="rounded-xl border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+          <div className="font-semibold">{t("lockedRedExplain")}</div>
+          {failingConstraints.map((c) => (
+            <button key={c.id} onClick={() => onJump(`constraint-${c.id}`)} className={`${linkCls} hover:bg-red-100`}>
+              <span>{c.id} — {c.statement}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <div className="text-xs font-semibold text-slate-500">{t("scoreBreakdown")}</div>
+        <div className="mt-1 space-y-2">
+          {contributions.map((c) => (
+            <div key={c.key} className="text-sm">
+              <div className="flex justify-between">
+                <span>{partLabel[c.key]}: <span className="font-semibold">{Math.round(c.value)}%</span></span>
+                <span className="text-slate-500 text-xs">
+                  {t("contributionLine", c.points.toFixed(1), c.lost.toFixed(1), pct(c.weight))}
+                </span>
+              </div>
+              <div className="h-2 rounded-full bg-slate-100 overflow-hidden flex">
+                <div className="bg-emerald-500" style={{ width: `${c.points}%` }} />
+                <div className="bg-red-300" style={{ width: `${c.lost}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {list(t("topHazards"), topHazards, (h) => (
+          <button key={h.id} onClick={() => onJump(`hazard-${h.id}`)} className={linkCls}>
+            <span className="text-sm">{h.name} <span className="text-xs text-slate-400">{domainLabel(h.domain)}</span></span>
+            <span className="text-sm font-bold tabular-nums">{Math.round(h.rpn)}</span>
+          </button>
+        ))}
+        {list(t("ucaLosses"), controlLosses, (c) => (
+          <button key={c.id} onClick={() => onJump(`control-${c.id}`)} className={linkCls}>
+            <span className="text-sm">{controlLabel(c.name)}</span>
+            <span className="text-xs text-slate-500 whitespace-nowrap">{t("ucaLossLine", c.openUcas, pct(c.loss))}</span>
+          </button>
+        ))}
+        {list(t("weakestCriteria"), weakestCriteria, (c) => (
+          <button
+            key={`${c.domain}-${c.id}`}
+            onClick={() => onJump(`criterion-${DOMAINS_EN.indexOf(c.domain)}-${c.id}`)}
+            className={linkCls}
+          >
+            <span className="text-sm">{lang === "el" ? c.el : c.en} <span className="text-xs text-slate-400">{domainLabel(c.domain)}</span></span>
+            <span className="text-sm font-bold tabular-nums">{pct(c.value)}%</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Incident form (quick log and edit)
+// -----------------------------
+const INCIDENT_LOG_DEFAULTS = { severity: 2, segmentId: "", reporterRole: "", peopleAffected: 1, outcome: "", note: "" };
+
+const INCIDENT_STATUS_CLS = {
+  open: "border-red-300 bg-red-50 text-red-800",
+  responding: "border-amber-300 bg-amber-50 text-amber-800",
+  resolved: "border-emerald-300 bg-emerald-50 text-emerald-800",
+  closed: "border-slate-300 bg-slate-100 text-slate-600",
+};
+
+function IncidentForm({ t, lang, draft, hazards, segments, roleLabel, errors = {}, withNote = false, onChange, children }) {
+  const field = (k, v) => onChange({ ...draft, [k]: v });
+  const err = (k) => errors[k] && <div className="text-xs text-red-600 mt-0.5">{t(errors[k])}</div>;
+  const inputCls = "w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm";
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+      <label className="text-sm">
+        <div>{t("incidentType")}</div>
+        <select value={draft.type} onChange={(e) => field("type", e.target.value)} className={inputCls}>
+          {Object.keys(INCIDENTS_EN_TO_EL).map((k) => (
+            <option key={k} value={k}>{lang === "el" ? INCIDENTS_EN_TO_EL[k] : k}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-sm">
+        <div>{t("hazard")}</div>
+        <select value={draft.hazardId} onChange={(e) => field("hazardId", e.target.value)} className={inputCls}>
+          {hazards.map((h) => (
+            <option key={h.id} value={h.id}>{h.name}</option>
+          ))}
+        </select>
+        {err("hazardId")}
+      </label>
+      <label className="text-sm">
+        <div>{t("segment")}</div>
+        <select value={draft.segmentId} onChange={(e) => field("segmentId", e.target.value)} className={inputCls}>
+          <option value="">{t("segmentFromHazard")}</option>
+          {segments.map((sg) => (
+            <option key={sg.id} value={sg.id}>{sg.name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-sm">
+        <div>{t("incidentSeverity")}</div>
+        <select value={draft.severity} onChange={(e) => field("severity", Number(e.target.value))} className={inputCls}>
+          {INCIDENT_SEVERITIES.map((n) => (
+            <option key={n} value={n}>{t("severityLabel", n)}</option>
+          ))}
+        </select>
+        {err("severity")}
+      </label>
+      <label className="text-sm">
+        <div>{t("reporterRole")}</div>
+        <select value={draft.reporterRole} onChange={(e) => field("reporterRole", e.target.value)} className={inputCls}>
+          {ROLES.map((r) => (
+            <option key={r} value={r}>{roleLabel(r)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-sm">
+        <div>{t("peopleAffected")}</div>
+        <input
+          type="number" min={0} step={1}
+          value={draft.peopleAffected}
+          onChange={(e) => field("peopleAffected", Number(e.target.value))}
+          className={inputCls}
+        />
+        {err("peopleAffected")}
+      </label>
+      <label className="text-sm">
+        <div>{t("outcome")}</div>
+        <select value={draft.outcome || ""} onChange={(e) => field("outcome", e.target.value)} className={inputCls}>
+          <option value="">{t("outcomePending")}</option>
+          {INCIDENT_OUTCOMES.map((o) => (
+            <option key={o} value={o}>{t(`outcome_${o}`)}</option>
+          ))}
+        </select>
+      </label>
+      {withNote && (
+        <label className="text-sm">
+          <div>&nbsp;</div>
+          <input
+            value={draft.note}
+            placeholder={t("notesPlaceholder")}
+            onChange={(e) => field("note", e.target.value)}
+            className={inputCls}
+          />
+        </label>
+      )}
+      <div className="md:col-span-4 flex gap-2">{children}</div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Incident statistics
+// -----------------------------
+function IncidentStatsPanel({ t, lang, stats, segments, finishers, onFinishers }) {
+  const bars = (title, rows) => {
+    const max = Math.max(1, ...rows.map((r) => r.count));
+    return (
+      <div>
+        <div className="text-xs font-semibold text-slate-500">{title}</div>
+        <div className="mt-1 space-y-0.5">
+          {rows.map((r) => (
+            <div key={r.key} className="grid grid-cols-12 items-center gap-2 text-xs">
+              <span className="col-span-5 truncate" title={r.label}>{r.label}</span>
+              <div className="col-span-6 h-2 rounded-full bg-slate-100 overflow-hidden">
+                <div className="h-full bg-slate-700" style={{ width: `${(r.count / max) * 100}%` }} />
+              </div>
+              <span className="col-span-1 text-right tabular-nums">{r.count}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-4 border border-slate-200 rounded-xl p-3 space-y-3">
+      <div className="flex items-baseline justify-between gap-2">
+        <div className="text-sm font-semibold">{t("incidentStatsTitle")}</div>
+        <div className="text-xs text-slate-500">{t("incidentStatsHint")}</div>
+      </div>
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <div>
+          <div className="text-xs text-slate-500">{t("totalIncidents")}</div>
+          <div className="text-xl font-bold tabular-nums">{stats.total}</div>
+        </div>
+        <div>
+          <div className="text-xs text-slate-500">{t("peopleAffected")}</div>
+          <div className="text-xl font-bold tabular-nums">{stats.peopleAffected}</div>
+        </div>
+        <label>
+          <div className="text-xs text-slate-500">{t("finishers")}</div>
+          <input
+            type="number" min={0} step={1}
+            value={finishers ?? ""}
+            onChange={(e) => onFinishers(e.target.value === "" ? null : Number(e.target.value))}
+            className="w-28 px-2 py-1 rounded-lg border border-slate-200 bg-white text-sm"
+          />
+        </label>
+        <div>
+          <div className="text-xs text-slate-500">{t("ratePer1000")}</div>
+          <div className="text-xl font-bold tabular-nums">
+            {stats.ratePer1000 == null ? <span className="text-sm font-normal text-slate-400">{t("rateNeedsFinishers")}</span> : stats.ratePer1000.toFixed(2)}
+          </div>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {bars(t("byType"), stats.byType.map((r) => ({ key: r.type, label: lang === "el" ? INCIDENTS_EN_TO_EL[r.type] || r.type : r.type, count: r.count })))}
+        {bars(t("byHazard"), stats.byHazard.map((r) => ({ key: r.hazardId, label: r.hazardName, count: r.count })))}
+        {bars(
+          t("bySegment"),
+          stats.bySegment.map((r) => ({
+            key: r.segmentId,
+            label: r.segmentId ? segments.find((sg) => sg.id === r.segmentId)?.name || r.segmentId : t("noSegment"),
+            count: r.count,
+          }))
+        )}
+        {bars(
+          t("byHour"),
+          stats.byHour.map((r) => ({
+            key: r.hour,
+            label: new Date(r.hour).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }),
+            count: r.count,
+          }))
+        )}
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Course map (offline SVG of the imported GPX)
+// Ranged segments are colored by residual risk relative to the riskiest one; markers sit at their km.
+// -----------------------------
+const MARKER_STYLE = {
+  hazard: { fill: "#dc2626", glyph: "!" },
+  aed: { fill: "#059669", glyph: "+" },
+  aid: { fill: "#2563eb", glyph: "W" },
+  medical: { fill: "#e11d48", glyph: "M" },
+  ambulance: { fill: "#7c3aed", glyph: "A" },
+  marshal: { fill: "#0891b2", glyph: "m" },
+  barrier: { fill: "#475569", glyph: "B" },
+  incident: { fill: "#d97706", glyph: "•" },
+};
+
+const riskColor = (f) => `hsl(${Math.round(130 - 130 * clamp(f, 0, 1))}, 70%, 42%)`;
+
+function CourseMap({ t, course, ranges, segments, loads, markers, selectedSegment, placing, onSelectSegment, onPlace }) {
+  const svgRef = useRef(null);
+  const route = routeOf(course);
+  const totalKm = routeLengthKm(route);
+  const { width, height, points } = projectRoute(route, { width: 640, height: 360, pad: 20 });
+  const ranged = segments.filter((sg) => isValidRange(ranges[sg.id]));
+  const maxRpn = Math.max(1e-9, ...ranged.map((sg) => loads[sg.id]?.rpn || 0));
+  const line = (pts) => pts.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+  const tickEvery = totalKm > 25 ? 5 : totalKm > 8 ? 2 : 1;
+  const ticks = [];
+  for (let km = tickEvery; km < totalKm; km += tickEvery) ticks.push(km);
+
+  const onClick = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+    const km = nearestKm(points, p.x, p.y);
+    if (placing) onPlace(Math.round(km * 100) / 100);
+    else onSelectSegment(segmentAtKm(ranges, km));
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      className={`w-full h-auto rounded-xl bg-slate-50 border border-slate-200 ${placing ? "cursor-crosshair" : "cursor-pointer"}`}
+      onClick={onClick}
+    >
+      <polyline points={line(points)} fill="none" stroke="#cbd5e1" strokeWidth={6} strokeLinecap="round" strokeLinejoin="round" />
+      {ranged.map((sg) => {
+        const r = ranges[sg.id];
+        const selected = selectedSegment === sg.id;
+        return (
+          <polyline
+            key={sg.id}
+            points={line(sliceRoute(points, r.fromKm, r.toKm))}
+            fill="none"
+            stroke={riskColor((loads[sg.id]?.rpn || 0) / maxRpn)}
+            strokeWidth={selected ? 10 : 6}
+            strokeOpacity={selectedSegment && !selected ? 0.45 : 1}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <title>{`${sg.name} — ${r.fromKm}–${r.toKm} km — RPN ${Math.round(loads[sg.id]?.rpn || 0)}`}</title>
+          </polyline>
+        );
+      })}
+      {ticks.map((km) => {
+        const p = pointAtKm(points, km);
+        return (
+          <g key={km} pointerEvents="none">
+            <circle cx={p.x} cy={p.y} r={2} fill="#0f172a" />
+            <text x={p.x + 5} y={p.y - 5} fontSize={10} fill="#475569">{km}</text>
+          </g>
+        );
+      })}
+      {[["S", points[0]], ["F", points[points.length - 1]]].map(([label, p]) => (
+        <g key={label} pointerEvents="none">
+          <circle cx={p.x} cy={p.y} r={8} fill="#0f172a" />
+          <text x={p.x} y={p.y + 3.5} fontSize={10} fontWeight="bold" fill="#fff" textAnchor="middle">{label}</text>
+        </g>
+      ))}
+      {markers.map((m) => {
+        const p = pointAtKm(points, m.km);
+        const st = MARKER_STYLE[m.kind];
+        return (
+          <g key={m.key} transform={`translate(${p.x.toFixed(1)},${p.y.toFixed(1)})`}>
+            <title>{`${t(`marker_${m.kind}`)}: ${m.label} — km ${m.km}`}</title>
+            <circle r={7} fill={st.fill} stroke="#fff" strokeWidth={1.5} />
+            <text y={3.5} fontSize={10} fontWeight="bold" fill="#fff" textAnchor="middle" pointerEvents="none">{st.glyph}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// -----------------------------
+// Risk matrices (briefing views of the hazard register)
+// -----------------------------
+const LEVEL_CLS = {
+  low: "bg-emerald-100 text-emerald-900",
+  medium: "bg-yellow-100 text-yellow-900",
+  high: "bg-orange-200 text-orange-900",
+  extreme: "bg-red-300 text-red-950",
+};
+const LEVEL_RGB = { low: [209, 250, 229], medium: [254, 249, 195], high: [254, 215, 170], extreme: [252, 165, 165] };
+
+function RiskMatrices({ t, domainLabel, domains, segments, hazards, mode, onModeChange, selectedDomain, selectedSegment, cell, onSelectDomainSegment, onSelectCell }) {
+  const segmentIds = segments.map((sg) => sg.id);
+  const ds = domainSegmentMatrix(hazards, domains, segmentIds);
+  const grid = riskMatrix(hazards, mode);
+  const thCls = "px-1.5 py-1 font-normal text-slate-500";
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="overflow-x-auto">
+        <div className="text-sm font-semibold">{t("domainSegmentMatrix")}</div>
+        <table className="mt-2 text-xs border-collapse">
+          <thead>
+            <tr>
+              <th />
+              {segments.map((sg) => (
+                <th key={sg.id} className={thCls} title={sg.name}>{sg.id}</th>
+              ))}
+              <th className={thCls}>{t("total")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {domains.map((d) => (
+              <tr key={d}>
+                <th className={`${thCls} text-left whitespace-nowrap`}>{domainLabel(d)}</th>
+                {segmentIds.map((sg) => {
+                  const c = ds.cells[d][sg];
+                  const active = selectedDomain === d && selectedSegment === sg;
+                  return (
+                    <td key={sg} className="p-0.5">
+                      <button
+                        disabled={!c.count}
+                        onClick={() => onSelectDomainSegment(d, sg)}
+                        title={`${domainLabel(d)} • ${sg} — ${c.count}`}
+                        className={`w-12 h-8 rounded tabular-nums ${c.count ? "text-white" : "text-slate-300 bg-slate-50"} ${
+                          active ? "ring-2 ring-slate-900" : ""
+                        }`}
+                        style={c.count ? { background: riskColor(c.rpn / (ds.max || 1)) } : undefined}
+                      >
+                        {c.count ? Math.round(c.rpn) : "—"}
+                      </button>
+                    </td>
+                  );
+                })}
+                <td className="px-1.5 text-right tabular-nums font-semibold">{Math.round(ds.rowTotals[d])}</td>
+              </tr>
+            ))}
+            <tr>
+              <th className={`${thCls} text-left`}>{t("total")}</th>
+              {segmentIds.map((sg) => (
+                <td key={sg} className="px-1.5 text-center tabular-nums font-semibold">{Math.round(ds.colTotals[sg])}</td>
+              ))}
+              <td />
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-sm font-semibold">{t("lsMatrix")}</div>
+          <div className="inline-flex rounded-lg border border-slate-200 overflow-hidden text-xs">
+            {MATRIX_MODES.map((m) => (
+              <button
+                key={m}
+                onClick={() => onModeChange(m)}
+                className={`px-2 py-1 ${mode === m ? "bg-slate-900 text-white" : "bg-white text-slate-700"}`}
+              >
+                {t(`matrixMode_${m}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="mt-2 flex gap-1">
+          <div className="flex items-center text-xs text-slate-500 [writing-mode:vertical-rl] rotate-180">{t("severity")} →</div>
+          <table className="text-xs border-collapse">
+            <tbody>
+              {grid.map((row) => (
+                <tr key={row.s}>
+                  <th className={thCls}>{row.s}</th>
+                  {row.cells.map((c) => {
+                    const active = cell?.mode === mode && cell.l === c.l && cell.s === c.s;
+                    return (
+                      <td key={c.l} className="p-0.5">
+                        <button
+                          disabled={!c.hazards.length}
+                          onClick={() => onSelectCell({ mode, l: c.l, s: c.s })}
+                          title={[t(`level_${c.level}`), ...c.hazards.map((h) => h.name)].join("\n")}
+                          className={`w-12 h-10 rounded font-semibold tabular-nums ${LEVEL_CLS[c.level]} ${
+                            c.hazards.length ? "" : "opacity-50"
+                          } ${active ? "ring-2 ring-slate-900" : ""}`}
+                        >
+                          {c.hazards.length || ""}
+                        </button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr>
+                <th />
+                {grid[0].cells.map((c) => (
+                  <th key={c.l} className={thCls}>{c.l}</th>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <div className="ml-5 text-xs text-slate-500">{t("likelihood")} →</div>
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Action plan form
+// Effects are entered as deltas; percentages (controlsActive, readiness, criterion score) are shown ×100.
+// -----------------------------
+const ACTION_STATUS_CLS = {
+  planned: "border-slate-300 bg-slate-50 text-slate-700",
+  inProgress: "border-sky-300 bg-sky-50 text-sky-800",
+  done: "border-emerald-300 bg-emerald-50 text-emerald-800",
+  cancelled: "border-slate-300 bg-slate-100 text-slate-500",
+};
+const PERCENT_EFFECTS = ["controlsActive", "readiness", "value"];
+
+function ActionForm({ t, draft, targets, roleLabel, errors = {}, onChange, onSave, onCancel }) {
+  const field = (k, v) => onChange({ ...draft, [k]: v });
+  const err = (k) => errors[k] && <div className="text-xs text-red-600 mt-0.5">{t(errors[k])}</div>;
+  const inputCls = "w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm";
+  const kind = draft.target.kind;
+  const targetKey = (tg) => (tg.domain ? `${tg.domain}::${tg.id}` : tg.id);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-2 border border-slate-200 rounded-xl p-3">
+      <label className="text-sm md:col-span-2">
+        <div>{t("actionTitle")}</div>
+        <input value={draft.title} onChange={(e) => field("title", e.target.value)} className={inputCls} />
+        {err("title")}
+      </label>
+      <label className="text-sm">
+        <div>{t("ownerRole")}</div>
+        <select value={draft.ownerRole} onChange={(e) => field("ownerRole", e.target.value)} className={inputCls}>
+          <option value="">—</option>
+          {ROLES.map((r) => (
+            <option key={r} value={r}>{roleLabel(r)}</option>
+          ))}
+        </select>
+        {err("ownerRole")}
+      </label>
+      <label className="text-sm">
+        <div>{t("dueDate")}</div>
+        <input type="date" value={draft.due} onChange={(e) => field("due", e.target.value)} className={inputCls} />
+        {err("due")}
+      </label>
+      <label className="text-sm">
+        <div>{t("actionTarget")}</div>
+        <select
+          value={kind}
+          onChange={(e) => onChange({ ...draft, target: { kind: e.target.value, id: "" }, effect: {} })}
+          className={inputCls}
+        >
+          {ACTION_TARGETS.map((k) => (
+            <option key={k} value={k}>{t(`actionTarget_${k}`)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-sm md:col-span-3">
+        <div>&nbsp;</div>
+        <select
+          value={targetKey(draft.target)}
+          onChange={(e) => field("target", targets[kind].find((tg) => targetKey(tg) === e.target.value) || { kind, id: "" })}
+          className={inputCls}
+        >
+          <option value="">—</option>
+          {targets[kind].map((tg) => (
+            <option key={targetKey(tg)} value={targetKey(tg)}>{tg.label}</option>
+          ))}
+        </select>
+        {err("target")}
+      </label>
+      <div className="md:col-span-4 text-sm">
+        <div>{t("expectedEffect")}</div>
+        {kind === "constraint" ? (
+          <div className="text-xs text-slate-500 mt-1">{t("effectConstraintPasses")}</div>
+        ) : (
+          <div className="mt-1 flex flex-wrap gap-2">
+            {EFFECT_FIELDS[kind].map((k) => {
+              const scale = PERCENT_EFFECTS.includes(k) ? 100 : 1;
+              return (
+                <label key={k} className="text-xs">
+                  <div className="text-slate-500">{t(`effect_${k}`)}</div>
+                  <input
+                    type="number"
+                    step={scale === 100 ? 5 : 1}
+                    value={draft.effect[k] != null ? Math.round(draft.effect[k] * scale) : ""}
+                    onChange={(e) =>
+                      field("effect", { ...draft.effect, [k]: e.target.value === "" ? undefined : Number(e.target.value) / scale })
+                    }
+                    className="w-24 px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+                  />
+                </label>
+              );
+            })}
+          </div>
+        )}
+        {err("effect")}
+      </div>
+      <div className="md:col-span-4 flex gap-2">
+        <button onClick={onSave} className="px-4 py-2 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold">
+          {t("save")}
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-lg border border-slate-200 bg-white text-sm">
+          {t("cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// readable expected effect, e.g. "O −2, controls active +20%"
+const effectText = (t, kind, effect) =>
+  kind === "constraint"
+    ? t("effectConstraintPasses")
+    : Object.entries(cleanEffect(kind, effect))
+      .map(([k, v]) => {
+        const n = PERCENT_EFFECTS.includes(k) ? `${Math.round(v * 100)}%` : v;
+        return `${t(`effect_${k}`).replace(/ ±.*$/, "")} ${v > 0 ? "+" : "−"}${String(n).replace("-", "")}`;
+      })
+      .join(", ");
+
+// -----------------------------
+// Go / No-Go checkpoint draft
+// The proposal is locked once a role has signed; revising it clears the sign-offs.
+// Each role signs for itself: only the current role's row takes a signature.
+// -----------------------------
+const DECISION_CLS = {
+  go: "bg-emerald-100 border-emerald-400 text-emerald-800",
+  goMitigations: "bg-lime-100 border-lime-400 text-lime-800",
+  delay: "bg-amber-100 border-amber-400 text-amber-800",
+  reroute: "bg-sky-100 border-sky-400 text-sky-800",
+  cancel: "bg-red-100 border-red-400 text-red-800",
+};
+
+function DecisionDraftForm({ t, draft, roles, role, roleLabel, errors, onChange, onRecord, onDiscard }) {
+  const [signers, setSigners] = useState({});
+  const setSigner = (r, patch) => setSigners((prev) => ({ ...prev, [r]: { name: "", note: "", ...prev[r], ...patch } }));
+  const sign = (r, concur) => {
+    onChange(signOff(draft, r, { ...signers[r], concur }));
+    setSigners((prev) => ({ ...prev, [r]: undefined }));
+  };
+  const { snapshot } = draft;
+  const locked = Object.keys(draft.signOffs).length > 0;
+  const pending = missingSignOffs(draft, roles).length;
+  const objected = GO_DECISIONS.includes(draft.decision) ? objections(draft) : [];
+  const inputCls = "w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm disabled:bg-slate-50";
+
+  return (
+    <div className="mt-3 border border-slate-200 rounded-xl p-3 space-y-3">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <div className="font-semibold">{t(`checkpoint_${draft.checkpoint}`)}</div>
+        <div className="text-xs text-slate-500">{t("snapshotTaken", new Date(draft.openedAt).toLocaleString())}</div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+        <div>
+          <div className="text-xs font-semibold text-slate-500">{t("scoreAtCheckpoint")}</div>
+          <div className="font-bold tabular-nums">{snapshot.holisticPct}% — {t(snapshot.status)}</div>
+          {snapshot.flag && (
+            <span className={`inline-block mt-1 px-2 py-0.5 rounded-full border text-xs font-semibold ${FLAG_CLS[snapshot.flag]}`}>
+              {t(`flag_${snapshot.flag}`)}
+            </span>
+          )}
+          {snapshot.lockedRed && <div className="text-xs text-red-600 mt-1">{t("goBlockedHint")}</div>}
+        </div>
+        <div>
+          <div className="text-xs font-semibold text-slate-500">{t("failingAtCheckpoint")}</div>
+          {!snapshot.failingConstraints.length && <div className="text-slate-500">{t("noneFailing")}</div>}
+          {snapshot.failingConstraints.map((c) => (
+            <div key={c.id} className={c.critical ? "text-red-700" : ""}>{c.statement}</div>
+          ))}
+        </div>
+        <div>
+          <div className="text-xs font-semibold text-slate-500">{t("topOpenHazards")}</div>
+          {snapshot.openHazards.slice(0, 5).map((h) => (
+            <div key={h.id} className="flex justify-between gap-2">
+              <span>{h.name}</span>
+              <span className="tabular-nums text-slate-500">{h.rpn}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <label className="text-sm">
+          <div>{t("decision")}</div>
+          <select
+            value={draft.decision || ""}
+            disabled={locked}
+            onChange={(e) => onChange(proposeDecision(draft, e.target.value || null, draft.reason))}
+            className={inputCls}
+          >
+            <option value="">{t("chooseDecision")}</option>
+            {DECISIONS.map((d) => (
+              <option key={d} value={d} disabled={d === "go" && snapshot.lockedRed}>{t(`decision_${d}`)}</option>
+            ))}
+          </select>
+          {errors.decision && <div className="text-xs text-red-600 mt-0.5">{t(errors.decision)}</div>}
+        </label>
+        <label className="text-sm md:col-span-2">
+          <div>{t("decisionReason")}</div>
+          <input
+            value={draft.reason}
+            disabled={locked}
+            onChange={(e) => onChange(proposeDecision(draft, draft.decision, e.target.value))}
+            className={inputCls}
+          />
+          {errors.reason && <div className="text-xs text-red-600 mt-0.5">{t(errors.reason)}</div>}
+        </label>
+      </div>
+      {locked && (
+        <button
+          onClick={() => onChange({ ...draft, signOffs: {}, objectionsConfirmed: false })}
+          className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs"
+        >
+          {t("reviseProposal")}
+        </button>
+      )}
+
+      <div>
+        <div className="flex items-baseline justify-between">
+          <div className="text-sm font-semibold">{t("signOffsTitle")}</div>
+          <div className="text-xs text-slate-500">{pending ? t("signOffsPending", pending) : "✓"}</div>
+        </div>
+        {!draft.decision && <div className="text-xs text-slate-500 mt-1">{t("proposeFirst")}</div>}
+        {errors.signOffs && <div className="text-xs text-red-600 mt-1">{t(errors.signOffs)}</div>}
+        <div className="mt-2 space-y-1">
+          {roles.map((r) => {
+            const so = draft.signOffs[r];
+            const signer = signers[r] || { name: "", note: "" };
+            return (
+              <div
+                key={r}
+                className={`grid grid-cols-1 md:grid-cols-12 gap-2 items-center text-sm rounded-lg px-2 py-1 ${r === role ? "bg-slate-50" : ""}`}
+              >
+                <div className="md:col-span-3 font-medium">{roleLabel(r)}</div>
+                {so ? (
+                  <div className="md:col-span-9 flex flex-wrap items-center gap-2">
+                    <span
+                      className={`px-2 py-0.5 rounded-full border text-xs font-semibold ${
+                        so.concur ? "border-emerald-300 bg-emerald-50 text-emerald-800" : "border-red-300 bg-red-50 text-red-800"
+                      }`}
+                    >
+                      {t(so.concur ? "concur" : "object")}
+                    </span>
+                    <span>{so.name}</span>
+                    {so.note && <span className="text-slate-500">“{so.note}”</span>}
+                    <span className="text-xs text-slate-400 ml-auto">{new Date(so.ts).toLocaleString()}</span>
+                  </div>
+                ) : r !== role ? (
+                  <div className="md:col-span-9 text-xs text-slate-400">{t("signOffAwaiting")}</div>
+                ) : (
+                  <>
+                    <input
+                      value={signer.name}
+                      placeholder={t("signerName")}
+                      disabled={!draft.decision}
+                      onChange={(e) => setSigner(r, { name: e.target.value })}
+                      className={`md:col-span-3 ${inputCls}`}
+                    />
+                    <input
+                      value={signer.note}
+                      placeholder={t("signOffNote")}
+                      disabled={!draft.decision}
+                      onChange={(e) => setSigner(r, { note: e.target.value })}
+                      className={`md:col-span-4 ${inputCls}`}
+                    />
+                    <div className="md:col-span-2 flex gap-1">
+                      {[true, false].map((concur) => (
+                        <button
+                          key={String(concur)}
+                          disabled={!draft.decision || !signer.name.trim()}
+                          onClick={() => sign(r, concur)}
+                          className="flex-1 px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs disabled:opacity-40"
+                        >
+                          {t(concur ? "concur" : "object")}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {objected.length > 0 && (
+        <div className="rounded-xl border border-red-300 bg-red-50 p-3 text-sm text-red-800 space-y-1">
+          <div className="font-semibold">{t("objectionsTitle", objected.length)}</div>
+          {objected.map((o) => (
+            <div key={o.role}>
+              {roleLabel(o.role)} — {o.name}{o.note ? `: “${o.note}”` : ""}
+            </div>
+          ))}
+          <label className="flex items-center gap-2 pt-1">
+            <input
+              type="checkbox"
+              checked={!!draft.objectionsConfirmed}
+              onChange={(e) => onChange({ ...draft, objectionsConfirmed: e.target.checked })}
+            />
+            <span>{t("confirmObjections")}</span>
+          </label>
+          {errors.objections && <div className="text-xs text-red-600">{t(errors.objections)}</div>}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button onClick={onRecord} className="px-4 py-2 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold">
+          {t("recordDecision")}
+        </button>
+        <button onClick={onDiscard} className="px-4 py-2 rounded-lg border border-slate-200 bg-white text-sm">
+          {t("discardDraft")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Race-day live board
+// Dark, large-target layout for marshals; replaces the planning page while live mode is on.
+// -----------------------------
+const SEGMENT_STATUS_CLS = {
+  open: "bg-emerald-500 border-emerald-400 text-slate-950",
+  leadThrough: "bg-sky-500 border-sky-400 text-slate-950",
+  sweepThrough: "bg-amber-400 border-amber-300 text-slate-950",
+  closed: "bg-slate-600 border-slate-500 text-white",
+};
+
+function LiveRaceBoard({
+  t, lang, eventName, segments, raceDay, now, hazards, incidents, score, flag, incidentTypes,
+  onStatus, onStartClock, onResetClock, onLogIncident, onExit,
+}) {
+  // quick incident per segment: { [segmentId]: { type, hazardId } }
+  const [quick, setQuick] = useState({});
+  const loads = Object.fromEntries(segments.map((s) => [s.id, segmentHazardLoad(hazards, s.id)]));
+  const maxRpn = Math.max(1, ...Object.values(loads).map((l) => l.rpn));
+  const bigBtn = "min-h-[3.5rem] px-4 rounded-xl border text-base font-semibold";
+  const selectCls = "min-h-[3.5rem] px-3 rounded-xl border border-slate-700 bg-slate-800 text-slate-100 text-base";
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100">
+      <header className="sticky top-0 z-10 bg-slate-950/95 border-b border-slate-800">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-wrap items-center gap-4">
+          <div className="mr-auto">
+            <div className="text-sm text-slate-400">{t("liveMode")} — {eventName}</div>
+            <div className="flex items-baseline gap-3">
+              <span className="text-4xl font-bold tabular-nums">
+                {raceDay.startedAt ? formatElapsed(now - raceDay.startedAt) : t("clockNotStarted")}
+              </span>
+              <span className="text-sm text-slate-400">
+                {t("timeOfDay")} {new Date(now).toLocaleTimeString(lang === "el" ? "el-GR" : "en-GB")}
+              </span>
+            </div>
+          </div>
+          <span className="px-3 py-2 rounded-xl border border-slate-700 text-base font-semibold tabular-nums">
+            {Math.round(score.holisticPct)}% — {t(score.status)}
+          </span>
+          {flag && (
+            <span className={`px-3 py-2 rounded-xl border text-base font-semibold ${FLAG_CLS[flag]}`}>{t(`flag_${flag}`)}</span>
+          )}
+          {raceDay.startedAt ? (
+            <button onClick={onResetClock} className={`${bigBtn} border-slate-700 bg-slate-900`}>{t("resetRaceDay")}</button>
+          ) : (
+            <button onClick={onStartClock} className={`${bigBtn} border-emerald-400 bg-emerald-500 text-slate-950`}>
+              {t("startRaceClock")}
+            </button>
+          )}
+          <button onClick={onExit} className={`${bigBtn} border-slate-700 bg-slate-900`}>{t("exitLiveMode")}</button>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {segments.map((seg) => {
+          const status = segmentStatus(raceDay, seg.id);
+          const since = raceDay.segments[seg.id]?.ts;
+          const load = loads[seg.id];
+          const segHazards = hazards.filter((h) => h.segmentId === seg.id);
+          const q = { type: incidentTypes[0], hazardId: segHazards[0]?.id || "", ...quick[seg.id] };
+          const latest = latestSegmentIncidents(incidents, hazards, seg.id);
+          return (
+            <section key={seg.id} className="rounded-2xl border border-slate-800 bg-slate-900 p-4 space-y-3">
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <div className="text-xl font-bold">{seg.name}</div>
+                  <div className="text-sm text-slate-400">{t("segmentLoad", load.count, Math.round(load.rpn))}</div>
+                </div>
+                <div className="text-right">
+                  <span className={`inline-block px-3 py-1 rounded-full border text-sm font-bold ${SEGMENT_STATUS_CLS[status]}`}>
+                    {t(`segStatus_${status}`)}
+                  </span>
+                  {since && <div className="text-xs text-slate-400 mt-1">{t("statusSince", new Date(since).toLocaleTimeString())}</div>}
+                </div>
+              </div>
+              <div className="h-2 rounded-full bg-slate-800 overflow-hidden">
+                <div className="h-full bg-red-500" style={{ width: `${(load.rpn / maxRpn) * 100}%` }} />
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                {SEGMENT_STATUSES.map((st) => (
+                  <button
+                    key={st}
+                    onClick={() => onStatus(seg.id, st)}
+                    className={`${bigBtn} ${st === status ? SEGMENT_STATUS_CLS[st] : "border-slate-700 bg-slate-800 text-slate-100"}`}
+                  >
+                    {t(`segStatus_${st}`)}
+                  </button>
+                ))}
+              </div>
+
+              <div>
+                <div className="text-sm font-semibold text-slate-300">{t("latestIncidents")}</div>
+                {!latest.length && <div className="text-sm text-slate-500">{t("noIncidents")}</div>}
+                {latest.map((x, i) => (
+                  <div key={i} className="flex justify-between gap-2 text-sm">
+                    <span>{lang === "el" ? (INCIDENTS_EN_TO_EL[x.type] || x.type) : x.type}</span>
+                    <span className="text-slate-400 tabular-nums">{new Date(x.ts).toLocaleTimeString()}</span>
+                  </div>
+                ))}
+              </div>
+
+              {segHazards.length > 0 && (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                  <select
+                    value={q.type}
+                    onChange={(e) => setQuick((prev) => ({ ...prev, [seg.id]: { ...q, type: e.target.value } }))}
+                    className={selectCls}
+                  >
+                    {incidentTypes.map((k) => (
+                      <option key={k} value={k}>{lang === "el" ? INCIDENTS_EN_TO_EL[k] : k}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={q.hazardId}
+                    onChange={(e) => setQuick((prev) => ({ ...prev, [seg.id]: { ...q, hazardId: e.target.value } }))}
+                    className={selectCls}
+                  >
+                    {segHazards.map((h) => (
+                      <option key={h.id} value={h.id}>{h.name}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => onLogIncident({ type: q.type, hazardId: q.hazardId, segmentId: seg.id })} className={`${bigBtn} border-red-400 bg-red-500 text-white`}>
+                    {t("logIncident")}
+                  </button>
+                </div>
+              )}
+            </section>
+          );
+        })}
+      </main>
+    </div>
+  );
+}
+
+// -----------------------------
+// PDF Export
+// -----------------------------
+const LOOP_STATUS_RGB = {
+  healthy: { line: [16, 185, 129], fill: [236, 253, 245] },
+  watch: { line: [251, 191, 36], fill: [255, 251, 235] },
+  notHealthy: { line: [239, 68, 68], fill: [254, 242, 242] },
+};
+
+// the control structure diagram on its own page, scaled to the page width
+function drawControlStructure(doc, { t, lang, controls, profile }) {
+  const labelOf = (c) => (lang === "el" ? (CONTROLS_EN_TO_EL[c.name] || c.name) : c.name);
+  const layout = layoutControlStructure(controls, { labelOf, directorLabel: t("raceDirector") });
+  const byId = Object.fromEntries(controls.map((c) => [c.id, c]));
+  const x0 = 14;
+  const y0 = 26;
+  const k = Math.min(182 / layout.width, 0.6);
+  const X = (x) => x0 + x * k;
+  const Y = (y) => y0 + y * k;
+
+  doc.addPage();
+  doc.setFontSize(14);
+  doc.text(t("controlStructure"), 14, 16);
+
+  layout.edges.forEach((e) => {
+    const rgb = e.controlId ? LOOP_STATUS_RGB[loopStatus(byId[e.controlId], profile)].line : [148, 163, 184];
+    doc.setDrawColor(...rgb);
+    doc.setFillColor(...rgb);
+    doc.setLineWidth(0.5);
+    doc.setLineDashPattern(e.kind === "feedback" ? [1.5, 1] : [], 0);
+    doc.line(X(e.x1), Y(e.y1), X(e.x2), Y(e.y2));
+    const dir = e.y2 > e.y1 ? -1 : 1;
+    doc.triangle(X(e.x2), Y(e.y2), X(e.x2 - 4), Y(e.y2 + dir * 7), X(e.x2 + 4), Y(e.y2 + dir * 7), "F");
+  });
+  doc.setLineDashPattern([], 0);
+
+  layout.nodes.forEach((n) => {
+    const c = n.controlId && byId[n.controlId];
+    const colors = c
+      ? LOOP_STATUS_RGB[loopStatus(c, profile)]
+      : n.kind === "director" ? { line: [15, 23, 42], fill: [15, 23, 42] } : { line: [203, 213, 225], fill: [255, 255, 255] };
+    doc.setDrawColor(...colors.line);
+    doc.setFillColor(...colors.fill);
+    doc.roundedRect(X(n.x), Y(n.y), n.w * k, n.h * k, 2, 2, "FD");
+    doc.setTextColor(...(n.kind === "director" ? [255, 255, 255] : [30, 41, 59]));
+    doc.setFontSize(7);
+    n.lines.forEach((line, i) => doc.text(line, X(n.x + n.w / 2), Y(n.y + 16 + i * 13), { align: "center" }));
+    doc.setTextColor(100, 116, 139);
+    doc.setFontSize(6);
+    (n.sub || []).forEach((line, i) => doc.text(line, X(n.x + n.w / 2), Y(n.y + 16 + (n.lines.length + i) * 12), { align: "center" }));
+    if (c && openUcaCount(c)) doc.text(`${t("openUcas")}: ${openUcaCount(c)}`, X(n.x + n.w / 2), Y(n.y + n.h - 4), { align: "center" });
+  });
+  doc.setTextColor(0, 0, 0);
+  doc.setDrawColor(0, 0, 0);
+  doc.setFontSize(11);
+}
+
+function exportPdf({
+  t, lang, event, templateLabel, roleLabel, profileLabel, score, hazards, controls, constraints, readiness, incidents, ruleText, assetCheck,
+  segments, segmentRisk, matrixMode, projectedScore, actionTargetLabel,
+}) {
+  const doc = new jsPDF();
+  doc.setFontSize(16);
+  doc.text(`${t("appTitle")} — ${templateLabel}`, 14, 16);
+  doc.setFontSize(11);
+  doc.text([event.name, event.date, event.venue].filter(Boolean).join(" — "), 14, 24);
+  doc.text(`${t("roleView")}: ${roleLabel}`, 14, 30);
+
+  // Score and the profile that produced it
+  const p = event.scoringProfile;
+  const w = normalizedWeights(p.weights);
+  doc.text(
+    `${t("gaugeLabel")}: ${Math.round(score.holisticPct)}% — ${t(score.status)}` +
+      (projectedScore ? ` • ${t("actionPlanTitle")}: ${Math.round(projectedScore.holisticPct)}% — ${t(projectedScore.status)}` : ""),
+    14, 36
+  );
+  doc.setFontSize(9);
+  doc.text(
+    `${t("scoringProfile")}: ${profileLabel} — ${t("readinessShort")} ${pct(w.readiness)}% / ` +
+      `${t("controlHealth")} ${pct(w.controls)}% / ${t("riskLoad")} ${pct(w.risk)}%; ` +
+      `UCA −${Math.round(p.ucaPenalty * 100)}%, RPN ÷ ${p.riskScale}, ${t("watch")} ≥ ${p.bands.watch}%, ${t("healthy")} ≥ ${p.bands.healthy}%` +
+      (p.segmentRiskShare > 0 ? `; ${t("segmentRiskInScore", Math.round(p.segmentRiskShare * 100))}` : ""),
+    14, 41
+  );
+  doc.setFontSize(11);
+
+  // Readiness table
+  autoTable(doc, {
+    startY: 46,
+    head: [[t("domain"), t("readinessShort") + " %"]],
+    body: DOMAINS.map((d, i) => [
+      lang === "el" ? DOMAINS_EL[i] : d,
+      pct(readiness[d]),
+    ]),
+  });
+
+  // Risk by segment, riskiest first
+  const ranked = segments.filter((sg) => segmentRisk[sg.id]).sort((a, b) => segmentRisk[b.id].rpn - segmentRisk[a.id].rpn);
+  if (ranked.length) {
+    autoTable(doc, {
+      startY: (doc.lastAutoTable?.finalY ?? 46) + 8,
+      head: [[t("segmentRiskTitle"), t("riskLoad") + " %", t("residualRpn"), t("segmentRiskHint")]],
+      body: ranked.map((sg) => {
+        const r = segmentRisk[sg.id];
+        return [sg.name, Math.round(r.pct), Math.round(r.rpn), t("segmentRiskDetail", Math.round(r.own), Math.round(r.apportioned), r.hazards)];
+      }),
+    });
+  }
+
+  // Hazards table
+  const hazY = (doc.lastAutoTable?.finalY ?? 46) + 8;
+  autoTable(doc, {
+    startY: hazY,
+    head: [[t("hazard"), t("domain"), t("segment"), t("s"), t("o"), t("d"), t("controlsActive"), t("residualRpn")]],
+    body: hazards.map((h) => [
+      h.name,
+      h.domain,
+      h.segmentId,
+      h.S,
+      (h.baselineO ?? h.baseO ?? h.O) === h.O ? h.O : `${formatO(h.O)} (${t("baselineO")} ${h.baselineO ?? h.baseO})`,
+      h.D,
+      Math.round(h.controlsActive * 100) + "%" + (h.derivedControlsActive != null && h.controlsOverride ? ` (${t("manualShort")})` : ""),
+      Math.round(residualRpn(h)),
+    ]),
+  });
+
+  // Domain × segment residual RPN, then the 5×5 in the mode shown on screen
+  const segIds = segments.map((sg) => sg.id);
+  const ds = domainSegmentMatrix(hazards, DOMAINS, segIds);
+  const domainName = (d) => (lang === "el" ? DOMAINS_EL[DOMAINS.indexOf(d)] : d);
+  autoTable(doc, {
+    startY: (doc.lastAutoTable?.finalY ?? hazY) + 8,
+    head: [[t("domainSegmentMatrix"), ...segIds, t("total")]],
+    body: [
+      ...DOMAINS.map((d) => [domainName(d), ...segIds.map((sg) => (ds.cells[d][sg].count ? Math.round(ds.cells[d][sg].rpn) : "—")), Math.round(ds.rowTotals[d])]),
+      [t("total"), ...segIds.map((sg) => Math.round(ds.colTotals[sg])), ""],
+    ],
+    styles: { fontSize: 8 },
+  });
+  autoTable(doc, {
+    startY: (doc.lastAutoTable?.finalY ?? hazY) + 8,
+    head: [[`${t("lsMatrix")} — ${t(`matrixMode_${matrixMode}`)}: ${t("severity")} / ${t("likelihood")}`, "1", "2", "3", "4", "5"]],
+    body: riskMatrix(hazards, matrixMode).map((row) => [
+      row.s,
+      ...row.cells.map((c) => ({
+        content: c.hazards.map((h) => h.id).join(", "),
+        styles: { fillColor: LEVEL_RGB[c.level] },
+      })),
+    ]),
+    styles: { fontSize: 8, minCellHeight: 8 },
+  });
+
+  // Controls table
+  const ctrlY = (doc.lastAutoTable?.finalY ?? hazY) + 8;
+  autoTable(doc, {
+    startY: ctrlY,
+    head: [[t("controlsTitle"), t("controller"), t("readinessShort") + " %", t("openUcas")]],
+    body: controls.map((c) => [
+      lang === "el" ? (CONTROLS_EN_TO_EL[c.name] || c.name) : c.name,
+      c.controller,
+      pct(c.readiness),
+      openUcaCount(c),
+    ]),
+  });
+
+  // Unsafe control actions
+  const ucaY = (doc.lastAutoTable?.finalY ?? ctrlY) + 8;
+  autoTable(doc, {
+    startY: ucaY,
+    head: [[t("ucasTitle"), t("controlsTitle"), t("causalScenarios"), "Status"]],
+    body: controls.flatMap((c) =>
+      c.ucas.map((u) => [
+        `${t(`ucaType_${u.type}`)}: ${u.description || t("ucaUndescribed")}`,
+        lang === "el" ? (CONTROLS_EN_TO_EL[c.name] || c.name) : c.name,
+        u.scenarios.filter((x) => x.trim()).join("\n"),
+        t(`ucaStatus_${u.status}`),
+      ])
+    ),
+  });
+
+  // Constraints
+  const consY = (doc.lastAutoTable?.finalY ?? ucaY) + 8;
+  autoTable(doc, {
+    startY: consY,
+    head: [[t("constraintsTitle"), "Critical", "Status", t("basis")]],
+    body: constraints.map((s) => [
+      s.statement,
+      s.critical ? "yes" : "no",
+      s.status,
+      s.override ? `${t("overrideStatus")}: ${s.override.reason}` : s.rule ? ruleText(s.rule) : t("manualShort"),
+    ]),
+  });
+
+  // Resources on course and the spacing check behind the constraint inputs
+  if (event.assets.length) {
+    const assetY = (doc.lastAutoTable?.finalY ?? consY) + 8;
+    autoTable(doc, {
+      startY: assetY,
+      head: [[t("assetsTitle"), t("assetLabel"), "km", t("segment"), t("assetCount")]],
+      body: [...event.assets].sort((a, b) => (a.km ?? Infinity) - (b.km ?? Infinity)).map((a) => [
+        t(`marker_${a.kind}`) + (a.kind === "ambulance" && a.als ? ` (${t("alsCrew")})` : ""),
+        a.label,
+        a.km ?? "—",
+        assetSegment(a, event.segmentRanges) || "—",
+        a.count,
+      ]),
+    });
+    autoTable(doc, {
+      startY: (doc.lastAutoTable?.finalY ?? assetY) + 8,
+      head: [[t("assetCheckPdf"), ""]],
+      body: assetCheck.lengthKm == null ? [[t("courseLengthUnknown"), ""]] : [
+        [t("checkedOver", assetCheck.lengthKm.toFixed(1)), ""],
+        ...ASSET_KINDS.filter((k) => assetCheck.maxGap[k]).map((k) => [
+          `${t(`marker_${k}`)} — ${t("maxGap")}`,
+          `${assetCheck.maxGap[k].gapKm} km (km ${assetCheck.maxGap[k].fromKm}–${assetCheck.maxGap[k].toKm})`,
+        ]),
+        [
+          t("spacingViolations"),
+          assetCheck.violations.map((v) => `${t(v.status)}: ${t(`marker_${v.kind}`)} — ${t("gapOver", v.fromKm, v.toKm, v.gapKm, v.limitKm)}`).join("\n") ||
+            t("noViolations"),
+        ],
+      ],
+    });
+  }
+
+  // Incidents
+  const incY = (doc.lastAutoTable?.finalY ?? consY) + 8;
+  autoTable(doc, {
+    startY: incY,
+    head: [[
+      t("incidentLogTitle"), "Linked hazard", t("segment"), t("incidentSeverity"), t("peopleAffected"), t("outcome"), "Status",
+      t("reporterRole"), "Time",
+    ]],
+    body: incidents.map((x) => [
+      [x.type, ...x.notes.map((n) => `• ${n.text}`)].join("\n"),
+      x.hazardId,
+      x.segmentId,
+      x.severity,
+      x.peopleAffected,
+      x.outcome ? t(`outcome_${x.outcome}`) : "—",
+      `${t(`incStatus_${x.status}`)} (${new Date(statusSince(x)).toLocaleTimeString()})`,
+      x.reporterRole ? (lang === "el" ? ROLES_EL[ROLES_EN.indexOf(x.reporterRole)] || x.reporterRole : x.reporterRole) : "",
+      new Date(x.ts).toLocaleString(),
+    ]),
+  });
+
+  // Incident statistics for the whole history
+  const stats = incidentStats(incidents, { types: Object.keys(INCIDENTS_EN_TO_EL), finishers: event.finishers });
+  const typeOf = (k) => (lang === "el" ? INCIDENTS_EN_TO_EL[k] || k : k);
+  autoTable(doc, {
+    startY: (doc.lastAutoTable?.finalY ?? incY) + 8,
+    head: [[t("incidentStatsTitle"), ""]],
+    body: [
+      [t("totalIncidents"), stats.total],
+      [t("peopleAffected"), stats.peopleAffected],
+      [t("finishers"), event.finishers ?? "—"],
+      [t("ratePer1000"), stats.ratePer1000 == null ? "—" : stats.ratePer1000.toFixed(2)],
+      [t("byType"), stats.byType.filter((r) => r.count).map((r) => `${typeOf(r.type)}: ${r.count}`).join("\n")],
+      [t("byHazard"), stats.byHazard.map((r) => `${r.hazardName}: ${r.count}`).join("\n")],
+      [t("bySegment"), stats.bySegment.map((r) => `${r.segmentId || t("noSegment")}: ${r.count}`).join("\n")],
+      [t("byHour"), stats.byHour.map((r) => `${new Date(r.hour).toLocaleString()}: ${r.count}`).join("\n")],
+    ],
+  });
+
+  // Action plan for this template
+  const planned = event.actions.filter((a) => (a.templateKey ?? event.templateKey) === event.templateKey);
+  if (planned.length) {
+    autoTable(doc, {
+      startY: (doc.lastAutoTable?.finalY ?? incY) + 8,
+      head: [[t("actionPlanTitle"), t("actionTarget"), t("expectedEffect"), t("ownerRole"), t("dueDate"), "Status"]],
+      body: planned.map((a) => [
+        `${a.id} — ${a.title}`,
+        `${t(`actionTarget_${a.target.kind}`)}: ${actionTargetLabel(a.target)}`,
+        effectText(t, a.target.kind, a.effect),
+        lang === "el" ? ROLES_EL[ROLES_EN.indexOf(a.ownerRole)] || a.ownerRole : a.ownerRole,
+        a.due,
+        t(`actStatus_${a.status}`) + (isOverdue(a, localDay(Date.now())) ? ` (${t("overdueByRole")})` : ""),
+      ]),
+    });
+  }
+
+  // Go / No-Go records, then who signed each of them
+  if (event.decisions.length) {
+    const roleOf = (r) => (lang === "el" ? ROLES_EL[ROLES_EN.indexOf(r)] || r : r);
+    const decY = doc.lastAutoTable.finalY + 8;
+    autoTable(doc, {
+      startY: decY,
+      head: [[t("goNoGoTitle"), t("decision"), t("decisionReason"), t("scoreAtCheckpoint"), t("failingAtCheckpoint"), t("decidedAt")]],
+      body: event.decisions.map((d) => [
+        `${t(`checkpoint_${d.checkpoint}`)}\n#${d.hash}${verifyRecord(d) ? "" : ` (${t("recordAltered")})`}`,
+        t(`decision_${d.decision}`),
+        d.reason,
+        `${d.snapshot.holisticPct}% — ${t(d.snapshot.status)}`,
+        d.snapshot.failingConstraints.map((c) => c.statement).join("\n") || t("noneFailing"),
+        new Date(d.decidedAt).toLocaleString(),
+      ]),
+    });
+    autoTable(doc, {
+      startY: (doc.lastAutoTable?.finalY ?? decY) + 8,
+      head: [[t("signOffsTitle"), t("role"), t("signerName"), t("decision"), t("signOffNote"), "Time"]],
+      body: event.decisions.flatMap((d) =>
+        Object.entries(d.signOffs).map(([r, so]) => [
+          t(`checkpoint_${d.checkpoint}`),
+          roleOf(r),
+          so.name,
+          t(so.concur ? "concur" : "object"),
+          so.note,
+          new Date(so.ts).toLocaleString(),
+        ])
+      ),
+      // the limits of a sign-off, and any name that signed for several roles
+      foot: [[{
+        colSpan: 6,
+        content: [
+          t("signOffsUnverified"),
+          ...event.decisions.flatMap((d) =>
+            sharedSigners(d).map((x) => `${t(`checkpoint_${d.checkpoint}`)}: ${t("sharedSigner", x.name, x.roles.map(roleOf).join(", "))}`)
+          ),
+        ].join("\n"),
+      }]],
+      footStyles: { fillColor: [248, 250, 252], textColor: [71, 85, 105], fontStyle: "normal", fontSize: 8 },
+    });
+  }
+
+  if (controls.length) drawControlStructure(doc, { t, lang, controls, profile: p });
+
+  doc.save(`race-safety-health-${event.name || templateLabel}.pdf`);
+}
+
+// evidence makes O fractional; one decimal is plenty on the cards and in the report
+const formatO = (o) => (Number.isInteger(o) ? String(o) : o.toFixed(1));
+
+// race flag pill colors (conditions panel)
+const FLAG_CLS = {
+  white: "bg-white border-slate-300 text-slate-700",
+  green: "bg-emerald-100 border-emerald-400 text-emerald-800",
+  yellow: "bg-yellow-100 border-yellow-400 text-yellow-800",
+  red: "bg-red-100 border-red-400 text-red-800",
+  black: "bg-slate-900 border-slate-900 text-white",
+};
+
+// -----------------------------
+// Main App Component
+// -----------------------------
+function RaceSafetyMVP() {
+  // load once: migration may write backups and report issues
+  const [boot] = useState(() => loadAppState());
+  const saved = boot.state;
+  const [storageIssues, setStorageIssues] = useState(boot.issues);
+
+  const [lang, setLang] = useState(saved?.lang || "en");
+  const t = (k, ...args) => {
+    const v = I18N[lang][k];
+    return typeof v === "function" ? v(...args) : v ?? k;
+  };
+
+  const [userTemplates, setUserTemplates] = useState(saved?.userTemplates || {});
+
+  // events map holds metadata for all events and the parked state of the inactive ones;
+  // the active event's working state lives in the individual hooks below
+  const [events, setEvents] = useState(saved.events);
+  const [activeEventId, setActiveEventId] = useState(saved.activeEventId);
+  const [showEvents, setShowEvents] = useState(false);
+  const bootEvent = events[activeEventId];
+
+  const [templateKey, setTemplateKey] = useState(bootEvent.templateKey);
+  const template = resolveTemplate(templateKey, userTemplates);
+
+  const [role, setRole] = useState(saved?.role || "Race Director");
+  const [selectedSegment, setSelectedSegment] = useState(saved?.selectedSegment || null);
+  const [selectedDomain, setSelectedDomain] = useState(saved?.selectedDomain || null);
+
+  const [hazards, setHazards] = useState(bootEvent.hazards);
+  const [controls, setControls] = useState(bootEvent.controls);
+  const [constraints, setConstraints] = useState(bootEvent.constraints);
+
+  // criteria values per domain {domain: {criterionId: 0..1}}
+  const [criteriaValues, setCriteriaValues] = useState(bootEvent.criteriaValues);
+
+  const [incidents, setIncidents] = useState(bootEvent.incidents);
+  const [incidentType, setIncidentType] = useState("Heat illness");
+  const [incidentHazardId, setIncidentHazardId] = useState(bootEvent.hazards.find((h) => !h.archived)?.id || "");
+  // the rest of the quick-log form, and the incident being edited (null when none)
+  const [incidentFields, setIncidentFields] = useState(INCIDENT_LOG_DEFAULTS);
+  const [incidentErrors, setIncidentErrors] = useState({});
+  const [incidentEdit, setIncidentEdit] = useState(null);
+  const [incidentFilters, setIncidentFilters] = useState({});
+  const [incidentQuery, setIncidentQuery] = useState("");
+  const [incidentPage, setIncidentPage] = useState(0);
+  const [noteDrafts, setNoteDrafts] = useState({});
+
+  // hazard register editor: draft is null when the form is closed
+  const [hazardDraft, setHazardDraft] = useState(null);
+  const [expandedControl, setExpandedControl] = useState(null);
+  const [hazardErrors, setHazardErrors] = useState({});
+
+  // template builder: { key, openedAt, draft } while open; key is null for a new template
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [templateBuilder, setTemplateBuilder] = useState(null);
+  const [templateFileError, setTemplateFileError] = useState(false);
+
+  // saved hazards/constraints of the templates that are not active: { [templateKey]: { hazards, constraints } }
+  const [workspaces, setWorkspaces] = useState(bootEvent.workspaces);
+  const [scoringProfile, setScoringProfile] = useState(bootEvent.scoringProfile);
+  const [scoreHistory, setScoreHistory] = useState(bootEvent.scoreHistory);
+  const [constraintInputs, setConstraintInputs] = useState(bootEvent.constraintInputs);
+  const [conditions, setConditions] = useState(bootEvent.conditions);
+  const [decisions, setDecisions] = useState(bootEvent.decisions);
+  const [decisionDraft, setDecisionDraft] = useState(bootEvent.decisionDraft);
+  const [raceDay, setRaceDay] = useState(bootEvent.raceDay);
+  const [evidenceWindowH, setEvidenceWindowH] = useState(bootEvent.evidenceWindowH);
+  const [course, setCourse] = useState(bootEvent.course);
+  const [segmentRanges, setSegmentRanges] = useState(bootEvent.segmentRanges);
+  const [assets, setAssets] = useState(bootEvent.assets);
+  const [actions, setActions] = useState(bootEvent.actions);
+  const [liveMode, setLiveMode] = useState(!!saved.liveMode);
+  const [trendBaseline, setTrendBaseline] = useState(BASELINES.includes(saved.trendBaseline) ? saved.trendBaseline : "yesterday");
+  const [showProfileEditor, setShowProfileEditor] = useState(false);
+
+  // the active event with its live working state folded back in
+  const activeEvent = {
+    ...events[activeEventId],
+    templateKey, hazards, controls, constraints, criteriaValues, incidents, workspaces, scoringProfile, scoreHistory,
+    constraintInputs, conditions, decisions, decisionDraft, raceDay, evidenceWindowH, course, segmentRanges, assets, actions,
+  };
+
+  // persist
+  useEffect(() => {
+    const issue = saveAppState({
+      lang, role, selectedSegment, selectedDomain, userTemplates, trendBaseline, liveMode,
+      activeEventId, events: { ...events, [activeEventId]: activeEvent },
+    });
+    // report a failing save once, and drop the report when saving works again
+    setStorageIssues((prev) => {
+      if (issue) return prev.some((x) => x.code === issue.code) ? prev : [...prev, issue];
+      return prev.some((x) => x.code === "saveFailed") ? prev.filter((x) => x.code !== "saveFailed") : prev;
+    });
+  }, [lang, role, selectedSegment, selectedDomain, userTemplates, activeEventId, events, templateKey, hazards, controls, constraints, criteriaValues, incidents, workspaces, scoringProfile, scoreHistory, constraintInputs, conditions, decisions, decisionDraft, raceDay, evidenceWindowH, course, segmentRanges, assets, actions, trendBaseline, liveMode]);
+
+  // role filtering
+  const visibleDomains = ROLE_DOMAINS[role] || DOMAINS;
+  const visibleControls = ROLE_CONTROLS[role];
+  const filteredControls = visibleControls == null ? controls : controls.filter((c) => visibleControls.includes(c.name));
+
+  // archived hazards stay in the register but no longer count
+  const activeHazards = hazards.filter((h) => !h.archived);
+  const archivedHazards = hazards.filter((h) => h.archived);
+
+  // incident evidence fades with time: re-derive every minute, every second for the live board's race clock
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), liveMode ? 1000 : 60 * 1000);
+    return () => clearInterval(id);
+  }, [liveMode]);
+
+  // Occurrence: register baseline + incident evidence, then the WBGT flag for heat-driven hazards;
+  // heat index / lightning feed the constraint inputs
+  const conditionsAssessment = assessConditions(conditions);
+  const conditionFed = conditionInputs(conditions, conditionsAssessment);
+  const evidencedHazards = applyIncidentEvidence(hazards, incidents, { templateKey, now, windowH: evidenceWindowH });
+  const conditionedHazards = applyHeatOccurrence(evidencedHazards, conditionsAssessment.flag);
+
+  // linked hazards take controlsActive from the full control list (the role view only narrows the control score)
+  const coveredHazards = applyControlCoverage(
+    conditionedHazards.filter((h) => !h.archived), controls, scoringProfile.ucaPenalty
+  );
+  const coverageOf = (id) => coveredHazards.find((x) => x.id === id);
+
+  // segment + domain (+ likelihood × severity cell) filtering hazards
+  const [matrixMode, setMatrixMode] = useState("residual");
+  const [riskCell, setRiskCell] = useState(null);
+  const filteredHazards = activeHazards.filter((h) => {
+    if (selectedSegment && h.segmentId !== selectedSegment) return false;
+    if (selectedDomain && h.domain !== selectedDomain) return false;
+    if (!visibleDomains.includes(h.domain)) return false;
+    if (riskCell && !inMatrixCell(coverageOf(h.id), riskCell)) return false;
+    return true;
+  });
+  const selectDomainSegment = (d, sg) => {
+    const same = selectedDomain === d && selectedSegment === sg;
+    setSelectedDomain(same ? null : d);
+    setSelectedSegment(same ? null : sg);
+  };
+  const selectRiskCell = (c) =>
+    setRiskCell((prev) => (prev && prev.mode === c.mode && prev.l === c.l && prev.s === c.s ? null : c));
+
+  // asset register: gaps along the course and per-segment coverage; spacing, AED at start/finish and ALS feed inputs too
+  const assetCheck = checkAssets(assets, {
+    lengthKm: course ? routeLengthKm(routeOf(course)) : null,
+    ranges: segmentRanges,
+    segments: template.segments,
+    constraints,
+  });
+  const fedInputs = { ...conditionFed, ...assetCheck.inputs };
+  const fedFrom = (k) => (assetCheck.inputs[k] != null ? t("fromAssets") : t("fromConditions"));
+
+  // rule-based constraints take their status from the measured inputs
+  const evaluatedConstraints = applyConstraintRules(constraints, { ...constraintInputs, ...fedInputs });
+
+  // scoring (controls follow the role view, hazards and readiness do not)
+  const segmentIds = template.segments.map((sg) => sg.id);
+  const score = scoreEvent(
+    {
+      hazards: conditionedHazards, controls: filteredControls, allControls: controls, constraints: evaluatedConstraints, criteriaValues,
+      segments: segmentIds, segmentRanges,
+    },
+    scoringProfile
+  );
+  const profileLabel = SCORING_PRESETS[scoringProfile.id] ? t(`profile_${scoringProfile.id}`) : scoringProfile.name;
+
+  // score history: snapshots use the whole event (not the role view) so switching roles is not a trend
+  const eventScore = scoreEvent(
+    { hazards: conditionedHazards, controls, constraints: evaluatedConstraints, criteriaValues, segments: segmentIds, segmentRanges },
+    scoringProfile
+  );
+  const eventScoreRef = useRef(eventScore);
+  eventScoreRef.current = eventScore;
+  const pendingSnapshot = useRef(null);
+
+  // incidents, briefings and significant edits, once the score reflects them;
+  // debounced so dragging a slider records a single snapshot
+  useEffect(() => {
+    const id = setTimeout(() => {
+      const pending = pendingSnapshot.current;
+      pendingSnapshot.current = null;
+      setScoreHistory((prev) => {
+        const sc = eventScoreRef.current;
+        if (pending) return appendSnapshot(prev, makeSnapshot(sc, pending.reason, Date.now(), pending.note));
+        if (!isSignificantChange(prev, sc)) return prev;
+        return appendSnapshot(prev, makeSnapshot(sc, prev.length ? "edit" : "periodic"));
+      });
+    }, 1500);
+    return () => clearTimeout(id);
+  }, [activeEventId, eventScore.holisticPct, eventScore.lockedRed, incidents]);
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      setScoreHistory((prev) => (isPeriodicDue(prev) ? appendSnapshot(prev, makeSnapshot(eventScoreRef.current, "periodic")) : prev));
+    }, 60 * 1000);
+    return () => clearInterval(id);
+  }, [activeEventId]);
+
+  const markBriefing = () => {
+    setScoreHistory((prev) => appendSnapshot(prev, makeSnapshot(eventScoreRef.current, "briefing")));
+  };
+
+  const baselineSnap = findBaseline(scoreHistory, trendBaseline, { eventDate: events[activeEventId]?.date });
+  const trend = baselineSnap ? eventScore.holisticPct - baselineSnap.holisticPct : null;
+
+  // "Why this status?" drill-down; links scroll to the card and highlight it
+  const [showWhy, setShowWhy] = useState(false);
+  const [focusAnchor, setFocusAnchor] = useState(null);
+  const explanation = showWhy
+    ? explainScore(
+      {
+        hazards: conditionedHazards, controls: filteredControls, allControls: controls, constraints: evaluatedConstraints, criteriaValues,
+        segments: segmentIds, segmentRanges,
+      },
+      scoringProfile,
+      { domains: visibleDomains }
+    )
+    : null;
+  // action plan: completing an action writes its effect into the register (once);
+  // the projection applies every pending (open, not yet applied) action of this template on top of the current state
+  const [actionDraft, setActionDraft] = useState(null);
+  const [actionErrors, setActionErrors] = useState({});
+  const templateActions = actions.filter((a) => (a.templateKey ?? templateKey) === templateKey);
+  const pendingActions = templateActions.filter(isPendingAction);
+  const today = localDay(now);
+  const overdue = overdueByRole(templateActions, today);
+  const projectedScore = (() => {
+    if (!pendingActions.length) return null;
+    const p = projectOpenActions(
+      { hazards: conditionedHazards, controls, constraints: evaluatedConstraints, criteriaValues }, pendingActions, scoringProfile.ucaPenalty
+    );
+    const visible = new Set(filteredControls.map((c) => c.id));
+    return scoreEvent(
+      {
+        ...p, controls: p.controls.filter((c) => visible.has(c.id)), allControls: p.controls,
+        segments: segmentIds, segmentRanges,
+      },
+      scoringProfile
+    );
+  })();
+  const openNewAction = () => {
+    setActionErrors({});
+    setActionDraft({ title: "", target: { kind: "hazard", id: "" }, ownerRole: role, due: today, effect: {} });
+  };
+  const saveActionDraft = () => {
+    const errors = validateAction(actionDraft);
+    setActionErrors(errors);
+    if (Object.keys(errors).length) return;
+    const { kind } = actionDraft.target;
+    setActions((prev) => [...prev, newAction(prev, { ...actionDraft, title: actionDraft.title.trim(), effect: cleanEffect(kind, actionDraft.effect), templateKey })]);
+    setActionDraft(null);
+  };
+  const changeActionStatus = (a, status) => {
+    const ts = Date.now();
+    if (status === "done" && !a.appliedAt) {
+      const next = applyActionEffects({ hazards, controls, constraints, criteriaValues }, [a], scoringProfile.ucaPenalty, { ts });
+      setHazards(next.hazards);
+      setControls(next.controls);
+      setConstraints(next.constraints);
+      setCriteriaValues(next.criteriaValues);
+    }
+    setActions((prev) =>
+      prev.map((x) => {
+        if (x.id !== a.id) return x;
+        const moved = setActionStatus(x, status, ts);
+        return status === "done" && !x.appliedAt ? { ...moved, appliedAt: ts } : moved;
+      })
+    );
+  };
+  const deleteAction = (id) => {
+    if (window.confirm(t("confirmDeleteAction"))) setActions((prev) => prev.filter((a) => a.id !== id));
+  };
+
+  const jumpTo = (anchor) => {
+    setSelectedSegment(null);
+    setSelectedDomain(null);
+    setRiskCell(null);
+    setFocusAnchor(anchor);
+    setTimeout(() => document.getElementById(anchor)?.scrollIntoView({ behavior: "smooth", block: "center" }), 0);
+  };
+  const focusCls = (anchor) => (focusAnchor === anchor ? " ring-2 ring-amber-400" : "");
+
+  // conditions: manual entry or the newest reading of a local feed file
+  const [feedStatus, setFeedStatus] = useState(null);
+  const setConditionField = (k, v) =>
+    setConditions((prev) => ({ ...prev, [k]: v === "" ? null : Number(v), updatedAt: Date.now(), source: "manual" }));
+  const loadReadings = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      const res = parseConditionsFeed(text, file.name);
+      setFeedStatus(res);
+      if (res.readings) setConditions(conditionsFromReading(res.readings[res.readings.length - 1], file.name));
+    }).catch(() => setFeedStatus({ error: "errFileRead" }));
+  };
+
+  // constraint rules: inputs the current rules read, and overrides (a reason is mandatory)
+  const usedInputs = [...new Set(constraints.flatMap((c) => ruleInputs(c.rule)))];
+  const [overrideDraft, setOverrideDraft] = useState(null);
+  const applyOverride = () => {
+    if (!overrideDraft.reason.trim()) {
+      setOverrideDraft({ ...overrideDraft, error: true });
+      return;
+    }
+    setConstraints((prev) =>
+      prev.map((x) => (x.id === overrideDraft.id ? overrideConstraint(x, overrideDraft.status, overrideDraft.reason) : x))
+    );
+    setOverrideDraft(null);
+  };
+  // Go / No-Go: a checkpoint freezes the whole-event score, then collects a sign-off per role
+  const [decisionErrors, setDecisionErrors] = useState({});
+  const openDecisionCheckpoint = (checkpoint) => {
+    if (decisionDraft && !window.confirm(t("confirmDiscardDecision"))) return;
+    const snapshot = makeDecisionSnapshot({
+      score: eventScore, constraints: evaluatedConstraints, hazards: coveredHazards, flag: conditionsAssessment.flag,
+    });
+    setDecisionErrors({});
+    setDecisionDraft(openCheckpoint(checkpoint, snapshot));
+  };
+  const recordDecision = () => {
+    const errors = validateDecision(decisionDraft, ROLES);
+    setDecisionErrors(errors);
+    if (Object.keys(errors).length) return;
+    setDecisions((prev) => [...prev, finalizeDecision(decisionDraft)]);
+    setDecisionDraft(null);
+  };
+  const discardDecisionDraft = () => {
+    if (!window.confirm(t("confirmDiscardDecision"))) return;
+    setDecisionErrors({});
+    setDecisionDraft(null);
+  };
+
+  const statusCls = (st) =>
+    st === "pass" ? "border-emerald-300 bg-emerald-50" : st === "warn" ? "border-amber-300 bg-amber-50" : "border-red-300 bg-red-50";
+  const { riskLoadPct, controlPct, readinessPct, holisticPct, lockedRed: anyCriticalFail } = score;
+  const readiness = score.readinessByDomain;
+
+  // incident → increase occurrence; the reporter defaults to the role view, the segment to the hazard's
+  const incidentFieldsFor = ({ note, ...fields }) => {
+    const hazard = hazards.find((h) => h.id === fields.hazardId);
+    return {
+      ...fields,
+      hazardName: hazard?.name || fields.hazardName || fields.hazardId,
+      segmentId: fields.segmentId || hazard?.segmentId || "",
+      reporterRole: fields.reporterRole || role,
+      outcome: fields.outcome || null,
+    };
+  };
+  const logIncident = ({ note = "", ...input }) => {
+    const fields = { ...INCIDENT_LOG_DEFAULTS, ...incidentFieldsFor(input), templateKey };
+    const errors = validateIncident(fields);
+    setIncidentErrors(errors);
+    if (Object.keys(errors).length) return false;
+    const ts = Date.now();
+    setIncidents((prev) => [addIncidentNote(newIncident(prev, fields, ts), note, ts), ...prev]);
+    pendingSnapshot.current = { reason: "incident", note: fields.type };
+    return true;
+  };
+  const logIncidentFromForm = () => {
+    if (logIncident({ type: incidentType, hazardId: incidentHazardId, ...incidentFields })) setIncidentFields(INCIDENT_LOG_DEFAULTS);
+  };
+  const updateIncident = (id, fn) => setIncidents((prev) => prev.map((x) => (x.id === id ? fn(x) : x)));
+  const saveIncidentEdit = () => {
+    const next = { ...incidents.find((x) => x.id === incidentEdit.id), ...incidentFieldsFor(incidentEdit) };
+    const errors = validateIncident(next);
+    setIncidentErrors(errors);
+    if (Object.keys(errors).length) return;
+    updateIncident(next.id, () => next);
+    setIncidentEdit(null);
+  };
+  const deleteIncident = (id) => {
+    if (!window.confirm(t("confirmDeleteIncident"))) return;
+    setIncidents((prev) => prev.filter((x) => x.id !== id));
+    if (incidentEdit?.id === id) setIncidentEdit(null);
+  };
+  const addNoteTo = (id) => {
+    updateIncident(id, (x) => addIncidentNote(x, noteDrafts[id] || ""));
+    setNoteDrafts((prev) => ({ ...prev, [id]: "" }));
+  };
+  // filters, then search (Greek labels are searchable too), then one page of the result
+  const shownIncidents = searchIncidents(
+    filterIncidents(incidents, incidentFilters),
+    incidentQuery,
+    (x) => `${INCIDENTS_EN_TO_EL[x.type] || ""} ${ROLES_EL[ROLES_EN.indexOf(x.reporterRole)] || ""}`
+  );
+  const incidentPageView = pageOf(shownIncidents, incidentPage);
+  const incidentStatsView = incidentStats(shownIncidents, {
+    types: Object.keys(INCIDENTS_EN_TO_EL), finishers: events[activeEventId]?.finishers,
+  });
+
+  // course map: GPX import, segment ranges and markers placed by tapping the route
+  const [placing, setPlacing] = useState(null);
+  const [courseError, setCourseError] = useState(null);
+  const importGpx = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      const res = parseGpx(text);
+      setCourseError(res.error || null);
+      if (!res.course) return;
+      setCourse(res.course);
+      // segments named like "KM 3–7 …" get that range unless one is set already
+      const fromNames = {};
+      template.segments.forEach((sg) => {
+        const r = rangeFromName(sg.name);
+        if (r) fromNames[sg.id] = r;
+      });
+      setSegmentRanges((prev) => ({ ...fromNames, ...prev }));
+    }).catch(() => setCourseError("errFileRead"));
+  };
+  const removeCourse = () => {
+    if (window.confirm(t("confirmRemoveCourse"))) setCourse(null);
+  };
+  const setRangeField = (segmentId, field, value) =>
+    setSegmentRanges((prev) => {
+      const r = { ...prev[segmentId], [field]: value === "" ? null : Number(value) };
+      return { ...prev, [segmentId]: r };
+    });
+  const placeAt = (km) => {
+    const { kind, refId } = placing;
+    if (kind === "hazard") setHazards((prev) => prev.map((h) => (h.id === refId ? { ...h, km } : h)));
+    else if (kind === "incident") updateIncident(refId, (x) => ({ ...x, km }));
+    else setAssets((prev) => [...prev, normalizeAsset({ id: nextPrefixedId(prev, "A"), kind, km })]);
+    setPlacing(null);
+  };
+  const removeMarker = (m) => {
+    if (m.kind === "hazard") setHazards((prev) => prev.map((h) => (h.id === m.refId ? { ...h, km: null } : h)));
+    else if (m.kind === "incident") updateIncident(m.refId, (x) => ({ ...x, km: null }));
+    else setAssets((prev) => prev.filter((a) => a.id !== m.refId));
+  };
+  const [assetDraft, setAssetDraft] = useState({ kind: "aed", label: "", km: "", segmentId: "", count: 1, als: false });
+  const addAsset = () => {
+    const { km, segmentId, count, ...rest } = assetDraft;
+    setAssets((prev) => [
+      ...prev,
+      normalizeAsset({ ...rest, id: nextPrefixedId(prev, "A"), km: km === "" ? null : Number(km), segmentId: segmentId || null, count: Number(count) || 1 }),
+    ]);
+    setAssetDraft((d) => ({ ...d, label: "", km: "" }));
+  };
+  const updateAsset = (id, patch) => setAssets((prev) => prev.map((a) => (a.id === id ? { ...a, ...patch } : a)));
+  const templateIncidents = incidents.filter((x) => (x.templateKey ?? templateKey) === templateKey);
+  const courseMarkers = [
+    ...activeHazards.filter((h) => h.km != null).map((h) => ({ key: `h-${h.id}`, refId: h.id, kind: "hazard", km: h.km, label: h.name })),
+    ...assets.filter((a) => a.km != null).map((a) => ({ key: `a-${a.id}`, refId: a.id, kind: a.kind, km: a.km, label: a.label || a.id })),
+    ...templateIncidents.filter((x) => x.km != null).map((x) => ({ key: `i-${x.id}`, refId: x.id, kind: "incident", km: x.km, label: `${x.id} ${x.type}` })),
+  ].sort((a, b) => a.km - b.km);
+  // per-segment risk load: own hazards + share of whole-course ones; colors are relative to the riskiest segment
+  const segmentRisk = segmentRiskScores(coveredHazards, segmentIds, { ranges: segmentRanges, riskScale: scoringProfile.riskScale });
+  const segmentRanking = template.segments.filter((sg) => segmentRisk[sg.id]).sort((a, b) => segmentRisk[b.id].rpn - segmentRisk[a.id].rpn);
+  const maxSegmentRpn = Math.max(1e-9, ...Object.values(segmentRisk).map((r) => r.rpn));
+  const segmentColor = (id) => riskColor(segmentRisk[id].rpn / maxSegmentRpn);
+
+  const resetRaceDay = () => {
+    if (window.confirm(t("confirmResetRaceDay"))) setRaceDay(EMPTY_RACE_DAY);
+  };
+
+  const clearFilters = () => { setSelectedSegment(null); setSelectedDomain(null); };
+
+  // template workspaces: park the current hazards/constraints, restore the target's (or its defaults)
+  // returns false when the user keeps the current template
+  const switchTemplate = (nextKey, nextTemplate = resolveTemplate(nextKey, userTemplates)) => {
+    if (nextKey === templateKey) return true;
+    const orphans = incidents.filter((x) => (x.templateKey ?? templateKey) === templateKey).length;
+    if (orphans && !window.confirm(t("confirmOrphanIncidents", orphans))) return false;
+
+    const ws = workspaces[nextKey];
+    const nextHazards = ws?.hazards || nextTemplate.hazards;
+    setWorkspaces((prev) => {
+      const next = { ...prev, [templateKey]: { hazards, constraints } };
+      delete next[nextKey];
+      return next;
+    });
+    setHazards(nextHazards);
+    setConstraints(ws?.constraints || nextTemplate.constraints);
+    setTemplateKey(nextKey);
+    setIncidentHazardId(nextHazards.find((h) => !h.archived)?.id || "");
+    setSelectedSegment(null);
+    setSelectedDomain(null);
+    setHazardDraft(null);
+    return true;
+  };
+  // events: park the active event's state in the map, then load the target's
+  const loadEvent = (ev, knownTemplates = userTemplates) => {
+    const key = TEMPLATES[ev.templateKey] || knownTemplates[ev.templateKey] ? ev.templateKey : "roadShort";
+    setActiveEventId(ev.id);
+    setTemplateKey(key);
+    setHazards(ev.hazards);
+    setControls(ev.controls);
+    setConstraints(ev.constraints);
+    setCriteriaValues(ev.criteriaValues);
+    setIncidents(ev.incidents);
+    setWorkspaces(ev.workspaces);
+    setScoringProfile(ev.scoringProfile);
+    setScoreHistory(ev.scoreHistory);
+    setConstraintInputs(ev.constraintInputs);
+    setConditions(ev.conditions);
+    setDecisions(ev.decisions);
+    setDecisionDraft(ev.decisionDraft);
+    setRaceDay(ev.raceDay);
+    setEvidenceWindowH(ev.evidenceWindowH);
+    setCourse(ev.course);
+    setSegmentRanges(ev.segmentRanges);
+    setAssets(ev.assets);
+    setActions(ev.actions);
+    setActionDraft(null);
+    setPlacing(null);
+    setDecisionErrors({});
+    setIncidentEdit(null);
+    setIncidentFilters({});
+    setIncidentQuery("");
+    setIncidentPage(0);
+    setShowProfileEditor(false);
+    setIncidentHazardId(ev.hazards.find((h) => !h.archived)?.id || "");
+    setSelectedSegment(null);
+    setSelectedDomain(null);
+    setHazardDraft(null);
+  };
+  const switchEvent = (id) => {
+    if (id === activeEventId || !events[id]) return;
+    setEvents((prev) => ({ ...prev, [activeEventId]: activeEvent }));
+    loadEvent(events[id]);
+  };
+  const addEvent = (ev, knownTemplates = userTemplates) => {
+    setEvents((prev) => ({ ...prev, [activeEventId]: activeEvent, [ev.id]: ev }));
+    loadEvent(ev, knownTemplates);
+  };
+  const newEvent = () => addEvent(createEvent({ name: t("newEvent") }, templateKey, userTemplates));
+  const duplicateEvent = (id) => {
+    const src = id === activeEventId ? activeEvent : events[id];
+    addEvent({ ...src, id: newEventId(), name: `${src.name} ${t("copySuffix")}` });
+  };
+  const updateEventMeta = (id, patch) => {
+    setEvents((prev) => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  };
+  // event files
+  const [eventFileErrors, setEventFileErrors] = useState(null);
+  const [eventFileNotice, setEventFileNotice] = useState(null);
+  const exportEventJson = (id) => {
+    const ev = id === activeEventId ? activeEvent : events[id];
+    downloadJson(buildEventFile({ event: ev, lang, role, userTemplates }), `race-event-${fileSlug(ev.name || ev.id)}.json`);
+  };
+  const importEventJson = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      const { doc, errors } = readEventFile(text);
+      setEventFileErrors(errors || null);
+      setEventFileNotice(null);
+      if (!doc) return;
+
+      // imported user templates keep their key unless it is taken by a different template
+      let templateKey = doc.event.templateKey;
+      const incoming = doc.templates[templateKey];
+      let knownTemplates = userTemplates;
+      if (incoming) {
+        const existing = userTemplates[templateKey];
+        if (existing && JSON.stringify(existing) !== JSON.stringify(incoming)) templateKey = newUserTemplateKey();
+        knownTemplates = { ...userTemplates, [templateKey]: incoming };
+        setUserTemplates(knownTemplates);
+      }
+      const ev = { ...createEvent({}, templateKey, knownTemplates), ...doc.event, id: newEventId(), templateKey };
+      addEvent(ev, knownTemplates);
+      if (doc.lang && I18N[doc.lang]) setLang(doc.lang);
+      if (doc.role && ROLES.includes(doc.role)) setRole(doc.role);
+      setEventFileNotice(ev.name);
+    }).catch(() => {
+      setEventFileErrors([["errFileRead"]]);
+      setEventFileNotice(null);
+    });
+  };
+
+  const deleteEvent = (id) => {
+    const ids = Object.keys(events);
+    if (ids.length < 2 || !window.confirm(t("confirmDeleteEvent", events[id].name))) return;
+    if (id === activeEventId) loadEvent(events[ids.find((x) => x !== id)]);
+    setEvents((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const resetToTemplateDefaults = () => {
+    if (!window.confirm(t("confirmResetTemplate"))) return;
+    setHazards(template.hazards);
+    setConstraints(template.constraints);
+    setIncidentHazardId(template.hazards[0]?.id || "");
+    setHazardDraft(null);
+  };
+
+  // hazard register actions
+  const openNewHazard = () => {
+    setHazardErrors({});
+    setHazardDraft({
+      ...HAZARD_DEFAULTS,
+      id: nextHazardId(hazards),
+      name: "",
+      domain: selectedDomain || visibleDomains[0] || DOMAINS[0],
+      segmentId: selectedSegment || template.segments[0]?.id || "",
+    });
+  };
+  const openEditHazard = (h) => { setHazardErrors({}); setHazardDraft({ ...h }); };
+  const saveHazardDraft = () => {
+    const draft = { ...hazardDraft, name: hazardDraft.name.trim() };
+    const errors = validateHazard(draft, template.segments);
+    setHazardErrors(errors);
+    if (Object.keys(errors).length) return;
+    setHazards((prev) =>
+      prev.some((x) => x.id === draft.id)
+        ? prev.map((x) => (x.id === draft.id ? draft : x))
+        : [...prev, draft]
+    );
+    setHazardDraft(null);
+  };
+  const duplicateHazard = (h) => {
+    setHazards((prev) => {
+      const copy = { ...h, id: nextHazardId(prev), name: `${h.name} ${t("copySuffix")}` };
+      const i = prev.findIndex((x) => x.id === h.id);
+      return [...prev.slice(0, i + 1), copy, ...prev.slice(i + 1)];
+    });
+  };
+  const setHazardArchived = (id, archived) => {
+    setHazards((prev) => prev.map((x) => (x.id === id ? { ...x, archived } : x)));
+    if (archived && incidentHazardId === id) {
+      setIncidentHazardId(activeHazards.find((x) => x.id !== id)?.id || "");
+    }
+    if (hazardDraft?.id === id) setHazardDraft(null);
+  };
+
+  // user templates
+  const templateSources = [
+    { key: "__workspace", label: t("currentWorkspace"), template: { ...template, hazards, constraints } },
+    ...Object.keys(TEMPLATES).map((k) => ({ key: k, label: templateLabelOf(k, userTemplates, lang), template: TEMPLATES[k] })),
+    ...Object.entries(userTemplates).map(([k, ut]) => ({ key: k, label: templateLabelOf(k, userTemplates, lang), template: ut })),
+  ];
+  const openNewTemplate = () => {
+    const labels = { en: `${templateLabelOf(templateKey, userTemplates, "en")} ${I18N.en.copySuffix}`, el: `${templateLabelOf(templateKey, userTemplates, "el")} ${I18N.el.copySuffix}` };
+    setTemplateBuilder({ key: null, openedAt: Date.now(), draft: templateDraftFrom({ ...template, hazards, constraints }, labels) });
+  };
+  const openEditTemplate = (key) => {
+    const ut = userTemplates[key];
+    setTemplateBuilder({ key, openedAt: Date.now(), draft: templateDraftFrom(ut, ut.labels) });
+  };
+  const saveTemplate = (draft) => {
+    const key = templateBuilder.key || newUserTemplateKey();
+    const tpl = { ...draft, label: draft.labels.en };
+    setUserTemplates((prev) => ({ ...prev, [key]: tpl }));
+    setTemplateBuilder(null);
+    if (!templateBuilder.key) switchTemplate(key, tpl);
+  };
+  const deleteTemplate = (key) => {
+    if (!window.confirm(t("confirmDeleteTemplate"))) return;
+    // switch away first: switching parks the active state as a workspace, which the delete below then drops
+    if (templateKey === key && !switchTemplate("roadShort", TEMPLATES.roadShort)) return;
+    setUserTemplates((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+    setWorkspaces((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+    if (templateBuilder?.key === key) setTemplateBuilder(null);
+  };
+  const importTemplate = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      const draft = parseTemplateFile(text);
+      setTemplateFileError(!draft);
+      if (draft) setTemplateBuilder({ key: null, openedAt: Date.now(), draft });
+    }).catch(() => setTemplateFileError(true));
+  };
+
+  // small helpers for UI
+  const domainLabel = (d) => (lang === "el" ? DOMAINS_EL[DOMAINS_EN.indexOf(d)] || d : d);
+  const roleLabel = (r) => (lang === "el" ? ROLES_EL[ROLES_EN.indexOf(r)] || r : r);
+  const controlLabel = (c) => (lang === "el" ? (CONTROLS_EN_TO_EL[c] || c) : c);
+  const inputLabel = (k) => t(`input_${k}`);
+  const ruleText = (rule) =>
+    describeRule(rule, {
+      labelOf: inputLabel, or: t("ruleOr"), and: t("ruleAnd"), warnFrom: (n) => t("warnFrom", n), yes: t("yes"), no: t("no"),
+    });
+
+  const setCriterionValue = (domain, critId, val01) => {
+    setCriteriaValues((prev) => ({
+      ...prev,
+      [domain]: { ...(prev[domain] || {}), [critId]: val01 },
+    }));
+  };
+
+  // what an action can apply to, labelled for the form, the list and the PDF
+  const actionTargets = {
+    hazard: activeHazards.map((h) => ({ kind: "hazard", id: h.id, label: `${h.id} — ${h.name}` })),
+    control: controls.map((c) => ({ kind: "control", id: c.id, label: controlLabel(c.name) })),
+    constraint: constraints.map((c) => ({ kind: "constraint", id: c.id, label: `${c.id} — ${c.statement}` })),
+    criterion: DOMAINS_EN.flatMap((d) =>
+      (READINESS_CRITERIA[d] || []).map((c) => ({ kind: "criterion", id: c.id, domain: d, label: `${domainLabel(d)} — ${lang === "el" ? c.el : c.en}` }))
+    ),
+  };
+  const actionTargetLabel = (tg) =>
+    actionTargets[tg.kind]?.find((x) => x.id === tg.id && x.domain === tg.domain)?.label || tg.id;
+  const actionAnchor = (tg) =>
+    tg.kind === "criterion" ? `criterion-${DOMAINS_EN.indexOf(tg.domain)}-${tg.id}` : `${tg.kind}-${tg.id}`;
+
+  if (liveMode) {
+    return (
+      <LiveRaceBoard
+        t={t}
+        lang={lang}
+        eventName={events[activeEventId]?.name || ""}
+        segments={template.segments}
+        raceDay={raceDay}
+        now={now}
+        hazards={coveredHazards}
+        incidents={incidents.filter((x) => (x.templateKey ?? templateKey) === templateKey)}
+        score={eventScore}
+        flag={conditionsAssessment.flag}
+        incidentTypes={Object.keys(INCIDENTS_EN_TO_EL)}
+        onStatus={(segmentId, status) => setRaceDay((prev) => setSegmentStatus(prev, segmentId, status))}
+        onStartClock={() => setRaceDay((prev) => startRaceClock(prev))}
+        onResetClock={resetRaceDay}
+        onLogIncident={logIncident}
+        onExit={() => setLiveMode(false)}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-900">
+      <header className="sticky top-0 bg-white/90 backdrop-blur border-b border-slate-200 z-10">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold tracking-tight">{t("appTitle")}</h1>
+            <div className="text-sm text-slate-500">{t("subtitle")}</div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {/* Event */}
+            <select
+              value={activeEventId}
+              onChange={(e) => switchEvent(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm font-semibold max-w-[12rem]"
+              title={t("event")}
+            >
+              {Object.values(events).map((ev) => (
+                <option key={ev.id} value={ev.id}>{ev.name || ev.id}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowEvents((v) => !v)}
+              className={`px-3 py-2 rounded-lg border text-sm ${showEvents ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-200"}`}
+            >
+              {t("events")}
+            </button>
+
+            {/* Language */}
+            <div className="flex rounded-full border border-slate-200 overflow-hidden">
+              {LANGS.map((L) => (
+                <button
+                  key={L.code}
+                  onClick={() => setLang(L.code)}
+                  className={`px-3 py-1 text-sm font-semibold ${lang === L.code ? "bg-slate-900 text-white" : "bg-white text-slate-700"}`}
+                >
+                  {L.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Template */}
+            <select
+              value={templateKey}
+              onChange={(e) => switchTemplate(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm"
+              title={t("template")}
+            >
+              <optgroup label={t("builtInTemplates")}>
+                {Object.entries(TEMPLATES_LABELS).map(([k, lab]) => (
+                  <option key={k} value={k}>{lab[lang]}</option>
+                ))}
+              </optgroup>
+              {Object.keys(userTemplates).length > 0 && (
+                <optgroup label={t("userTemplates")}>
+                  {Object.keys(userTemplates).map((k) => (
+                    <option key={k} value={k}>{templateLabelOf(k, userTemplates, lang)}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+
+            <button
+              onClick={() => setShowTemplates((v) => !v)}
+              className={`px-3 py-2 rounded-lg border text-sm ${showTemplates ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-200"}`}
+            >
+              {t("templates")}
+            </button>
+
+            {/* Role */}
             <select
               value={role}
               onChange={(e) => setRole(e.target.value)}
@@ -803,13 +4031,24 @@ function RaceSafetyMVP() {
               {t("clearFilters")}
             </button>
 
+            <button
+              onClick={() => setLiveMode(true)}
+              className="px-3 py-2 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+            >
+              {t("liveMode")}
+            </button>
+
             <button
               onClick={() =>
                 exportPdf({
                   t, lang,
-                  templateLabel: TEMPLATES_LABELS[templateKey][lang],
+                  event: activeEvent,
+                  templateLabel: templateLabelOf(templateKey, userTemplates, lang),
                   roleLabel: roleLabel(role),
-                  hazards, controls: filteredControls, constraints, readiness, incidents,
+                  profileLabel, score,
+                  hazards: coveredHazards, controls: filteredControls, constraints: evaluatedConstraints, readiness, incidents,
+                  ruleText, assetCheck,
+                  segments: template.segments, segmentRisk, matrixMode, projectedScore, actionTargetLabel,
                 })
               }
               className="px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold"
@@ -821,21 +4060,252 @@ function RaceSafetyMVP() {
       </header>
 
       <main className="max-w-6xl mx-auto px-4 py-6 space-y-8">
+        {/* Storage issues */}
+        {storageIssues.length > 0 && (
+          <section
+            className={`rounded-2xl border p-3 text-sm flex items-start justify-between gap-3 ${
+              storageIssues.every((x) => x.code === "migrated" || x.code === "occurrenceRebased")
+                ? "border-slate-200 bg-white text-slate-600"
+                : "border-amber-300 bg-amber-50 text-amber-900"
+            }`}
+          >
+            <ul className="space-y-1">
+              {storageIssues.map((x, i) => (
+                <li key={i}>{t(`storage_${x.code}`, x)}</li>
+              ))}
+            </ul>
+            <button
+              onClick={() => setStorageIssues([])}
+              className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs text-slate-700"
+            >
+              {t("dismiss")}
+            </button>
+          </section>
+        )}
+
+        {/* Events */}
+        {showEvents && (
+          <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
+            <div className="flex flex-wrap items-baseline justify-between gap-2">
+              <div>
+                <h3 className="text-lg font-semibold">{t("eventsTitle")}</h3>
+                <div className="text-xs text-slate-500">{t("eventsHint")}</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm cursor-pointer">
+                  {t("importJson")}
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    className="hidden"
+                    onChange={(e) => { importEventJson(e.target.files[0]); e.target.value = ""; }}
+                  />
+                </label>
+                <button
+                  onClick={newEvent}
+                  className="px-3 py-1.5 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+                >
+                  {t("newEvent")}
+                </button>
+              </div>
+            </div>
+
+            {eventFileErrors && (
+              <div className="mt-2 rounded-lg border border-red-200 bg-red-50 p-2 text-xs text-red-700">
+                <div className="font-semibold">{t("errEventFile")}</div>
+                <ul className="list-disc pl-4">
+                  {eventFileErrors.slice(0, 8).map(([k, ...args], i) => (
+                    <li key={i}>{t(k, ...args)}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {eventFileNotice && <div className="mt-2 text-xs text-emerald-700">{t("importedEvent", eventFileNotice)}</div>}
+
+            <div className="mt-3 space-y-2">
+              {Object.values(events).map((ev) => {
+                const isActive = ev.id === activeEventId;
+                const evTemplateKey = isActive ? templateKey : ev.templateKey;
+                return (
+                  <div
+                    key={ev.id}
+                    className={`border rounded-xl p-3 grid grid-cols-1 md:grid-cols-12 gap-2 items-center ${
+                      isActive ? "border-emerald-300 bg-emerald-50/40" : "border-slate-200"
+                    }`}
+                  >
+                    <input
+                      value={ev.name}
+                      placeholder={t("eventName")}
+                      onChange={(e) => updateEventMeta(ev.id, { name: e.target.value })}
+                      className="md:col-span-4 px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm font-semibold"
+                    />
+                    <input
+                      type="date"
+                      value={ev.date}
+                      title={t("eventDate")}
+                      onChange={(e) => updateEventMeta(ev.id, { date: e.target.value })}
+                      className="md:col-span-2 px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+                    />
+                    <input
+                      value={ev.venue}
+                      placeholder={t("eventVenue")}
+                      onChange={(e) => updateEventMeta(ev.id, { venue: e.target.value })}
+                      className="md:col-span-3 px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+                    />
+                    <div className="md:col-span-3 flex items-center justify-end gap-1 text-xs">
+                      <span className="text-slate-500 mr-1">{templateLabelOf(evTemplateKey, userTemplates, lang)}</span>
+                      {isActive ? (
+                        <span className="px-2 py-1 rounded-lg bg-emerald-600 text-white font-semibold">{t("activeEvent")}</span>
+                      ) : (
+                        <button onClick={() => switchEvent(ev.id)} className="px-2 py-1 rounded-lg border border-slate-200 bg-white">
+                          {t("openEvent")}
+                        </button>
+                      )}
+                      <button onClick={() => duplicateEvent(ev.id)} className="px-2 py-1 rounded-lg border border-slate-200 bg-white">
+                        {t("duplicateEvent")}
+                      </button>
+                      <button onClick={() => exportEventJson(ev.id)} className="px-2 py-1 rounded-lg border border-slate-200 bg-white">
+                        {t("exportJson")}
+                      </button>
+                      <button
+                        onClick={() => deleteEvent(ev.id)}
+                        disabled={Object.keys(events).length < 2}
+                        className="px-2 py-1 rounded-lg border border-red-200 bg-white text-red-700 disabled:opacity-40"
+                      >
+                        {t("deleteEvent")}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        )}
+
+        {/* Templates */}
+        {showTemplates && (
+          <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
+            <div className="flex flex-wrap items-baseline justify-between gap-2">
+              <h3 className="text-lg font-semibold">{t("templateBuilder")}</h3>
+              <div className="flex items-center gap-2">
+                <label className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm cursor-pointer">
+                  {t("importTemplate")}
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    className="hidden"
+                    onChange={(e) => { importTemplate(e.target.files[0]); e.target.value = ""; }}
+                  />
+                </label>
+                <button
+                  onClick={openNewTemplate}
+                  className="px-3 py-1.5 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+                >
+                  {t("newTemplate")}
+                </button>
+              </div>
+            </div>
+            {templateFileError && <div className="text-xs text-red-600 mt-1">{t("errTemplateFile")}</div>}
+
+            <div className="mt-3 space-y-2">
+              {Object.keys(userTemplates).map((k) => (
+                <div key={k} className="border border-slate-200 rounded-xl p-2 text-sm flex items-center justify-between gap-2">
+                  <div>
+                    <span className="font-semibold">{templateLabelOf(k, userTemplates, lang)}</span>
+                    <span className="text-xs text-slate-500">
+                      {" "}— {userTemplates[k].hazards.length} {t("hazardsTitle")} • {userTemplates[k].segments.length} {t("segmentsTitle")}
+                    </span>
+                  </div>
+                  <div className="flex gap-1">
+                    <button onClick={() => openEditTemplate(k)} className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs">{t("editTemplate")}</button>
+                    <button onClick={() => downloadTemplateFile(userTemplates[k])} className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs">{t("exportTemplate")}</button>
+                    <button onClick={() => deleteTemplate(k)} className="px-2 py-1 rounded-lg border border-red-200 bg-white text-xs text-red-700">{t("deleteTemplate")}</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {templateBuilder && (
+              <div className="mt-4 border-t border-slate-200 pt-4">
+                <div className="text-sm font-semibold mb-2">
+                  {templateBuilder.key ? t("editTemplate") : t("newTemplate")}
+                </div>
+                <TemplateBuilder
+                  key={templateBuilder.openedAt}
+                  t={t}
+                  domainLabel={domainLabel}
+                  sources={templateSources}
+                  initialDraft={templateBuilder.draft}
+                  onSave={saveTemplate}
+                  onCancel={() => setTemplateBuilder(null)}
+                />
+              </div>
+            )}
+          </section>
+        )}
+
         {/* Gauge + top cards */}
         <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
           <SafetyGauge
             t={t}
             value={holisticPct}
-            prevValue={saved?.holisticPct ?? null}
+            trend={trend}
+            trendBase={baselineSnap ? t(`baseline_${trendBaseline}`) : ""}
+            trendWholeEvent={filteredControls.length !== controls.length}
             lockedRed={anyCriticalFail}
             label={t("gaugeLabel")}
+            bands={scoringProfile.bands}
           />
+          {projectedScore && (
+            <button
+              onClick={() => jumpTo("action-plan")}
+              className="block mx-auto -mt-1 mb-2 text-xs text-slate-600 hover:text-slate-900 underline decoration-dotted"
+            >
+              {t(
+                "projectedScore",
+                pendingActions.length,
+                Math.round(projectedScore.holisticPct),
+                t(projectedScore.status),
+                Math.round(projectedScore.holisticPct) - Math.round(holisticPct)
+              )}
+            </button>
+          )}
+
+          <div className="max-w-3xl mx-auto px-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+              <div className="text-xs font-semibold text-slate-500">{t("scoreHistory")}</div>
+              <div className="flex items-center gap-2 text-xs">
+                <label className="flex items-center gap-1">
+                  <span className="text-slate-500">{t("baseline")}</span>
+                  <select
+                    value={trendBaseline}
+                    onChange={(e) => setTrendBaseline(e.target.value)}
+                    className="px-2 py-1 rounded-lg border border-slate-200 bg-white"
+                  >
+                    {BASELINES.map((b) => (
+                      <option key={b} value={b}>{t(`baseline_${b}`)}</option>
+                    ))}
+                  </select>
+                </label>
+                <button onClick={markBriefing} className="px-2 py-1 rounded-lg border border-slate-200 bg-white">
+                  {t("markBriefing")}
+                </button>
+              </div>
+            </div>
+            <ScoreTrendChart t={t} history={scoreHistory} baseline={baselineSnap} bands={scoringProfile.bands} />
+          </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-2">
             <div className="rounded-xl border border-slate-200 p-4">
               <div className="text-sm font-semibold">{t("riskLoad")}</div>
               <div className="text-2xl font-bold mt-1">{Math.round(riskLoadPct)}%</div>
               <div className="text-xs text-slate-500">{t("hazardsHint")}</div>
+              {segmentRanking.length > 0 && (
+                <div className="text-xs text-slate-500 mt-1">
+                  {t("riskiestSegment", segmentRanking[0].name, Math.round(segmentRisk[segmentRanking[0].id].pct))}
+                  {scoringProfile.segmentRiskShare > 0 && ` • ${t("segmentRiskInScore", Math.round(scoringProfile.segmentRiskShare * 100))}`}
+                </div>
+              )}
             </div>
             <div className="rounded-xl border border-slate-200 p-4">
               <div className="text-sm font-semibold">{t("controlHealth")}</div>
@@ -848,6 +4318,43 @@ function RaceSafetyMVP() {
               <div className="text-xs text-slate-500">{t("readinessHint")}</div>
             </div>
           </div>
+
+          <div className="mt-3 flex items-center justify-between text-sm">
+            <div className="text-slate-600">
+              {t("scoringProfile")}: <span className="font-semibold">{profileLabel}</span>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setShowWhy((v) => !v)}
+                className={`px-3 py-1.5 rounded-lg border text-sm ${showWhy ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-200"}`}
+              >
+                {showWhy ? t("hideWhy") : t("whyStatus")}
+              </button>
+              <button
+                onClick={() => setShowProfileEditor((v) => !v)}
+                className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              >
+                {showProfileEditor ? t("closeProfile") : t("editProfile")}
+              </button>
+            </div>
+          </div>
+          {explanation && (
+            <div className="mt-3 border-t border-slate-200 pt-3">
+              <WhyStatusPanel
+                t={t}
+                lang={lang}
+                explanation={explanation}
+                domainLabel={domainLabel}
+                controlLabel={controlLabel}
+                onJump={jumpTo}
+              />
+            </div>
+          )}
+          {showProfileEditor && (
+            <div className="mt-3 border-t border-slate-200 pt-3">
+              <ScoringProfileEditor key={activeEventId} t={t} profile={scoringProfile} onChange={setScoringProfile} />
+            </div>
+          )}
         </section>
 
         {/* Segments */}
@@ -861,14 +4368,182 @@ function RaceSafetyMVP() {
               <button
                 key={s.id}
                 onClick={() => setSelectedSegment((prev) => (prev === s.id ? null : s.id))}
-                className={`px-3 py-1.5 rounded-full text-sm border ${
+                className={`px-3 py-1.5 rounded-full text-sm border inline-flex items-center gap-2 ${
                   selectedSegment === s.id ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-200 text-slate-700"
                 }`}
               >
+                {segmentRisk[s.id] && <span className="w-2.5 h-2.5 rounded-full" style={{ background: segmentColor(s.id) }} />}
                 {s.name}
+                {segmentRisk[s.id] && <span className="text-xs tabular-nums opacity-70">{Math.round(segmentRisk[s.id].pct)}%</span>}
               </button>
             ))}
           </div>
+
+          {segmentRanking.length > 0 && (
+            <div className="mt-4">
+              <div className="flex items-baseline justify-between gap-2">
+                <div className="text-sm font-semibold">{t("segmentRiskTitle")}</div>
+                <div className="text-xs text-slate-500">{t("segmentRiskHint")}</div>
+              </div>
+              {/* heat strip: course order, width by share of the course */}
+              <div className="mt-2 flex h-4 rounded-full overflow-hidden border border-slate-200">
+                {template.segments.filter((sg) => segmentRisk[sg.id]).map((sg) => (
+                  <button
+                    key={sg.id}
+                    title={`${sg.name} — ${Math.round(segmentRisk[sg.id].pct)}%`}
+                    onClick={() => setSelectedSegment((prev) => (prev === sg.id ? null : sg.id))}
+                    className={`h-full ${selectedSegment === sg.id ? "ring-2 ring-inset ring-slate-900" : ""}`}
+                    style={{ width: `${segmentRisk[sg.id].share * 100}%`, background: segmentColor(sg.id) }}
+                  />
+                ))}
+              </div>
+              <div className="mt-3 text-xs font-semibold text-slate-500">{t("segmentRanking")}</div>
+              <ol className="mt-1 space-y-0.5 text-sm">
+                {segmentRanking.map((sg, i) => {
+                  const r = segmentRisk[sg.id];
+                  return (
+                    <li key={sg.id}>
+                      <button
+                        onClick={() => setSelectedSegment((prev) => (prev === sg.id ? null : sg.id))}
+                        className={`w-full text-left flex items-center gap-2 px-2 py-1 rounded-lg hover:bg-slate-100 ${selectedSegment === sg.id ? "bg-slate-100" : ""}`}
+                      >
+                        <span className="w-5 text-slate-400 tabular-nums">{i + 1}.</span>
+                        <span className="w-2.5 h-2.5 rounded-full" style={{ background: segmentColor(sg.id) }} />
+                        <span className="flex-1 truncate">{sg.name}</span>
+                        <span className="text-xs text-slate-500 hidden md:inline">
+                          {t("segmentRiskDetail", Math.round(r.own), Math.round(r.apportioned), r.hazards)}
+                        </span>
+                        <span className="w-12 text-right font-semibold tabular-nums">{Math.round(r.pct)}%</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+
+          <div className="mt-4 border-t border-slate-100 pt-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div>
+                <div className="text-sm font-semibold">
+                  {t("courseMap")}
+                  {course && <span className="ml-2 font-normal text-slate-500">{course.name} • {t("courseLength", routeLengthKm(routeOf(course)).toFixed(1))}</span>}
+                </div>
+                <div className="text-xs text-slate-500">{t("courseMapHint")}</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm cursor-pointer">
+                  {t("importGpx")}
+                  <input
+                    type="file"
+                    accept=".gpx,application/gpx+xml,application/xml,text/xml"
+                    className="hidden"
+                    onChange={(e) => { importGpx(e.target.files[0]); e.target.value = ""; }}
+                  />
+                </label>
+                {course && (
+                  <button onClick={removeCourse} className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm">
+                    {t("removeCourse")}
+                  </button>
+                )}
+              </div>
+            </div>
+            {courseError && <div className="text-xs text-red-600 mt-1">{t(courseError)}</div>}
+
+            {!course ? (
+              <div className="mt-2 text-sm text-slate-500">{t("noCourse")}</div>
+            ) : (
+              <div className="mt-2 grid grid-cols-1 lg:grid-cols-3 gap-4">
+                <div className="lg:col-span-2">
+                  <CourseMap
+                    t={t}
+                    course={course}
+                    ranges={segmentRanges}
+                    segments={template.segments}
+                    loads={segmentRisk}
+                    markers={courseMarkers}
+                    selectedSegment={selectedSegment}
+                    placing={placing}
+                    onSelectSegment={(id) => id && setSelectedSegment((prev) => (prev === id ? null : id))}
+                    onPlace={placeAt}
+                  />
+                  <div className="mt-1 flex items-center gap-2 text-xs text-slate-500">
+                    <span className="inline-block w-16 h-2 rounded-full" style={{ background: `linear-gradient(to right, ${riskColor(0)}, ${riskColor(0.5)}, ${riskColor(1)})` }} />
+                    <span>{t("riskLow")} → {t("riskHigh")}</span>
+                  </div>
+                </div>
+
+                <div className="space-y-3 text-sm">
+                  <div>
+                    <select
+                      value={placing ? `${placing.kind}:${placing.refId || ""}` : ""}
+                      onChange={(e) => {
+                        const [kind, refId] = e.target.value.split(":");
+                        setPlacing(kind ? { kind, refId: refId || null } : null);
+                      }}
+                      className="w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+                    >
+                      <option value="">{t("placeOnRoute")}</option>
+                      {ASSET_KINDS.map((k) => (
+                        <option key={k} value={`${k}:`}>{t(`marker_${k}`)}</option>
+                      ))}
+                      <optgroup label={t("marker_hazard")}>
+                        {activeHazards.map((h) => (
+                          <option key={h.id} value={`hazard:${h.id}`}>{h.name}</option>
+                        ))}
+                      </optgroup>
+                      {templateIncidents.length > 0 && (
+                        <optgroup label={t("marker_incident")}>
+                          {templateIncidents.map((x) => (
+                            <option key={x.id} value={`incident:${x.id}`}>{x.id} — {x.type}</option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
+                    {placing && <div className="text-xs text-amber-700 mt-1">{t("placingHint")}</div>}
+                  </div>
+
+                  <div>
+                    <div className="text-xs font-semibold text-slate-500">{t("segmentRanges")}</div>
+                    <div className="mt-1 space-y-1">
+                      {template.segments.filter((sg) => sg.id !== WHOLE_COURSE_SEGMENT).map((sg) => {
+                        const r = segmentRanges[sg.id] || {};
+                        const inputCls = "w-16 px-1.5 py-0.5 rounded border border-slate-200 bg-white text-xs tabular-nums";
+                        return (
+                          <div key={sg.id} className="flex items-center gap-1 text-xs">
+                            <span className="flex-1 truncate" title={sg.name}>{sg.name}</span>
+                            <input type="number" min={0} step={0.1} value={r.fromKm ?? ""} placeholder={t("fromKm")}
+                              onChange={(e) => setRangeField(sg.id, "fromKm", e.target.value)} className={inputCls} />
+                            <input type="number" min={0} step={0.1} value={r.toKm ?? ""} placeholder={t("toKm")}
+                              onChange={(e) => setRangeField(sg.id, "toKm", e.target.value)} className={inputCls} />
+                            {!isValidRange(segmentRanges[sg.id]) && <span className="text-slate-400">{t("unranged")}</span>}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  {courseMarkers.length > 0 && (
+                    <div>
+                      <div className="text-xs font-semibold text-slate-500">{t("placedMarkers")}</div>
+                      <div className="mt-1 space-y-0.5">
+                        {courseMarkers.map((m) => (
+                          <div key={m.key} className="flex items-center gap-2 text-xs">
+                            <span className="w-3 h-3 rounded-full" style={{ background: MARKER_STYLE[m.kind].fill }} />
+                            <span className="tabular-nums w-14">km {m.km}</span>
+                            <span className="flex-1 truncate">{t(`marker_${m.kind}`)}: {m.label}</span>
+                            <button onClick={() => removeMarker(m)} className="px-1.5 rounded border border-slate-200 bg-white">
+                              {t("removeMarker")}
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
         </section>
 
         {/* Domains + readiness sub-criteria */}
@@ -883,7 +4558,7 @@ function RaceSafetyMVP() {
               const crits = READINESS_CRITERIA[d] || [];
               const r01 = readiness[d] ?? 0.75;
               return (
-                <div key={d} className="border border-slate-200 rounded-xl p-3">
+                <div key={d} id={`domain-${DOMAINS_EN.indexOf(d)}`} className="border border-slate-200 rounded-xl p-3">
                   <div className="flex items-center justify-between">
                     <button
                       onClick={() => setSelectedDomain((prev) => (prev === d ? null : d))}
@@ -902,7 +4577,11 @@ function RaceSafetyMVP() {
                         const val = criteriaValues?.[d]?.[c.id];
                         const val01 = typeof val === "number" ? val : 0.75;
                         return (
-                          <div key={c.id} className="flex items-center gap-2">
+                          <div
+                            key={c.id}
+                            id={`criterion-${DOMAINS_EN.indexOf(d)}-${c.id}`}
+                            className={`flex items-center gap-2 rounded-lg${focusCls(`criterion-${DOMAINS_EN.indexOf(d)}-${c.id}`)}`}
+                          >
                             <div className="flex-1 text-sm">{lang === "el" ? c.el : c.en}</div>
                             <input
                               type="range"
@@ -925,22 +4604,117 @@ function RaceSafetyMVP() {
           </div>
         </section>
 
+        {/* Risk matrices */}
+        <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
+          <div className="flex items-baseline justify-between">
+            <h3 className="text-lg font-semibold">{t("matricesTitle")}</h3>
+            <div className="text-xs text-slate-500">{t("matricesHint")}</div>
+          </div>
+          <div className="mt-3">
+            <RiskMatrices
+              t={t}
+              domainLabel={domainLabel}
+              domains={DOMAINS_EN.filter((d) => visibleDomains.includes(d))}
+              segments={template.segments}
+              hazards={coveredHazards}
+              mode={matrixMode}
+              onModeChange={setMatrixMode}
+              selectedDomain={selectedDomain}
+              selectedSegment={selectedSegment}
+              cell={riskCell}
+              onSelectDomainSegment={selectDomainSegment}
+              onSelectCell={selectRiskCell}
+            />
+          </div>
+        </section>
+
         {/* Hazards FMEA */}
         <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
           <div className="flex items-baseline justify-between">
             <h3 className="text-lg font-semibold">{t("hazardsTitle")}</h3>
-            <div className="text-xs text-slate-500">{t("hazardsHint")}</div>
+            <div className="flex items-center gap-3">
+              <div className="text-xs text-slate-500">{t("hazardsHint")}</div>
+              <button
+                onClick={resetToTemplateDefaults}
+                className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              >
+                {t("resetTemplate")}
+              </button>
+              <button
+                onClick={openNewHazard}
+                className="px-3 py-1.5 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+              >
+                {t("addHazard")}
+              </button>
+            </div>
           </div>
 
+          {riskCell && (
+            <div className="mt-3 flex items-center gap-2 text-sm">
+              <span className={`px-2 py-0.5 rounded-lg border border-slate-200 ${LEVEL_CLS[cellLevel(riskCell.l, riskCell.s)]}`}>
+                {t("matrixCellFilter", t(`matrixMode_${riskCell.mode}`), riskCell.l, riskCell.s)}
+              </span>
+              <button onClick={() => setRiskCell(null)} className="px-2 py-0.5 rounded-lg border border-slate-200 bg-white text-xs">
+                {t("clearFilter")}
+              </button>
+            </div>
+          )}
+
           <div className="mt-3 space-y-3">
+            {hazardDraft && !hazards.some((x) => x.id === hazardDraft.id) && (
+              <HazardForm
+                t={t}
+                domainLabel={domainLabel}
+                controlLabel={controlLabel}
+                segments={template.segments}
+                controls={controls}
+                ucaPenalty={scoringProfile.ucaPenalty}
+                draft={hazardDraft}
+                errors={hazardErrors}
+                onChange={setHazardDraft}
+                onSave={saveHazardDraft}
+                onCancel={() => setHazardDraft(null)}
+              />
+            )}
+
             {filteredHazards.map((h) => {
-              const rpn = residualRpn(h);
+              const covered = coverageOf(h.id);
+              const rpn = residualRpn(covered);
+              const derived = covered.derivedControlsActive;
+              const departs = derived != null && h.controlsOverride && pct(h.controlsActive) !== pct(derived);
+              if (hazardDraft?.id === h.id) {
+                return (
+                  <HazardForm
+                    key={h.id}
+                    t={t}
+                    domainLabel={domainLabel}
+                    controlLabel={controlLabel}
+                    segments={template.segments}
+                    controls={controls}
+                    ucaPenalty={scoringProfile.ucaPenalty}
+                    draft={hazardDraft}
+                    errors={hazardErrors}
+                    onChange={setHazardDraft}
+                    onSave={saveHazardDraft}
+                    onCancel={() => setHazardDraft(null)}
+                  />
+                );
+              }
               return (
-                <div key={h.id} className="border border-slate-200 rounded-xl p-3">
+                <div key={h.id} id={`hazard-${h.id}`} className={`border border-slate-200 rounded-xl p-3${focusCls(`hazard-${h.id}`)}`}>
                   <div className="flex flex-wrap items-center justify-between gap-2">
                     <div className="font-semibold">{h.name}</div>
-                    <div className="text-xs text-slate-500">
-                      {domainLabel(h.domain)} • {h.segmentId}
+                    <div className="flex items-center gap-2 text-xs text-slate-500">
+                      <span>{h.id} • {domainLabel(h.domain)} • {h.segmentId}{h.km != null ? ` • km ${h.km}` : ""}</span>
+                      <button onClick={() => openEditHazard(h)} className="px-2 py-0.5 rounded border border-slate-200 bg-white">
+                        {t("editHazard")}
+                      </button>
+                      <button onClick={() => duplicateHazard(h)} className="px-2 py-0.5 rounded border border-slate-200 bg-white">
+                        {t("duplicateHazard")}
+                      </button>
+                      <button onClick={() => setHazardArchived(h.id, true)} className="px-2 py-0.5 rounded border border-slate-200 bg-white">
+                        {t("archiveHazard")}
+                      </button>
                     </div>
                   </div>
 
@@ -949,7 +4723,21 @@ function RaceSafetyMVP() {
                       <label key={k} className="text-sm">
                         <div className="flex justify-between">
                           <span>{t(k.toLowerCase())}</span>
-                          <span className="font-semibold">{h[k]}</span>
+                          {k === "O" ? (
+                            <span className="font-semibold">
+                              <span className="text-xs font-normal text-slate-500">{t("baselineO")}</span> {h.O}
+                              <span className="mx-1 text-slate-300">|</span>
+                              <span className="text-xs font-normal text-slate-500">{t("evidenceAdjustedO")}</span>{" "}
+                              <span className={covered.evidenceO ? "text-red-700" : ""}>{formatO(covered.baseO ?? covered.O)}</span>
+                              {covered.baseO != null && (
+                                <span className="ml-1 text-xs font-normal text-amber-700">
+                                  → {formatO(covered.O)} ({t("conditionsO", formatO(covered.O - covered.baseO))})
+                                </span>
+                              )}
+                            </span>
+                          ) : (
+                            <span className="font-semibold">{h[k]}</span>
+                          )}
                         </div>
                         <input
                           type="range"
@@ -967,25 +4755,59 @@ function RaceSafetyMVP() {
                       </label>
                     ))}
 
-                    <label className="text-sm">
-                      <div className="flex justify-between">
-                        <span>{t("controlsActive")}</span>
-                        <span className="font-semibold">{pct(h.controlsActive)}%</span>
-                      </div>
-                      <input
-                        type="range"
-                        min={0}
-                        max={100}
-                        step={5}
-                        value={pct(h.controlsActive)}
-                        onChange={(e) =>
-                          setHazards((prev) =>
-                            prev.map((x) => (x.id === h.id ? { ...x, controlsActive: e.target.value / 100 } : x))
-                          )
-                        }
-                        className="w-full"
-                      />
-                    </label>
+                    <div className="text-sm">
+                      <label className="block">
+                        <div className="flex justify-between">
+                          <span>{t("controlsActive")}</span>
+                          <span className="font-semibold">{pct(covered.controlsActive)}%</span>
+                        </div>
+                        <input
+                          type="range"
+                          min={0}
+                          max={100}
+                          step={5}
+                          value={pct(covered.controlsActive)}
+                          onChange={(e) =>
+                            setHazards((prev) =>
+                              prev.map((x) =>
+                                x.id !== h.id
+                                  ? x
+                                  : derived != null
+                                    ? { ...x, controlsActive: e.target.value / 100, controlsOverride: true }
+                                    : { ...x, controlsActive: e.target.value / 100 }
+                              )
+                            )
+                          }
+                          className="w-full"
+                        />
+                      </label>
+                      {derived != null && !h.controlsOverride && (
+                        <div className="text-xs text-slate-500">
+                          {t("derivedFrom", h.controlLinks
+                            .map((l) => controls.find((c) => c.id === l.controlId))
+                            .filter(Boolean)
+                            .map((c) => controlLabel(c.name))
+                            .join(", "))}
+                        </div>
+                      )}
+                      {derived != null && h.controlsOverride && (
+                        <div
+                          className={`mt-1 flex items-center justify-between gap-2 text-xs rounded-lg px-2 py-1 ${
+                            departs ? "bg-amber-50 border border-amber-300 text-amber-800" : "text-slate-500"
+                          }`}
+                        >
+                          <span>{t("manualOverride", pct(derived))}</span>
+                          <button
+                            onClick={() =>
+                              setHazards((prev) => prev.map((x) => (x.id === h.id ? { ...x, controlsOverride: false } : x)))
+                            }
+                            className="px-2 py-0.5 rounded border border-slate-200 bg-white"
+                          >
+                            {t("useDerived")}
+                          </button>
+                        </div>
+                      )}
+                    </div>
                   </div>
 
                   <div className="mt-2 flex items-center justify-between">
@@ -999,6 +4821,22 @@ function RaceSafetyMVP() {
             {!filteredHazards.length && (
               <div className="text-sm text-slate-500">{t("tapInspect")}</div>
             )}
+
+            {archivedHazards.length > 0 && (
+              <div className="pt-2">
+                <div className="text-xs font-semibold text-slate-500">{t("archivedHazards")}</div>
+                <div className="mt-1 space-y-1">
+                  {archivedHazards.map((h) => (
+                    <div key={h.id} className="flex items-center justify-between text-sm text-slate-500 border border-dashed border-slate-200 rounded-lg px-2 py-1">
+                      <span>{h.id} — {h.name}</span>
+                      <button onClick={() => setHazardArchived(h.id, false)} className="px-2 py-0.5 rounded border border-slate-200 bg-white text-xs">
+                        {t("restoreHazard")}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </section>
 
@@ -1009,13 +4847,40 @@ function RaceSafetyMVP() {
             <div className="text-xs text-slate-500">{t("controlsHint")}</div>
           </div>
 
+          <div className="mt-3 border border-slate-200 rounded-xl p-3">
+            <div className="flex items-baseline justify-between gap-2">
+              <div className="text-sm font-semibold">{t("controlStructure")}</div>
+              <div className="text-xs text-slate-500">{t("controlStructureHint")}</div>
+            </div>
+            <ControlStructureDiagram
+              t={t}
+              controls={filteredControls}
+              controlLabel={controlLabel}
+              profile={scoringProfile}
+              selectedId={expandedControl}
+              onOpen={(id) => {
+                setExpandedControl(id);
+                jumpTo(`control-${id}`);
+              }}
+            />
+          </div>
+
           <div className="mt-3 space-y-3">
             {filteredControls.map((c) => (
-              <div key={c.id} className="border border-slate-200 rounded-xl p-3">
+              <div key={c.id} id={`control-${c.id}`} className={`border border-slate-200 rounded-xl p-3${focusCls(`control-${c.id}`)}`}>
                 <div className="flex items-center justify-between">
                   <div className="font-semibold">{controlLabel(c.name)}</div>
                   <div className="text-sm font-bold">{pct(c.readiness)}%</div>
                 </div>
+                {activeHazards.some((h) => h.controlLinks?.some((l) => l.controlId === c.id)) && (
+                  <div className="text-xs text-slate-500">
+                    {t("mitigates")}:{" "}
+                    {activeHazards
+                      .filter((h) => h.controlLinks?.some((l) => l.controlId === c.id))
+                      .map((h) => `${h.id} ${h.name}`)
+                      .join(" • ")}
+                  </div>
+                )}
 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-2">
                   <label className="text-sm">
@@ -1038,31 +4903,306 @@ function RaceSafetyMVP() {
                     />
                   </label>
 
-                  <label className="text-sm">
+                  <div className="text-sm">
                     <div className="flex justify-between">
-                      <span>{t("ucaCount")}</span>
-                      <span className="font-semibold">{c.ucaCount}</span>
+                      <span>{t("openUcas")}</span>
+                      <span className="font-semibold">{openUcaCount(c)}</span>
                     </div>
-                    <input
-                      type="range"
-                      min={0}
-                      max={5}
-                      step={1}
-                      value={c.ucaCount}
-                      onChange={(e) =>
-                        setControls((prev) =>
-                          prev.map((x) => (x.id === c.id ? { ...x, ucaCount: Number(e.target.value) } : x))
-                        )
-                      }
-                      className="w-full"
-                    />
-                  </label>
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {Object.entries(ucaTypeSummary(c))
+                        .filter(([, n]) => n > 0)
+                        .map(([k, n]) => (
+                          <span key={k} className="px-2 py-0.5 rounded-full bg-amber-50 border border-amber-200 text-xs text-amber-800">
+                            {t(`ucaType_${k}`)} × {n}
+                          </span>
+                        ))}
+                    </div>
+                  </div>
                 </div>
+
+                <button
+                  onClick={() => setExpandedControl(expandedControl === c.id ? null : c.id)}
+                  className={`mt-2 px-2 py-0.5 rounded border text-xs ${
+                    expandedControl === c.id ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-200"
+                  }`}
+                >
+                  {t("stpaLoop")}
+                </button>
+                {expandedControl === c.id && (
+                  <ControlLoopEditor
+                    t={t}
+                    control={c}
+                    onChange={(next) => setControls((prev) => prev.map((x) => (x.id === c.id ? next : x)))}
+                  />
+                )}
               </div>
             ))}
           </div>
         </section>
 
+        {/* Conditions */}
+        <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
+          <div className="flex items-baseline justify-between">
+            <h3 className="text-lg font-semibold">{t("conditionsTitle")}</h3>
+            <div className="text-xs text-slate-500">{t("conditionsHint")}</div>
+          </div>
+
+          <div className="mt-3 grid grid-cols-2 md:grid-cols-6 gap-3">
+            {CONDITION_FIELDS.map((k) => (
+              <label key={k} className="text-sm">
+                <div>{t(`cond_${k}`)}</div>
+                <input
+                  type="number"
+                  step="any"
+                  value={conditions[k] ?? ""}
+                  onChange={(e) => setConditionField(k, e.target.value)}
+                  className="w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+            <div>
+              {t("heatIndex")}:{" "}
+              <span className="font-semibold tabular-nums">
+                {conditionsAssessment.heatIndexC == null ? "—" : `${conditionsAssessment.heatIndexC.toFixed(1)} °C`}
+              </span>
+            </div>
+            <div>
+              {t("wbgtEstimate")}:{" "}
+              <span className="font-semibold tabular-nums">
+                {conditionsAssessment.wbgtC == null ? "—" : `${conditionsAssessment.wbgtC.toFixed(1)} °C`}
+              </span>
+            </div>
+            {conditionsAssessment.flag && (
+              <span className={`px-2 py-0.5 rounded-full border text-xs font-semibold ${FLAG_CLS[conditionsAssessment.flag]}`}>
+                {t(`flag_${conditionsAssessment.flag}`)}
+              </span>
+            )}
+            {FLAG_O_OFFSET[conditionsAssessment.flag] > 0 && (
+              <span className="text-xs text-amber-700">{t("flagRaisesO", FLAG_O_OFFSET[conditionsAssessment.flag])}</span>
+            )}
+            <div className="ml-auto flex items-center gap-2">
+              <label className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm cursor-pointer">
+                {t("loadReadings")}
+                <input
+                  type="file"
+                  accept="application/json,.json,text/csv,.csv"
+                  className="hidden"
+                  onChange={(e) => { loadReadings(e.target.files[0]); e.target.value = ""; }}
+                />
+              </label>
+              <button
+                onClick={() => { setConditions(EMPTY_CONDITIONS); setFeedStatus(null); }}
+                className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              >
+                {t("clearConditions")}
+              </button>
+            </div>
+          </div>
+          {conditions.updatedAt && (
+            <div className="text-xs text-slate-500 mt-1">
+              {t("conditionsUpdated", new Date(conditions.updatedAt).toLocaleString(), conditions.source === "manual" ? t("manualEntry") : conditions.source)}
+            </div>
+          )}
+          {feedStatus && (
+            <div className={`text-xs mt-1 ${feedStatus.error ? "text-red-600" : "text-slate-500"}`}>
+              {feedStatus.error ? t(feedStatus.error) : t("feedLoaded", feedStatus.readings.length)}
+            </div>
+          )}
+        </section>
+
+        {/* Resources on course */}
+        <section id="assets" className={`bg-white rounded-2xl shadow-sm border border-slate-200 p-4${focusCls("assets")}`}>
+          <div className="flex items-baseline justify-between">
+            <h3 className="text-lg font-semibold">{t("assetsTitle")}</h3>
+            <div className="text-xs text-slate-500">{t("assetsHint")}</div>
+          </div>
+
+          <div className="mt-3 flex flex-wrap items-end gap-2 text-sm">
+            <label>
+              <div className="text-xs text-slate-500">{t("assetKind")}</div>
+              <select
+                value={assetDraft.kind}
+                onChange={(e) => setAssetDraft({ ...assetDraft, kind: e.target.value })}
+                className="px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              >
+                {ASSET_KINDS.map((k) => (
+                  <option key={k} value={k}>{t(`marker_${k}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex-1 min-w-[8rem]">
+              <div className="text-xs text-slate-500">{t("assetLabel")}</div>
+              <input
+                value={assetDraft.label}
+                onChange={(e) => setAssetDraft({ ...assetDraft, label: e.target.value })}
+                className="w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              />
+            </label>
+            <label>
+              <div className="text-xs text-slate-500">km</div>
+              <input
+                type="number" min={0} step={0.1}
+                value={assetDraft.km}
+                onChange={(e) => setAssetDraft({ ...assetDraft, km: e.target.value })}
+                className="w-20 px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              />
+            </label>
+            <label>
+              <div className="text-xs text-slate-500">{t("segment")}</div>
+              <select
+                value={assetDraft.segmentId}
+                onChange={(e) => setAssetDraft({ ...assetDraft, segmentId: e.target.value })}
+                className="px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              >
+                <option value="">{t("autoSegment")}</option>
+                {template.segments.filter((sg) => sg.id !== WHOLE_COURSE_SEGMENT).map((sg) => (
+                  <option key={sg.id} value={sg.id}>{sg.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <div className="text-xs text-slate-500">{t("assetCount")}</div>
+              <input
+                type="number" min={1} step={1}
+                value={assetDraft.count}
+                onChange={(e) => setAssetDraft({ ...assetDraft, count: e.target.value })}
+                className="w-16 px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+              />
+            </label>
+            {assetDraft.kind === "ambulance" && (
+              <label className="flex items-center gap-1 pb-1.5">
+                <input type="checkbox" checked={assetDraft.als} onChange={(e) => setAssetDraft({ ...assetDraft, als: e.target.checked })} />
+                {t("alsCrew")}
+              </label>
+            )}
+            <button onClick={addAsset} className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm">
+              {t("addAsset")}
+            </button>
+          </div>
+
+          {assets.length === 0 ? (
+            <div className="mt-3 text-sm text-slate-500">{t("noAssets")}</div>
+          ) : (
+            <div className="mt-3 space-y-1">
+              {[...assets].sort((a, b) => (a.km ?? Infinity) - (b.km ?? Infinity)).map((a) => (
+                <div key={a.id} className="flex flex-wrap items-center gap-2 text-sm border border-slate-200 rounded-lg px-2 py-1">
+                  <span className="w-3 h-3 rounded-full" style={{ background: MARKER_STYLE[a.kind].fill }} />
+                  <span className="w-36 truncate">{t(`marker_${a.kind}`)}</span>
+                  <input
+                    value={a.label}
+                    placeholder={a.id}
+                    onChange={(e) => updateAsset(a.id, { label: e.target.value })}
+                    className="flex-1 min-w-[6rem] px-1.5 py-0.5 rounded border border-slate-200 bg-white text-sm"
+                  />
+                  <input
+                    type="number" min={0} step={0.1}
+                    value={a.km ?? ""}
+                    placeholder="km"
+                    onChange={(e) => updateAsset(a.id, { km: e.target.value === "" ? null : Number(e.target.value) })}
+                    className="w-20 px-1.5 py-0.5 rounded border border-slate-200 bg-white text-sm tabular-nums"
+                  />
+                  <select
+                    value={a.segmentId || ""}
+                    onChange={(e) => updateAsset(a.id, { segmentId: e.target.value || null })}
+                    className="px-1.5 py-0.5 rounded border border-slate-200 bg-white text-sm"
+                  >
+                    <option value="">{t("autoSegment", a.segmentId ? null : assetSegment(a, segmentRanges))}</option>
+                    {template.segments.filter((sg) => sg.id !== WHOLE_COURSE_SEGMENT).map((sg) => (
+                      <option key={sg.id} value={sg.id}>{sg.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number" min={1} step={1}
+                    value={a.count}
+                    title={t("assetCount")}
+                    onChange={(e) => updateAsset(a.id, { count: Number(e.target.value) || 1 })}
+                    className="w-14 px-1.5 py-0.5 rounded border border-slate-200 bg-white text-sm tabular-nums"
+                  />
+                  {a.kind === "ambulance" && (
+                    <label className="flex items-center gap-1 text-xs">
+                      <input type="checkbox" checked={a.als} onChange={(e) => updateAsset(a.id, { als: e.target.checked })} />
+                      {t("alsCrew")}
+                    </label>
+                  )}
+                  <button
+                    onClick={() => setAssets((prev) => prev.filter((x) => x.id !== a.id))}
+                    className="px-2 py-0.5 rounded border border-slate-200 bg-white text-xs"
+                  >
+                    {t("removeMarker")}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {assets.length > 0 && (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div>
+                {assetCheck.lengthKm == null ? (
+                  <div className="text-slate-500">{t("courseLengthUnknown")}</div>
+                ) : (
+                  <>
+                    <div className="text-xs text-slate-500">{t("checkedOver", assetCheck.lengthKm.toFixed(1))}</div>
+                    <div className="mt-1 flex flex-wrap gap-2">
+                      {ASSET_KINDS.filter((k) => assetCheck.maxGap[k]).map((k) => (
+                        <span key={k} className="px-2 py-0.5 rounded-lg border border-slate-200 bg-slate-50 text-xs">
+                          {t(`marker_${k}`)} — {t("maxGap")} {assetCheck.maxGap[k].gapKm} km (km {assetCheck.maxGap[k].fromKm}–{assetCheck.maxGap[k].toKm})
+                        </span>
+                      ))}
+                    </div>
+                    <div className="mt-3 text-xs font-semibold text-slate-500">{t("spacingViolations")}</div>
+                    {assetCheck.violations.length === 0 ? (
+                      <div className="text-xs text-emerald-700">{t("noViolations")}</div>
+                    ) : (
+                      <div className="mt-1 space-y-1">
+                        {assetCheck.violations.map((v) => (
+                          <button
+                            key={`${v.input}-${v.fromKm}`}
+                            onClick={() => jumpTo(`constraint-${v.constraintId}`)}
+                            className={`block w-full text-left px-2 py-1 rounded-lg border text-xs ${statusCls(v.status)}`}
+                          >
+                            {t(`marker_${v.kind}`)} — {t("gapOver", v.fromKm, v.toKm, v.gapKm, v.limitKm)}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
+                {assetCheck.unplaced > 0 && <div className="mt-2 text-xs text-slate-500">{t("unplacedAssets", assetCheck.unplaced)}</div>}
+              </div>
+
+              <div>
+                <div className="text-xs font-semibold text-slate-500">{t("coverageBySegment")}</div>
+                <table className="mt-1 w-full text-xs">
+                  <thead>
+                    <tr className="text-slate-500">
+                      <th className="text-left font-normal">{t("segment")}</th>
+                      {ASSET_KINDS.map((k) => (
+                        <th key={k} className="font-normal" title={t(`marker_${k}`)}>{MARKER_STYLE[k].glyph}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {template.segments.filter((sg) => assetCheck.coverage[sg.id]).map((sg) => (
+                      <tr key={sg.id} className="border-t border-slate-100">
+                        <td className="py-0.5 pr-2 truncate max-w-[12rem]" title={sg.name}>{sg.name}</td>
+                        {ASSET_KINDS.map((k) => (
+                          <td key={k} className={`text-center tabular-nums ${assetCheck.coverage[sg.id][k] ? "" : "text-slate-300"}`}>
+                            {assetCheck.coverage[sg.id][k]}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </section>
+
         {/* Constraints STAMP */}
         <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
           <div className="flex items-baseline justify-between">
@@ -1070,33 +5210,344 @@ function RaceSafetyMVP() {
             <div className="text-xs text-slate-500">{t("constraintsHint")}</div>
           </div>
 
+          {usedInputs.length > 0 && (
+            <div className="mt-3 border border-slate-200 rounded-xl p-3">
+              <div className="flex items-baseline justify-between gap-2">
+                <div className="text-sm font-semibold">{t("measuredInputs")}</div>
+                <div className="text-xs text-slate-500">{t("measuredInputsHint")}</div>
+              </div>
+              <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-3">
+                {usedInputs.map((k) =>
+                  CONSTRAINT_INPUTS[k].type === "boolean" ? (
+                    <label key={k} className="text-sm flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={!!(fedInputs[k] ?? constraintInputs[k])}
+                        disabled={fedInputs[k] != null}
+                        onChange={(e) => setConstraintInputs((prev) => ({ ...prev, [k]: e.target.checked }))}
+                      />
+                      <span>{inputLabel(k)}</span>
+                      {fedInputs[k] != null && <span className="text-xs text-sky-700">{fedFrom(k)}</span>}
+                    </label>
+                  ) : (
+                    <label key={k} className="text-sm">
+                      <div>{inputLabel(k)}{CONSTRAINT_INPUTS[k].unit ? ` (${CONSTRAINT_INPUTS[k].unit})` : ""}</div>
+                      <input
+                        type="number"
+                        step="any"
+                        value={(fedInputs[k] ?? constraintInputs[k]) ?? ""}
+                        disabled={fedInputs[k] != null}
+                        title={fedInputs[k] != null ? fedFrom(k) : undefined}
+                        onChange={(e) =>
+                          setConstraintInputs((prev) => ({ ...prev, [k]: e.target.value === "" ? null : Number(e.target.value) }))
+                        }
+                        className="w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm disabled:bg-sky-50"
+                      />
+                      {fedInputs[k] != null && <div className="text-xs text-sky-700">{fedFrom(k)}</div>}
+                    </label>
+                  )
+                )}
+              </div>
+            </div>
+          )}
+
           <div className="mt-3 space-y-2">
-            {constraints.map((s) => (
-              <div key={s.id} className="border border-slate-200 rounded-xl p-3 flex items-center justify-between gap-2">
-                <div>
-                  <div className="font-medium">{s.statement}</div>
-                  {s.critical && <div className="text-xs text-red-600 font-semibold">CRITICAL</div>}
+            {evaluatedConstraints.map((s) => (
+              <div
+                key={s.id}
+                id={`constraint-${s.id}`}
+                className={`border border-slate-200 rounded-xl p-3 space-y-2${focusCls(`constraint-${s.id}`)}`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    <div className="font-medium">{s.statement}</div>
+                    {s.critical && <div className="text-xs text-red-600 font-semibold">CRITICAL</div>}
+                    {s.rule && <div className="text-xs text-slate-500">{ruleText(s.rule)}</div>}
+                    {s.missing?.length > 0 && (
+                      <div className="text-xs text-amber-700">{t("missingInputs", s.missing.map(inputLabel).join(", "))}</div>
+                    )}
+                    {assetCheck.violations.filter((v) => v.constraintId === s.id).map((v) => (
+                      <button
+                        key={`${v.input}-${v.fromKm}`}
+                        onClick={() => jumpTo("assets")}
+                        className={`block text-left text-xs ${v.status === "fail" ? "text-red-700" : "text-amber-700"}`}
+                      >
+                        {t(`marker_${v.kind}`)} — {t("gapOver", v.fromKm, v.toKm, v.gapKm, v.limitKm)}
+                      </button>
+                    ))}
+                  </div>
+                  {s.rule ? (
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-1 rounded-lg border text-sm ${statusCls(s.status)}`}>{t(s.status)}</span>
+                      {!s.override && overrideDraft?.id !== s.id && (
+                        <button
+                          onClick={() => setOverrideDraft({ id: s.id, status: s.ruleStatus === "fail" ? "pass" : "fail", reason: "", error: false })}
+                          className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-xs"
+                        >
+                          {t("overrideStatus")}
+                        </button>
+                      )}
+                    </div>
+                  ) : (
+                    <select
+                      value={s.status}
+                      onChange={(e) =>
+                        setConstraints((prev) =>
+                          prev.map((x) => (x.id === s.id ? { ...x, status: e.target.value } : x))
+                        )
+                      }
+                      className={`px-2 py-1 rounded-lg border text-sm ${statusCls(s.status)}`}
+                    >
+                      <option value="pass">{t("pass")}</option>
+                      <option value="warn">{t("warn")}</option>
+                      <option value="fail">{t("fail")}</option>
+                    </select>
+                  )}
                 </div>
-                <select
-                  value={s.status}
-                  onChange={(e) =>
-                    setConstraints((prev) =>
-                      prev.map((x) => (x.id === s.id ? { ...x, status: e.target.value } : x))
-                    )
-                  }
-                  className={`px-2 py-1 rounded-lg border text-sm ${
-                    s.status === "pass" ? "border-emerald-300 bg-emerald-50" :
-                    s.status === "warn" ? "border-amber-300 bg-amber-50" :
-                    "border-red-300 bg-red-50"
-                  }`}
-                >
-                  <option value="pass">{t("pass")}</option>
-                  <option value="warn">{t("warn")}</option>
-                  <option value="fail">{t("fail")}</option>
-                </select>
+
+                {s.override && (
+                  <div className="flex flex-wrap items-center justify-between gap-2 text-xs rounded-lg px-2 py-1 bg-amber-50 border border-amber-300 text-amber-800">
+                    <span>
+                      {t("overriddenTo", t(s.override.status), t(s.ruleStatus))} — “{s.override.reason}” •{" "}
+                      {new Date(s.override.ts).toLocaleString()}
+                    </span>
+                    <button
+                      onClick={() => setConstraints((prev) => prev.map((x) => (x.id === s.id ? clearConstraintOverride(x) : x)))}
+                      className="px-2 py-0.5 rounded border border-slate-200 bg-white"
+                    >
+                      {t("clearOverride")}
+                    </button>
+                  </div>
+                )}
+
+                {overrideDraft?.id === s.id && (
+                  <div className="flex flex-wrap items-start gap-2 text-sm">
+                    <select
+                      value={overrideDraft.status}
+                      onChange={(e) => setOverrideDraft({ ...overrideDraft, status: e.target.value })}
+                      className={`px-2 py-1 rounded-lg border text-sm ${statusCls(overrideDraft.status)}`}
+                    >
+                      <option value="pass">{t("pass")}</option>
+                      <option value="warn">{t("warn")}</option>
+                      <option value="fail">{t("fail")}</option>
+                    </select>
+                    <div className="flex-1 min-w-[12rem]">
+                      <input
+                        value={overrideDraft.reason}
+                        placeholder={t("overrideReason")}
+                        onChange={(e) => setOverrideDraft({ ...overrideDraft, reason: e.target.value, error: false })}
+                        className="w-full px-2 py-1 rounded-lg border border-slate-200 bg-white text-sm"
+                      />
+                      {overrideDraft.error && <div className="text-xs text-red-600 mt-0.5">{t("errOverrideReason")}</div>}
+                    </div>
+                    <button onClick={applyOverride} className="px-3 py-1 rounded-lg bg-slate-900 text-white text-sm">
+                      {t("applyOverride")}
+                    </button>
+                    <button onClick={() => setOverrideDraft(null)} className="px-3 py-1 rounded-lg border border-slate-200 bg-white text-sm">
+                      {t("cancel")}
+                    </button>
+                  </div>
+                )}
+
+                {s.overrideLog?.length > 0 && (
+                  <details className="text-xs text-slate-500">
+                    <summary className="cursor-pointer">{t("overrideLog", s.overrideLog.length)}</summary>
+                    <ul className="mt-1 space-y-0.5">
+                      {s.overrideLog.map((o, i) => (
+                        <li key={i}>
+                          {new Date(o.ts).toLocaleString()} — {o.cleared ? t("overrideClearedEntry") : `${t(o.status)}: “${o.reason}”`}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+
+        {/* Action plan */}
+        <section id="action-plan" className={`bg-white rounded-2xl shadow-sm border border-slate-200 p-4${focusCls("action-plan")}`}>
+          <div className="flex items-baseline justify-between">
+            <h3 className="text-lg font-semibold">{t("actionPlanTitle")}</h3>
+            <div className="flex items-center gap-3">
+              <div className="text-xs text-slate-500">{t("actionPlanHint")}</div>
+              <button
+                onClick={openNewAction}
+                className="px-3 py-1.5 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+              >
+                {t("addAction")}
+              </button>
+            </div>
+          </div>
+
+          {actionDraft && (
+            <div className="mt-3">
+              <ActionForm
+                t={t}
+                draft={actionDraft}
+                targets={actionTargets}
+                roleLabel={roleLabel}
+                errors={actionErrors}
+                onChange={setActionDraft}
+                onSave={saveActionDraft}
+                onCancel={() => setActionDraft(null)}
+              />
+            </div>
+          )}
+
+          <div className="mt-3 rounded-xl border border-slate-200 p-3">
+            <div className="text-xs font-semibold text-slate-500">{t("overdueByRole")}</div>
+            {Object.keys(overdue).length === 0 ? (
+              <div className="text-sm text-emerald-700 mt-1">{t("noOverdue")}</div>
+            ) : (
+              <div className="mt-1 grid grid-cols-1 md:grid-cols-2 gap-3">
+                {Object.entries(overdue).map(([r, list]) => (
+                  <div key={r}>
+                    <div className={`text-sm font-semibold ${r === role ? "text-red-700" : ""}`}>{roleLabel(r)} ({list.length})</div>
+                    <ul className="mt-0.5 space-y-0.5 text-sm">
+                      {list.map((a) => (
+                        <li key={a.id} className="flex justify-between gap-2">
+                          <span className="truncate">{a.id} — {a.title}</span>
+                          <span className="text-xs text-red-700 whitespace-nowrap">
+                            {t("overdueDays", Math.round((new Date(today) - new Date(a.due)) / 86400000))}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
               </div>
+            )}
+          </div>
+
+          <div className="mt-3 space-y-2">
+            {templateActions.length === 0 && <div className="text-sm text-slate-500">{t("noActions")}</div>}
+            {[...templateActions]
+              .sort((a, b) => Number(isOpenAction(b)) - Number(isOpenAction(a)) || a.due.localeCompare(b.due))
+              .map((a) => (
+                <div key={a.id} className="border border-slate-200 rounded-xl p-3 space-y-2">
+                  <div className="flex flex-wrap items-start justify-between gap-2">
+                    <div>
+                      <div className="font-medium">{a.id} — {a.title}</div>
+                      <button onClick={() => jumpTo(actionAnchor(a.target))} className="text-xs text-slate-500 hover:underline text-left">
+                        {t(`actionTarget_${a.target.kind}`)}: {actionTargetLabel(a.target)}
+                      </button>
+                      <div className="text-xs text-slate-600">{t("expectedEffect")}: {effectText(t, a.target.kind, a.effect)}</div>
+                    </div>
+                    <div className="text-right text-xs">
+                      <div>{roleLabel(a.ownerRole)}</div>
+                      <div className={isOverdue(a, today) ? "text-red-700 font-semibold" : "text-slate-500"}>{t("dueDate")} {a.due}</div>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-1">
+                    {ACTION_STATUSES.map((st) => (
+                      <button
+                        key={st}
+                        onClick={() => changeActionStatus(a, st)}
+                        className={`px-2 py-0.5 rounded-lg border text-xs ${a.status === st ? ACTION_STATUS_CLS[st] + " font-semibold" : "border-slate-200 bg-white text-slate-500"}`}
+                      >
+                        {t(`actStatus_${st}`)}
+                      </button>
+                    ))}
+                    {a.appliedAt && (
+                      <span className="text-xs text-emerald-700 ml-1">{t("effectApplied", new Date(a.appliedAt).toLocaleString())}</span>
+                    )}
+                    <button onClick={() => deleteAction(a.id)} className="ml-auto px-2 py-0.5 rounded-lg border border-slate-200 bg-white text-xs">
+                      {t("deleteAction")}
+                    </button>
+                  </div>
+                </div>
+              ))}
+          </div>
+        </section>
+
+        {/* Go / No-Go */}
+        <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4">
+          <div className="flex items-baseline justify-between">
+            <h3 className="text-lg font-semibold">{t("goNoGoTitle")}</h3>
+            <div className="text-xs text-slate-500">{t("goNoGoHint")}</div>
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            {CHECKPOINTS.map((cp) => (
+              <button
+                key={cp}
+                onClick={() => openDecisionCheckpoint(cp)}
+                className={`px-3 py-1.5 rounded-lg border text-sm ${
+                  decisionDraft?.checkpoint === cp ? "bg-slate-900 text-white border-slate-900" : "bg-white border-slate-200"
+                }`}
+              >
+                {decisions.some((d) => d.checkpoint === cp) ? "✓ " : ""}
+                {t("openCheckpoint", t(`checkpoint_${cp}`))}
+              </button>
             ))}
           </div>
+
+          {decisionDraft && (
+            <DecisionDraftForm
+              key={decisionDraft.id}
+              t={t}
+              draft={decisionDraft}
+              roles={ROLES}
+              role={role}
+              roleLabel={roleLabel}
+              errors={decisionErrors}
+              onChange={(d) => { setDecisionDraft(d); setDecisionErrors({}); }}
+              onRecord={recordDecision}
+              onDiscard={discardDecisionDraft}
+            />
+          )}
+
+          <div className="mt-4">
+            <div className="text-sm font-semibold">{t("decisionRecords")}</div>
+            {!decisions.length && <div className="text-sm text-slate-500 mt-1">{t("noDecisions")}</div>}
+            <div className="mt-2 space-y-2">
+              {[...decisions].reverse().map((d) => {
+                const objections = Object.values(d.signOffs).filter((so) => !so.concur).length;
+                const intact = verifyRecord(d);
+                return (
+                  <div key={d.id} className="border border-slate-200 rounded-xl p-3 text-sm space-y-1">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-semibold">{t(`checkpoint_${d.checkpoint}`)}</span>
+                      <span className={`px-2 py-0.5 rounded-full border text-xs font-semibold ${DECISION_CLS[d.decision]}`}>
+                        {t(`decision_${d.decision}`)}
+                      </span>
+                      <span className="text-xs text-slate-500">
+                        {t("decidedAt")}: {new Date(d.decidedAt).toLocaleString()} • {t("scoreAtCheckpoint")}: {d.snapshot.holisticPct}% — {t(d.snapshot.status)}
+                      </span>
+                      <span className={`ml-auto text-xs ${intact ? "text-emerald-700" : "text-red-600 font-semibold"}`}>
+                        {intact ? `✓ ${t("recordIntact")}` : `⚠ ${t("recordAltered")}`} <span className="text-slate-400">#{d.hash}</span>
+                      </span>
+                    </div>
+                    {d.reason && <div>“{d.reason}”</div>}
+                    {d.snapshot.failingConstraints.length > 0 && (
+                      <div className="text-xs text-red-700">
+                        {t("failingAtCheckpoint")}: {d.snapshot.failingConstraints.map((c) => c.statement).join("; ")}
+                      </div>
+                    )}
+                    {sharedSigners(d).map((x) => (
+                      <div key={x.name} className="text-xs text-amber-700">
+                        ⚠ {t("sharedSigner", x.name, x.roles.map(roleLabel).join(", "))}
+                      </div>
+                    ))}
+                    <details className="text-xs text-slate-500">
+                      <summary className="cursor-pointer">{t("signOffSummary", Object.keys(d.signOffs).length - objections, objections)}</summary>
+                      <ul className="mt-1 space-y-0.5">
+                        {Object.entries(d.signOffs).map(([r, so]) => (
+                          <li key={r}>
+                            {roleLabel(r)} — {so.name}: {t(so.concur ? "concur" : "object")}
+                            {so.note ? ` “${so.note}”` : ""} • {new Date(so.ts).toLocaleString()}
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="mt-1 text-slate-400">{t("signOffsUnverified")}</div>
+                    </details>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
         </section>
 
         {/* Incident Log */}
@@ -1105,53 +5556,220 @@ function RaceSafetyMVP() {
             <h3 className="text-lg font-semibold">{t("incidentLogTitle")}</h3>
             <div className="text-xs text-slate-500">{t("incidentLogHint")}</div>
           </div>
-
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mt-3">
-            <select
-              value={incidentType}
-              onChange={(e) => setIncidentType(e.target.value)}
-              className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm"
-            >
-              {Object.keys(INCIDENTS_EN_TO_EL).map((k) => (
-                <option key={k} value={k}>{lang === "el" ? INCIDENTS_EN_TO_EL[k] : k}</option>
-              ))}
-            </select>
-
+          <label className="mt-2 flex items-center gap-2 text-sm">
+            <span>{t("evidenceWindow")}</span>
             <select
-              value={incidentHazardId}
-              onChange={(e) => setIncidentHazardId(e.target.value)}
-              className="px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm"
+              value={evidenceWindowH}
+              onChange={(e) => setEvidenceWindowH(Number(e.target.value))}
+              className="px-2 py-1 rounded-lg border border-slate-200 bg-white text-sm"
             >
-              {hazards.map((h) => (
-                <option key={h.id} value={h.id}>{h.name}</option>
+              {EVIDENCE_WINDOWS_H.map((h) => (
+                <option key={h} value={h}>{t("windowHours", h)}</option>
               ))}
             </select>
+          </label>
 
-            <button
-              onClick={logIncident}
-              className="px-4 py-2 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+          <div className="mt-3">
+            <IncidentForm
+              t={t}
+              lang={lang}
+              draft={{ type: incidentType, hazardId: incidentHazardId, ...incidentFields, reporterRole: incidentFields.reporterRole || role }}
+              hazards={activeHazards}
+              segments={template.segments}
+              roleLabel={roleLabel}
+              errors={incidentEdit ? {} : incidentErrors}
+              withNote
+              onChange={({ type, hazardId, ...rest }) => {
+                setIncidentType(type);
+                setIncidentHazardId(hazardId);
+                setIncidentFields(rest);
+              }}
             >
-              {t("logIncident")}
-            </button>
+              <button
+                onClick={logIncidentFromForm}
+                className="px-4 py-2 rounded-lg bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold"
+              >
+                {t("logIncident")}
+              </button>
+            </IncidentForm>
           </div>
 
           <div className="mt-4">
-            <div className="text-sm font-semibold">{t("recentIncidents")}</div>
-            <div className="text-xs text-slate-500">{t("recentIncidentsHint")}</div>
+            <div className="flex items-baseline justify-between gap-2">
+              <div>
+                <div className="text-sm font-semibold">{t("recentIncidents")}</div>
+                <div className="text-xs text-slate-500">{t("recentIncidentsHint")}</div>
+              </div>
+              <div className="text-xs text-slate-500">{t("incidentsShown", shownIncidents.length, incidents.length)}</div>
+            </div>
+
+            {/* search + filters */}
+            <input
+              value={incidentQuery}
+              placeholder={t("searchIncidents")}
+              onChange={(e) => { setIncidentQuery(e.target.value); setIncidentPage(0); }}
+              className="mt-2 w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm"
+            />
+            <div className="mt-2 grid grid-cols-2 md:grid-cols-6 gap-2">
+              {[
+                ["type", t("incidentType"), Object.keys(INCIDENTS_EN_TO_EL).map((k) => [k, lang === "el" ? INCIDENTS_EN_TO_EL[k] : k])],
+                ["severity", t("incidentSeverity"), INCIDENT_SEVERITIES.map((n) => [n, t("severityLabel", n)])],
+                ["segmentId", t("segment"), template.segments.map((sg) => [sg.id, sg.name])],
+                ["reporterRole", t("reporterRole"), ROLES.map((r) => [r, roleLabel(r)])],
+                ["outcome", t("outcome"), INCIDENT_OUTCOMES.map((o) => [o, t(`outcome_${o}`)])],
+                ["status", t("incidentStatus"), INCIDENT_STATUSES.map((st) => [st, t(`incStatus_${st}`)])],
+              ].map(([k, label, options]) => (
+                <select
+                  key={k}
+                  value={incidentFilters[k] ?? ""}
+                  onChange={(e) => { setIncidentFilters((prev) => ({ ...prev, [k]: e.target.value })); setIncidentPage(0); }}
+                  className="px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-sm"
+                  title={label}
+                >
+                  <option value="">{label}: {t("filterAll")}</option>
+                  {options.map(([v, text]) => (
+                    <option key={v} value={v}>{text}</option>
+                  ))}
+                </select>
+              ))}
+            </div>
 
             <div className="mt-2 space-y-2">
               {incidents.length === 0 && <div className="text-sm text-slate-500">{t("noIncidents")}</div>}
-              {incidents.map((x, i) => (
-                <div key={i} className="border border-slate-200 rounded-xl p-2 text-sm flex items-center justify-between">
-                  <div>
-                    {lang === "el" ? (INCIDENTS_EN_TO_EL[x.type] || x.type) : x.type}
-                    <span className="text-slate-400"> — {hazards.find((h) => h.id === x.hazardId)?.name || x.hazardId}</span>
+              {incidentPageView.items.map((x) => (
+                <div key={x.id} className="border border-slate-200 rounded-xl p-2 text-sm space-y-2">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <span className="font-medium">{lang === "el" ? (INCIDENTS_EN_TO_EL[x.type] || x.type) : x.type}</span>
+                      <span className="text-slate-400">
+                        {" "}— {x.templateKey && x.templateKey !== templateKey
+                          ? `${x.hazardName || x.hazardId} (${templateLabelOf(x.templateKey, userTemplates, lang)})`
+                          : hazards.find((h) => h.id === x.hazardId)?.name || x.hazardName || x.hazardId}
+                      </span>
+                    </div>
+                    <div className="flex items-center gap-2 text-xs text-slate-500">
+                      <span>{new Date(x.ts).toLocaleString()}</span>
+                      <button
+                        onClick={() => { setIncidentErrors({}); setIncidentEdit({ ...x, outcome: x.outcome || "" }); }}
+                        className="px-2 py-0.5 rounded border border-slate-200 bg-white"
+                      >
+                        {t("editIncident")}
+                      </button>
+                      <button onClick={() => deleteIncident(x.id)} className="px-2 py-0.5 rounded border border-red-200 bg-white text-red-700">
+                        {t("deleteIncident")}
+                      </button>
+                    </div>
                   </div>
-                  <div className="text-xs text-slate-500">{new Date(x.ts).toLocaleString()}</div>
+
+                  <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <span className={`px-2 py-0.5 rounded-full border ${x.severity >= 4 ? "border-red-300 bg-red-50 text-red-800" : "border-slate-200 bg-slate-50"}`}>
+                      {t("severityLabel", x.severity)}
+                    </span>
+                    {x.segmentId && (
+                      <span className="px-2 py-0.5 rounded-full border border-slate-200">
+                        {template.segments.find((sg) => sg.id === x.segmentId)?.name || x.segmentId}
+                      </span>
+                    )}
+                    <span className="text-slate-500">{t("peopleAffected")}: {x.peopleAffected}</span>
+                    <span className="text-slate-500">{t("outcome")}: {x.outcome ? t(`outcome_${x.outcome}`) : t("outcomePending")}</span>
+                    {x.reporterRole && <span className="text-slate-500">{t("reporterRole")}: {roleLabel(x.reporterRole)}</span>}
+                  </div>
+
+                  {/* lifecycle */}
+                  <div className="flex flex-wrap items-center gap-1">
+                    {INCIDENT_STATUSES.map((st) => (
+                      <button
+                        key={st}
+                        onClick={() => updateIncident(x.id, (cur) => setIncidentStatus(cur, st))}
+                        className={`px-2 py-0.5 rounded-lg border text-xs ${x.status === st ? INCIDENT_STATUS_CLS[st] + " font-semibold" : "border-slate-200 bg-white text-slate-500"}`}
+                      >
+                        {t(`incStatus_${st}`)}
+                      </button>
+                    ))}
+                    <span className="text-xs text-slate-400 ml-1">{new Date(statusSince(x)).toLocaleTimeString()}</span>
+                  </div>
+
+                  {incidentEdit?.id === x.id && (
+                    <div className="border-t border-slate-100 pt-2">
+                      <IncidentForm
+                        t={t}
+                        lang={lang}
+                        draft={incidentEdit}
+                        hazards={activeHazards.some((h) => h.id === incidentEdit.hazardId) ? activeHazards : [...activeHazards, { id: incidentEdit.hazardId, name: incidentEdit.hazardName || incidentEdit.hazardId }]}
+                        segments={template.segments}
+                        roleLabel={roleLabel}
+                        errors={incidentErrors}
+                        onChange={setIncidentEdit}
+                      >
+                        <button onClick={saveIncidentEdit} className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm">
+                          {t("save")}
+                        </button>
+                        <button onClick={() => setIncidentEdit(null)} className="px-3 py-1.5 rounded-lg border border-slate-200 bg-white text-sm">
+                          {t("cancel")}
+                        </button>
+                      </IncidentForm>
+                    </div>
+                  )}
+
+                  <details className="text-xs text-slate-500">
+                    <summary className="cursor-pointer">
+                      {t("incidentNotes", x.notes.length)} • {t("statusHistory")}
+                    </summary>
+                    <ul className="mt-1 space-y-0.5">
+                      {x.notes.map((n, i) => (
+                        <li key={i}>{new Date(n.ts).toLocaleTimeString()} — {n.text}</li>
+                      ))}
+                    </ul>
+                    <div className="mt-1 flex gap-2">
+                      <input
+                        value={noteDrafts[x.id] || ""}
+                        placeholder={t("notesPlaceholder")}
+                        onChange={(e) => setNoteDrafts((prev) => ({ ...prev, [x.id]: e.target.value }))}
+                        className="flex-1 px-2 py-1 rounded-lg border border-slate-200 bg-white text-sm"
+                      />
+                      <button onClick={() => addNoteTo(x.id)} className="px-2 py-1 rounded-lg border border-slate-200 bg-white">
+                        {t("addNote")}
+                      </button>
+                    </div>
+                    <ul className="mt-2 space-y-0.5">
+                      {x.statusLog.map((e, i) => (
+                        <li key={i}>{new Date(e.ts).toLocaleString()} — {t(`incStatus_${e.status}`)}</li>
+                      ))}
+                    </ul>
+                  </details>
                 </div>
               ))}
             </div>
+
+            {incidentPageView.pages > 1 && (
+              <div className="mt-2 flex items-center justify-center gap-2 text-sm">
+                <button
+                  onClick={() => setIncidentPage(incidentPageView.page - 1)}
+                  disabled={incidentPageView.page === 0}
+                  className="px-3 py-1 rounded-lg border border-slate-200 bg-white disabled:opacity-40"
+                >
+                  {t("prevPage")}
+                </button>
+                <span className="text-slate-500">{t("pageOf", incidentPageView.page + 1, incidentPageView.pages)}</span>
+                <button
+                  onClick={() => setIncidentPage(incidentPageView.page + 1)}
+                  disabled={incidentPageView.page === incidentPageView.pages - 1}
+                  className="px-3 py-1 rounded-lg border border-slate-200 bg-white disabled:opacity-40"
+                >
+                  {t("nextPage")}
+                </button>
+              </div>
+            )}
           </div>
+
+          <IncidentStatsPanel
+            t={t}
+            lang={lang}
+            stats={incidentStatsView}
+            segments={template.segments}
+            finishers={events[activeEventId]?.finishers}
+            onFinishers={(n) => updateEventMeta(activeEventId, { finishers: n })}
+          />
         </section>
 
         <footer className="text-center text-xs text-slate-500 py-4">
@@ -0,0 +1,147 @@
+/**
+ * Action plan — mitigations with an owner, a due date and an expected effect on the register.
+ *
+ * Action: {
+ *   id, title, target: { kind, id, domain? }, ownerRole, due: "YYYY-MM-DD",
+ *   status, effect, createdAt, statusLog: [{ status, ts }], appliedAt: null | ts
+ * }
+ * Targets and the effect fields they take (deltas, applied on completion):
+ *   hazard      S, O, D (results kept to 1..10), controlsActive (0..1)
+ *   control     readiness (0..1)
+ *   criterion   value (0..1); target.domain names the readiness domain
+ *   constraint  none: completing it means the constraint passes
+ *
+ * Marking an action done writes its effect into the register once (appliedAt); the
+ * projection applies every open action not yet applied on top of the current state, so an
+ * action reopened after completion is not counted twice. A controlsActive effect on a hazard
+ * with linked controls pins its coverage (controlsOverride) at the improved value.
+ * Completing a rule-based constraint overrides it to pass (constraints.js), with the action as the
+ * reason; the projection does the same, so a pending constraint action counts towards the projected score.
+ */
+import { clamp } from "./utils";
+import { derivedControlsActive, UCA_PENALTY, DEFAULT_CRITERION_VALUE } from "./scoring";
+import { overrideConstraint } from "./constraints";
+
+export const ACTION_STATUSES = ["planned", "inProgress", "done", "cancelled"];
+export const ACTION_TARGETS = ["hazard", "control", "constraint", "criterion"];
+export const EFFECT_FIELDS = {
+  hazard: ["S", "O", "D", "controlsActive"],
+  control: ["readiness"],
+  criterion: ["value"],
+  constraint: [],
+};
+
+export const isOpenAction = (a) => a.status === "planned" || a.status === "inProgress";
+
+// open, and its effect not already written into the register
+export const isPendingAction = (a) => isOpenAction(a) && !a.appliedAt;
+
+export function nextActionId(actions) {
+  const nums = actions.map((a) => /^ACT-(\d+)$/.exec(a.id)).filter(Boolean).map((m) => Number(m[1]));
+  return `ACT-${(nums.length ? Math.max(...nums) : 0) + 1}`;
+}
+
+export function newAction(actions, fields, ts = Date.now()) {
+  return {
+    effect: {},
+    ...fields,
+    id: nextActionId(actions),
+    status: "planned",
+    createdAt: ts,
+    statusLog: [{ status: "planned", ts }],
+    appliedAt: null,
+  };
+}
+
+// only the target kind's fields, non-zero
+export function cleanEffect(kind, effect = {}) {
+  return Object.fromEntries((EFFECT_FIELDS[kind] || []).filter((k) => Number(effect[k])).map((k) => [k, Number(effect[k])]));
+}
+
+// returns { field: i18nKey } (empty when valid)
+export function validateAction(a) {
+  const errors = {};
+  if (!a.title?.trim()) errors.title = "errActionTitle";
+  if (!ACTION_TARGETS.includes(a.target?.kind) || !a.target.id) errors.target = "errActionTarget";
+  if (!a.ownerRole) errors.ownerRole = "errActionOwner";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(a.due || "")) errors.due = "errActionDue";
+  if (!errors.target && a.target.kind !== "constraint" && !Object.keys(cleanEffect(a.target.kind, a.effect)).length) {
+    errors.effect = "errActionEffect";
+  }
+  return errors;
+}
+
+export function setActionStatus(a, status, ts = Date.now()) {
+  if (a.status === status) return a;
+  return { ...a, status, statusLog: [...a.statusLog, { status, ts }] };
+}
+
+// open and past its due date; today is a local "YYYY-MM-DD"
+export const isOverdue = (a, today) => isOpenAction(a) && a.due < today;
+
+/** Overdue actions per owner role, most overdue first. */
+export function overdueByRole(actions, today) {
+  const out = {};
+  actions
+    .filter((a) => isOverdue(a, today))
+    .sort((a, b) => a.due.localeCompare(b.due))
+    .forEach((a) => {
+      (out[a.ownerRole] ||= []).push(a);
+    });
+  return out;
+}
+
+export const localDay = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+const step = (v, delta) => clamp(v + delta, 1, 10);
+
+/**
+ * The register with the actions' effects applied, in order.
+ * @param {{ hazards, controls, constraints, criteriaValues }} state
+ * @param {{ ts?: number }} [opts]
+ * @returns the same shape; untouched parts are passed through. Overridden constraints also get
+ *   status "pass", so the result reads the same whether or not the rules were evaluated first.
+ */
+export function applyActionEffects(state, actions, ucaPenalty = UCA_PENALTY, { ts = Date.now() } = {}) {
+  let { hazards, controls, constraints, criteriaValues = {} } = state;
+  actions.forEach((a) => {
+    const e = cleanEffect(a.target.kind, a.effect);
+    const { id, domain } = a.target;
+    if (a.target.kind === "hazard") {
+      hazards = hazards.map((h) => {
+        if (h.id !== id) return h;
+        const next = { ...h };
+        ["S", "O", "D"].forEach((k) => {
+          if (e[k]) next[k] = step(h[k], e[k]);
+        });
+        if (e.controlsActive) {
+          const derived = derivedControlsActive(h, controls, ucaPenalty);
+          const base = derived != null && !h.controlsOverride ? derived : h.controlsActive;
+          next.controlsActive = clamp(base + e.controlsActive, 0, 1);
+          if (derived != null) next.controlsOverride = true;
+        }
+        return next;
+      });
+    } else if (a.target.kind === "control") {
+      controls = controls.map((c) => (c.id === id ? { ...c, readiness: clamp(c.readiness + (e.readiness || 0), 0, 1) } : c));
+    } else if (a.target.kind === "criterion") {
+      const cur = criteriaValues[domain]?.[id];
+      const v = clamp((typeof cur === "number" ? cur : DEFAULT_CRITERION_VALUE) + (e.value || 0), 0, 1);
+      criteriaValues = { ...criteriaValues, [domain]: { ...criteriaValues[domain], [id]: v } };
+    } else if (a.target.kind === "constraint") {
+      constraints = constraints.map((c) => {
+        if (c.id !== id) return c;
+        if (!c.rule) return { ...c, status: "pass" };
+        return { ...overrideConstraint(c, "pass", `${a.id} — ${a.title}`, ts), status: "pass" };
+      });
+    }
+  });
+  return { ...state, hazards, controls, constraints, criteriaValues };
+}
+
+// the register as if every pending action were completed
+export const projectOpenActions = (state, actions, ucaPenalty) =>
+  applyActionEffects(state, actions.filter(isPendingAction), ucaPenalty);
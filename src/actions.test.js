@@ -0,0 +1,133 @@
+import { describe, it, expect } from "vitest";
+import {
+  newAction, nextActionId, cleanEffect, validateAction, setActionStatus, isOverdue, overdueByRole, localDay,
+  applyActionEffects, projectOpenActions, isPendingAction,
+} from "./actions";
+import { scoreEvent } from "./scoring";
+import { applyConstraintRules } from "./constraints";
+
+const base = { title: "Extra AED at km 4", target: { kind: "hazard", id: "H1" }, ownerRole: "Medical Lead", due: "2026-05-01", effect: { O: -2 } };
+const state = {
+  hazards: [
+    { id: "H1", domain: "Health / Sanitary", S: 8, O: 5, D: 4, controlsActive: 0.5, weight: 1 },
+    { id: "H2", domain: "Sports", S: 6, O: 4, D: 4, controlsActive: 0.2, weight: 1, controlLinks: [{ controlId: "C1", effectiveness: 0.5 }] },
+  ],
+  controls: [{ id: "C1", name: "Sweep", readiness: 0.6, ucas: [] }],
+  constraints: [
+    { id: "SC-1", critical: true, status: "fail" },
+    { id: "SC-2", critical: true, status: "warn", rule: { input: "aedSpacingKm", op: "<=", warn: 1.2, fail: 1.5 } },
+  ],
+  criteriaValues: {},
+};
+
+describe("action records", () => {
+  it("numbers actions and starts them planned", () => {
+    const a = newAction([{ id: "ACT-2" }], base, 10);
+    expect(a).toMatchObject({ id: "ACT-3", status: "planned", createdAt: 10, appliedAt: null, statusLog: [{ status: "planned", ts: 10 }] });
+    expect(nextActionId([])).toBe("ACT-1");
+    expect(setActionStatus(a, "done", 20).statusLog).toEqual([{ status: "planned", ts: 10 }, { status: "done", ts: 20 }]);
+  });
+
+  it("keeps only the target's non-zero effect fields", () => {
+    expect(cleanEffect("hazard", { S: 0, O: "-2", readiness: 0.3 })).toEqual({ O: -2 });
+    expect(cleanEffect("constraint", { S: 1 })).toEqual({});
+  });
+
+  it("validates", () => {
+    expect(validateAction(base)).toEqual({});
+    expect(validateAction({ target: { kind: "hazard", id: "H1" }, effect: {} })).toEqual({
+      title: "errActionTitle", ownerRole: "errActionOwner", due: "errActionDue", effect: "errActionEffect",
+    });
+    expect(validateAction({ ...base, target: { kind: "constraint", id: "SC-1" }, effect: {} })).toEqual({});
+    expect(validateAction({ ...base, target: { kind: "hazard" } }).target).toBe("errActionTarget");
+  });
+});
+
+describe("overdue", () => {
+  const actions = [
+    { ...newAction([], base, 1), id: "A", due: "2026-04-02" },
+    { ...newAction([], base, 1), id: "B", due: "2026-03-01" },
+    { ...newAction([], { ...base, ownerRole: "Race Director" }, 1), id: "C", due: "2026-04-30" },
+    { ...newAction([], base, 1), id: "D", due: "2026-01-01", status: "done" },
+  ];
+
+  it("lists open actions past due per role, oldest first", () => {
+    expect(isOverdue(actions[0], "2026-04-02")).toBe(false);
+    const out = overdueByRole(actions, "2026-04-10");
+    expect(Object.keys(out)).toEqual(["Medical Lead"]);
+    expect(out["Medical Lead"].map((a) => a.id)).toEqual(["B", "A"]);
+  });
+
+  it("formats local days", () => {
+    expect(localDay(new Date(2026, 0, 5, 23, 30).getTime())).toBe("2026-01-05");
+  });
+});
+
+describe("effects", () => {
+  it("moves S/O/D within 1..10 and raises coverage", () => {
+    const out = applyActionEffects(state, [
+      { ...base, effect: { O: -6, S: 3 } },
+      { ...base, effect: { controlsActive: 0.3 } },
+    ]);
+    expect(out.hazards[0]).toMatchObject({ S: 10, O: 1, controlsActive: 0.8 });
+    expect(state.hazards[0].O).toBe(5);
+  });
+
+  it("pins linked coverage above the derived value", () => {
+    const out = applyActionEffects(state, [{ ...base, target: { kind: "hazard", id: "H2" }, effect: { controlsActive: 0.1 } }]);
+    expect(out.hazards[1].controlsActive).toBeCloseTo(0.4, 6);
+    expect(out.hazards[1].controlsOverride).toBe(true);
+  });
+
+  it("updates controls, criteria and constraints", () => {
+    const out = applyActionEffects(state, [
+      { ...base, target: { kind: "control", id: "C1" }, effect: { readiness: 0.5 } },
+      { ...base, target: { kind: "criterion", id: "medicalPlan", domain: "Health / Sanitary" }, effect: { value: 0.2 } },
+      { ...base, target: { kind: "constraint", id: "SC-1" }, effect: {} },
+    ]);
+    expect(out.controls[0].readiness).toBe(1);
+    expect(out.criteriaValues["Health / Sanitary"].medicalPlan).toBeCloseTo(0.95, 6);
+    expect(out.constraints[0].status).toBe("pass");
+  });
+
+  it("overrides a rule-based constraint with the action as the reason", () => {
+    const a = { ...base, id: "ACT-3", target: { kind: "constraint", id: "SC-2" }, effect: {} };
+    const out = applyActionEffects(state, [a], undefined, { ts: 5 });
+    expect(out.constraints[1].override).toEqual({ status: "pass", reason: "ACT-3 — Extra AED at km 4", ts: 5 });
+    expect(out.constraints[1].overrideLog).toHaveLength(1);
+    expect(out.constraints[1].status).toBe("pass");
+  });
+
+  it("projects a pending rule-based constraint action as completing would", () => {
+    const pending = newAction([], { ...base, target: { kind: "constraint", id: "SC-2" }, effect: {} }, 1);
+    const projected = projectOpenActions(state, [pending]).constraints[1];
+    expect(projected.status).toBe("pass");
+    expect(projected.override).toMatchObject({ status: "pass", reason: `${pending.id} — ${pending.title}` });
+    // the rules give way to the override, as they do after completion
+    expect(applyConstraintRules([projected], { aedSpacingKm: 2 })[0].status).toBe("pass");
+  });
+
+  it("projects only open actions and lifts the score", () => {
+    const actions = [
+      newAction([], { ...base, target: { kind: "constraint", id: "SC-1" } }, 1),
+      { ...newAction([], base, 1), status: "cancelled" },
+      newAction([], { ...base, effect: { controlsActive: 0.4 } }, 1),
+    ];
+    const projected = projectOpenActions(state, actions);
+    expect(projected.hazards[0].O).toBe(5);
+    expect(projected.hazards[0].controlsActive).toBeCloseTo(0.9, 6);
+    const now = scoreEvent(state);
+    const after = scoreEvent(projected);
+    expect(now.lockedRed).toBe(true);
+    expect(after.lockedRed).toBe(false);
+    expect(after.holisticPct).toBeGreaterThan(now.holisticPct);
+  });
+
+  it("does not project a reopened action a second time", () => {
+    const done = { ...setActionStatus(newAction([], base, 1), "done", 2), appliedAt: 2 };
+    const reopened = setActionStatus(done, "inProgress", 3);
+    expect(isPendingAction(reopened)).toBe(false);
+    expect(projectOpenActions(state, [reopened]).hazards[0].O).toBe(5);
+    expect(projectOpenActions(state, [newAction([], base, 1)]).hazards[0].O).toBe(3);
+  });
+});
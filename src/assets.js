@@ -0,0 +1,146 @@
+/**
+ * Asset register — AEDs, aid / water stations, medical posts, ambulances, marshals and barriers —
+ * and the placement check behind spacing constraints like "AED spacing <= 1.5 km".
+ *
+ * Asset:  { id, kind, km, segmentId, label, count, als }
+ *   km         position along the course (course.js); null when only the segment is known
+ *   segmentId  set by hand, or derived from km through the segment ranges
+ *   count      people / units at the spot (marshals, barriers); 1 otherwise
+ *   als        ambulances only: advanced life support crew
+ *
+ * Gaps are measured over assets with a km, from the start (km 0) to the finish: the course length,
+ * or without an imported course the end of the furthest segment range.
+ * The check feeds constraint inputs the same way the conditions do; kinds with nothing registered feed nothing.
+ */
+import { WHOLE_COURSE_SEGMENT } from "./catalog";
+import { isValidRange } from "./utils";
+import { segmentAtKm } from "./course";
+
+export const ASSET_KINDS = ["aed", "aid", "medical", "ambulance", "marshal", "barrier"];
+
+// constraint inputs (constraints.js) that are a spacing of one asset kind
+export const SPACING_INPUTS = { aedSpacingKm: "aed", waterSpacingKm: "aid" };
+
+// an AED this close to km 0 / the finish counts as "at start / finish"
+export const START_FINISH_TOLERANCE_KM = 0.2;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const hasKm = (a) => Number.isFinite(a?.km);
+
+// fills the defaults; assets from the course map (kind + km only) come through unchanged otherwise
+export function normalizeAsset(a) {
+  return {
+    label: "",
+    km: null,
+    segmentId: null,
+    count: 1,
+    als: false,
+    ...a,
+    kind: ASSET_KINDS.includes(a.kind) ? a.kind : "aid",
+  };
+}
+
+// the segment an asset covers: its own, else the ranged segment at its km
+export const assetSegment = (a, ranges) => a.segmentId || (hasKm(a) ? segmentAtKm(ranges, a.km) : null);
+
+/**
+ * Consecutive stretches between assets of one kind, start and finish included.
+ * @returns {{ fromKm: number, toKm: number, gapKm: number }[]}  empty without a course length
+ */
+export function assetGaps(assets, kind, lengthKm) {
+  if (!(lengthKm > 0)) return [];
+  const stops = [0, ...assets.filter((a) => a.kind === kind && hasKm(a)).map((a) => Math.min(a.km, lengthKm)), lengthKm]
+    .sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i] > stops[i - 1]) gaps.push({ fromKm: round2(stops[i - 1]), toKm: round2(stops[i]), gapKm: round2(stops[i] - stops[i - 1]) });
+  }
+  return gaps;
+}
+
+/**
+ * Spacing limits set by the constraints' rules, per input; the strictest wins when several constraints set one.
+ * @returns {{ [input]: { warn: number, fail: number, constraintId: string } }}
+ */
+export function spacingLimits(constraints) {
+  const out = {};
+  const walk = (rule, constraintId) => {
+    if (!rule) return;
+    if (rule.any || rule.all) return (rule.any || rule.all).forEach((r) => walk(r, constraintId));
+    if (!SPACING_INPUTS[rule.input] || rule.op !== "<=") return;
+    const cur = out[rule.input];
+    if (!cur || rule.fail < cur.fail) out[rule.input] = { warn: rule.warn, fail: rule.fail, constraintId };
+  };
+  constraints.forEach((c) => walk(c.rule, c.id));
+  return out;
+}
+
+/**
+ * The placement check.
+ * @param {object[]} assets
+ * @param {{ lengthKm: number|null, ranges: object, segments: {id}[], constraints: object[] }} course
+ * @returns {{
+ *   lengthKm, unplaced: number,
+ *   maxGap: { [kind]: { fromKm, toKm, gapKm } | null },
+ *   coverage: { [segmentId]: { [kind]: number } },
+ *   violations: { input, kind, constraintId, status: "warn"|"fail", fromKm, toKm, gapKm, limitKm }[],
+ *   inputs: object
+ * }}
+ */
+export function checkAssets(assets, { lengthKm = null, ranges = {}, segments = [], constraints = [] } = {}) {
+  const rangedEnd = Math.max(0, ...Object.values(ranges).filter(isValidRange).map((r) => r.toKm));
+  const length = lengthKm > 0 ? lengthKm : rangedEnd || null;
+
+  const maxGap = {};
+  ASSET_KINDS.forEach((kind) => {
+    const gaps = assetGaps(assets, kind, length);
+    maxGap[kind] = assets.some((a) => a.kind === kind && hasKm(a))
+      ? gaps.reduce((m, g) => (!m || g.gapKm > m.gapKm ? g : m), null)
+      : null;
+  });
+
+  const coverage = {};
+  segments.filter((sg) => sg.id !== WHOLE_COURSE_SEGMENT).forEach((sg) => {
+    coverage[sg.id] = Object.fromEntries(ASSET_KINDS.map((k) => [k, 0]));
+  });
+  assets.forEach((a) => {
+    const seg = assetSegment(a, ranges);
+    if (coverage[seg]) coverage[seg][a.kind] += a.count || 1;
+  });
+
+  const violations = [];
+  Object.entries(spacingLimits(constraints)).forEach(([input, limit]) => {
+    const kind = SPACING_INPUTS[input];
+    if (!maxGap[kind]) return;
+    assetGaps(assets, kind, length).forEach((g) => {
+      if (g.gapKm > limit.warn) {
+        const status = g.gapKm > limit.fail ? "fail" : "warn";
+        violations.push({ input, kind, constraintId: limit.constraintId, status, ...g, limitKm: status === "fail" ? limit.fail : limit.warn });
+      }
+    });
+  });
+
+  return {
+    lengthKm: length,
+    unplaced: assets.filter((a) => !hasKm(a)).length,
+    maxGap,
+    coverage,
+    violations,
+    inputs: assetInputs(assets, maxGap, length),
+  };
+}
+
+// constraint inputs the register provides; only kinds that are actually registered speak
+function assetInputs(assets, maxGap, lengthKm) {
+  const out = {};
+  Object.entries(SPACING_INPUTS).forEach(([input, kind]) => {
+    if (maxGap[kind]) out[input] = maxGap[kind].gapKm;
+  });
+  if (maxGap.aed) {
+    const near = (km) => assets.some((a) => a.kind === "aed" && hasKm(a) && Math.abs(a.km - km) <= START_FINISH_TOLERANCE_KM);
+    out.aedAtStartFinish = near(0) && near(lengthKm);
+  }
+  const ambulances = assets.filter((a) => a.kind === "ambulance");
+  if (ambulances.length) out.alsOnCourse = ambulances.some((a) => a.als);
+  return out;
+}
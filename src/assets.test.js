@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { normalizeAsset, assetSegment, assetGaps, spacingLimits, checkAssets } from "./assets";
+
+const ranges = { "SEG-1": { fromKm: 0, toKm: 4 }, "SEG-2": { fromKm: 4, toKm: 10 } };
+const segments = [{ id: "SEG-ALL" }, { id: "SEG-1" }, { id: "SEG-2" }];
+const constraints = [
+  { id: "SC-1", rule: { all: [{ input: "aedSpacingKm", op: "<=", warn: 1.2, fail: 1.5 }, { input: "alsOnCourse", op: "is", value: true }] } },
+  { id: "SC-2", rule: { input: "waterSpacingKm", op: "<=", warn: 2.5, fail: 3 } },
+  { id: "SC-3", rule: { input: "aedSpacingKm", op: "<=", warn: 2, fail: 2.5 } },
+];
+const aeds = [0, 1, 2.3, 3.5, 5, 6.2, 7.4, 8.6, 9.9].map((km, i) => normalizeAsset({ id: `A${i + 1}`, kind: "aed", km }));
+
+describe("asset register", () => {
+  it("fills defaults and keeps unknown kinds out", () => {
+    expect(normalizeAsset({ id: "A1", kind: "aed", km: 2 })).toEqual({ id: "A1", kind: "aed", km: 2, label: "", segmentId: null, count: 1, als: false });
+    expect(normalizeAsset({ id: "A2", kind: "helicopter" }).kind).toBe("aid");
+  });
+
+  it("places an asset in its own segment, else the one at its km", () => {
+    expect(assetSegment({ km: 5 }, ranges)).toBe("SEG-2");
+    expect(assetSegment({ km: 5, segmentId: "SEG-1" }, ranges)).toBe("SEG-1");
+    expect(assetSegment({ km: null }, ranges)).toBe(null);
+  });
+});
+
+describe("placement check", () => {
+  it("measures gaps from start to finish", () => {
+    expect(assetGaps([{ kind: "aid", km: 3 }, { kind: "aid", km: 7 }, { kind: "aed", km: 1 }], "aid", 10)).toEqual([
+      { fromKm: 0, toKm: 3, gapKm: 3 }, { fromKm: 3, toKm: 7, gapKm: 4 }, { fromKm: 7, toKm: 10, gapKm: 3 },
+    ]);
+    expect(assetGaps([{ kind: "aid", km: 3 }], "aid", null)).toEqual([]);
+  });
+
+  it("takes the strictest spacing limit from the constraint rules", () => {
+    expect(spacingLimits(constraints)).toEqual({
+      aedSpacingKm: { warn: 1.2, fail: 1.5, constraintId: "SC-1" },
+      waterSpacingKm: { warn: 2.5, fail: 3, constraintId: "SC-2" },
+    });
+  });
+
+  it("reports max gaps, coverage and spacing violations", () => {
+    const assets = [
+      ...aeds,
+      normalizeAsset({ id: "W1", kind: "aid", km: 2.5 }),
+      normalizeAsset({ id: "W2", kind: "aid", km: 6 }),
+      normalizeAsset({ id: "M1", kind: "marshal", segmentId: "SEG-1", count: 4 }),
+    ];
+    const res = checkAssets(assets, { lengthKm: 10, ranges, segments, constraints });
+    expect(res.maxGap.aed).toEqual({ fromKm: 3.5, toKm: 5, gapKm: 1.5 });
+    expect(res.maxGap.aid).toEqual({ fromKm: 6, toKm: 10, gapKm: 4 });
+    expect(res.maxGap.ambulance).toBe(null);
+    expect(res.unplaced).toBe(1);
+    expect(res.coverage["SEG-1"]).toMatchObject({ aed: 4, aid: 1, marshal: 4 });
+    expect(res.coverage["SEG-2"]).toMatchObject({ aed: 5, aid: 1, marshal: 0 });
+    expect(res.coverage["SEG-ALL"]).toBeUndefined();
+    expect(res.violations.map((v) => [v.input, v.status, v.fromKm, v.toKm, v.limitKm])).toEqual([
+      ["aedSpacingKm", "warn", 1, 2.3, 1.2],
+      ["aedSpacingKm", "warn", 3.5, 5, 1.2],
+      ["aedSpacingKm", "warn", 8.6, 9.9, 1.2],
+      ["waterSpacingKm", "fail", 2.5, 6, 3],
+      ["waterSpacingKm", "fail", 6, 10, 3],
+    ]);
+  });
+
+  it("feeds constraint inputs only for registered kinds", () => {
+    expect(checkAssets([], { lengthKm: 10, constraints }).inputs).toEqual({});
+    const inputs = checkAssets([...aeds, normalizeAsset({ id: "X", kind: "ambulance", segmentId: "SEG-2" })], { lengthKm: 10 }).inputs;
+    expect(inputs).toEqual({ aedSpacingKm: 1.5, aedAtStartFinish: true, alsOnCourse: false });
+  });
+
+  it("falls back to the segment ranges for the course length", () => {
+    const res = checkAssets([normalizeAsset({ id: "A1", kind: "aed", km: 0 })], { ranges });
+    expect(res.lengthKm).toBe(10);
+    expect(res.inputs).toEqual({ aedSpacingKm: 10, aedAtStartFinish: false });
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Static catalog: canonical EN keys with GR labels, roles, readiness
+ * sub-criteria, built-in event templates and the STPA control loops.
+ * Shared by the UI and the scoring engine; no React in here.
+ */
+
+// -----------------------------
+// Labels / Canonical EN keys
+// -----------------------------
+export const DOMAINS_EN = [
+  "Financial",
+  "Organizational",
+  "Health / Sanitary",
+  "Legal",
+  "Operational",
+  "Sports",
+  "Public Relations / Publicity",
+  "Human Resources",
+  "Environmental",
+  "Security – Threats",
+];
+export const DOMAINS_EL = [
+  "Οικονομικά",
+  "Οργανωτικά",
+  "Υγεία / Υγειονομικά",
+  "Νομικά",
+  "Λειτουργικά",
+  "Αθλητικά",
+  "Δημόσιες Σχέσεις / Προβολή",
+  "Ανθρώπινο Δυναμικό",
+  "Περιβαλλοντικά",
+  "Ασφάλεια – Απειλές",
+];
+
+export const ROLES_EN = [
+  "Race Director",
+  "Operations Lead",
+  "Medical Lead",
+  "Security Lead",
+  "PR / Media Lead",
+  "Finance Lead",
+  "HR / Volunteers Lead",
+  "Environmental Lead",
+  "Legal / Compliance Lead",
+  "Sports / Course Lead",
+];
+export const ROLES_EL = [
+  "Διευθυντής Αγώνα",
+  "Υπεύθυνος Λειτουργιών",
+  "Υπεύθυνος Υγειονομικού",
+  "Υπεύθυνος Ασφαλείας",
+  "Υπεύθυνος Δημοσίων Σχέσεων",
+  "Υπεύθυνος Οικονομικών",
+  "Υπεύθυνος Εθελοντών / ΑΔ",
+  "Υπεύθυνος Περιβάλλοντος",
+  "Υπεύθυνος Νομικής Συμμόρφωσης",
+  "Υπεύθυνος Διαδρομής / Αθλητικού",
+];
+
+export const CONTROLS_EN_TO_EL = {
+  "Heat / Cold Protocol": "Πρωτόκολλο Θερμότητας / Ψύχους",
+  "Traffic / Course Separation": "Διαχωρισμός Διαδρομής από Οχήματα",
+  "Medical Response & AED coverage": "Υγειονομική Υποστήριξη & Κάλυψη AED",
+  "Crowd Flow at Start/Finish": "Ροή Πλήθους στην Εκκίνηση/Τερματισμό",
+  "Security Screening Perimeter": "Ζώνη Ελέγχου Ασφαλείας",
+  "Trail Sweep / Search & Rescue": "Ορεινό Σκούπισμα / Έρευνα & Διάσωση",
+};
+
+export const INCIDENTS_EN_TO_EL = {
+  "Heat illness": "Θερμική Κατάρρευση",
+  "Runner collision": "Σύγκρουση Δρομέων",
+  "Course confusion": "Λάθος πορεία",
+  "Traffic incursion": "Εισβολή Οχήματος",
+  "Security concern": "Ζήτημα Ασφάλειας",
+  "Lightning / storm": "Κεραυνός / Κακοκαιρία",
+  "Trail fall": "Πτώση στο Μονοπάτι",
+};
+
+export const TEMPLATES_LABELS = {
+  roadShort: { en: "Road 5K / 10K", el: "Δρόμος 5K / 10K" },
+  roadMarathon: { en: "Road Half / Marathon", el: "Ημιμαραθώνιος / Μαραθώνιος" },
+  trailUltra: { en: "Trail / Ultra", el: "Ορεινό / Υπέρ-Αγώνας" },
+};
+
+// -----------------------------
+// Readiness sub-criteria (manual scoring)
+// Each criterion has weight (default 1)
+// -----------------------------
+export const READINESS_CRITERIA = {
+  "Financial": [
+    { id: "budget", en: "Budget secured", el: "Εξασφαλισμένος προϋπολογισμός" },
+    { id: "sponsors", en: "Sponsors/contracts signed", el: "Συμφωνίες χορηγών/συμβάσεων" },
+    { id: "cashflow", en: "Cashflow / payments plan", el: "Ρευστότητα / πλάνο πληρωμών" },
+  ],
+  "Organizational": [
+    { id: "plan", en: "Operational plan complete", el: "Ολοκληρωμένο επιχειρησιακό σχέδιο" },
+    { id: "comms", en: "Internal comms structure", el: "Δομή εσωτερικής επικοινωνίας" },
+    { id: "briefings", en: "Staff/volunteer briefings", el: "Briefings προσωπικού/εθελοντών" },
+  ],
+  "Health / Sanitary": [
+    { id: "medicalPlan", en: "Medical plan approved", el: "Εγκεκριμένο υγειονομικό σχέδιο" },
+    { id: "aed", en: "AED coverage ready", el: "Έτοιμη κάλυψη AED" },
+    { id: "hydration", en: "Hydration/heat plan", el: "Πλάνο ενυδάτωσης/ζέστης" },
+  ],
+  "Legal": [
+    { id: "permits", en: "All permits issued", el: "Έχουν εκδοθεί οι άδειες" },
+    { id: "insurance", en: "Insurance active", el: "Ενεργή ασφάλιση" },
+    { id: "waivers", en: "Waivers/rules published", el: "Κανονισμοί/δηλώσεις συμμετοχής" },
+  ],
+  "Operational": [
+    { id: "traffic", en: "Traffic plan & closures", el: "Σχέδιο κυκλοφορίας/κλεισίματα" },
+    { id: "vendors", en: "Vendors confirmed", el: "Επιβεβαίωση προμηθευτών" },
+    { id: "logistics", en: "Logistics ready", el: "Logistics έτοιμα" },
+    { id: "signage", en: "Signage & wayfinding", el: "Σήμανση/καθοδήγηση" },
+  ],
+  "Sports": [
+    { id: "courseCert", en: "Course measured/certified", el: "Μετρημένη/πιστοποιημένη διαδρομή" },
+    { id: "timing", en: "Timing/results provider ready", el: "Έτοιμος πάροχος χρονομέτρησης" },
+    { id: "stations", en: "Aid stations plan", el: "Πλάνο σταθμών υποστήριξης" },
+  ],
+  "Public Relations / Publicity": [
+    { id: "mediaPlan", en: "Media plan ready", el: "Έτοιμο media plan" },
+    { id: "crisis", en: "Crisis comms prepared", el: "Πλάνο επικοινωνίας κρίσης" },
+    { id: "athleteInfo", en: "Athlete info sent", el: "Ενημέρωση αθλητών" },
+  ],
+  "Human Resources": [
+    { id: "staffing", en: "Staffing complete", el: "Ολοκληρωμένη στελέχωση" },
+    { id: "volunteers", en: "Volunteers recruited", el: "Στρατολόγηση εθελοντών" },
+    { id: "training", en: "Training delivered", el: "Δόθηκαν εκπαιδεύσεις" },
+  ],
+  "Environmental": [
+    { id: "waste", en: "Waste plan", el: "Πλάνο απορριμμάτων" },
+    { id: "trailProtect", en: "Course protection", el: "Προστασία διαδρομής" },
+    { id: "weather", en: "Weather monitoring", el: "Παρακολούθηση καιρού" },
+  ],
+  "Security – Threats": [
+    { id: "riskAssess", en: "Threat assessment", el: "Αξιολόγηση απειλών" },
+    { id: "perimeter", en: "Security perimeter", el: "Ζώνες ασφαλείας" },
+    { id: "response", en: "Incident response ready", el: "Ετοιμότητα αντίδρασης" },
+  ],
+};
+
+// -----------------------------
+// Roles visibility
+// -----------------------------
+export const DOMAINS = DOMAINS_EN;
+export const ROLES = ROLES_EN;
+
+export const ROLE_DOMAINS = {
+  "Race Director": DOMAINS,
+  "Operations Lead": ["Organizational", "Operational", "Sports"],
+  "Medical Lead": ["Health / Sanitary", "Sports"],
+  "Security Lead": ["Security – Threats", "Operational"],
+  "PR / Media Lead": ["Public Relations / Publicity"],
+  "Finance Lead": ["Financial"],
+  "HR / Volunteers Lead": ["Human Resources", "Organizational"],
+  "Environmental Lead": ["Environmental"],
+  "Legal / Compliance Lead": ["Legal"],
+  "Sports / Course Lead": ["Sports", "Operational", "Environmental"],
+};
+
+export const ROLE_CONTROLS = {
+  "Race Director": null,
+  "Operations Lead": ["Traffic / Course Separation", "Crowd Flow at Start/Finish"],
+  "Medical Lead": ["Heat / Cold Protocol", "Medical Response & AED coverage"],
+  "Security Lead": ["Security Screening Perimeter", "Traffic / Course Separation"],
+  "PR / Media Lead": [],
+  "Finance Lead": [],
+  "HR / Volunteers Lead": [],
+  "Environmental Lead": ["Heat / Cold Protocol"],
+  "Legal / Compliance Lead": [],
+  "Sports / Course Lead": ["Trail Sweep / Search & Rescue", "Crowd Flow at Start/Finish"],
+};
+
+// -----------------------------
+// Templates
+// Constraint rules are evaluated over measured inputs (see constraints.js);
+// conditionDriver: "heat" hazards take extra Occurrence from the WBGT flag (see conditions.js)
+// -----------------------------
+
+// pseudo-segment for hazards that apply along the whole course; it never gets a range
+export const WHOLE_COURSE_SEGMENT = "SEG-ALL";
+
+export const TEMPLATES = {
+  roadShort: {
+    label: TEMPLATES_LABELS.roadShort.en,
+    hazards: [
+      { id: "H1", domain: "Health / Sanitary", name: "Heat illness / dehydration", S: 8, O: 4, D: 4, controlsActive: 0.8, weight: 1.3, segmentId: "SEG-START", controlLinks: [{ controlId: "C1", effectiveness: 0.9 }, { controlId: "C3", effectiveness: 0.5 }], conditionDriver: "heat" },
+      { id: "H2", domain: "Operational", name: "Course misdirection at junctions", S: 5, O: 4, D: 5, controlsActive: 0.7, weight: 1.0, segmentId: "SEG-2", controlLinks: [{ controlId: "C2", effectiveness: 0.6 }] },
+      { id: "H3", domain: "Security – Threats", name: "Unauthorized vehicle access", S: 9, O: 2, D: 6, controlsActive: 0.7, weight: 1.4, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C2", effectiveness: 0.8 }, { controlId: "C5", effectiveness: 0.6 }] },
+      { id: "H4", domain: "Sports", name: "Runner crowding at start", S: 6, O: 5, D: 3, controlsActive: 0.9, weight: 1.0, segmentId: "SEG-START", controlLinks: [{ controlId: "C4", effectiveness: 0.9 }] },
+      { id: "H5", domain: "Environmental", name: "Sudden rain / slippery road", S: 6, O: 3, D: 5, controlsActive: 0.7, weight: 1.0, segmentId: "SEG-3" },
+      { id: "H6", domain: "Human Resources", name: "Volunteer no-shows", S: 5, O: 4, D: 4, controlsActive: 0.6, weight: 0.9, segmentId: "SEG-START" },
+    ],
+    constraints: [
+      { id: "S1", statement: "Heat index <= 32°C OR Heat Protocol Level 2 active", critical: true, status: "pass",
+        rule: { any: [{ input: "heatIndex", op: "<=", warn: 30, fail: 32 }, { input: "heatProtocolLevel", op: ">=", warn: 2, fail: 2 }] } },
+      { id: "S2", statement: "No open vehicle access on any course segment", critical: true, status: "pass",
+        rule: { input: "openVehicleAccess", op: "<=", warn: 0, fail: 0 } },
+      { id: "S3", statement: "AED coverage at start/finish + roving medics", critical: true, status: "pass",
+        rule: { all: [{ input: "aedAtStartFinish", op: "is", value: true }, { input: "rovingMedics", op: ">=", warn: 2, fail: 1 }] } },
+    ],
+    segments: [
+      { id: "SEG-START", name: "Start/Finish Zone" },
+      { id: "SEG-1", name: "KM 0–1" },
+      { id: "SEG-2", name: "KM 1–3" },
+      { id: "SEG-3", name: "KM 3–5" },
+      { id: "SEG-ALL", name: "Whole course" },
+    ],
+  },
+  roadMarathon: {
+    label: TEMPLATES_LABELS.roadMarathon.en,
+    hazards: [
+      { id: "H1", domain: "Health / Sanitary", name: "Heat illness / dehydration", S: 9, O: 5, D: 4, controlsActive: 0.75, weight: 1.5, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C1", effectiveness: 0.9 }, { controlId: "C3", effectiveness: 0.5 }], conditionDriver: "heat" },
+      { id: "H2", domain: "Sports", name: "Cardiac emergency", S: 10, O: 2, D: 7, controlsActive: 0.7, weight: 1.6, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C3", effectiveness: 0.95 }] },
+      { id: "H3", domain: "Operational", name: "Water station depletion", S: 8, O: 3, D: 6, controlsActive: 0.7, weight: 1.3, segmentId: "SEG-10" },
+      { id: "H4", domain: "Operational", name: "Course misdirection at junctions", S: 6, O: 4, D: 6, controlsActive: 0.7, weight: 1.1, segmentId: "SEG-5", controlLinks: [{ controlId: "C2", effectiveness: 0.6 }] },
+      { id: "H5", domain: "Security – Threats", name: "Unauthorized vehicle access", S: 10, O: 2, D: 6, controlsActive: 0.65, weight: 1.5, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C2", effectiveness: 0.8 }, { controlId: "C5", effectiveness: 0.6 }] },
+      { id: "H6", domain: "Environmental", name: "Lightning / severe storm", S: 10, O: 2, D: 7, controlsActive: 0.7, weight: 1.3, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C1", effectiveness: 0.7 }] },
+      { id: "H7", domain: "Human Resources", name: "Volunteer fatigue / shift gaps", S: 6, O: 5, D: 4, controlsActive: 0.6, weight: 1.0, segmentId: "SEG-START" },
+    ],
+    constraints: [
+      { id: "S1", statement: "Heat index <= 30°C OR Start-time adjusted / heat protocol active", critical: true, status: "pass",
+        rule: { any: [{ input: "heatIndex", op: "<=", warn: 28, fail: 30 }, { input: "startTimeAdjusted", op: "is", value: true }, { input: "heatProtocolLevel", op: ">=", warn: 1, fail: 1 }] } },
+      { id: "S2", statement: "AED spacing <= 1.5km and ALS on course", critical: true, status: "pass",
+        rule: { all: [{ input: "aedSpacingKm", op: "<=", warn: 1.2, fail: 1.5 }, { input: "alsOnCourse", op: "is", value: true }] } },
+      { id: "S3", statement: "No open vehicle access on any course segment", critical: true, status: "pass",
+        rule: { input: "openVehicleAccess", op: "<=", warn: 0, fail: 0 } },
+      { id: "S4", statement: "Water points every <= 3km", critical: true, status: "pass",
+        rule: { input: "waterSpacingKm", op: "<=", warn: 2.5, fail: 3 } },
+      { id: "S5", statement: "Lightning at least 10 km away", critical: true, status: "pass",
+        rule: { input: "lightningKm", op: ">=", warn: 15, fail: 10 } },
+    ],
+    segments: [
+      { id: "SEG-START", name: "Start/Finish Zone" },
+      { id: "SEG-5", name: "KM 3–7 Junction Cluster" },
+      { id: "SEG-10", name: "KM 9–12 Long straight" },
+      { id: "SEG-20", name: "KM 18–22 Exposed area" },
+      { id: "SEG-ALL", name: "Whole course" },
+    ],
+  },
+  trailUltra: {
+    label: TEMPLATES_LABELS.trailUltra.en,
+    hazards: [
+      { id: "H1", domain: "Sports", name: "Falls on technical terrain", S: 8, O: 5, D: 6, controlsActive: 0.6, weight: 1.4, segmentId: "SEG-TECH", controlLinks: [{ controlId: "C6", effectiveness: 0.5 }, { controlId: "C3", effectiveness: 0.4 }] },
+      { id: "H2", domain: "Environmental", name: "Rapid weather change (cold/rain, hypothermia)", S: 9, O: 4, D: 7, controlsActive: 0.6, weight: 1.5, segmentId: "SEG-RIDGE", controlLinks: [{ controlId: "C1", effectiveness: 0.7 }] },
+      { id: "H3", domain: "Operational", name: "Runner lost off-course", S: 9, O: 3, D: 7, controlsActive: 0.65, weight: 1.4, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C6", effectiveness: 0.8 }] },
+      { id: "H4", domain: "Health / Sanitary", name: "Heat illness / dehydration", S: 9, O: 4, D: 6, controlsActive: 0.6, weight: 1.5, segmentId: "SEG-ALL", controlLinks: [{ controlId: "C1", effectiveness: 0.8 }, { controlId: "C3", effectiveness: 0.4 }], conditionDriver: "heat" },
+      { id: "H5", domain: "Security – Threats", name: "Delayed rescue access", S: 9, O: 3, D: 8, controlsActive: 0.55, weight: 1.6, segmentId: "SEG-REMOTE", controlLinks: [{ controlId: "C6", effectiveness: 0.7 }, { controlId: "C3", effectiveness: 0.5 }] },
+      { id: "H6", domain: "Human Resources", name: "Aid station understaffing", S: 7, O: 4, D: 5, controlsActive: 0.6, weight: 1.2, segmentId: "SEG-AID" },
+    ],
+    constraints: [
+      { id: "S1", statement: "Sweep team contact interval <= 30 min", critical: true, status: "pass",
+        rule: { input: "sweepContactMin", op: "<=", warn: 25, fail: 30 } },
+      { id: "S2", statement: "Mandatory gear check active", critical: true, status: "pass",
+        rule: { input: "gearCheckActive", op: "is", value: true } },
+      { id: "S3", statement: "Comms coverage on all segments", critical: true, status: "pass",
+        rule: { input: "commsCoveragePct", op: ">=", warn: 100, fail: 95 } },
+      { id: "S4", statement: "Lightning / storm thresholds respected", critical: true, status: "pass",
+        rule: { input: "lightningKm", op: ">=", warn: 15, fail: 10 } },
+    ],
+    segments: [
+      { id: "SEG-START", name: "Start/Finish Zone" },
+      { id: "SEG-TECH", name: "Technical descent" },
+      { id: "SEG-RIDGE", name: "Exposed ridge" },
+      { id: "SEG-REMOTE", name: "Remote valley" },
+      { id: "SEG-AID", name: "Aid Stations" },
+      { id: "SEG-ALL", name: "Whole course" },
+    ],
+  },
+};
+
+// STPA control loops (template hazards link to them by id through controlLinks)
+// ucas follow the shape in stpa.js; open ones reduce the control's readiness
+export const INITIAL_CONTROLS = [
+  {
+    id: "C1", name: "Heat / Cold Protocol", readiness: 0.7,
+    controller: "Medical Lead",
+    process: "Runner thermal state on course",
+    actions: ["Raise heat / cold protocol level", "Open extra cooling or warming points", "Announce pace and hydration advisories"],
+    feedback: ["Heat index / WBGT readings", "Heat and cold cases at medical tents"],
+    ucas: [
+      {
+        id: "U1", type: "wrongTiming", status: "open",
+        description: "Protocol level raised after the first heat cases instead of on the forecast",
+        scenarios: ["Heat index read only at the start area", "Nobody assigned to watch the forecast on race morning"],
+      },
+    ],
+  },
+  {
+    id: "C2", name: "Traffic / Course Separation", readiness: 0.8,
+    controller: "Traffic Lead",
+    process: "Vehicle access to the course",
+    actions: ["Close roads", "Staff barriers at junctions", "Reopen sections behind the sweep"],
+    feedback: ["Marshal radio reports", "Sweep vehicle position"],
+    ucas: [],
+  },
+  {
+    id: "C3", name: "Medical Response & AED coverage", readiness: 0.75,
+    controller: "Medical Lead",
+    process: "Casualty care on course",
+    actions: ["Dispatch roving medics", "Send AED team", "Request ambulance transfer"],
+    feedback: ["Radio calls from marshals", "Medic positions"],
+    ucas: [
+      {
+        id: "U1", type: "notProvided", status: "open",
+        description: "AED team not sent because the call reaches the wrong radio channel",
+        scenarios: ["Marshals and medical control on different channels"],
+      },
+    ],
+  },
+  {
+    id: "C4", name: "Crowd Flow at Start/Finish", readiness: 0.85,
+    controller: "Start Line Manager",
+    process: "Runner density in start corrals and the finish chute",
+    actions: ["Release corral waves", "Hold the start", "Divert the finish chute"],
+    feedback: ["Corral marshal reports", "Finish area CCTV"],
+    ucas: [],
+  },
+  {
+    id: "C5", name: "Security Screening Perimeter", readiness: 0.6,
+    controller: "Security Lead",
+    process: "Perimeter and bag screening",
+    actions: ["Screen entrants", "Close entry gates", "Escalate to police"],
+    feedback: ["Gate counts", "Steward incident reports"],
+    ucas: [
+      {
+        id: "U1", type: "providedUnsafe", status: "open",
+        description: "Gates closed while runners still queue, pressing the crowd against barriers",
+        scenarios: ["Gate counts reach the security lead 10+ min late"],
+      },
+      {
+        id: "U2", type: "wrongDuration", status: "open",
+        description: "Screening stopped too soon when the queue grew before the start",
+        scenarios: ["Start time pressure overrides screening policy", "No written rule on when screening may be relaxed"],
+      },
+    ],
+  },
+  {
+    id: "C6", name: "Trail Sweep / Search & Rescue", readiness: 0.65,
+    controller: "Sweep Team Lead",
+    process: "Runners behind the cut-off and lost runners",
+    actions: ["Sweep each segment", "Launch a search", "Close aid stations"],
+    feedback: ["Checkpoint timing", "Sweep radio check-ins"],
+    ucas: [
+      {
+        id: "U1", type: "wrongTiming", status: "open",
+        description: "Search launched late after a runner misses a checkpoint",
+        scenarios: ["Checkpoint timing not reconciled with the sweep list"],
+      },
+    ],
+  },
+];
@@ -0,0 +1,147 @@
+/**
+ * Weather conditions — heat index, estimated WBGT and race flag level.
+ * Pure helpers; the UI feeds the results into the constraint inputs and heat hazards.
+ *
+ * Conditions: { tempC, rh, windMs, solarWm2, lightningKm, precipMmH, updatedAt, source }
+ * Every reading may be null (not measured).
+ */
+import { clamp } from "./utils";
+
+export const CONDITION_FIELDS = ["tempC", "rh", "windMs", "solarWm2", "lightningKm", "precipMmH"];
+export const EMPTY_CONDITIONS = {
+  tempC: null, rh: null, windMs: null, solarWm2: null, lightningKm: null, precipMmH: null, updatedAt: null, source: null,
+};
+
+// ACSM road race flags by WBGT (°C): upper bound of each band
+export const WBGT_FLAGS = [
+  { flag: "white", below: 10 },
+  { flag: "green", below: 18 },
+  { flag: "yellow", below: 23 },
+  { flag: "red", below: 28 },
+  { flag: "black", below: Infinity },
+];
+// Occurrence added to heat-driven hazards per flag
+export const FLAG_O_OFFSET = { white: 0, green: 0, yellow: 1, red: 2, black: 3 };
+
+const has = (v) => typeof v === "number" && !Number.isNaN(v);
+const toF = (c) => c * 9 / 5 + 32;
+const toC = (f) => (f - 32) * 5 / 9;
+
+// NWS heat index (Steadman below ~80°F, Rothfusz regression with adjustments above)
+export function heatIndexC(tempC, rh) {
+  const T = toF(tempC);
+  const simple = 0.5 * (T + 61 + (T - 68) * 1.2 + rh * 0.094);
+  if ((simple + T) / 2 < 80) return toC(simple);
+  let hi = -42.379 + 2.04901523 * T + 10.14333127 * rh - 0.22475541 * T * rh - 0.00683783 * T * T -
+    0.05481717 * rh * rh + 0.00122874 * T * T * rh + 0.00085282 * T * rh * rh - 0.00000199 * T * T * rh * rh;
+  if (rh < 13 && T >= 80 && T <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  if (rh > 85 && T >= 80 && T <= 87) hi += ((rh - 85) / 10) * ((87 - T) / 5);
+  return toC(hi);
+}
+
+// Stull (2011) wet-bulb temperature from air temperature and relative humidity
+export function wetBulbC(tempC, rh) {
+  return tempC * Math.atan(0.151977 * Math.sqrt(rh + 8.313659)) + Math.atan(tempC + rh) - Math.atan(rh - 1.676331) +
+    0.00391838 * rh ** 1.5 * Math.atan(0.023101 * rh) - 4.686035;
+}
+
+/**
+ * Outdoor WBGT estimate: 0.7 wet bulb + 0.2 globe + 0.1 air.
+ * The globe temperature is approximated from solar load and wind, so this is a planning
+ * estimate, not a substitute for a WBGT meter on the course.
+ */
+export function estimateWbgtC({ tempC, rh, windMs, solarWm2 }) {
+  const globe = tempC + (0.018 * Math.max(0, solarWm2 ?? 0)) / (1 + 0.3 * Math.max(0, windMs ?? 1));
+  return 0.7 * wetBulbC(tempC, clamp(rh, 0, 100)) + 0.2 * globe + 0.1 * tempC;
+}
+
+export const wbgtFlag = (wbgt) => WBGT_FLAGS.find((f) => wbgt < f.below).flag;
+
+/**
+ * Heat index, WBGT and flag; all null until temperature and humidity are known.
+ * @returns {{ heatIndexC: number|null, wbgtC: number|null, flag: string|null }}
+ */
+export function assessConditions(c) {
+  if (!has(c?.tempC) || !has(c?.rh)) return { heatIndexC: null, wbgtC: null, flag: null };
+  const wbgt = estimateWbgtC(c);
+  return { heatIndexC: heatIndexC(c.tempC, clamp(c.rh, 0, 100)), wbgtC: wbgt, flag: wbgtFlag(wbgt) };
+}
+
+// constraint inputs (constraints.js) that the conditions provide
+export function conditionInputs(c, assessment = assessConditions(c)) {
+  const out = {};
+  if (assessment.heatIndexC != null) out.heatIndex = Math.round(assessment.heatIndexC * 10) / 10;
+  if (has(c?.lightningKm)) out.lightningKm = c.lightningKm;
+  return out;
+}
+
+// heat-driven hazards (conditionDriver: "heat") get the flag's Occurrence offset; baseO keeps the register value
+export function applyHeatOccurrence(hazards, flag) {
+  const offset = FLAG_O_OFFSET[flag] || 0;
+  if (!offset) return hazards;
+  return hazards.map((h) =>
+    h.conditionDriver === "heat" ? { ...h, baseO: h.O, O: clamp(h.O + offset, 1, 10) } : h
+  );
+}
+
+// -----------------------------
+// Readings feed (local JSON or CSV file)
+// JSON: [{ ts, tempC, rh, ... }] or { readings: [...] }
+// CSV:  header row with the same names (a few common aliases accepted), one reading per line
+// -----------------------------
+const FEED_ALIASES = {
+  ts: "ts", time: "ts", timestamp: "ts",
+  tempc: "tempC", temp: "tempC", temperature: "tempC",
+  rh: "rh", humidity: "rh",
+  windms: "windMs", wind: "windMs",
+  solarwm2: "solarWm2", solar: "solarWm2",
+  lightningkm: "lightningKm", lightning: "lightningKm",
+  precipmmh: "precipMmH", precip: "precipMmH", rain: "precipMmH",
+};
+
+function toReading(raw) {
+  const r = {};
+  Object.entries(raw).forEach(([k, v]) => {
+    const field = FEED_ALIASES[String(k).trim().toLowerCase()];
+    if (!field) return;
+    if (field === "ts") r.ts = typeof v === "number" ? v : Date.parse(v);
+    else if (v !== "" && v != null && !Number.isNaN(Number(v))) r[field] = Number(v);
+  });
+  return r;
+}
+
+/**
+ * Parses a readings file; readings come back oldest first.
+ * @returns {{ readings: object[] } | { error: "errFeedFormat" | "errFeedEmpty" }}
+ */
+export function parseConditionsFeed(text, filename = "") {
+  let rows;
+  try {
+    if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+      const doc = JSON.parse(text);
+      rows = Array.isArray(doc) ? doc : doc?.readings;
+      if (!Array.isArray(rows)) return { error: "errFeedFormat" };
+    } else {
+      const lines = text.split(/\r?\n/).filter((l) => l.trim());
+      const head = (lines.shift() || "").split(/[,;]/);
+      rows = lines.map((l) => Object.fromEntries(l.split(/[,;]/).map((v, i) => [head[i], v.trim()])));
+    }
+  } catch {
+    return { error: "errFeedFormat" };
+  }
+  const readings = rows
+    .filter((r) => r && typeof r === "object")
+    .map(toReading)
+    .filter((r) => CONDITION_FIELDS.some((k) => has(r[k])))
+    .sort((a, b) => (a.ts || 0) - (b.ts || 0));
+  return readings.length ? { readings } : { error: "errFeedEmpty" };
+}
+
+// conditions from the newest reading of a feed
+export function conditionsFromReading(reading, source) {
+  const out = { ...EMPTY_CONDITIONS, source, updatedAt: has(reading.ts) ? reading.ts : Date.now() };
+  CONDITION_FIELDS.forEach((k) => {
+    if (has(reading[k])) out[k] = reading[k];
+  });
+  return out;
+}
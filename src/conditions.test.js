@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { TEMPLATES } from "./catalog";
+import {
+  heatIndexC, wetBulbC, estimateWbgtC, wbgtFlag, assessConditions, conditionInputs, applyHeatOccurrence,
+  parseConditionsFeed, conditionsFromReading,
+} from "./conditions";
+
+describe("heat metrics", () => {
+  it("matches the NWS heat index and Stull wet bulb", () => {
+    expect(heatIndexC(32, 60)).toBeCloseTo(37.07, 1);
+    expect(heatIndexC(20, 50)).toBeCloseTo(19.36, 1);
+    expect(wetBulbC(20, 50)).toBeCloseTo(13.7, 1);
+  });
+
+  it("adds solar load to the WBGT estimate and softens it with wind", () => {
+    const shade = estimateWbgtC({ tempC: 30, rh: 50, windMs: 2, solarWm2: 0 });
+    const sun = estimateWbgtC({ tempC: 30, rh: 50, windMs: 2, solarWm2: 800 });
+    const windy = estimateWbgtC({ tempC: 30, rh: 50, windMs: 8, solarWm2: 800 });
+    expect(sun).toBeCloseTo(26.41, 1);
+    expect(sun).toBeGreaterThan(windy);
+    expect(windy).toBeGreaterThan(shade);
+  });
+
+  it("maps WBGT to the race flags", () => {
+    expect([5, 10, 17.9, 18, 23, 27.9, 28].map(wbgtFlag)).toEqual(["white", "green", "green", "yellow", "red", "red", "black"]);
+  });
+
+  it("needs temperature and humidity", () => {
+    expect(assessConditions({ tempC: 25, rh: null })).toEqual({ heatIndexC: null, wbgtC: null, flag: null });
+    expect(conditionInputs({ tempC: null, lightningKm: 12 })).toEqual({ lightningKm: 12 });
+  });
+});
+
+describe("effects", () => {
+  it("raises Occurrence of heat-driven hazards in every template", () => {
+    Object.values(TEMPLATES).forEach((tpl) => {
+      const heat = tpl.hazards.filter((h) => h.conditionDriver === "heat");
+      expect(heat.length).toBe(1);
+      const [adjusted] = applyHeatOccurrence(heat, "red");
+      expect(adjusted.O).toBe(Math.min(10, heat[0].O + 2));
+      expect(adjusted.baseO).toBe(heat[0].O);
+    });
+    const hs = TEMPLATES.roadShort.hazards;
+    expect(applyHeatOccurrence(hs, "green")).toBe(hs);
+  });
+});
+
+describe("readings feed", () => {
+  it("reads CSV with aliases, oldest first", () => {
+    const { readings } = parseConditionsFeed("time,temp,humidity,wind\n2026-06-01T09:00Z,27,55,2\n2026-06-01T08:00Z,24,60,1\n", "wx.csv");
+    expect(readings.map((r) => r.tempC)).toEqual([24, 27]);
+    const c = conditionsFromReading(readings[1], "wx.csv");
+    expect(c).toMatchObject({ tempC: 27, rh: 55, windMs: 2, solarWm2: null, source: "wx.csv", updatedAt: Date.parse("2026-06-01T09:00Z") });
+  });
+
+  it("reads JSON and rejects files without readings", () => {
+    expect(parseConditionsFeed('{"readings":[{"ts":1,"tempC":30,"rh":40,"lightningKm":8}]}').readings[0].lightningKm).toBe(8);
+    expect(parseConditionsFeed("not json {", "x.json")).toEqual({ error: "errFeedFormat" });
+    expect(parseConditionsFeed("a,b\n1,2")).toEqual({ error: "errFeedEmpty" });
+  });
+});
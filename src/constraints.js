@@ -0,0 +1,122 @@
+/**
+ * STAMP constraint rules — pure evaluation of constraints over named, measured inputs.
+ *
+ * Rule (JSON):
+ *   { input, op: "<=" | ">=", warn, fail }   numeric limit; fail is the limit itself, warn is where trouble starts
+ *                                            "<=": pass ≤ warn, warn ≤ fail, fail above
+ *                                            ">=": pass ≥ warn, warn ≥ fail, fail below
+ *   { input, op: "is", value: true|false }   boolean check, pass or fail
+ *   { any: [rule, ...] }                     OR  — best child status
+ *   { all: [rule, ...] }                     AND — worst child status
+ *
+ * A constraint with a rule gets its status from the inputs; override: { status, reason, ts } wins
+ * over the rule, and every override / clear is appended to overrideLog.
+ * Constraints without a rule keep their manual status.
+ */
+
+export const CONSTRAINT_INPUTS = {
+  heatIndex: { type: "number", unit: "°C", default: 24 },
+  heatProtocolLevel: { type: "number", unit: "", default: 0 },
+  startTimeAdjusted: { type: "boolean", default: false },
+  lightningKm: { type: "number", unit: "km", default: 50 },
+  aedSpacingKm: { type: "number", unit: "km", default: 1.2 },
+  aedAtStartFinish: { type: "boolean", default: true },
+  rovingMedics: { type: "number", unit: "", default: 2 },
+  alsOnCourse: { type: "boolean", default: true },
+  openVehicleAccess: { type: "number", unit: "", default: 0 },
+  waterSpacingKm: { type: "number", unit: "km", default: 2.5 },
+  sweepContactMin: { type: "number", unit: "min", default: 20 },
+  gearCheckActive: { type: "boolean", default: true },
+  commsCoveragePct: { type: "number", unit: "%", default: 100 },
+};
+
+export const defaultConstraintInputs = () =>
+  Object.fromEntries(Object.entries(CONSTRAINT_INPUTS).map(([k, d]) => [k, d.default]));
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+const RANKED = ["pass", "warn", "fail"];
+
+export function isValidRule(rule) {
+  if (!rule || typeof rule !== "object") return false;
+  if (Array.isArray(rule.any)) return rule.any.length > 0 && rule.any.every(isValidRule);
+  if (Array.isArray(rule.all)) return rule.all.length > 0 && rule.all.every(isValidRule);
+  const def = CONSTRAINT_INPUTS[rule.input];
+  if (!def) return false;
+  if (rule.op === "is") return def.type === "boolean" && typeof rule.value === "boolean";
+  if (def.type !== "number" || typeof rule.warn !== "number" || typeof rule.fail !== "number") return false;
+  if (rule.op === "<=") return rule.warn <= rule.fail;
+  if (rule.op === ">=") return rule.warn >= rule.fail;
+  return false;
+}
+
+// input ids a rule reads, in order of appearance
+export function ruleInputs(rule) {
+  if (!rule) return [];
+  if (rule.any || rule.all) return [...new Set((rule.any || rule.all).flatMap(ruleInputs))];
+  return [rule.input];
+}
+
+/**
+ * Evaluates a rule; inputs that are missing make their check "warn".
+ * @returns {{ status: "pass"|"warn"|"fail", missing: string[] }}
+ */
+export function evaluateRule(rule, inputs) {
+  if (rule.any || rule.all) {
+    const parts = (rule.any || rule.all).map((r) => evaluateRule(r, inputs));
+    const ranks = parts.map((p) => STATUS_RANK[p.status]);
+    return {
+      status: RANKED[rule.any ? Math.min(...ranks) : Math.max(...ranks)],
+      missing: [...new Set(parts.flatMap((p) => p.missing))],
+    };
+  }
+  const v = inputs?.[rule.input];
+  if (v == null || v === "" || (typeof v === "number" && Number.isNaN(v))) return { status: "warn", missing: [rule.input] };
+  if (rule.op === "is") return { status: Boolean(v) === rule.value ? "pass" : "fail", missing: [] };
+  const within = (limit) => (rule.op === "<=" ? v <= limit : v >= limit);
+  return { status: within(rule.warn) ? "pass" : within(rule.fail) ? "warn" : "fail", missing: [] };
+}
+
+/**
+ * Readable form of a rule, e.g. "Heat index <= 32 °C (warn from 30) OR Heat protocol level >= 2".
+ * @param {object} [words]  { labelOf(inputId), or, and, warnFrom(n), yes, no }
+ */
+export function describeRule(rule, words = {}) {
+  const {
+    labelOf = (k) => k, or = "OR", and = "AND", warnFrom = (n) => `warn from ${n}`, yes = "yes", no = "no",
+  } = words;
+  const walk = (r, nested) => {
+    if (r.any || r.all) {
+      const text = (r.any || r.all).map((x) => walk(x, true)).join(` ${r.any ? or : and} `);
+      return nested ? `(${text})` : text;
+    }
+    if (r.op === "is") return `${labelOf(r.input)} = ${r.value ? yes : no}`;
+    const unit = CONSTRAINT_INPUTS[r.input]?.unit;
+    const limit = `${labelOf(r.input)} ${r.op} ${r.fail}${unit ? ` ${unit}` : ""}`;
+    return r.warn === r.fail ? limit : `${limit} (${warnFrom(r.warn)})`;
+  };
+  return walk(rule, false);
+}
+
+/**
+ * Constraints with status resolved from their rules.
+ * Rule-based ones also carry ruleStatus (what the inputs say) and missing input ids.
+ */
+export function applyConstraintRules(constraints, inputs) {
+  return constraints.map((c) => {
+    if (!c.rule) return c;
+    const { status, missing } = evaluateRule(c.rule, inputs);
+    return { ...c, ruleStatus: status, missing, status: c.override ? c.override.status : status };
+  });
+}
+
+// manual override of a rule-based constraint; the reason is mandatory and the change is logged
+export function overrideConstraint(c, status, reason, ts = Date.now()) {
+  if (!reason?.trim() || STATUS_RANK[status] == null) return c;
+  const override = { status, reason: reason.trim(), ts };
+  return { ...c, override, overrideLog: [...(c.overrideLog || []), override] };
+}
+
+export function clearConstraintOverride(c, ts = Date.now()) {
+  if (!c.override) return c;
+  return { ...c, override: null, overrideLog: [...(c.overrideLog || []), { cleared: true, ts }] };
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { TEMPLATES } from "./catalog";
+import {
+  evaluateRule, isValidRule, ruleInputs, describeRule, applyConstraintRules,
+  overrideConstraint, clearConstraintOverride, defaultConstraintInputs,
+} from "./constraints";
+
+const heat = TEMPLATES.roadShort.constraints[0].rule;
+
+describe("evaluateRule", () => {
+  it("applies warn and fail thresholds in both directions", () => {
+    const limit = { input: "heatIndex", op: "<=", warn: 30, fail: 32 };
+    expect([29, 30, 31, 32, 33].map((v) => evaluateRule(limit, { heatIndex: v }).status))
+      .toEqual(["pass", "pass", "warn", "warn", "fail"]);
+    const floor = { input: "lightningKm", op: ">=", warn: 15, fail: 10 };
+    expect([20, 12, 10, 8].map((v) => evaluateRule(floor, { lightningKm: v }).status))
+      .toEqual(["pass", "warn", "warn", "fail"]);
+  });
+
+  it("combines with any (best) and all (worst)", () => {
+    expect(evaluateRule(heat, { heatIndex: 34, heatProtocolLevel: 2 }).status).toBe("pass");
+    expect(evaluateRule(heat, { heatIndex: 31, heatProtocolLevel: 0 }).status).toBe("warn");
+    expect(evaluateRule(heat, { heatIndex: 34, heatProtocolLevel: 1 }).status).toBe("fail");
+    const aed = TEMPLATES.roadShort.constraints[2].rule;
+    expect(evaluateRule(aed, { aedAtStartFinish: true, rovingMedics: 1 }).status).toBe("warn");
+    expect(evaluateRule(aed, { aedAtStartFinish: false, rovingMedics: 3 }).status).toBe("fail");
+  });
+
+  it("warns about missing inputs", () => {
+    expect(evaluateRule(heat, { heatProtocolLevel: 0 })).toEqual({ status: "warn", missing: ["heatIndex"] });
+    expect(evaluateRule({ input: "heatIndex", op: "<=", warn: 30, fail: 32 }, {})).toEqual({ status: "warn", missing: ["heatIndex"] });
+  });
+});
+
+describe("rules", () => {
+  it("ships valid rules that pass on default inputs", () => {
+    Object.values(TEMPLATES).forEach((tpl) =>
+      applyConstraintRules(tpl.constraints, defaultConstraintInputs()).forEach((c) => {
+        expect(isValidRule(c.rule)).toBe(true);
+        expect(c.status).toBe("pass");
+      })
+    );
+  });
+
+  it("rejects unknown inputs and inverted thresholds", () => {
+    expect(isValidRule({ input: "moonPhase", op: "<=", warn: 1, fail: 2 })).toBe(false);
+    expect(isValidRule({ input: "heatIndex", op: "<=", warn: 33, fail: 32 })).toBe(false);
+    expect(isValidRule({ input: "heatIndex", op: "is", value: true })).toBe(false);
+    expect(isValidRule({ any: [] })).toBe(false);
+  });
+
+  it("lists inputs and reads back as text", () => {
+    expect(ruleInputs(heat)).toEqual(["heatIndex", "heatProtocolLevel"]);
+    expect(describeRule(heat)).toBe("heatIndex <= 32 °C (warn from 30) OR heatProtocolLevel >= 2");
+  });
+});
+
+describe("overrides", () => {
+  const c = { ...TEMPLATES.roadShort.constraints[0], status: "pass" };
+
+  it("needs a reason, wins over the rule and is logged", () => {
+    expect(overrideConstraint(c, "fail", "  ")).toBe(c);
+    const o = overrideConstraint(c, "fail", "Ambulance delayed", 1000);
+    const [resolved] = applyConstraintRules([o], defaultConstraintInputs());
+    expect(resolved.status).toBe("fail");
+    expect(resolved.ruleStatus).toBe("pass");
+    const cleared = clearConstraintOverride(o, 2000);
+    expect(applyConstraintRules([cleared], defaultConstraintInputs())[0].status).toBe("pass");
+    expect(cleared.overrideLog).toEqual([{ status: "fail", reason: "Ambulance delayed", ts: 1000 }, { cleared: true, ts: 2000 }]);
+  });
+
+  it("leaves rule-less constraints on their manual status", () => {
+    const manual = { id: "S9", statement: "x", critical: true, status: "warn" };
+    expect(applyConstraintRules([manual], {})[0]).toBe(manual);
+  });
+});
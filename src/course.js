@@ -0,0 +1,136 @@
+/**
+ * Course geometry — GPX import and distance-based segments, drawn offline as an SVG polyline.
+ *
+ * Course:  { name, points: [[lat, lon], ...], importedAt }   (stored downsampled, 5 decimals)
+ * Route:   [{ lat, lon, km }]  cumulative distance along the course
+ * Ranges:  { [segmentId]: { fromKm, toKm } }  segments without a range are not drawn
+ * Anything placed on the course (hazards, assets, incidents) carries a `km`.
+ */
+import { isValidRange } from "./utils";
+
+// stored points are thinned to this many; plenty for a map the width of a card
+export const MAX_COURSE_POINTS = 1500;
+const EARTH_KM = 6371;
+
+const num = (v) => (v == null || v === "" ? NaN : Number(v));
+
+/**
+ * Reads track points (or route points) from GPX text. No DOM needed, so it runs in tests and workers.
+ * @returns {{ course: object } | { error: string }}  error is an i18n key
+ */
+export function parseGpx(text, ts = Date.now()) {
+  const points = [];
+  const re = /<(trkpt|rtept)\b([^>]*)>/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const lat = num(/\blat\s*=\s*["']([^"']+)["']/.exec(m[2])?.[1]);
+    const lon = num(/\blon\s*=\s*["']([^"']+)["']/.exec(m[2])?.[1]);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) points.push([lat, lon]);
+  }
+  if (points.length < 2) return { error: "errGpxNoTrack" };
+  const name = /<name>\s*(?:<!\[CDATA\[)?([^<\]]*)/.exec(text)?.[1].trim() || "";
+  const round = (v) => Math.round(v * 1e5) / 1e5;
+  return { course: { name, points: downsample(points, MAX_COURSE_POINTS).map(([a, b]) => [round(a), round(b)]), importedAt: ts } };
+}
+
+// every n-th point, always keeping the first and last
+export function downsample(points, max) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+export function haversineKm([lat1, lon1], [lat2, lon2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+export function routeOf(course) {
+  let km = 0;
+  return course.points.map((p, i) => {
+    if (i) km += haversineKm(course.points[i - 1], p);
+    return { lat: p[0], lon: p[1], km };
+  });
+}
+
+export const routeLengthKm = (route) => route[route.length - 1]?.km ?? 0;
+
+/**
+ * Fits the route into width × height (plus padding), north up. An equirectangular
+ * projection around the mean latitude is accurate enough at race-course scale.
+ * @returns {{ width, height, points: {x, y, km}[] }}
+ */
+export function projectRoute(route, { width = 600, height = 360, pad = 16 } = {}) {
+  const meanLat = route.reduce((a, p) => a + p.lat, 0) / route.length;
+  const k = Math.cos((meanLat * Math.PI) / 180);
+  const xs = route.map((p) => p.lon * k);
+  const ys = route.map((p) => -p.lat);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1e-9;
+  const spanY = Math.max(...ys) - minY || 1e-9;
+  const scale = Math.min((width - 2 * pad) / spanX, (height - 2 * pad) / spanY);
+  const offX = (width - spanX * scale) / 2;
+  const offY = (height - spanY * scale) / 2;
+  return {
+    width,
+    height,
+    points: route.map((p, i) => ({ x: offX + (xs[i] - minX) * scale, y: offY + (ys[i] - minY) * scale, km: p.km })),
+  };
+}
+
+// position at a distance along projected points, interpolated between vertices (clamped to the course)
+export function pointAtKm(points, km) {
+  if (km <= points[0].km) return points[0];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (km <= b.km) {
+      const f = b.km > a.km ? (km - a.km) / (b.km - a.km) : 0;
+      return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f, km };
+    }
+  }
+  return points[points.length - 1];
+}
+
+// the stretch between two distances, ends interpolated
+export function sliceRoute(points, fromKm, toKm) {
+  const inside = points.filter((p) => p.km > fromKm && p.km < toKm);
+  return [pointAtKm(points, fromKm), ...inside, pointAtKm(points, toKm)];
+}
+
+// distance along the course of the point nearest to (x, y), projected onto the nearest leg
+export function nearestKm(points, x, y) {
+  let best = { d2: Infinity, km: 0 };
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const f = len2 ? Math.min(1, Math.max(0, ((x - a.x) * dx + (y - a.y) * dy) / len2)) : 0;
+    const px = a.x + dx * f;
+    const py = a.y + dy * f;
+    const d2 = (x - px) ** 2 + (y - py) ** 2;
+    if (d2 < best.d2) best = { d2, km: a.km + (b.km - a.km) * f };
+  }
+  return best.km;
+}
+
+// the ranged segment containing km (ranges are half-open, the last one includes its end)
+export function segmentAtKm(ranges, km) {
+  const hits = Object.entries(ranges).filter(([, r]) => isValidRange(r) && km >= r.fromKm && km <= r.toKm);
+  hits.sort((a, b) => (a[1].toKm - a[1].fromKm) - (b[1].toKm - b[1].fromKm));
+  return hits.find(([, r]) => km < r.toKm)?.[0] || hits[0]?.[0] || null;
+}
+
+// "KM 3–7 Junction Cluster" → { fromKm: 3, toKm: 7 }; null when the name carries no range
+export function rangeFromName(name) {
+  const m = /\bKM\s*(\d+(?:[.,]\d+)?)\s*[–—-]\s*(\d+(?:[.,]\d+)?)/i.exec(name || "");
+  if (!m) return null;
+  const r = { fromKm: Number(m[1].replace(",", ".")), toKm: Number(m[2].replace(",", ".")) };
+  return isValidRange(r) ? r : null;
+}
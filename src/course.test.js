@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseGpx, downsample, haversineKm, routeOf, routeLengthKm, projectRoute, pointAtKm, sliceRoute, nearestKm,
+  segmentAtKm, rangeFromName,
+} from "./course";
+
+// a straight line north along a meridian: 0.009° of latitude ≈ 1 km
+const gpx = `<?xml version="1.0"?>
+<gpx><trk><name><![CDATA[Test 10K]]></name><trkseg>
+  <trkpt lat="37.98000" lon="23.72000"><ele>90</ele></trkpt>
+  <trkpt lon="23.72000" lat="37.98900"></trkpt>
+  <trkpt lat='37.99800' lon='23.72000'/>
+  <trkpt lat="bad" lon="23.7"/>
+</trkseg></trk></gpx>`;
+
+describe("GPX import", () => {
+  it("reads track points, the name and skips broken points", () => {
+    const { course } = parseGpx(gpx, 1);
+    expect(course).toEqual({ name: "Test 10K", points: [[37.98, 23.72], [37.989, 23.72], [37.998, 23.72]], importedAt: 1 });
+    expect(parseGpx("<gpx></gpx>")).toEqual({ error: "errGpxNoTrack" });
+  });
+
+  it("keeps the ends when thinning", () => {
+    const pts = Array.from({ length: 10 }, (_, i) => i);
+    expect(downsample(pts, 4)).toEqual([0, 3, 6, 9]);
+  });
+
+  it("measures cumulative distance", () => {
+    expect(haversineKm([0, 0], [0, 1])).toBeCloseTo(111.19, 1);
+    const route = routeOf(parseGpx(gpx).course);
+    expect(routeLengthKm(route)).toBeCloseTo(2.001, 2);
+  });
+});
+
+describe("projected route", () => {
+  const points = projectRoute(routeOf(parseGpx(gpx).course), { width: 100, height: 200, pad: 0 }).points;
+
+  it("puts north up and fits the box", () => {
+    expect(points[0].y).toBeCloseTo(200, 6);
+    expect(points[2].y).toBeCloseTo(0, 6);
+    expect(points[0].x).toBeCloseTo(50, 3);
+  });
+
+  it("interpolates positions, stretches and the nearest distance", () => {
+    const mid = pointAtKm(points, points[2].km / 4);
+    expect(mid.y).toBeCloseTo(150, 3);
+    const stretch = sliceRoute(points, 0.5, 1.5);
+    expect(stretch).toHaveLength(3);
+    expect(nearestKm(points, 80, 100)).toBeCloseTo(points[1].km, 6);
+  });
+});
+
+describe("segment ranges", () => {
+  const ranges = { "SEG-1": { fromKm: 0, toKm: 3 }, "SEG-2": { fromKm: 3, toKm: 7 }, "SEG-X": { fromKm: 5, toKm: 4 } };
+
+  it("finds the segment at a distance", () => {
+    expect(segmentAtKm(ranges, 3)).toBe("SEG-2");
+    expect(segmentAtKm(ranges, 7)).toBe("SEG-2");
+    expect(segmentAtKm(ranges, 8)).toBeNull();
+  });
+
+  it("reads ranges from segment names", () => {
+    expect(rangeFromName("KM 3–7 Junction Cluster")).toEqual({ fromKm: 3, toKm: 7 });
+    expect(rangeFromName("km 0-1,5")).toEqual({ fromKm: 0, toKm: 1.5 });
+    expect(rangeFromName("Start/Finish Zone")).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Go / No-Go checkpoints — pure helpers for the decision workflow.
+ *
+ * Draft:  { id, checkpoint, openedAt, snapshot, decision, reason, signOffs: { [role]: SignOff }, objectionsConfirmed }
+ * SignOff: { name, concur: boolean, note, ts } — the role is the one selected in the app and the
+ *          name is typed in; neither is verified, so records state that and flag sharedSigners().
+ * Record: the finalized draft plus decidedAt and hash; records are never edited, and
+ *         verifyRecord() tells whether a stored record still matches its hash.
+ *
+ * Signing off means agreeing (or objecting) to the proposed decision and reason, so
+ * changing either clears the sign-offs collected so far. A decision to race over an
+ * objection needs the objections confirmed as read; a new objection asks again.
+ */
+import { residualRpn } from "./scoring";
+
+export const CHECKPOINTS = ["t24h", "t2h", "start"];
+export const DECISIONS = ["go", "goMitigations", "delay", "reroute", "cancel"];
+// decisions that let the race start
+export const GO_DECISIONS = ["go", "goMitigations"];
+
+/**
+ * What the decision is based on, frozen at the moment the checkpoint opens.
+ * @param {object} args
+ * @param {object} args.score          scoreEvent() result
+ * @param {object[]} args.constraints  constraints with resolved status
+ * @param {object[]} args.hazards      active hazards with resolved coverage
+ * @param {string|null} [args.flag]    WBGT flag from the conditions panel
+ */
+export function makeDecisionSnapshot({ score, constraints, hazards, flag = null }) {
+  return {
+    holisticPct: Math.round(score.holisticPct),
+    status: score.status,
+    lockedRed: score.lockedRed,
+    failingConstraints: constraints
+      .filter((c) => c.status === "fail")
+      .map((c) => ({ id: c.id, statement: c.statement, critical: !!c.critical })),
+    openHazards: hazards
+      .map((h) => ({ id: h.id, name: h.name, rpn: Math.round(residualRpn(h)) }))
+      .sort((a, b) => b.rpn - a.rpn),
+    flag,
+  };
+}
+
+export function openCheckpoint(checkpoint, snapshot, ts = Date.now()) {
+  return {
+    id: `GO-${ts.toString(36)}`,
+    checkpoint,
+    openedAt: ts,
+    snapshot,
+    decision: null,
+    reason: "",
+    signOffs: {},
+    objectionsConfirmed: false,
+  };
+}
+
+// proposes a decision; sign-offs given for a different proposal no longer apply
+export function proposeDecision(draft, decision, reason) {
+  const changed = decision !== draft.decision || reason !== draft.reason;
+  return changed ? { ...draft, decision, reason, signOffs: {}, objectionsConfirmed: false } : { ...draft, decision, reason };
+}
+
+export function signOff(draft, role, { name, concur, note = "" }, ts = Date.now()) {
+  return {
+    ...draft,
+    signOffs: { ...draft.signOffs, [role]: { name: name.trim(), concur, note: note.trim(), ts } },
+    objectionsConfirmed: concur ? !!draft.objectionsConfirmed : false,
+  };
+}
+
+export const missingSignOffs = (draft, roles) => roles.filter((r) => !draft.signOffs[r]);
+
+// sign-offs that object to the proposal, as { role, name, note, ts }
+export const objections = (draft) =>
+  Object.entries(draft.signOffs).filter(([, so]) => !so.concur).map(([role, so]) => ({ role, ...so }));
+
+// typed names that signed for more than one role, as [{ name, roles }] (names compared case-insensitively)
+export function sharedSigners(draft) {
+  const byName = {};
+  Object.entries(draft.signOffs).forEach(([role, so]) => {
+    const key = so.name.trim().toLowerCase();
+    (byName[key] ||= { name: so.name, roles: [] }).roles.push(role);
+  });
+  return Object.values(byName).filter((x) => x.roles.length > 1);
+}
+
+/**
+ * Checks a draft before it becomes a record; returns { field: i18nKey } (empty when valid).
+ * "go" is not available while a critical constraint fails, anything but a plain
+ * "go" needs a reason, and going ahead over an objection needs it confirmed.
+ */
+export function validateDecision(draft, roles) {
+  const errors = {};
+  if (!DECISIONS.includes(draft.decision)) errors.decision = "errDecisionRequired";
+  else if (draft.decision === "go" && draft.snapshot.lockedRed) errors.decision = "errGoBlocked";
+  else if (GO_DECISIONS.includes(draft.decision) && objections(draft).length && !draft.objectionsConfirmed) {
+    errors.objections = "errObjectionsUnconfirmed";
+  }
+  if (draft.decision && draft.decision !== "go" && !draft.reason.trim()) errors.reason = "errDecisionReason";
+  if (missingSignOffs(draft, roles).length) errors.signOffs = "errSignOffsMissing";
+  return errors;
+}
+
+// FNV-1a over the record's JSON — enough to notice an edited record, not a signature
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+export function finalizeDecision(draft, ts = Date.now()) {
+  const record = { ...draft, reason: draft.reason.trim(), decidedAt: ts };
+  return { ...record, hash: fnv1a(JSON.stringify(record)) };
+}
+
+export function verifyRecord(record) {
+  const { hash, ...rest } = record;
+  return hash === fnv1a(JSON.stringify(rest));
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { TEMPLATES, INITIAL_CONTROLS } from "./catalog";
+import { scoreEvent } from "./scoring";
+import {
+  makeDecisionSnapshot, openCheckpoint, proposeDecision, signOff, missingSignOffs, validateDecision,
+  finalizeDecision, verifyRecord, objections, sharedSigners,
+} from "./decisions";
+
+const ROLES = ["Race Director", "Medical Lead"];
+const tpl = TEMPLATES.roadShort;
+const constraints = tpl.constraints.map((c) => (c.id === "S2" ? { ...c, status: "fail" } : c));
+const score = scoreEvent({ hazards: tpl.hazards, controls: INITIAL_CONTROLS, constraints });
+const snapshot = makeDecisionSnapshot({ score, constraints, hazards: tpl.hazards, flag: "yellow" });
+const draft = openCheckpoint("t2h", snapshot, 1000);
+
+const signAll = (d) =>
+  ROLES.reduce((acc, r, i) => signOff(acc, r, { name: `Person ${i}`, concur: i === 0, note: " " }, 2000 + i), d);
+
+describe("snapshot", () => {
+  it("captures score, failing constraints and hazards by RPN", () => {
+    expect(snapshot.lockedRed).toBe(true);
+    expect(snapshot.failingConstraints).toEqual([{ id: "S2", statement: tpl.constraints[1].statement, critical: true }]);
+    expect(snapshot.openHazards[0].rpn).toBeGreaterThanOrEqual(snapshot.openHazards[1].rpn);
+    expect(snapshot.flag).toBe("yellow");
+  });
+});
+
+describe("workflow", () => {
+  it("blocks go while locked red and wants reasons and all sign-offs", () => {
+    expect(validateDecision(draft, ROLES)).toEqual({ decision: "errDecisionRequired", signOffs: "errSignOffsMissing" });
+    const go = signAll(proposeDecision(draft, "go", ""));
+    expect(validateDecision(go, ROLES)).toEqual({ decision: "errGoBlocked" });
+    const delay = proposeDecision(draft, "delay", "  ");
+    expect(validateDecision(delay, ROLES).reason).toBe("errDecisionReason");
+  });
+
+  it("clears sign-offs when the proposal changes", () => {
+    const signed = signAll(proposeDecision(draft, "delay", "Vehicle access open on KM 2"));
+    expect(missingSignOffs(signed, ROLES)).toEqual([]);
+    expect(proposeDecision(signed, "delay", "Vehicle access open on KM 2").signOffs).toBe(signed.signOffs);
+    expect(missingSignOffs(proposeDecision(signed, "cancel", "x"), ROLES)).toEqual(ROLES);
+  });
+
+  it("wants objections confirmed before going ahead over them", () => {
+    const open = openCheckpoint("t2h", { ...snapshot, lockedRed: false }, 1000);
+    const signed = signAll(proposeDecision(open, "goMitigations", "Extra water on KM 3"));
+    expect(objections(signed)).toEqual([{ role: "Medical Lead", name: "Person 1", concur: false, note: "", ts: 2001 }]);
+    expect(validateDecision(signed, ROLES)).toEqual({ objections: "errObjectionsUnconfirmed" });
+    const confirmed = { ...signed, objectionsConfirmed: true };
+    expect(validateDecision(confirmed, ROLES)).toEqual({});
+    // a new objection or a new proposal asks again
+    expect(signOff(confirmed, "Medical Lead", { name: "Person 2", concur: false }, 2500).objectionsConfirmed).toBe(false);
+    expect(proposeDecision(confirmed, "go", "").objectionsConfirmed).toBe(false);
+    expect(validateDecision(proposeDecision(signed, "delay", "x"), ROLES)).toEqual({ signOffs: "errSignOffsMissing" });
+  });
+
+  it("produces a record whose edits are detectable", () => {
+    const signed = signAll(proposeDecision(draft, "reroute", " Bypass KM 2 "));
+    expect(validateDecision(signed, ROLES)).toEqual({});
+    const record = finalizeDecision(signed, 3000);
+    expect(record).toMatchObject({ decision: "reroute", reason: "Bypass KM 2", decidedAt: 3000, checkpoint: "t2h" });
+    expect(record.signOffs["Medical Lead"]).toEqual({ name: "Person 1", concur: false, note: "", ts: 2001 });
+    expect(verifyRecord(record)).toBe(true);
+    expect(verifyRecord(JSON.parse(JSON.stringify(record)))).toBe(true);
+    expect(verifyRecord({ ...record, decision: "go" })).toBe(false);
+  });
+
+  it("flags a name that signed for more than one role", () => {
+    const proposed = proposeDecision(draft, "delay", "Vehicle access open on KM 2");
+    expect(sharedSigners(signAll(proposed))).toEqual([]);
+    const oneSigner = signOff(signOff(proposed, "Race Director", { name: "Ana K", concur: true }, 2000), "Medical Lead", { name: " ana k ", concur: true }, 2001);
+    expect(sharedSigners(oneSigner)).toEqual([{ name: "Ana K", roles: ROLES }]);
+  });
+});
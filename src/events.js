@@ -0,0 +1,354 @@
+/**
+ * Events and their storage — the multi-event workspace state, the localStorage schema with its
+ * migrations (persistence.js does the envelope and backups) and the JSON event files.
+ *
+ * Every event carries its own template choice and working state; labels and user templates are shared.
+ */
+import { loadState, saveState } from "./persistence";
+import { ROLES, INITIAL_CONTROLS } from "./catalog";
+import { DEFAULT_SCORING_PROFILE, validateScoringProfile } from "./scoring";
+import { defaultConstraintInputs, isValidRule } from "./constraints";
+import { EMPTY_CONDITIONS } from "./conditions";
+import { EMPTY_RACE_DAY } from "./raceday";
+import { normalizeIncidents } from "./incidents";
+import { EVIDENCE_WINDOWS_H, DEFAULT_EVIDENCE_WINDOW_H, rebaseOccurrence } from "./evidence";
+import { normalizeAsset } from "./assets";
+import { ucasFromCount, isValidUca } from "./stpa";
+import { HAZARD_DEFAULTS, validateHazard, resolveTemplate } from "./templates";
+
+const LANGS = ["en", "el"];
+// the name an event gets when it is created for the user (first run, migrated saves)
+const DEFAULT_EVENT_NAMES = { en: "My event", el: "Ο αγώνας μου" };
+
+const EVENT_STATE_FIELDS = [
+  "templateKey", "hazards", "controls", "constraints", "criteriaValues", "incidents", "workspaces", "scoringProfile",
+  "scoreHistory", "constraintInputs", "conditions", "decisions", "decisionDraft", "raceDay", "evidenceWindowH",
+  "course", "segmentRanges", "assets", "actions",
+];
+
+export const newEventId = () => `EV-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export function createEvent(fields, templateKey, userTemplates) {
+  const template = resolveTemplate(templateKey, userTemplates);
+  return {
+    id: newEventId(),
+    name: "",
+    date: "",
+    venue: "",
+    finishers: null,
+    ...fields,
+    templateKey,
+    hazards: template.hazards,
+    controls: INITIAL_CONTROLS,
+    constraints: template.constraints,
+    criteriaValues: {},
+    incidents: [],
+    workspaces: {},
+    scoringProfile: DEFAULT_SCORING_PROFILE,
+    scoreHistory: [],
+    constraintInputs: defaultConstraintInputs(),
+    conditions: EMPTY_CONDITIONS,
+    decisions: [],
+    decisionDraft: null,
+    raceDay: EMPTY_RACE_DAY,
+    evidenceWindowH: DEFAULT_EVIDENCE_WINDOW_H,
+    course: null,
+    segmentRanges: {},
+    assets: [],
+    actions: [],
+  };
+}
+
+const normalizeControl = (c) => ({
+  readiness: 0.75, controller: "", process: "", actions: [], feedback: [], ucas: [],
+  ...INITIAL_CONTROLS.find((x) => x.id === c.id),
+  ...c,
+});
+
+// fills fields added since the event was saved; unknown control ids get neutral defaults
+export function normalizeEvent(ev, userTemplates) {
+  const base = createEvent({}, ev.templateKey || "roadShort", userTemplates);
+  const out = { ...base, ...ev, id: ev.id || base.id };
+  EVENT_STATE_FIELDS.forEach((k) => {
+    if (out[k] == null || Array.isArray(out[k]) !== Array.isArray(base[k])) out[k] = base[k];
+  });
+  out.hazards = out.hazards.map((h) => ({ ...HAZARD_DEFAULTS, ...h }));
+  out.controls = out.controls.map(normalizeControl);
+  out.constraints = out.constraints.map((c) => ({ critical: true, status: "pass", ...c }));
+  out.constraintInputs = { ...defaultConstraintInputs(), ...out.constraintInputs };
+  out.conditions = { ...EMPTY_CONDITIONS, ...out.conditions };
+  out.raceDay = { ...EMPTY_RACE_DAY, ...out.raceDay };
+  out.assets = out.assets.map(normalizeAsset);
+  out.incidents = normalizeIncidents(out.incidents, (x) =>
+    (x.templateKey ?? out.templateKey) === out.templateKey ? out.hazards.find((h) => h.id === x.hazardId)?.segmentId : ""
+  );
+  if (!EVIDENCE_WINDOWS_H.includes(out.evidenceWindowH)) out.evidenceWindowH = DEFAULT_EVIDENCE_WINDOW_H;
+  if (Object.keys(validateScoringProfile(out.scoringProfile)).length) out.scoringProfile = DEFAULT_SCORING_PROFILE;
+  return out;
+}
+
+// -----------------------------
+// Event upgrades
+// One-time changes to a saved event's data, shared by the storage (42 → 43) and event file migrations.
+// They run before validation, so entries of the wrong shape are passed through for it to report.
+// -----------------------------
+
+// register entries are plain objects; anything else in a hand-edited file is rejected, not normalized
+const isEntry = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+
+// starting O of a template's hazards, by id — the floor for rebasing an older register
+const templateOccurrence = (template) => Object.fromEntries(template.hazards.map((h) => [h.id, h.O]));
+
+// entries saved before `field` existed take the value of the template entry with the same id
+function backfill(list, templateList, field) {
+  if (!Array.isArray(list)) return list;
+  const byId = new Map(templateList.map((x) => [x.id, x]));
+  return list.map((x) => {
+    const value = isEntry(x) && !(field in x) ? byId.get(x.id)?.[field] : undefined;
+    return value === undefined ? x : { ...x, [field]: value };
+  });
+}
+
+// the catalog's first controller names
+const RENAMED_CONTROLLERS = {
+  "Medical Director": "Medical Lead",
+  "Traffic police liaison": "Traffic Lead",
+  "Start line manager": "Start Line Manager",
+  "Security lead": "Security Lead",
+  "Sweep team lead": "Sweep Team Lead",
+};
+
+function upgradeControl(c) {
+  if (!isEntry(c)) return c;
+  const { ucaCount, ...out } = c;
+  if (!Array.isArray(out.ucas) && typeof ucaCount === "number") out.ucas = ucasFromCount(ucaCount);
+  if (Object.hasOwn(RENAMED_CONTROLLERS, out.controller)) out.controller = RENAMED_CONTROLLERS[out.controller];
+  return out;
+}
+
+// 43:
+// - incidents no longer bump Occurrence (the evidence model reads them directly), so the +1s
+//   written into O are taken out once; onRebase(ids) hears which hazards were changed
+// - constraints from the template get its rule, so they are evaluated instead of staying manual
+// - hazards from the template get its conditionDriver, so race-day conditions reach them
+// - and its controlLinks, so their controlsActive is derived from the control loops as in a new event
+// - control loops saved before UCAs were recorded carry only a ucaCount; it becomes open placeholder UCAs
+// - controllers still named as in the first catalog get the current names
+// The event's register and each parked workspace are upgraded against their own template.
+function upgradeEvent(ev, userTemplates, onRebase = () => {}) {
+  if (!isEntry(ev)) return ev;
+  // a few 42 saves already carry this marker from before the schema bump; they were rebased then
+  const { occurrenceModel, ...out } = ev;
+
+  const incidents = Array.isArray(out.incidents) ? out.incidents.filter(isEntry) : [];
+  const rebased = new Set();
+  const rebase = (hazards, key, template) => {
+    if (occurrenceModel === "evidence" || !Array.isArray(hazards) || !hazards.every(isEntry)) return hazards;
+    const r = rebaseOccurrence(hazards, incidents, key, templateOccurrence(template));
+    r.rebased.forEach((id) => rebased.add(id));
+    return r.hazards;
+  };
+  const upgrade = (register, key) => {
+    const template = resolveTemplate(key, userTemplates);
+    const hazards = backfill(rebase(register.hazards, key, template), template.hazards, "conditionDriver");
+    return {
+      ...register,
+      hazards: backfill(hazards, template.hazards, "controlLinks"),
+      constraints: backfill(register.constraints, template.constraints, "rule"),
+    };
+  };
+
+  const next = upgrade(out, out.templateKey || "roadShort");
+  if (Array.isArray(out.controls)) next.controls = out.controls.map(upgradeControl);
+  if (isEntry(out.workspaces)) {
+    next.workspaces = Object.fromEntries(
+      Object.entries(out.workspaces).map(([k, ws]) => [k, isEntry(ws) ? upgrade(ws, k) : ws])
+    );
+  }
+  if (rebased.size) onRebase([...rebased]);
+  return next;
+}
+
+// -----------------------------
+// App state schema
+// 41: flat blob under "raceSafetyMVP.v41" — one event's fields at the top level
+// 42: { lang, role, selectedSegment, selectedDomain, userTemplates, activeEventId, events }
+// 43: same shape; event data upgraded by upgradeEvent
+// -----------------------------
+const STORAGE_KEY = "raceSafetyMVP.state";
+const LEGACY_STORAGE_KEYS = ["raceSafetyMVP.v41"];
+const STORAGE_SCHEMA = 43;
+
+function migrateFlatState(flat) {
+  const lang = LANGS.includes(flat.lang) ? flat.lang : "en";
+  const ev = createEvent({ name: DEFAULT_EVENT_NAMES[lang] }, flat.templateKey || "roadShort", flat.userTemplates);
+  EVENT_STATE_FIELDS.forEach((k) => {
+    if (flat[k] != null) ev[k] = flat[k];
+  });
+  return {
+    lang,
+    role: flat.role,
+    selectedSegment: flat.selectedSegment ?? null,
+    selectedDomain: flat.selectedDomain ?? null,
+    userTemplates: flat.userTemplates || {},
+    activeEventId: ev.id,
+    events: { [ev.id]: ev },
+  };
+}
+
+function upgradeEvents(state, onRebase) {
+  if (!isEntry(state.events)) return state;
+  const events = Object.fromEntries(
+    Object.entries(state.events).map(([id, ev]) => [id, upgradeEvent(ev, state.userTemplates, onRebase)])
+  );
+  return { ...state, events };
+}
+
+const storageMigrations = (onRebase) => [
+  { from: 41, to: 42, migrate: migrateFlatState },
+  { from: 42, to: 43, migrate: (state) => upgradeEvents(state, onRebase) },
+];
+
+// the v41 key held either the flat blob or (briefly) an un-enveloped schema 42 blob
+const detectLegacyStorageSchema = (raw) => (raw && typeof raw === "object" ? (raw.events ? 42 : 41) : null);
+
+function normalizeAppState(state) {
+  const lang = LANGS.includes(state.lang) ? state.lang : "en";
+  const userTemplates = state.userTemplates || {};
+  const events = {};
+  Object.entries(state.events || {}).forEach(([id, ev]) => {
+    events[id] = normalizeEvent({ ...ev, id }, userTemplates);
+  });
+  if (!Object.keys(events).length) {
+    const ev = createEvent({ name: DEFAULT_EVENT_NAMES[lang] }, "roadShort", userTemplates);
+    events[ev.id] = ev;
+  }
+  return {
+    ...state,
+    lang,
+    role: ROLES.includes(state.role) ? state.role : "Race Director",
+    userTemplates,
+    events,
+    activeEventId: events[state.activeEventId] ? state.activeEventId : Object.keys(events)[0],
+  };
+}
+
+export function loadAppState() {
+  const rebased = [];
+  const loaded = loadState({
+    key: STORAGE_KEY,
+    legacyKeys: LEGACY_STORAGE_KEYS,
+    schema: STORAGE_SCHEMA,
+    migrations: storageMigrations((ids) => rebased.push(...ids)),
+    detectLegacySchema: detectLegacyStorageSchema,
+    normalize: normalizeAppState,
+  });
+  if (loaded.state && rebased.length) {
+    loaded.issues.push({ code: "occurrenceRebased", hazards: [...new Set(rebased)].join(", ") });
+  }
+  return { state: loaded.state || normalizeAppState({}), issues: loaded.issues };
+}
+
+export const saveAppState = (state) => saveState(STORAGE_KEY, STORAGE_SCHEMA, state);
+
+// -----------------------------
+// Event files (JSON import/export)
+// { kind, schema, exportedAt, lang, role, event, templates } — templates carries the user
+// template the event is built on, so the file opens on another machine.
+// Older documents are migrated forward one schema at a time before validation.
+// -----------------------------
+const EVENT_FILE_KIND = "raceSafetyEvent";
+const EVENT_FILE_SCHEMA = 43;
+
+const EVENT_FILE_MIGRATIONS = {
+  // 41: the flat blob stored under "raceSafetyMVP.v41" (one event, no metadata)
+  41: (doc) => {
+    const state = migrateFlatState(doc);
+    return {
+      kind: EVENT_FILE_KIND,
+      schema: 42,
+      lang: state.lang,
+      role: state.role,
+      event: state.events[state.activeEventId],
+      templates: state.userTemplates,
+    };
+  },
+  42: (doc) => ({ ...doc, schema: 43, event: upgradeEvent(doc.event, doc.templates) }),
+};
+
+function detectEventFileSchema(doc) {
+  if (doc?.kind === EVENT_FILE_KIND && Number.isInteger(doc.schema)) return doc.schema;
+  if (doc && !doc.kind && Array.isArray(doc.hazards)) return 41;
+  return null;
+}
+
+// returns { doc } migrated to EVENT_FILE_SCHEMA, or { errors: [[i18nKey, ...args]] }
+export function readEventFile(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { return { errors: [["errNotJson"]] }; }
+
+  let schema = detectEventFileSchema(doc);
+  if (schema == null) return { errors: [["errUnknownDocument"]] };
+  if (schema > EVENT_FILE_SCHEMA) return { errors: [["errNewerSchema", schema]] };
+  while (schema < EVENT_FILE_SCHEMA) {
+    const migrate = EVENT_FILE_MIGRATIONS[schema];
+    if (!migrate) return { errors: [["errUnknownDocument"]] };
+    doc = migrate(doc);
+    schema = doc.schema;
+  }
+
+  const errors = validateEventDoc(doc);
+  if (errors.length) return { errors };
+  const templates = doc.templates || {};
+  return { doc: { ...doc, templates, event: normalizeEvent(doc.event, templates) } };
+}
+
+function validateEventDoc(doc) {
+  const errors = [];
+  const ev = doc.event;
+  if (!ev || typeof ev !== "object") return [["errMissingField", "event"]];
+  ["hazards", "controls", "constraints", "incidents"].forEach((k) => {
+    if (!Array.isArray(ev[k])) errors.push(["errMissingField", `event.${k}`]);
+  });
+  if (!ev.criteriaValues || typeof ev.criteriaValues !== "object") errors.push(["errMissingField", "event.criteriaValues"]);
+  if (typeof ev.templateKey !== "string") errors.push(["errMissingField", "event.templateKey"]);
+  if (errors.length) return errors;
+
+  const template = resolveTemplate(ev.templateKey, doc.templates);
+  ev.hazards.forEach((h, i) => {
+    if (!isEntry(h)) errors.push(["errInvalidHazard", `#${i + 1}`]);
+    else if (Object.keys(validateHazard(h, template.segments)).length) errors.push(["errInvalidHazard", h.id]);
+  });
+  ev.controls.forEach((c, i) => {
+    if (!isEntry(c)) {
+      errors.push(["errMissingField", `event.controls[${i}]`]);
+      return;
+    }
+    const ucasOk = Array.isArray(c.ucas) && c.ucas.every(isValidUca);
+    if (typeof c.readiness !== "number" || !ucasOk) errors.push(["errMissingField", `event.controls[${i}]`]);
+  });
+  ev.constraints.forEach((c, i) => {
+    if (!isEntry(c)) {
+      errors.push(["errMissingField", `event.constraints[${i}]`]);
+      return;
+    }
+    if (!["pass", "warn", "fail"].includes(c.status)) errors.push(["errMissingField", `event.constraints[${i}].status`]);
+    if (c.rule && !isValidRule(c.rule)) errors.push(["errMissingField", `event.constraints[${i}].rule`]);
+  });
+  ev.incidents.forEach((x, i) => {
+    if (!isEntry(x)) errors.push(["errMissingField", `event.incidents[${i}]`]);
+  });
+  return errors;
+}
+
+export function buildEventFile({ event, lang, role, userTemplates }) {
+  return {
+    kind: EVENT_FILE_KIND,
+    schema: EVENT_FILE_SCHEMA,
+    exportedAt: new Date().toISOString(),
+    lang,
+    role,
+    event,
+    templates: userTemplates[event.templateKey] ? { [event.templateKey]: userTemplates[event.templateKey] } : {},
+  };
+}
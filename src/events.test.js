@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createEvent, loadAppState, readEventFile } from "./events";
+import { TEMPLATES } from "./catalog";
+import { applyControlCoverage } from "./scoring";
+
+const HOUR = 60 * 60 * 1000;
+
+// a schema 41 save: H1 (starts at O 4) took two +1 bumps, H2 (starts at 4) was capped at 10 after seven
+const v41 = () => ({
+  lang: "en",
+  role: "Race Director",
+  templateKey: "roadShort",
+  hazards: [
+    { id: "H1", domain: "Health / Sanitary", name: "Heat illness / dehydration", S: 8, O: 6, D: 4, controlsActive: 0.8, weight: 1.3, segmentId: "SEG-START" },
+    { id: "H2", domain: "Operational", name: "Course misdirection at junctions", S: 5, O: 10, D: 5, controlsActive: 0.7, weight: 1.0, segmentId: "SEG-2" },
+  ],
+  incidents: [
+    ...Array.from({ length: 2 }, (_, i) => ({ id: `INC-${i}`, hazardId: "H1", severity: 3, ts: Date.now() - 100 * HOUR, templateKey: "roadShort" })),
+    ...Array.from({ length: 7 }, (_, i) => ({ id: `INC-${i + 2}`, hazardId: "H2", severity: 2, ts: Date.now() - 100 * HOUR, templateKey: "roadShort" })),
+  ],
+});
+
+describe("loadAppState", () => {
+  let store;
+  beforeEach(() => {
+    store = {};
+    vi.stubGlobal("window", {
+      localStorage: { getItem: (k) => store[k] ?? null, setItem: (k, v) => { store[k] = String(v); }, removeItem: (k) => { delete store[k]; } },
+    });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("takes the old Occurrence bumps out of a v41 save, not below the template's value", () => {
+    store["raceSafetyMVP.v41"] = JSON.stringify(v41());
+    const { state, issues } = loadAppState();
+    const ev = state.events[state.activeEventId];
+    expect(ev.hazards.map((h) => h.O)).toEqual([4, 4]);
+    expect(issues.map((x) => x.code)).toEqual(["migrated", "occurrenceRebased"]);
+    expect(issues[1].hazards).toBe("H1, H2");
+  });
+
+  it("brings controller names saved under the first catalog up to date, on any loop", () => {
+    store["raceSafetyMVP.state"] = JSON.stringify({
+      schema: 42,
+      savedAt: "",
+      state: {
+        activeEventId: "EV-1",
+        events: {
+          "EV-1": {
+            id: "EV-1", templateKey: "roadShort",
+            controls: [{ id: "C1", controller: "Medical Director" }, { id: "C6", controller: "Sweep team lead" }, { id: "C9", controller: "Medical Director" }],
+          },
+        },
+      },
+    });
+    const { controls } = loadAppState().state.events["EV-1"];
+    expect(controls.map((c) => c.controller)).toEqual(["Medical Lead", "Sweep Team Lead", "Medical Lead"]);
+  });
+
+  it("rebases a schema 42 save once", () => {
+    const { hazards, incidents } = v41();
+    store["raceSafetyMVP.state"] = JSON.stringify({
+      schema: 42,
+      savedAt: "",
+      state: {
+        activeEventId: "EV-1",
+        events: {
+          "EV-1": { id: "EV-1", templateKey: "roadShort", hazards, incidents },
+          // saved by a build that already marked rebased events
+          "EV-2": { id: "EV-2", templateKey: "roadShort", hazards, incidents, occurrenceModel: "evidence" },
+        },
+      },
+    });
+    const { state, issues } = loadAppState();
+    expect(state.events["EV-1"].hazards.map((h) => h.O)).toEqual([4, 4]);
+    expect(state.events["EV-2"].hazards.map((h) => h.O)).toEqual([6, 10]);
+    expect(state.events["EV-2"]).not.toHaveProperty("occurrenceModel");
+    expect(issues.map((x) => x.code)).toEqual(["migrated", "occurrenceRebased"]);
+
+    store = { "raceSafetyMVP.state": JSON.stringify({ schema: 43, savedAt: "", state }) };
+    const again = loadAppState();
+    expect(again.state.events["EV-1"].hazards.map((h) => h.O)).toEqual([4, 4]);
+    expect(again.issues).toEqual([]);
+  });
+
+  it("gives constraints saved before rules their template's rule", () => {
+    store["raceSafetyMVP.state"] = JSON.stringify({
+      schema: 42,
+      savedAt: "",
+      state: {
+        activeEventId: "EV-1",
+        events: {
+          "EV-1": {
+            id: "EV-1", templateKey: "roadShort",
+            constraints: [
+              { id: "S1", statement: "Heat index <= 32°C OR Heat Protocol Level 2 active", critical: true, status: "warn" },
+              { id: "S9", statement: "Own constraint", critical: false, status: "pass" },
+            ],
+            workspaces: { trailUltra: { hazards: [], constraints: [{ id: "S2", statement: "Mandatory gear check active", critical: true, status: "pass" }] } },
+          },
+        },
+      },
+    });
+    const ev = loadAppState().state.events["EV-1"];
+    expect(ev.constraints[0].rule).toEqual(TEMPLATES.roadShort.constraints[0].rule);
+    expect(ev.constraints[1]).not.toHaveProperty("rule");
+    expect(ev.workspaces.trailUltra.constraints[0].rule).toEqual(TEMPLATES.trailUltra.constraints[1].rule);
+  });
+
+  it("marks template hazards saved before condition drivers, unless the driver was turned off", () => {
+    const { hazards } = v41();
+    store["raceSafetyMVP.state"] = JSON.stringify({
+      schema: 42,
+      savedAt: "",
+      state: {
+        activeEventId: "EV-1",
+        events: {
+          "EV-1": { id: "EV-1", templateKey: "roadShort", hazards },
+          "EV-2": { id: "EV-2", templateKey: "roadShort", hazards: [{ ...hazards[0], conditionDriver: null }] },
+        },
+      },
+    });
+    const { events } = loadAppState().state;
+    expect(events["EV-1"].hazards.map((h) => h.conditionDriver)).toEqual(["heat", undefined]);
+    expect(events["EV-2"].hazards[0].conditionDriver).toBeNull();
+  });
+
+  it("links template hazards saved before control links, so their coverage matches a new event", () => {
+    const hazards = TEMPLATES.roadShort.hazards.map(({ controlLinks, conditionDriver, ...h }) => h);
+    store["raceSafetyMVP.state"] = JSON.stringify({
+      schema: 42,
+      savedAt: "",
+      state: { activeEventId: "EV-1", events: { "EV-1": { id: "EV-1", templateKey: "roadShort", hazards } } },
+    });
+    const old = loadAppState().state.events["EV-1"];
+    const fresh = createEvent({}, "roadShort", {});
+    const coverage = (ev) => applyControlCoverage(ev.hazards, ev.controls).map((h) => h.controlsActive);
+    expect(coverage(old)).toEqual(coverage(fresh));
+    expect(old.hazards.map((h) => h.controlLinks)).toEqual(fresh.hazards.map((h) => h.controlLinks || []));
+  });
+
+  it("turns a saved ucaCount into open placeholder UCAs", () => {
+    store["raceSafetyMVP.state"] = JSON.stringify({
+      schema: 42,
+      savedAt: "",
+      state: {
+        activeEventId: "EV-1",
+        events: { "EV-1": { id: "EV-1", templateKey: "roadShort", controls: [{ id: "C1", readiness: 0.6, ucaCount: 2 }] } },
+      },
+    });
+    const [c1] = loadAppState().state.events["EV-1"].controls;
+    expect(c1).not.toHaveProperty("ucaCount");
+    expect(c1.ucas.map((u) => u.status)).toEqual(["open", "open"]);
+  });
+});
+
+describe("readEventFile", () => {
+  it("rebases a v41 file", () => {
+    const { doc, errors } = readEventFile(JSON.stringify(v41()));
+    expect(errors).toBeUndefined();
+    expect(doc.event.hazards.map((h) => h.O)).toEqual([4, 4]);
+  });
+
+  it("rebases a schema 42 file, but not a schema 43 one", () => {
+    const { hazards, incidents } = v41();
+    const file = (schema) => JSON.stringify({
+      kind: "raceSafetyEvent", schema, lang: "en", role: "Race Director",
+      event: { templateKey: "roadShort", hazards, controls: [], constraints: [], incidents, criteriaValues: {} },
+    });
+    expect(readEventFile(file(42)).doc.event.hazards.map((h) => h.O)).toEqual([4, 4]);
+    expect(readEventFile(file(43)).doc.event.hazards.map((h) => h.O)).toEqual([6, 10]);
+  });
+
+  it("reads the ucaCount of a v41 file as UCAs", () => {
+    const { doc, errors } = readEventFile(JSON.stringify({ ...v41(), controls: [{ id: "C1", readiness: 0.6, ucaCount: 1 }] }));
+    expect(errors).toBeUndefined();
+    expect(doc.event.controls[0]).not.toHaveProperty("ucaCount");
+    expect(doc.event.controls[0].ucas).toHaveLength(1);
+  });
+
+  it("rejects register entries that are not objects", () => {
+    const file = { ...v41(), hazards: [...v41().hazards, null, 3], controls: ["C1"], constraints: [null] };
+    expect(readEventFile(JSON.stringify(file)).errors).toEqual([
+      ["errInvalidHazard", "#3"],
+      ["errInvalidHazard", "#4"],
+      ["errMissingField", "event.controls[0]"],
+      ["errMissingField", "event.constraints[0]"],
+    ]);
+  });
+});
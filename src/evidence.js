@@ -0,0 +1,65 @@
+/**
+ * Incident evidence for Occurrence — a hazard's O is its register value (the baseline)
+ * plus the incidents logged against it, weighted by severity and fading out over a window.
+ * Nothing is written back to the register, so editing or removing an incident simply
+ * changes what the next render derives.
+ */
+import { clamp } from "./utils";
+
+// O added by one fresh incident of each severity (1..5)
+export const SEVERITY_WEIGHTS = { 1: 0.25, 2: 0.5, 3: 1, 4: 1.5, 5: 2 };
+export const EVIDENCE_WINDOWS_H = [6, 24, 72, 168];
+export const DEFAULT_EVIDENCE_WINDOW_H = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// O one incident still adds at `now`: its severity weight, decaying linearly to 0 at the end of the window
+export function incidentEvidence(x, now, windowH = DEFAULT_EVIDENCE_WINDOW_H) {
+  const age = Math.max(0, now - x.ts);
+  const fade = 1 - age / (windowH * HOUR_MS);
+  return fade > 0 ? (SEVERITY_WEIGHTS[x.severity] ?? SEVERITY_WEIGHTS[2]) * fade : 0;
+}
+
+/**
+ * Hazards with O raised by their incident evidence.
+ * Hazards with evidence carry baselineO (the register value) and evidenceO (the uplift);
+ * incidents logged under another template are ignored.
+ *
+ * @param {object[]} hazards
+ * @param {object[]} incidents
+ * @param {{ templateKey: string, now?: number, windowH?: number }} opts
+ */
+export function applyIncidentEvidence(hazards, incidents, { templateKey, now = Date.now(), windowH = DEFAULT_EVIDENCE_WINDOW_H }) {
+  const uplift = {};
+  incidents.forEach((x) => {
+    if ((x.templateKey ?? templateKey) !== templateKey) return;
+    uplift[x.hazardId] = (uplift[x.hazardId] || 0) + incidentEvidence(x, now, windowH);
+  });
+  return hazards.map((h) =>
+    uplift[h.id] > 0 ? { ...h, baselineO: h.O, evidenceO: uplift[h.id], O: clamp(h.O + uplift[h.id], 1, 10) } : h
+  );
+}
+
+/**
+ * Takes the Occurrence bumps of the old model back out of a register: every logged incident
+ * used to add 1 to its hazard's O. Used once when an older save is loaded.
+ * The old model capped O at 10, so the bumps can't be trusted to add up: O never goes below the
+ * hazard's starting value (`floors`, by id), and a hazard already below it is left alone.
+ *
+ * @returns {{ hazards: object[], rebased: string[] }}  rebased: ids of the hazards whose O went down
+ */
+export function rebaseOccurrence(hazards, incidents, templateKey, floors = {}) {
+  const counts = {};
+  incidents.forEach((x) => {
+    if ((x.templateKey ?? templateKey) === templateKey) counts[x.hazardId] = (counts[x.hazardId] || 0) + 1;
+  });
+  const rebased = [];
+  const out = hazards.map((h) => {
+    if (!counts[h.id]) return h;
+    const O = Math.max(clamp(h.O - counts[h.id], 1, 10), Math.min(h.O, floors[h.id] ?? 1));
+    if (O === h.O) return h;
+    rebased.push(h.id);
+    return { ...h, O };
+  });
+  return { hazards: out, rebased };
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { incidentEvidence, applyIncidentEvidence, rebaseOccurrence } from "./evidence";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse("2026-05-10T12:00:00Z");
+const hazards = [
+  { id: "H1", O: 4 },
+  { id: "H2", O: 9 },
+  { id: "H3", O: 3 },
+];
+const inc = (hazardId, severity, hoursAgo, templateKey = "roadShort") => ({ hazardId, severity, ts: NOW - hoursAgo * HOUR, templateKey });
+
+describe("incidentEvidence", () => {
+  it("weights by severity and fades over the window", () => {
+    expect(incidentEvidence(inc("H1", 3, 0), NOW)).toBe(1);
+    expect(incidentEvidence(inc("H1", 5, 12), NOW)).toBeCloseTo(1, 6);
+    expect(incidentEvidence(inc("H1", 1, 3), NOW, 6)).toBeCloseTo(0.125, 6);
+    expect(incidentEvidence(inc("H1", 4, 24), NOW)).toBe(0);
+  });
+
+  it("treats incidents without a severity as severity 2", () => {
+    expect(incidentEvidence({ ts: NOW }, NOW)).toBe(0.5);
+  });
+});
+
+describe("applyIncidentEvidence", () => {
+  it("raises O above the baseline and caps it at 10", () => {
+    const out = applyIncidentEvidence(
+      hazards,
+      [inc("H1", 3, 0), inc("H1", 1, 12), inc("H2", 5, 0), inc("H3", 5, 0, "trailUltra")],
+      { templateKey: "roadShort", now: NOW }
+    );
+    expect(out[0]).toMatchObject({ baselineO: 4, O: 5.125 });
+    expect(out[0].evidenceO).toBeCloseTo(1.125, 6);
+    expect(out[1].O).toBe(10);
+    expect(out[2]).toBe(hazards[2]);
+  });
+
+  it("recomputes when incidents are removed or reclassified", () => {
+    const opts = { templateKey: "roadShort", now: NOW };
+    const ten = Array.from({ length: 10 }, () => inc("H1", 1, 0));
+    expect(applyIncidentEvidence(hazards, ten, opts)[0].O).toBe(6.5);
+    expect(applyIncidentEvidence(hazards, ten.slice(1), opts)[0].O).toBe(6.25);
+    expect(applyIncidentEvidence(hazards, ten.map((x) => ({ ...x, hazardId: "H3" })), opts)[0].O).toBe(4);
+  });
+});
+
+describe("rebaseOccurrence", () => {
+  it("removes one O per incident logged under the same template", () => {
+    const out = rebaseOccurrence(hazards, [inc("H1", 2, 0), inc("H1", 2, 50), inc("H3", 2, 0, "trailUltra"), { hazardId: "H3" }], "roadShort");
+    expect(out.hazards.map((h) => h.O)).toEqual([2, 9, 2]);
+    expect(out.rebased).toEqual(["H1", "H3"]);
+  });
+
+  it("stops at the starting value the old cap at 10 hid", () => {
+    const capped = [{ id: "H1", O: 10 }, { id: "H2", O: 3 }];
+    const five = Array.from({ length: 5 }, () => inc("H1", 2, 0));
+    const out = rebaseOccurrence(capped, [...five, inc("H2", 2, 0)], "roadShort", { H1: 8, H2: 5 });
+    // H1 started at 8: 10 - 5 would undershoot; H2 is already below its start and is left alone
+    expect(out.hazards.map((h) => h.O)).toEqual([8, 3]);
+    expect(out.rebased).toEqual(["H1"]);
+    expect(rebaseOccurrence([{ id: "H1", O: 8 }], five, "roadShort", { H1: 8 }).rebased).toEqual([]);
+  });
+});
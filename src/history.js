@@ -0,0 +1,79 @@
+/**
+ * Score history — snapshots of an event's scores over time, for the trend
+ * line and sparkline under the gauge. Pure helpers; the UI decides when to call them.
+ *
+ * Snapshot: { ts, reason, holisticPct, riskLoadPct, controlPct, readinessPct, lockedRed, note? }
+ * reason: "periodic" | "edit" | "incident" | "briefing"
+ */
+
+export const SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000;
+// holistic points (or a lockedRed flip) that make an edit worth a snapshot
+export const SIGNIFICANT_DELTA = 2;
+// oldest snapshots are dropped beyond this
+export const MAX_SNAPSHOTS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BASELINES = ["yesterday", "briefing", "t7", "first"];
+
+export function makeSnapshot(score, reason, ts = Date.now(), note) {
+  const snap = {
+    ts,
+    reason,
+    holisticPct: score.holisticPct,
+    riskLoadPct: score.riskLoadPct,
+    controlPct: score.controlPct,
+    readinessPct: score.readinessPct,
+    lockedRed: score.lockedRed,
+  };
+  return note ? { ...snap, note } : snap;
+}
+
+export function appendSnapshot(history, snap, max = MAX_SNAPSHOTS) {
+  const next = [...history, snap];
+  return next.length > max ? next.slice(next.length - max) : next;
+}
+
+// true when the score moved enough since the last snapshot to record an "edit"
+export function isSignificantChange(history, score) {
+  const last = history[history.length - 1];
+  if (!last) return true;
+  return Math.abs(score.holisticPct - last.holisticPct) >= SIGNIFICANT_DELTA || score.lockedRed !== last.lockedRed;
+}
+
+export function isPeriodicDue(history, now = Date.now(), intervalMs = SNAPSHOT_INTERVAL_MS) {
+  const last = history[history.length - 1];
+  return !last || now - last.ts >= intervalMs;
+}
+
+const lastAtOrBefore = (history, ts) => {
+  for (let i = history.length - 1; i >= 0; i--) if (history[i].ts <= ts) return history[i];
+  return null;
+};
+
+/**
+ * Snapshot to compare the current score against, or null when none qualifies.
+ *  - yesterday: latest snapshot at least 24h old
+ *  - briefing:  latest snapshot marked as a briefing
+ *  - t7:        latest snapshot at or before 7 days ahead of the event date
+ *               (7 days ago when the event has no date; null while T-7 is still ahead)
+ *  - first:     the oldest snapshot kept
+ */
+export function findBaseline(history, kind, { now = Date.now(), eventDate } = {}) {
+  if (!history.length) return null;
+  switch (kind) {
+    case "yesterday":
+      return lastAtOrBefore(history, now - DAY_MS);
+    case "briefing":
+      return [...history].reverse().find((x) => x.reason === "briefing") || null;
+    case "t7": {
+      const anchor = eventDate ? Date.parse(eventDate) : now;
+      const target = (Number.isNaN(anchor) ? now : anchor) - 7 * DAY_MS;
+      return target > now ? null : lastAtOrBefore(history, target);
+    }
+    case "first":
+      return history[0];
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  makeSnapshot, appendSnapshot, isSignificantChange, isPeriodicDue, findBaseline, SNAPSHOT_INTERVAL_MS,
+} from "./history";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-05-10T09:00:00Z");
+const score = (holisticPct, lockedRed = false) => ({ holisticPct, riskLoadPct: 5, controlPct: 68, readinessPct: 75, lockedRed });
+const snap = (daysAgo, holisticPct, reason = "periodic") => makeSnapshot(score(holisticPct), reason, NOW - daysAgo * DAY);
+
+describe("snapshots", () => {
+  it("copies the sub-scores and keeps the newest entries", () => {
+    const s = makeSnapshot(score(80), "incident", NOW, "Heat illness");
+    expect(s).toEqual({ ts: NOW, reason: "incident", holisticPct: 80, riskLoadPct: 5, controlPct: 68, readinessPct: 75, lockedRed: false, note: "Heat illness" });
+    const h = appendSnapshot(appendSnapshot([snap(2, 70)], snap(1, 71), 2), snap(0, 72), 2);
+    expect(h.map((x) => x.holisticPct)).toEqual([71, 72]);
+  });
+
+  it("records edits only when the score moves enough", () => {
+    const h = [snap(0, 80)];
+    expect(isSignificantChange([], score(80))).toBe(true);
+    expect(isSignificantChange(h, score(81.5))).toBe(false);
+    expect(isSignificantChange(h, score(78))).toBe(true);
+    expect(isSignificantChange(h, score(80, true))).toBe(true);
+  });
+
+  it("is due for a periodic snapshot after the interval", () => {
+    const h = [makeSnapshot(score(80), "edit", NOW - SNAPSHOT_INTERVAL_MS + 1)];
+    expect(isPeriodicDue(h, NOW)).toBe(false);
+    expect(isPeriodicDue(h, NOW + 1)).toBe(true);
+    expect(isPeriodicDue([], NOW)).toBe(true);
+  });
+});
+
+describe("findBaseline", () => {
+  const history = [snap(10, 60), snap(8, 65, "briefing"), snap(3, 70), snap(1.5, 72, "briefing"), snap(0.2, 75)];
+
+  it("finds yesterday, the last briefing and the first snapshot", () => {
+    expect(findBaseline(history, "yesterday", { now: NOW }).holisticPct).toBe(72);
+    expect(findBaseline(history, "briefing", { now: NOW }).holisticPct).toBe(72);
+    expect(findBaseline(history, "first", { now: NOW }).holisticPct).toBe(60);
+  });
+
+  it("anchors T-7 to the event date", () => {
+    expect(findBaseline(history, "t7", { now: NOW }).holisticPct).toBe(65);
+    const eventDate = new Date(NOW + 5 * DAY).toISOString().slice(0, 10);
+    expect(findBaseline(history, "t7", { now: NOW, eventDate }).holisticPct).toBe(70);
+    const farAway = new Date(NOW + 30 * DAY).toISOString().slice(0, 10);
+    expect(findBaseline(history, "t7", { now: NOW, eventDate: farAway })).toBeNull();
+  });
+
+  it("returns null without history", () => {
+    expect(findBaseline([], "first")).toBeNull();
+  });
+});
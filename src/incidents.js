@@ -0,0 +1,167 @@
+/**
+ * Incident records — pure helpers for logging, editing and filtering incidents.
+ *
+ * Incident: {
+ *   id, ts, type, hazardId, hazardName, templateKey, segmentId,
+ *   severity: 1..5, reporterRole, peopleAffected, outcome: null | "treatedOnSite" | "transported" | "dnf",
+ *   notes: [{ ts, text }], status, statusLog: [{ status, ts }]
+ * }
+ * Lists are kept newest first, as logged.
+ */
+
+export const INCIDENT_SEVERITIES = [1, 2, 3, 4, 5];
+export const INCIDENT_OUTCOMES = ["treatedOnSite", "transported", "dnf"];
+export const INCIDENT_STATUSES = ["open", "responding", "resolved", "closed"];
+// fields the incident list can be filtered by
+export const INCIDENT_FILTERS = ["type", "severity", "segmentId", "reporterRole", "outcome", "status"];
+
+const INCIDENT_DEFAULTS = {
+  segmentId: "",
+  severity: 2,
+  reporterRole: "",
+  peopleAffected: 1,
+  outcome: null,
+  notes: [],
+  status: "open",
+};
+
+export function nextIncidentId(incidents) {
+  const nums = incidents.map((x) => /^I(\d+)$/.exec(x.id)).filter(Boolean).map((m) => Number(m[1]));
+  return `I${(nums.length ? Math.max(...nums) : 0) + 1}`;
+}
+
+export function newIncident(incidents, fields, ts = Date.now()) {
+  return {
+    ...INCIDENT_DEFAULTS,
+    ...fields,
+    id: nextIncidentId(incidents),
+    ts,
+    statusLog: [{ status: "open", ts }],
+  };
+}
+
+/**
+ * Fills fields added since an incident was saved (older saves carry only type, hazard and ts).
+ * segmentOf(incident) supplies the segment when none was recorded.
+ */
+export function normalizeIncidents(incidents, segmentOf = () => "") {
+  const out = [];
+  // oldest first, so ids follow the order incidents were logged in
+  [...incidents].reverse().forEach((x) => {
+    const full = { ...INCIDENT_DEFAULTS, segmentId: segmentOf(x) || "", ...x };
+    if (!full.id) full.id = nextIncidentId([...out, ...incidents]);
+    if (!Array.isArray(full.statusLog)) full.statusLog = [{ status: full.status, ts: full.ts }];
+    out.push(full);
+  });
+  return out.reverse();
+}
+
+export function setIncidentStatus(x, status, ts = Date.now()) {
+  if (x.status === status) return x;
+  return { ...x, status, statusLog: [...x.statusLog, { status, ts }] };
+}
+
+export function addIncidentNote(x, text, ts = Date.now()) {
+  const trimmed = text.trim();
+  return trimmed ? { ...x, notes: [...x.notes, { ts, text: trimmed }] } : x;
+}
+
+// when the incident entered its current status
+export const statusSince = (x) => x.statusLog[x.statusLog.length - 1]?.ts ?? x.ts;
+
+// returns { field: i18nKey } (empty when valid)
+export function validateIncident(x) {
+  const errors = {};
+  if (!x.hazardId) errors.hazardId = "errIncidentHazard";
+  if (!INCIDENT_SEVERITIES.includes(x.severity)) errors.severity = "errIncidentSeverity";
+  if (!(Number.isInteger(x.peopleAffected) && x.peopleAffected >= 0)) errors.peopleAffected = "errPeopleAffected";
+  return errors;
+}
+
+// filters: { [field]: value }; empty values match everything
+export function filterIncidents(incidents, filters) {
+  const active = INCIDENT_FILTERS.filter((k) => filters[k] != null && filters[k] !== "");
+  return incidents.filter((x) => active.every((k) => String(x[k] ?? "") === String(filters[k])));
+}
+
+// -----------------------------
+// Search, paging and statistics (the full history is kept; the list pages through it)
+// -----------------------------
+export const INCIDENT_PAGE_SIZE = 20;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Case-insensitive match on id, type, hazard, segment, reporter and notes.
+ * extraText(incident) adds searchable text the caller knows about (e.g. translated labels).
+ */
+export function searchIncidents(incidents, query, extraText = () => "") {
+  const q = query.trim().toLowerCase();
+  if (!q) return incidents;
+  return incidents.filter((x) =>
+    [x.id, x.type, x.hazardId, x.hazardName, x.segmentId, x.reporterRole, ...x.notes.map((n) => n.text), extraText(x)]
+      .join(" ")
+      .toLowerCase()
+      .includes(q)
+  );
+}
+
+// one page of a list; out-of-range pages are clamped
+export function pageOf(items, page, size = INCIDENT_PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(items.length / size));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  return { items: items.slice(p * size, (p + 1) * size), page: p, pages };
+}
+
+const countBy = (incidents, keyOf) => {
+  const out = new Map();
+  incidents.forEach((x) => out.set(keyOf(x), (out.get(keyOf(x)) || 0) + 1));
+  return out;
+};
+
+const hourStart = (ts) => {
+  const d = new Date(ts);
+  d.setMinutes(0, 0, 0);
+  return d.getTime();
+};
+
+/**
+ * Counts for the statistics panel and the report.
+ * byType lists every known type (zeros included), byHazard and bySegment are busiest first,
+ * byHour runs over every local clock hour from the first incident to the last.
+ * ratePer1000 is incidents per 1,000 finishers, null until the finisher count is known.
+ *
+ * @param {object[]} incidents
+ * @param {{ types?: string[], finishers?: number|null }} [opts]
+ */
+export function incidentStats(incidents, { types = [], finishers = null } = {}) {
+  const typeCounts = countBy(incidents, (x) => x.type);
+  const byType = [...new Set([...types, ...typeCounts.keys()])].map((type) => ({ type, count: typeCounts.get(type) || 0 }));
+
+  const names = {};
+  incidents.forEach((x) => { names[x.hazardId] ??= x.hazardName; });
+  const byHazard = [...countBy(incidents, (x) => x.hazardId)]
+    .map(([hazardId, count]) => ({ hazardId, hazardName: names[hazardId] || hazardId, count }))
+    .sort((a, b) => b.count - a.count);
+  const bySegment = [...countBy(incidents, (x) => x.segmentId || "")]
+    .map(([segmentId, count]) => ({ segmentId, count }))
+    .sort((a, b) => b.count - a.count);
+
+  const byHour = [];
+  if (incidents.length) {
+    const hours = countBy(incidents, (x) => hourStart(x.ts));
+    const first = Math.min(...hours.keys());
+    const last = Math.max(...hours.keys());
+    // step by the clock, not by adding an hour, so DST changes keep buckets aligned
+    for (let h = first; h <= last; h = hourStart(h + HOUR_MS + 1)) byHour.push({ hour: h, count: hours.get(h) || 0 });
+  }
+
+  return {
+    total: incidents.length,
+    peopleAffected: incidents.reduce((a, x) => a + (x.peopleAffected || 0), 0),
+    byType,
+    byHazard,
+    bySegment,
+    byHour,
+    ratePer1000: finishers > 0 ? (incidents.length / finishers) * 1000 : null,
+  };
+}
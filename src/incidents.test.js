@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import {
+  newIncident, nextIncidentId, normalizeIncidents, setIncidentStatus, addIncidentNote, statusSince, validateIncident,
+  filterIncidents, searchIncidents, pageOf, incidentStats,
+} from "./incidents";
+
+const base = { type: "Heat illness", hazardId: "H1", hazardName: "Heat", templateKey: "roadShort" };
+
+describe("incident records", () => {
+  it("logs with defaults, an id and an open status", () => {
+    const x = newIncident([{ id: "I4" }], { ...base, severity: 4 }, 100);
+    expect(x).toMatchObject({ id: "I5", severity: 4, peopleAffected: 1, outcome: null, status: "open", ts: 100 });
+    expect(x.statusLog).toEqual([{ status: "open", ts: 100 }]);
+    expect(nextIncidentId([])).toBe("I1");
+  });
+
+  it("fills older incidents oldest first and keeps their order", () => {
+    const legacy = [{ ...base, ts: 3 }, { ...base, hazardId: "H2", ts: 1, id: "I7" }, { ...base, ts: 0 }];
+    const out = normalizeIncidents(legacy, (x) => (x.hazardId === "H1" ? "SEG-1" : "SEG-2"));
+    expect(out.map((x) => x.id)).toEqual(["I9", "I7", "I8"]);
+    expect(out[0]).toMatchObject({ segmentId: "SEG-1", status: "open", statusLog: [{ status: "open", ts: 3 }] });
+  });
+
+  it("moves through the lifecycle with timestamps and appends notes", () => {
+    let x = newIncident([], base, 0);
+    x = setIncidentStatus(setIncidentStatus(x, "responding", 5), "responding", 6);
+    x = setIncidentStatus(x, "resolved", 9);
+    expect(x.statusLog.map((s) => s.ts)).toEqual([0, 5, 9]);
+    expect(statusSince(x)).toBe(9);
+    expect(addIncidentNote(x, "  Ambulance on scene ", 7).notes).toEqual([{ ts: 7, text: "Ambulance on scene" }]);
+    expect(addIncidentNote(x, "  ", 7)).toBe(x);
+  });
+
+  it("validates severity, people affected and hazard", () => {
+    expect(validateIncident(newIncident([], base))).toEqual({});
+    expect(validateIncident({ ...base, hazardId: "", severity: 7, peopleAffected: -1 })).toEqual({
+      hazardId: "errIncidentHazard", severity: "errIncidentSeverity", peopleAffected: "errPeopleAffected",
+    });
+  });
+
+  it("filters by any combination of fields", () => {
+    const list = [
+      newIncident([], { ...base, severity: 3, outcome: "dnf", reporterRole: "Medical Lead" }),
+      newIncident([], { ...base, severity: 1 }),
+    ];
+    expect(filterIncidents(list, { severity: "3" })).toHaveLength(1);
+    expect(filterIncidents(list, { outcome: "dnf", reporterRole: "Medical Lead", status: "open" })).toHaveLength(1);
+    expect(filterIncidents(list, { type: "", segmentId: null })).toHaveLength(2);
+  });
+});
+
+describe("history views", () => {
+  const HOUR = 60 * 60 * 1000;
+  const t0 = new Date(2026, 4, 10, 9, 0, 0).getTime();
+  let list = [];
+  [
+    ["Heat illness", "H1", "SEG-1", 5 * 60 * 1000, 2],
+    ["Heat illness", "H1", "SEG-1", 20 * 60 * 1000, 1],
+    ["Trail fall", "H2", "SEG-2", 2 * HOUR + 60 * 1000, 0],
+  ].forEach(([type, hazardId, segmentId, offset, peopleAffected]) => {
+    list = [newIncident(list, { ...base, type, hazardId, hazardName: hazardId, segmentId, peopleAffected }, t0 + offset), ...list];
+  });
+  list[0] = addIncidentNote(list[0], "Ankle, walked to aid station", t0);
+
+  it("searches ids, fields, notes and caller-supplied text", () => {
+    expect(searchIncidents(list, " ankle ").map((x) => x.id)).toEqual(["I3"]);
+    expect(searchIncidents(list, "seg-1")).toHaveLength(2);
+    expect(searchIncidents(list, "πτώση", (x) => (x.type === "Trail fall" ? "Πτώση" : ""))).toHaveLength(1);
+    expect(searchIncidents(list, "")).toBe(list);
+  });
+
+  it("pages and clamps out-of-range pages", () => {
+    const items = Array.from({ length: 45 }, (_, i) => i);
+    expect(pageOf(items, 2)).toEqual({ items: [40, 41, 42, 43, 44], page: 2, pages: 3 });
+    expect(pageOf(items, 9).page).toBe(2);
+    expect(pageOf([], 0)).toEqual({ items: [], page: 0, pages: 1 });
+  });
+
+  it("counts by type, hazard, segment and hour and rates per 1,000 finishers", () => {
+    const st = incidentStats(list, { types: ["Heat illness", "Trail fall", "Runner collision"], finishers: 1500 });
+    expect(st.total).toBe(3);
+    expect(st.peopleAffected).toBe(3);
+    expect(st.byType).toEqual([
+      { type: "Heat illness", count: 2 }, { type: "Trail fall", count: 1 }, { type: "Runner collision", count: 0 },
+    ]);
+    expect(st.byHazard[0]).toEqual({ hazardId: "H1", hazardName: "H1", count: 2 });
+    expect(st.bySegment.map((x) => x.segmentId)).toEqual(["SEG-1", "SEG-2"]);
+    expect(st.byHour.map((x) => x.count)).toEqual([2, 0, 1]);
+    expect(st.byHour[0].hour).toBe(t0);
+    expect(st.ratePer1000).toBeCloseTo(2, 6);
+    expect(incidentStats(list).ratePer1000).toBeNull();
+    expect(incidentStats([]).byHour).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Briefing matrices built from the hazard register — pure, shared by the UI and the PDF.
+ *
+ * Domain × segment: summed residual RPN per cell.
+ * Likelihood × severity: the classic 5×5, the 1–10 O and S scales folded into five bands.
+ *   inherent  plots O as it stands (baseline + incident evidence + conditions)
+ *   residual  plots O after the hazard's controls: O × (1 − controlsActive), at least 1;
+ *             controls are taken to cut likelihood, not severity
+ */
+import { clamp, sum } from "./utils";
+import { residualRpn } from "./scoring";
+
+export const MATRIX_MODES = ["inherent", "residual"];
+export const MATRIX_BANDS = [1, 2, 3, 4, 5];
+
+// 1–10 → 1–5: 1–2 → 1, 3–4 → 2, …
+export const toBand = (v) => clamp(Math.ceil(v / 2), 1, 5);
+
+export function matrixPosition(h, mode = "inherent") {
+  const o = mode === "residual" ? Math.max(1, h.O * (1 - clamp(h.controlsActive, 0, 1))) : h.O;
+  return { l: toBand(o), s: toBand(h.S) };
+}
+
+// cell rating by likelihood × severity band product
+export function cellLevel(l, s) {
+  const p = l * s;
+  if (p >= 15) return "extreme";
+  if (p >= 8) return "high";
+  if (p >= 4) return "medium";
+  return "low";
+}
+
+/**
+ * 5×5 grid, severity 5 on top, likelihood 1 on the left.
+ * @returns {{ s: number, cells: { l: number, s: number, level: string, hazards: object[] }[] }[]}
+ */
+export function riskMatrix(hazards, mode = "inherent") {
+  const placed = hazards.map((h) => ({ h, ...matrixPosition(h, mode) }));
+  return [...MATRIX_BANDS].reverse().map((s) => ({
+    s,
+    cells: MATRIX_BANDS.map((l) => ({
+      l,
+      s,
+      level: cellLevel(l, s),
+      hazards: placed.filter((p) => p.l === l && p.s === s).map((p) => p.h),
+    })),
+  }));
+}
+
+export const inMatrixCell = (h, { mode, l, s }) => {
+  const p = matrixPosition(h, mode);
+  return p.l === l && p.s === s;
+};
+
+/**
+ * Summed residual RPN per domain and segment, with row / column totals and the largest cell.
+ * Expects hazards with controlsActive resolved; archived ones are skipped.
+ * @returns {{ cells: Object<string, Object<string, { rpn: number, count: number }>>,
+ *             rowTotals: Object<string, number>, colTotals: Object<string, number>, max: number }}
+ */
+export function domainSegmentMatrix(hazards, domains, segmentIds) {
+  const live = hazards.filter((h) => !h.archived);
+  const cells = {};
+  domains.forEach((d) => {
+    cells[d] = {};
+    segmentIds.forEach((sg) => {
+      const hs = live.filter((h) => h.domain === d && h.segmentId === sg);
+      cells[d][sg] = { rpn: sum(hs.map(residualRpn)), count: hs.length };
+    });
+  });
+  const rowTotals = Object.fromEntries(domains.map((d) => [d, sum(segmentIds.map((sg) => cells[d][sg].rpn))]));
+  const colTotals = Object.fromEntries(segmentIds.map((sg) => [sg, sum(domains.map((d) => cells[d][sg].rpn))]));
+  const max = Math.max(0, ...domains.flatMap((d) => segmentIds.map((sg) => cells[d][sg].rpn)));
+  return { cells, rowTotals, colTotals, max };
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { toBand, matrixPosition, cellLevel, riskMatrix, inMatrixCell, domainSegmentMatrix } from "./matrix";
+
+const hz = (id, domain, segmentId, S, O, controlsActive = 0, extra = {}) => ({ id, domain, segmentId, S, O, D: 2, controlsActive, weight: 1, ...extra });
+
+describe("likelihood × severity matrix", () => {
+  it("folds the 1–10 scales into five bands", () => {
+    expect([1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(toBand)).toEqual([1, 1, 2, 2, 3, 3, 4, 4, 5, 5]);
+    expect(toBand(0)).toBe(1);
+  });
+
+  it("moves only likelihood for the residual position", () => {
+    const h = hz("H1", "Medical", "SEG-1", 9, 8, 0.75);
+    expect(matrixPosition(h)).toEqual({ l: 4, s: 5 });
+    expect(matrixPosition(h, "residual")).toEqual({ l: 1, s: 5 });
+    expect(matrixPosition({ ...h, controlsActive: 1 }, "residual")).toEqual({ l: 1, s: 5 });
+  });
+
+  it("rates cells by band product", () => {
+    expect([cellLevel(1, 3), cellLevel(2, 2), cellLevel(2, 4), cellLevel(3, 5)]).toEqual(["low", "medium", "high", "extreme"]);
+  });
+
+  it("lays the grid out severity-down, likelihood-across", () => {
+    const hs = [hz("H1", "Medical", "SEG-1", 9, 8, 0.75), hz("H2", "Sports", "SEG-2", 2, 2)];
+    const grid = riskMatrix(hs);
+    expect(grid.map((r) => r.s)).toEqual([5, 4, 3, 2, 1]);
+    expect(grid[0].cells[3].hazards.map((h) => h.id)).toEqual(["H1"]);
+    expect(grid[4].cells[0].hazards.map((h) => h.id)).toEqual(["H2"]);
+    expect(riskMatrix(hs, "residual")[0].cells[0].hazards.map((h) => h.id)).toEqual(["H1"]);
+    expect(inMatrixCell(hs[0], { mode: "residual", l: 1, s: 5 })).toBe(true);
+    expect(inMatrixCell(hs[0], { mode: "inherent", l: 1, s: 5 })).toBe(false);
+  });
+});
+
+describe("domain × segment matrix", () => {
+  it("sums residual RPN per cell with totals", () => {
+    const hs = [
+      hz("H1", "Medical", "SEG-1", 5, 5, 0.5),
+      hz("H2", "Medical", "SEG-1", 2, 5),
+      hz("H3", "Sports", "SEG-ALL", 4, 5),
+      hz("H4", "Sports", "SEG-1", 10, 10, 0, { archived: true }),
+    ];
+    const m = domainSegmentMatrix(hs, ["Medical", "Sports", "Legal"], ["SEG-ALL", "SEG-1"]);
+    expect(m.cells.Medical["SEG-1"]).toEqual({ rpn: 45, count: 2 });
+    expect(m.cells.Sports["SEG-1"]).toEqual({ rpn: 0, count: 0 });
+    expect(m.rowTotals).toEqual({ Medical: 45, Sports: 40, Legal: 0 });
+    expect(m.colTotals).toEqual({ "SEG-ALL": 40, "SEG-1": 45 });
+    expect(m.max).toBe(45);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Versioned localStorage persistence.
+ *
+ * State is stored as an envelope { schema, savedAt, state } under one key.
+ * On load, blobs from older schemas (or legacy keys) are passed through the
+ * ordered migrations until they reach the current schema, then normalized.
+ * Nothing is discarded silently: unreadable or unmigratable blobs are copied
+ * to a backup key and every problem is returned as an issue for the UI.
+ *
+ * Issue codes:
+ *  - unavailable       localStorage cannot be accessed
+ *  - corrupt           stored text is not valid JSON (backed up)
+ *  - newerSchema       written by a newer app version (backed up, not loaded)
+ *  - migrationFailed   a migration threw or none exists for a step (backed up)
+ *  - migrated          loaded after migrating from an older schema
+ *  - saveFailed        writing failed (quota, private mode, ...)
+ */
+
+const BACKUP_SUFFIX = ".backup.";
+
+function storage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+function backup(ls, key, raw) {
+  const backupKey = `${key}${BACKUP_SUFFIX}${Date.now()}`;
+  try {
+    ls.setItem(backupKey, raw);
+    return backupKey;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads and migrates persisted state.
+ *
+ * @param {object} opts
+ * @param {string} opts.key               current storage key
+ * @param {string[]} [opts.legacyKeys]    older keys to read when `key` is empty (newest first)
+ * @param {number} opts.schema            current schema version
+ * @param {{from: number, to: number, migrate: (state: any) => any}[]} opts.migrations  ordered steps
+ * @param {(raw: any) => number|null} opts.detectLegacySchema  schema of an un-enveloped legacy blob
+ * @param {(state: any) => any} [opts.normalize]  fills defaults on current-schema state
+ * @returns {{ state: any|null, issues: {code: string, key?: string, backupKey?: string|null, from?: number, to?: number, detail?: string}[] }}
+ */
+export function loadState({ key, legacyKeys = [], schema, migrations, detectLegacySchema, normalize = (s) => s }) {
+  const ls = storage();
+  if (!ls) return { state: null, issues: [{ code: "unavailable" }] };
+
+  let sourceKey = null;
+  let raw = null;
+  try {
+    for (const k of [key, ...legacyKeys]) {
+      raw = ls.getItem(k);
+      if (raw != null) { sourceKey = k; break; }
+    }
+  } catch (e) {
+    return { state: null, issues: [{ code: "unavailable", detail: String(e) }] };
+  }
+  if (raw == null) return { state: null, issues: [] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    return { state: null, issues: [{ code: "corrupt", key: sourceKey, backupKey: backup(ls, key, raw), detail: String(e) }] };
+  }
+
+  const enveloped = parsed && typeof parsed === "object" && Number.isInteger(parsed.schema) && "state" in parsed;
+  let version = enveloped ? parsed.schema : detectLegacySchema(parsed);
+  let state = enveloped ? parsed.state : parsed;
+
+  if (version == null || typeof state !== "object" || state === null) {
+    return { state: null, issues: [{ code: "corrupt", key: sourceKey, backupKey: backup(ls, key, raw) }] };
+  }
+  if (version > schema) {
+    return { state: null, issues: [{ code: "newerSchema", key: sourceKey, backupKey: backup(ls, key, raw), from: version, to: schema }] };
+  }
+
+  const from = version;
+  try {
+    while (version < schema) {
+      const step = migrations.find((m) => m.from === version);
+      if (!step) throw new Error(`no migration from schema ${version}`);
+      state = step.migrate(state);
+      version = step.to;
+    }
+    state = normalize(state);
+  } catch (e) {
+    return { state: null, issues: [{ code: "migrationFailed", key: sourceKey, backupKey: backup(ls, key, raw), from, to: schema, detail: String(e) }] };
+  }
+
+  const issues = from !== schema || sourceKey !== key ? [{ code: "migrated", key: sourceKey, from, to: schema }] : [];
+  return { state, issues };
+}
+
+/**
+ * Writes state inside a schema envelope.
+ *
+ * @returns {null | {code: "saveFailed"|"unavailable", detail?: string}} issue, or null on success
+ */
+export function saveState(key, schema, state) {
+  const ls = storage();
+  if (!ls) return { code: "unavailable" };
+  try {
+    ls.setItem(key, JSON.stringify({ schema, savedAt: new Date().toISOString(), state }));
+    return null;
+  } catch (e) {
+    return { code: "saveFailed", detail: String(e) };
+  }
+}
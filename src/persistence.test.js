@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { loadState, saveState } from "./persistence";
+
+const KEY = "app.state";
+const LEGACY = "app.v1";
+const migrations = [{ from: 1, to: 2, migrate: (s) => ({ items: s.list, migratedFrom: 1 }) }];
+const opts = {
+  key: KEY,
+  legacyKeys: [LEGACY],
+  schema: 2,
+  migrations,
+  detectLegacySchema: (raw) => (raw && typeof raw === "object" && Array.isArray(raw.list) ? 1 : null),
+  normalize: (s) => ({ items: [], ...s }),
+};
+
+let store;
+let failWrites;
+const backups = () => Object.keys(store).filter((k) => k.startsWith(`${KEY}.backup.`));
+
+beforeEach(() => {
+  store = {};
+  failWrites = false;
+  vi.stubGlobal("window", {
+    localStorage: {
+      getItem: (k) => store[k] ?? null,
+      setItem: (k, v) => {
+        if (failWrites) throw new Error("QuotaExceededError");
+        store[k] = String(v);
+      },
+    },
+  });
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe("saveState / loadState", () => {
+  it("round-trips state inside a schema envelope", () => {
+    expect(saveState(KEY, 2, { items: [1, 2] })).toBeNull();
+    const env = JSON.parse(store[KEY]);
+    expect(env.schema).toBe(2);
+    expect(typeof env.savedAt).toBe("string");
+    expect(env.state).toEqual({ items: [1, 2] });
+    expect(loadState(opts)).toEqual({ state: { items: [1, 2] }, issues: [] });
+  });
+
+  it("returns nothing to load on an empty store", () => {
+    expect(loadState(opts)).toEqual({ state: null, issues: [] });
+  });
+});
+
+describe("migration", () => {
+  it("migrates an un-enveloped blob from the legacy key", () => {
+    store[LEGACY] = JSON.stringify({ list: ["a"] });
+    const { state, issues } = loadState(opts);
+    expect(state).toEqual({ items: ["a"], migratedFrom: 1 });
+    expect(issues).toEqual([{ code: "migrated", key: LEGACY, from: 1, to: 2 }]);
+  });
+
+  it("prefers the current key over legacy ones", () => {
+    store[KEY] = JSON.stringify({ schema: 2, savedAt: "", state: { items: ["new"] } });
+    store[LEGACY] = JSON.stringify({ list: ["old"] });
+    expect(loadState(opts).state).toEqual({ items: ["new"] });
+  });
+
+  it("backs up a blob it has no migration for", () => {
+    store[KEY] = JSON.stringify({ schema: 0, savedAt: "", state: {} });
+    const { state, issues } = loadState(opts);
+    expect(state).toBeNull();
+    expect(issues[0]).toMatchObject({ code: "migrationFailed", key: KEY, from: 0, to: 2 });
+    expect(store[issues[0].backupKey]).toBe(store[KEY]);
+  });
+
+  it("backs up and refuses a newer schema", () => {
+    store[KEY] = JSON.stringify({ schema: 3, savedAt: "", state: {} });
+    const { state, issues } = loadState(opts);
+    expect(state).toBeNull();
+    expect(issues[0]).toMatchObject({ code: "newerSchema", from: 3, to: 2 });
+    expect(backups()).toHaveLength(1);
+  });
+});
+
+describe("corrupt saves", () => {
+  it("backs up text that is not JSON", () => {
+    store[KEY] = "{not json";
+    const { state, issues } = loadState(opts);
+    expect(state).toBeNull();
+    expect(issues[0]).toMatchObject({ code: "corrupt", key: KEY });
+    expect(store[issues[0].backupKey]).toBe("{not json");
+  });
+
+  it("backs up JSON it cannot place in any schema", () => {
+    store[LEGACY] = JSON.stringify([1, 2]);
+    const { issues } = loadState(opts);
+    expect(issues[0]).toMatchObject({ code: "corrupt", key: LEGACY });
+    expect(store[issues[0].backupKey]).toBe("[1,2]");
+  });
+
+  it("still reports the problem when the backup cannot be written", () => {
+    store[KEY] = "{not json";
+    failWrites = true;
+    expect(loadState(opts).issues[0]).toMatchObject({ code: "corrupt", backupKey: null });
+  });
+});
+
+describe("saveFailed", () => {
+  it("reports a failed write instead of throwing", () => {
+    failWrites = true;
+    const issue = saveState(KEY, 2, { items: [] });
+    expect(issue.code).toBe("saveFailed");
+    expect(issue.detail).toMatch(/QuotaExceededError/);
+    expect(store[KEY]).toBeUndefined();
+  });
+
+  it("reports storage that cannot be reached", () => {
+    vi.stubGlobal("window", undefined);
+    expect(saveState(KEY, 2, {})).toEqual({ code: "unavailable" });
+    expect(loadState(opts)).toEqual({ state: null, issues: [{ code: "unavailable" }] });
+  });
+});
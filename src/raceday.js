@@ -0,0 +1,47 @@
+/**
+ * Race-day live mode — pure helpers for the race clock and the segment status board.
+ *
+ * RaceDay: { startedAt: ts|null, segments: { [segmentId]: { status, ts } }, log: [{ segmentId, status, ts }] }
+ * A segment moves open → lead runner through → sweep through → closed; segments nobody
+ * has touched are open.
+ */
+import { residualRpn } from "./scoring";
+import { sum } from "./utils";
+
+export const SEGMENT_STATUSES = ["open", "leadThrough", "sweepThrough", "closed"];
+export const EMPTY_RACE_DAY = { startedAt: null, segments: {}, log: [] };
+
+export const segmentStatus = (raceDay, segmentId) => raceDay.segments[segmentId]?.status || "open";
+
+export function setSegmentStatus(raceDay, segmentId, status, ts = Date.now()) {
+  if (segmentStatus(raceDay, segmentId) === status) return raceDay;
+  return {
+    ...raceDay,
+    segments: { ...raceDay.segments, [segmentId]: { status, ts } },
+    log: [...raceDay.log, { segmentId, status, ts }],
+  };
+}
+
+export const startRaceClock = (raceDay, ts = Date.now()) => ({ ...raceDay, startedAt: ts });
+
+// "H:MM:SS" since the gun; negative spans (clock skew) read as 0
+export function formatElapsed(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+}
+
+// residual RPN of the active hazards placed on a segment
+export function segmentHazardLoad(hazards, segmentId) {
+  const hs = hazards.filter((h) => !h.archived && h.segmentId === segmentId);
+  return { count: hs.length, rpn: sum(hs.map(residualRpn)) };
+}
+
+// newest incidents on a segment: where they were logged, else the segment of their hazard
+export function latestSegmentIncidents(incidents, hazards, segmentId, limit = 3) {
+  const onSegment = new Set(hazards.filter((h) => h.segmentId === segmentId).map((h) => h.id));
+  return incidents
+    .filter((x) => (x.segmentId ? x.segmentId === segmentId : onSegment.has(x.hazardId)))
+    .sort((a, b) => b.ts - a.ts)
+    .slice(0, limit);
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import {
+  EMPTY_RACE_DAY, segmentStatus, setSegmentStatus, startRaceClock, formatElapsed, segmentHazardLoad,
+  latestSegmentIncidents,
+} from "./raceday";
+
+const hazards = [
+  { id: "H1", segmentId: "SEG-1", S: 10, O: 10, D: 10, controlsActive: 0.5 },
+  { id: "H2", segmentId: "SEG-1", S: 2, O: 5, D: 10, controlsActive: 0 },
+  { id: "H3", segmentId: "SEG-2", S: 2, O: 5, D: 10, controlsActive: 0, archived: true },
+];
+
+describe("segment status board", () => {
+  it("starts open and logs each change once", () => {
+    expect(segmentStatus(EMPTY_RACE_DAY, "SEG-1")).toBe("open");
+    const rd = setSegmentStatus(setSegmentStatus(EMPTY_RACE_DAY, "SEG-1", "leadThrough", 10), "SEG-1", "leadThrough", 20);
+    expect(segmentStatus(rd, "SEG-1")).toBe("leadThrough");
+    expect(rd.log).toEqual([{ segmentId: "SEG-1", status: "leadThrough", ts: 10 }]);
+    expect(EMPTY_RACE_DAY.log).toEqual([]);
+  });
+
+  it("formats the race clock from the gun time", () => {
+    expect(startRaceClock(EMPTY_RACE_DAY, 5).startedAt).toBe(5);
+    expect(formatElapsed(3723000)).toBe("1:02:03");
+    expect(formatElapsed(-500)).toBe("0:00:00");
+  });
+});
+
+describe("per-segment load", () => {
+  it("sums residual RPN of active hazards on the segment", () => {
+    expect(segmentHazardLoad(hazards, "SEG-1")).toEqual({ count: 2, rpn: 600 });
+    expect(segmentHazardLoad(hazards, "SEG-2")).toEqual({ count: 0, rpn: 0 });
+  });
+
+  it("lists the newest incidents by hazard segment", () => {
+    const incidents = [{ hazardId: "H1", ts: 1 }, { hazardId: "H3", ts: 5 }, { hazardId: "H2", ts: 3 }, { hazardId: "H1", ts: 2 }];
+    expect(latestSegmentIncidents(incidents, hazards, "SEG-1", 2).map((x) => x.ts)).toEqual([3, 2]);
+    const placed = [{ hazardId: "H1", segmentId: "SEG-2", ts: 4 }, ...incidents];
+    expect(latestSegmentIncidents(placed, hazards, "SEG-2").map((x) => x.ts)).toEqual([5, 4]);
+    expect(latestSegmentIncidents(placed, hazards, "SEG-1").map((x) => x.ts)).toEqual([3, 2, 1]);
+  });
+});
@@ -0,0 +1,347 @@
+import { DOMAINS, READINESS_CRITERIA, WHOLE_COURSE_SEGMENT } from "./catalog";
+import { clamp, avg, pct, isValidRange } from "./utils";
+import { openUcaCount } from "./stpa";
+
+/**
+ * Scoring engine — pure functions, no React, safe to call from scripts and reports.
+ *
+ * Sub-scores (all 0..100):
+ *  - riskLoadPct    FMEA: mean over domains of the domain's mean residual RPN / riskScale
+ *                   (a hazard's controlsActive is derived from its linked controls, see below)
+ *  - controlPct     STPA: mean control readiness minus ucaPenalty per open unsafe control action
+ *  - readinessPct   EMBOK: mean domain readiness from the sub-criteria sliders
+ *
+ * holisticPct blends readiness, controls and inverted risk with the profile weights
+ * (standard: 40 / 30 / 30). Any failing critical STAMP constraint locks the status
+ * to "constraintFail".
+ *
+ * Segment risk is optional: with a profile segmentRiskShare > 0 the riskiest segment's load
+ * takes that share of riskLoadPct, the domain mean keeps the rest.
+ */
+
+export const HOLISTIC_WEIGHTS = { readiness: 0.4, controls: 0.3, risk: 0.3 };
+export const UCA_PENALTY = 0.06;
+// typical RPN max is 10*10*10=1000; dividing by 10 scales it to 0-100
+export const RISK_SCALE = 10;
+// lower bounds (in %) of the "watch" and "healthy" gauge bands
+export const STATUS_BANDS = { watch: 50, healthy: 75 };
+// sub-criteria nobody has scored yet count as 75%
+export const DEFAULT_CRITERION_VALUE = 0.75;
+
+// -----------------------------
+// Scoring profiles
+// { id, name, weights: {readiness, controls, risk}, ucaPenalty, riskScale, bands: {watch, healthy}, segmentRiskShare? }
+// segmentRiskShare (0..1) is missing from the presets and older profiles, which means 0
+// Preset names are i18n keys in the UI; custom profiles carry a free-text name.
+// -----------------------------
+export const SCORING_PRESETS = {
+  standard: {
+    id: "standard",
+    name: "Standard",
+    weights: HOLISTIC_WEIGHTS,
+    ucaPenalty: UCA_PENALTY,
+    riskScale: RISK_SCALE,
+    bands: STATUS_BANDS,
+  },
+  insurer: {
+    id: "insurer",
+    name: "Insurer (risk-weighted)",
+    weights: { readiness: 0.25, controls: 0.25, risk: 0.5 },
+    ucaPenalty: 0.08,
+    riskScale: 8,
+    bands: { watch: 55, healthy: 80 },
+  },
+  compliance: {
+    id: "compliance",
+    name: "Permits & compliance",
+    weights: { readiness: 0.55, controls: 0.25, risk: 0.2 },
+    ucaPenalty: 0.06,
+    riskScale: 10,
+    bands: { watch: 50, healthy: 75 },
+  },
+  strict: {
+    id: "strict",
+    name: "Strict (high-risk events)",
+    weights: { readiness: 0.35, controls: 0.35, risk: 0.3 },
+    ucaPenalty: 0.1,
+    riskScale: 6,
+    bands: { watch: 60, healthy: 85 },
+  },
+};
+export const DEFAULT_SCORING_PROFILE = SCORING_PRESETS.standard;
+
+/**
+ * Checks a profile; returns { field: reason } (empty when valid).
+ * Weights only need a positive sum — they are normalized when scoring.
+ */
+export function validateScoringProfile(p) {
+  const errors = {};
+  const w = p?.weights || {};
+  if (["readiness", "controls", "risk"].some((k) => !(w[k] >= 0)) || !(w.readiness + w.controls + w.risk > 0)) {
+    errors.weights = "weights";
+  }
+  if (!(p?.ucaPenalty >= 0 && p.ucaPenalty <= 0.5)) errors.ucaPenalty = "ucaPenalty";
+  if (!(p?.riskScale >= 1 && p.riskScale <= 100)) errors.riskScale = "riskScale";
+  if (!(p?.bands?.watch > 0 && p.bands.healthy > p.bands.watch && p.bands.healthy <= 100)) errors.bands = "bands";
+  if (p?.segmentRiskShare != null && !(p.segmentRiskShare >= 0 && p.segmentRiskShare <= 1)) errors.segmentRiskShare = "segmentRiskShare";
+  return errors;
+}
+
+// weights scaled to sum to 1
+export function normalizedWeights(weights) {
+  const total = weights.readiness + weights.controls + weights.risk;
+  return {
+    readiness: weights.readiness / total,
+    controls: weights.controls / total,
+    risk: weights.risk / total,
+  };
+}
+
+export function residualRpn(h) {
+  const base = h.S * h.O * h.D;
+  return base * (1 - clamp(h.controlsActive, 0, 1)) * (h.weight ?? 1);
+}
+
+export function domainRiskScore(hazards, domain) {
+  const hs = hazards.filter((h) => h.domain === domain);
+  if (!hs.length) return 0;
+  const rpnVals = hs.map(residualRpn);
+  return avg(rpnVals);
+}
+
+export function normalizeRiskToPct(risk, riskScale = RISK_SCALE) {
+  return clamp(risk / riskScale, 0, 100);
+}
+
+// -----------------------------
+// Segment risk
+// A hazard on WHOLE_COURSE_SEGMENT applies everywhere, so each segment carries a share of it:
+// by length when every segment has a km range (course.js), equally otherwise.
+// -----------------------------
+
+/** @returns {Object<string, number>} segmentId → share of the course (sums to 1) */
+export function segmentShares(segmentIds, ranges = {}) {
+  const ids = segmentIds.filter((id) => id !== WHOLE_COURSE_SEGMENT);
+  if (!ids.length) return {};
+  const lengths = ids.map((id) => (isValidRange(ranges[id]) ? ranges[id].toKm - ranges[id].fromKm : null));
+  const total = lengths.reduce((a, b) => a + (b || 0), 0);
+  const byLength = lengths.every((l) => l != null) && total > 0;
+  return Object.fromEntries(ids.map((id, i) => [id, byLength ? lengths[i] / total : 1 / ids.length]));
+}
+
+/**
+ * Risk load per segment: residual RPN summed over the segment's own hazards plus its share
+ * of each whole-course hazard; pct is that load on the domain scale (÷ riskScale, 0..100).
+ * Expects hazards with controlsActive already resolved.
+ * @returns {Object<string, { own: number, apportioned: number, rpn: number, pct: number, hazards: number, share: number }>}
+ */
+export function segmentRiskScores(hazards, segmentIds, { ranges = {}, riskScale = RISK_SCALE } = {}) {
+  const shares = segmentShares(segmentIds, ranges);
+  const live = hazards.filter((h) => !h.archived);
+  const wholeCourse = live.filter((h) => h.segmentId === WHOLE_COURSE_SEGMENT).reduce((a, h) => a + residualRpn(h), 0);
+  return Object.fromEntries(
+    Object.entries(shares).map(([id, share]) => {
+      const mine = live.filter((h) => h.segmentId === id);
+      const own = mine.reduce((a, h) => a + residualRpn(h), 0);
+      const apportioned = wholeCourse * share;
+      return [id, { own, apportioned, rpn: own + apportioned, pct: normalizeRiskToPct(own + apportioned, riskScale), hazards: mine.length, share }];
+    })
+  );
+}
+
+// readiness of a single control after penalties for its open UCAs (0..1)
+export function adjustedControlReadiness(c, ucaPenalty = UCA_PENALTY) {
+  return clamp(c.readiness - openUcaCount(c) * ucaPenalty, 0, 1);
+}
+
+export function controlHealthPct(controls, ucaPenalty = UCA_PENALTY) {
+  if (!controls.length) return 100;
+  return pct(avg(controls.map((c) => adjustedControlReadiness(c, ucaPenalty))));
+}
+
+// -----------------------------
+// Hazard ↔ control links
+// hazard.controlLinks: [{ controlId, effectiveness: 0..1 }]
+// A linked hazard's controlsActive follows its controls; controlsOverride: true keeps the manual value.
+// Hazards without links keep their manual controlsActive.
+// -----------------------------
+
+/**
+ * Coverage (0..1) derived from a hazard's linked controls, or null when it has none.
+ * Links are independent layers: each one removes effectiveness × adjusted readiness
+ * of what the others leave uncovered. Links to unknown controls are ignored.
+ */
+export function derivedControlsActive(h, controls, ucaPenalty = UCA_PENALTY) {
+  const linked = (h.controlLinks || [])
+    .map((l) => ({ l, c: controls.find((x) => x.id === l.controlId) }))
+    .filter((x) => x.c);
+  if (!linked.length) return null;
+  const uncovered = linked.reduce(
+    (acc, { l, c }) => acc * (1 - clamp(l.effectiveness, 0, 1) * adjustedControlReadiness(c, ucaPenalty)),
+    1
+  );
+  return 1 - uncovered;
+}
+
+// hazards with controlsActive resolved from their links; linked ones also carry derivedControlsActive
+export function applyControlCoverage(hazards, controls, ucaPenalty = UCA_PENALTY) {
+  return hazards.map((h) => {
+    const derived = derivedControlsActive(h, controls, ucaPenalty);
+    if (derived == null) return h;
+    return { ...h, derivedControlsActive: derived, controlsActive: h.controlsOverride ? h.controlsActive : derived };
+  });
+}
+
+// returns readiness per domain (0..1) as the average of its sub-criteria
+export function readinessFromCriteria(criteriaMap, criteriaValues) {
+  const out = {};
+  DOMAINS.forEach((d) => {
+    const crits = criteriaMap[d] || [];
+    if (!crits.length) { out[d] = DEFAULT_CRITERION_VALUE; return; }
+    const vals = crits.map((c) => {
+      const v = criteriaValues?.[d]?.[c.id];
+      return typeof v === "number" ? v : DEFAULT_CRITERION_VALUE;
+    });
+    out[d] = avg(vals);
+  });
+  return out;
+}
+
+/**
+ * Gauge status for a holistic score.
+ * @returns {"healthy"|"watch"|"notHealthy"|"constraintFail"}
+ */
+export function scoreStatus(holisticPct, lockedRed = false, bands = STATUS_BANDS) {
+  if (lockedRed) return "constraintFail";
+  if (holisticPct < bands.watch) return "notHealthy";
+  if (holisticPct < bands.healthy) return "watch";
+  return "healthy";
+}
+
+/**
+ * Scores one event.
+ *
+ * @param {object} state
+ * @param {object[]} state.hazards         FMEA hazards; archived ones are ignored
+ * @param {object[]} state.controls        STPA controls to include (the UI passes the role's view)
+ * @param {object[]} [state.allControls]   controls that hazard links resolve against (defaults to controls)
+ * @param {object[]} state.constraints     STAMP constraints with status pass/warn/fail
+ * @param {object} [state.criteriaValues]  {domain: {criterionId: 0..1}}
+ * @param {string[]} [state.segments]      course segment ids, for segment risk
+ * @param {object} [state.segmentRanges]   {segmentId: {fromKm, toKm}}
+ * @param {object} [profile]               scoring profile (defaults to the standard preset)
+ * @returns {{
+ *   riskByDomain: Object<string, number>, domainRiskPct: number,
+ *   riskBySegment: Object<string, number>, segmentRiskPct: number, riskLoadPct: number,
+ *   controlPct: number,
+ *   readinessByDomain: Object<string, number>, readinessPct: number,
+ *   holisticPct: number, lockedRed: boolean, status: string
+ * }}
+ */
+export function scoreEvent(
+  { hazards, controls, allControls = controls, constraints, criteriaValues = {}, segments = [], segmentRanges = {} },
+  profile = DEFAULT_SCORING_PROFILE
+) {
+  const activeHazards = applyControlCoverage(hazards.filter((h) => !h.archived), allControls, profile.ucaPenalty);
+  const weights = normalizedWeights(profile.weights);
+
+  const riskByDomain = {};
+  DOMAINS.forEach((d) => {
+    riskByDomain[d] = normalizeRiskToPct(domainRiskScore(activeHazards, d), profile.riskScale);
+  });
+  const domainRiskPct = clamp(avg(Object.values(riskByDomain)), 0, 100);
+  const bySegment = segmentRiskScores(activeHazards, segments, { ranges: segmentRanges, riskScale: profile.riskScale });
+  const riskBySegment = Object.fromEntries(Object.entries(bySegment).map(([id, r]) => [id, r.pct]));
+  const segmentRiskPct = Math.max(0, ...Object.values(riskBySegment));
+  const segmentShare = Object.keys(riskBySegment).length ? clamp(profile.segmentRiskShare || 0, 0, 1) : 0;
+  const riskLoadPct = domainRiskPct * (1 - segmentShare) + segmentRiskPct * segmentShare;
+  const controlPct = controlHealthPct(controls, profile.ucaPenalty);
+  const readinessByDomain = readinessFromCriteria(READINESS_CRITERIA, criteriaValues);
+  const readinessPct = pct(avg(Object.values(readinessByDomain)));
+
+  const holisticPct = clamp(
+    readinessPct * weights.readiness +
+      controlPct * weights.controls +
+      (100 - riskLoadPct) * weights.risk,
+    0, 100
+  );
+  const lockedRed = constraints.some((c) => c.critical && c.status === "fail");
+
+  return {
+    riskByDomain,
+    domainRiskPct,
+    riskBySegment,
+    segmentRiskPct,
+    riskLoadPct,
+    controlPct,
+    readinessByDomain,
+    readinessPct,
+    holisticPct,
+    lockedRed,
+    status: scoreStatus(holisticPct, lockedRed, profile.bands),
+  };
+}
+
+/**
+ * Breaks a score down for the "Why this status?" panel.
+ *
+ * contributions: per component the 0..100 value, its normalized weight, the points it
+ * adds to holisticPct and the points it loses against a perfect 100.
+ * The lists are ordered worst first and cut to `limit` entries; hazards and criteria are limited
+ * to `domains` (the role view), so every entry links to something on screen.
+ *
+ * @returns {{
+ *   score: object,
+ *   contributions: {key: "readiness"|"controls"|"risk", value: number, weight: number, points: number, lost: number}[],
+ *   topHazards: object[],        hazards with resolved coverage and `rpn`, highest residual RPN first
+ *   controlLosses: object[],     controls with `adjusted`, `openUcas` and `loss` (0..1) from UCA penalties
+ *   weakestCriteria: {domain: string, id: string, en: string, el: string, value: number}[],
+ *   failingConstraints: object[] critical constraints with status "fail"
+ * }}
+ */
+export function explainScore(state, profile = DEFAULT_SCORING_PROFILE, { limit = 5, domains = DOMAINS } = {}) {
+  const score = scoreEvent(state, profile);
+  const w = normalizedWeights(profile.weights);
+  const part = (key, value, weight) => ({ key, value, weight, points: value * weight, lost: (100 - value) * weight });
+
+  const topHazards = applyControlCoverage(
+    state.hazards.filter((h) => !h.archived && domains.includes(h.domain)),
+    state.allControls || state.controls,
+    profile.ucaPenalty
+  )
+    .map((h) => ({ ...h, rpn: residualRpn(h) }))
+    .sort((a, b) => b.rpn - a.rpn)
+    .slice(0, limit);
+
+  const controlLosses = state.controls
+    .map((c) => {
+      const adjusted = adjustedControlReadiness(c, profile.ucaPenalty);
+      return { ...c, adjusted, openUcas: openUcaCount(c), loss: clamp(c.readiness, 0, 1) - adjusted };
+    })
+    .filter((c) => c.loss > 0)
+    .sort((a, b) => b.loss - a.loss)
+    .slice(0, limit);
+
+  const weakestCriteria = domains.flatMap((d) =>
+    (READINESS_CRITERIA[d] || []).map((c) => {
+      const v = state.criteriaValues?.[d]?.[c.id];
+      return { domain: d, id: c.id, en: c.en, el: c.el, value: typeof v === "number" ? v : DEFAULT_CRITERION_VALUE };
+    })
+  )
+    .filter((c) => c.value < 1)
+    .sort((a, b) => a.value - b.value)
+    .slice(0, limit);
+
+  return {
+    score,
+    contributions: [
+      part("readiness", score.readinessPct, w.readiness),
+      part("controls", score.controlPct, w.controls),
+      part("risk", 100 - score.riskLoadPct, w.risk),
+    ],
+    topHazards,
+    controlLosses,
+    weakestCriteria,
+    failingConstraints: state.constraints.filter((c) => c.critical && c.status === "fail"),
+  };
+}
@@ -0,0 +1,275 @@
+import { describe, it, expect } from "vitest";
+import { TEMPLATES, INITIAL_CONTROLS, READINESS_CRITERIA } from "./catalog";
+import {
+  residualRpn, domainRiskScore, normalizeRiskToPct, controlHealthPct,
+  readinessFromCriteria, scoreStatus, scoreEvent, derivedControlsActive, applyControlCoverage,
+  SCORING_PRESETS, validateScoringProfile, normalizedWeights, explainScore, segmentShares, segmentRiskScores,
+} from "./scoring";
+
+const eventFor = (key, extra = {}) => ({
+  hazards: TEMPLATES[key].hazards,
+  controls: INITIAL_CONTROLS,
+  constraints: TEMPLATES[key].constraints,
+  criteriaValues: {},
+  ...extra,
+});
+
+describe("residualRpn", () => {
+  it("scales S×O×D by uncovered share and weight", () => {
+    expect(residualRpn({ S: 10, O: 10, D: 10, controlsActive: 0, weight: 1 })).toBe(1000);
+    expect(residualRpn({ S: 8, O: 4, D: 4, controlsActive: 0.8, weight: 1.3 })).toBeCloseTo(33.28, 6);
+  });
+
+  it("defaults weight to 1 and clamps controlsActive", () => {
+    expect(residualRpn({ S: 2, O: 5, D: 10, controlsActive: 1.4 })).toBe(0);
+    expect(residualRpn({ S: 2, O: 5, D: 10, controlsActive: 0.5 })).toBe(50);
+  });
+
+  it.each([
+    ["roadShort", [33.28, 30, 45.36, 9, 27, 28.8]],
+    ["roadMarathon", [67.5, 67.2, 56.16, 47.52, 63, 54.6, 48]],
+    ["trailUltra", [134.4, 151.2, 92.61, 129.6, 155.52, 67.2]],
+  ])("pins template %s hazards", (key, expected) => {
+    TEMPLATES[key].hazards.forEach((h, i) => expect(residualRpn(h)).toBeCloseTo(expected[i], 6));
+  });
+});
+
+describe("domain risk", () => {
+  it("averages residual RPN per domain and is 0 without hazards", () => {
+    const hs = TEMPLATES.roadMarathon.hazards;
+    expect(domainRiskScore(hs, "Operational")).toBeCloseTo((56.16 + 47.52) / 2, 6);
+    expect(domainRiskScore(hs, "Legal")).toBe(0);
+  });
+
+  it("normalizes to 0..100", () => {
+    expect(normalizeRiskToPct(455)).toBeCloseTo(45.5, 6);
+    expect(normalizeRiskToPct(5000)).toBe(100);
+  });
+});
+
+describe("segment risk", () => {
+  const hz = (segmentId, S, extra = {}) => ({ segmentId, S, O: 5, D: 2, controlsActive: 0, weight: 1, ...extra });
+  const hazards = [hz("SEG-1", 10), hz("SEG-1", 5), hz("SEG-2", 4), hz("SEG-ALL", 6), hz("SEG-2", 9, { archived: true })];
+  const ids = ["SEG-ALL", "SEG-1", "SEG-2", "SEG-3"];
+
+  it("apportions by range length when every segment has one, equally otherwise", () => {
+    const ranges = { "SEG-1": { fromKm: 0, toKm: 5 }, "SEG-2": { fromKm: 5, toKm: 7 }, "SEG-3": { fromKm: 7, toKm: 10 } };
+    expect(segmentShares(ids, ranges)).toEqual({ "SEG-1": 0.5, "SEG-2": 0.2, "SEG-3": 0.3 });
+    expect(segmentShares(ids, { "SEG-1": ranges["SEG-1"] })).toEqual({ "SEG-1": 1 / 3, "SEG-2": 1 / 3, "SEG-3": 1 / 3 });
+    expect(segmentShares(["SEG-ALL"])).toEqual({});
+  });
+
+  it("sums own hazards plus a share of whole-course ones", () => {
+    const r = segmentRiskScores(hazards, ids, { riskScale: 10 });
+    expect(r["SEG-1"]).toMatchObject({ own: 150, apportioned: 20, rpn: 170, pct: 17, hazards: 2 });
+    expect(r["SEG-2"]).toMatchObject({ own: 40, rpn: 60, hazards: 1 });
+    expect(r["SEG-3"]).toMatchObject({ own: 0, rpn: 20, hazards: 0 });
+    expect(r["SEG-ALL"]).toBeUndefined();
+  });
+
+  it("feeds the riskiest segment into the risk load only when the profile asks for it", () => {
+    const state = { hazards, controls: [], constraints: [], segments: ids };
+    const off = scoreEvent(state);
+    expect(off.riskBySegment["SEG-1"]).toBeCloseTo(17, 6);
+    expect(off.segmentRiskPct).toBeCloseTo(17, 6);
+    expect(off.riskLoadPct).toBeCloseTo(off.domainRiskPct, 6);
+    const on = scoreEvent(state, { ...SCORING_PRESETS.standard, segmentRiskShare: 0.5 });
+    expect(on.riskLoadPct).toBeCloseTo((off.domainRiskPct + 17) / 2, 6);
+    expect(on.holisticPct).toBeLessThan(off.holisticPct);
+    expect(scoreEvent({ hazards, controls: [], constraints: [] }, { ...SCORING_PRESETS.standard, segmentRiskShare: 1 }).riskLoadPct)
+      .toBeCloseTo(off.domainRiskPct, 6);
+    expect(validateScoringProfile({ ...SCORING_PRESETS.standard, segmentRiskShare: 1.5 })).toEqual({ segmentRiskShare: "segmentRiskShare" });
+  });
+});
+
+describe("controlHealthPct", () => {
+  it("subtracts 6% per UCA and rounds to a percentage", () => {
+    expect(controlHealthPct(INITIAL_CONTROLS)).toBe(68);
+    expect(controlHealthPct([{ readiness: 0.2, ucaCount: 5 }])).toBe(0);
+  });
+
+  it("treats no visible controls as healthy", () => {
+    expect(controlHealthPct([])).toBe(100);
+  });
+});
+
+describe("readinessFromCriteria", () => {
+  it("defaults unscored sub-criteria to 75%", () => {
+    const r = readinessFromCriteria(READINESS_CRITERIA, {});
+    Object.values(r).forEach((v) => expect(v).toBe(0.75));
+  });
+
+  it("averages scored sub-criteria within a domain", () => {
+    const r = readinessFromCriteria(READINESS_CRITERIA, { Legal: { permits: 1, insurance: 0.5 } });
+    expect(r.Legal).toBeCloseTo((1 + 0.5 + 0.75) / 3, 6);
+  });
+});
+
+describe("scoreStatus", () => {
+  it("maps the gauge bands", () => {
+    expect(scoreStatus(49.9)).toBe("notHealthy");
+    expect(scoreStatus(50)).toBe("watch");
+    expect(scoreStatus(75)).toBe("healthy");
+    expect(scoreStatus(90, true)).toBe("constraintFail");
+  });
+});
+
+describe("scoreEvent", () => {
+  it.each([
+    ["roadShort", 2.13918192, 79.75824542],
+    ["roadMarathon", 4.16018, 79.151946],
+    ["trailUltra", 8.34417024, 77.89674893],
+  ])("pins template %s defaults", (key, riskLoadPct, holisticPct) => {
+    const s = scoreEvent(eventFor(key));
+    expect(s.riskLoadPct).toBeCloseTo(riskLoadPct, 6);
+    expect(s.controlPct).toBe(68);
+    expect(s.readinessPct).toBe(75);
+    expect(s.holisticPct).toBeCloseTo(holisticPct, 6);
+    expect(s.lockedRed).toBe(false);
+    expect(s.status).toBe("healthy");
+  });
+
+  it("locks to constraintFail when a critical constraint fails", () => {
+    const constraints = TEMPLATES.roadShort.constraints.map((c, i) => (i === 0 ? { ...c, status: "fail" } : c));
+    const s = scoreEvent(eventFor("roadShort", { constraints }));
+    expect(s.lockedRed).toBe(true);
+    expect(s.status).toBe("constraintFail");
+    expect(s.holisticPct).toBeCloseTo(79.75824542, 6);
+  });
+
+  it("ignores warnings and non-critical failures", () => {
+    const constraints = [
+      { id: "S1", critical: true, status: "warn" },
+      { id: "S2", critical: false, status: "fail" },
+    ];
+    expect(scoreEvent(eventFor("roadShort", { constraints })).lockedRed).toBe(false);
+  });
+
+  it("leaves archived hazards out of the risk load", () => {
+    const hazards = TEMPLATES.trailUltra.hazards.map((h) => ({ ...h, archived: true }));
+    const s = scoreEvent(eventFor("trailUltra", { hazards }));
+    expect(s.riskLoadPct).toBe(0);
+    expect(s.holisticPct).toBeCloseTo(75 * 0.4 + 68 * 0.3 + 100 * 0.3, 6);
+  });
+});
+
+describe("control links", () => {
+  const controls = [
+    { id: "C1", readiness: 0.8, ucaCount: 0 },
+    { id: "C2", readiness: 1, ucaCount: 1 },
+  ];
+  const hazard = { S: 10, O: 10, D: 10, controlsActive: 0.2, controlLinks: [{ controlId: "C1", effectiveness: 0.5 }] };
+
+  it("derives coverage from linked controls as independent layers", () => {
+    expect(derivedControlsActive(hazard, controls)).toBeCloseTo(0.4, 6);
+    const two = { ...hazard, controlLinks: [...hazard.controlLinks, { controlId: "C2", effectiveness: 1 }] };
+    expect(derivedControlsActive(two, controls)).toBeCloseTo(1 - 0.6 * 0.06, 6);
+  });
+
+  it("follows control readiness and UCAs", () => {
+    const degraded = controls.map((c) => (c.id === "C1" ? { ...c, readiness: 0.4, ucaCount: 1 } : c));
+    expect(derivedControlsActive(hazard, degraded)).toBeCloseTo(0.17, 6);
+    expect(derivedControlsActive(hazard, degraded, 0)).toBeCloseTo(0.2, 6);
+  });
+
+  it("keeps manual values for unlinked and overridden hazards", () => {
+    const [linked, unlinked, overridden] = applyControlCoverage(
+      [hazard, { ...hazard, controlLinks: [{ controlId: "C9", effectiveness: 1 }] }, { ...hazard, controlsOverride: true }],
+      controls
+    );
+    expect(linked.controlsActive).toBeCloseTo(0.4, 6);
+    expect(unlinked.controlsActive).toBe(0.2);
+    expect(unlinked.derivedControlsActive).toBeUndefined();
+    expect(overridden.controlsActive).toBe(0.2);
+    expect(overridden.derivedControlsActive).toBeCloseTo(0.4, 6);
+  });
+
+  it("lowers risk when a linked control degrades", () => {
+    const degraded = INITIAL_CONTROLS.map((c) => (c.id === "C3" ? { ...c, readiness: 0.2 } : c));
+    const before = scoreEvent(eventFor("roadMarathon"));
+    const after = scoreEvent(eventFor("roadMarathon", { controls: degraded }));
+    expect(after.riskByDomain.Sports).toBeGreaterThan(before.riskByDomain.Sports);
+  });
+
+  it("resolves links against allControls, not the role view", () => {
+    const full = scoreEvent(eventFor("roadMarathon"));
+    const roleView = scoreEvent(eventFor("roadMarathon", { controls: INITIAL_CONTROLS.slice(0, 1), allControls: INITIAL_CONTROLS }));
+    expect(roleView.riskLoadPct).toBeCloseTo(full.riskLoadPct, 6);
+  });
+});
+
+describe("scoring profiles", () => {
+  it("scores the standard preset exactly like the defaults", () => {
+    const s = scoreEvent(eventFor("roadMarathon"), SCORING_PRESETS.standard);
+    expect(s.holisticPct).toBeCloseTo(79.151946, 6);
+  });
+
+  it("applies weights, UCA penalty and risk scale", () => {
+    const profile = {
+      id: "custom",
+      name: "Test",
+      weights: { readiness: 0, controls: 1, risk: 1 },
+      ucaPenalty: 0.1,
+      riskScale: 5,
+      bands: { watch: 50, healthy: 75 },
+    };
+    const s = scoreEvent(eventFor("roadShort"), profile);
+    expect(s.controlPct).toBe(64);
+    expect(s.riskLoadPct).toBeCloseTo(4.4397104, 6);
+    expect(s.holisticPct).toBeCloseTo(64 * 0.5 + (100 - 4.4397104) * 0.5, 6);
+  });
+
+  it("uses the profile bands for the status", () => {
+    const s = scoreEvent(eventFor("trailUltra"), { ...SCORING_PRESETS.standard, bands: { watch: 60, healthy: 85 } });
+    expect(s.status).toBe("watch");
+  });
+
+  it("rescales weights to sum to 1", () => {
+    const w = normalizedWeights({ readiness: 2, controls: 1, risk: 1 });
+    expect(w.readiness).toBeCloseTo(0.5, 6);
+    expect(w.controls + w.risk).toBeCloseTo(0.5, 6);
+  });
+
+  it("validates every preset and rejects broken profiles", () => {
+    Object.values(SCORING_PRESETS).forEach((p) => expect(validateScoringProfile(p)).toEqual({}));
+    const bad = validateScoringProfile({
+      weights: { readiness: 0, controls: 0, risk: 0 },
+      ucaPenalty: 0.9,
+      riskScale: 0,
+      bands: { watch: 80, healthy: 70 },
+    });
+    expect(Object.keys(bad).sort()).toEqual(["bands", "riskScale", "ucaPenalty", "weights"]);
+  });
+});
+
+describe("explainScore", () => {
+  it("splits holisticPct into weighted contributions", () => {
+    const x = explainScore(eventFor("roadMarathon"));
+    const total = x.contributions.reduce((a, c) => a + c.points, 0);
+    expect(total).toBeCloseTo(x.score.holisticPct, 6);
+    expect(x.contributions.map((c) => c.key)).toEqual(["readiness", "controls", "risk"]);
+    expect(x.contributions[0].lost).toBeCloseTo(25 * 0.4, 6);
+  });
+
+  it("ranks hazards by residual RPN and controls by UCA loss", () => {
+    const x = explainScore(eventFor("trailUltra"), undefined, { limit: 2 });
+    expect(x.topHazards.map((h) => h.id)).toEqual(["H2", "H1"]);
+    expect(x.topHazards[0].rpn).toBeCloseTo(208.656, 6);
+    expect(x.controlLosses[0].id).toBe("C5");
+    expect(x.controlLosses[0].loss).toBeCloseTo(0.12, 6);
+    expect(x.controlLosses).toHaveLength(2);
+  });
+
+  it("lists the lowest sub-criteria and failing critical constraints", () => {
+    const constraints = TEMPLATES.roadShort.constraints.map((c) => (c.id === "S2" ? { ...c, status: "fail" } : c));
+    const x = explainScore(eventFor("roadShort", { constraints, criteriaValues: { Legal: { permits: 0.1 } } }));
+    expect(x.weakestCriteria[0]).toMatchObject({ domain: "Legal", id: "permits", value: 0.1 });
+    expect(x.failingConstraints.map((c) => c.id)).toEqual(["S2"]);
+  });
+
+  it("keeps hazards and criteria to the given domains", () => {
+    const x = explainScore(eventFor("trailUltra", { criteriaValues: { Legal: { permits: 0.1 } } }), undefined, { domains: ["Operational"] });
+    expect(x.topHazards.map((h) => h.id)).toEqual(["H3"]);
+    expect(x.weakestCriteria.every((c) => c.domain === "Operational")).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * STPA control loops — pure helpers for the control structure and its unsafe control actions.
+ *
+ * Control loop: { id, name, readiness, controller, process, actions: string[], feedback: string[], ucas: UCA[] }
+ * UCA:          { id, type, description, scenarios: string[], status: "open" | "closed" }
+ *
+ * Only open UCAs count against a control's readiness (see scoring.js).
+ */
+
+// the four STPA ways a control action can be unsafe
+export const UCA_TYPES = ["notProvided", "providedUnsafe", "wrongTiming", "wrongDuration"];
+export const UCA_STATUSES = ["open", "closed"];
+
+// open UCAs; plain { ucaCount } objects (older saves, scripts) are still understood
+export function openUcaCount(c) {
+  if (Array.isArray(c.ucas)) return c.ucas.filter((u) => u.status !== "closed").length;
+  return c.ucaCount ?? 0;
+}
+
+export function newUca(ucas, fields = {}) {
+  const nums = ucas.map((u) => /^U(\d+)$/.exec(u.id)).filter(Boolean).map((m) => Number(m[1]));
+  return {
+    id: `U${(nums.length ? Math.max(...nums) : 0) + 1}`,
+    type: UCA_TYPES[0],
+    description: "",
+    scenarios: [],
+    status: "open",
+    ...fields,
+  };
+}
+
+// placeholders for a saved ucaCount, so the score is unchanged until someone describes them
+export function ucasFromCount(n) {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(newUca(out));
+  return out;
+}
+
+// UCAs per type, open ones only: { notProvided: n, ... }
+export function ucaTypeSummary(c) {
+  const out = Object.fromEntries(UCA_TYPES.map((k) => [k, 0]));
+  (c.ucas || []).forEach((u) => {
+    if (u.status !== "closed" && out[u.type] != null) out[u.type] += 1;
+  });
+  return out;
+}
+
+export const isValidUca = (u) =>
+  !!u && UCA_TYPES.includes(u.type) && UCA_STATUSES.includes(u.status) && Array.isArray(u.scenarios);
+
+// -----------------------------
+// Hierarchical control structure layout (shared by the SVG view and the PDF)
+// Race Director on top, one box per controller, one box per controlled process below it.
+// Coordinates are abstract units; renderers scale them.
+// -----------------------------
+export const STRUCTURE_COL_W = 170;
+export const STRUCTURE_BOX_W = 150;
+const BOX_H = 56;
+const ROW_Y = { director: 8, controller: 100, process: 220 };
+const ARROW_OFFSET = 16;
+
+// word-wraps to at most maxLines lines of ~maxChars, ending with "…" when cut
+export function wrapLabel(text, maxChars, maxLines) {
+  const lines = [];
+  let line = "";
+  String(text || "").split(/\s+/).filter(Boolean).forEach((w) => {
+    if (line && (line + " " + w).length > maxChars) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = line ? `${line} ${w}` : w;
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+  return kept;
+}
+
+/**
+ * Lays out the control structure of a set of control loops.
+ * Loops are grouped by controller so each controller box spans its loops' columns.
+ *
+ * @param {object[]} controls   control loops (stpa.js shape)
+ * @param {object} [opts]
+ * @param {(c: object) => string} [opts.labelOf]   loop title (e.g. translated control name)
+ * @param {string} [opts.directorLabel]
+ * @returns {{ width: number, height: number, nodes: object[], edges: object[] }}
+ *   nodes: { id, kind: "director"|"controller"|"process", x, y, w, h, lines, sub?, controlId? }
+ *   edges: { kind: "directive"|"action"|"feedback", x1, y1, x2, y2, controlId? }  (arrow points at x2,y2)
+ */
+export function layoutControlStructure(controls, { labelOf = (c) => c.name, directorLabel = "Race Director" } = {}) {
+  const groups = [];
+  controls.forEach((c) => {
+    const name = c.controller?.trim() || "?";
+    let g = groups.find((x) => x.name === name);
+    if (!g) groups.push((g = { name, loops: [] }));
+    g.loops.push(c);
+  });
+
+  const cols = Math.max(1, controls.length);
+  const width = cols * STRUCTURE_COL_W;
+  const colCenter = (i) => i * STRUCTURE_COL_W + STRUCTURE_COL_W / 2;
+  const director = {
+    id: "director", kind: "director",
+    x: width / 2 - STRUCTURE_BOX_W / 2, y: ROW_Y.director, w: STRUCTURE_BOX_W, h: 40,
+    lines: [directorLabel],
+  };
+  const nodes = [director];
+  const edges = [];
+
+  let col = 0;
+  groups.forEach((g, gi) => {
+    const first = col;
+    const last = col + g.loops.length - 1;
+    const controller = {
+      id: `controller-${gi}`, kind: "controller",
+      x: colCenter(first) - STRUCTURE_BOX_W / 2, y: ROW_Y.controller,
+      w: (last - first) * STRUCTURE_COL_W + STRUCTURE_BOX_W, h: 44,
+      lines: wrapLabel(g.name, 22 + (last - first) * 26, 2),
+    };
+    nodes.push(controller);
+    edges.push({
+      kind: "directive",
+      x1: director.x + director.w / 2, y1: director.y + director.h,
+      x2: controller.x + controller.w / 2, y2: controller.y,
+    });
+
+    g.loops.forEach((c) => {
+      const cx = colCenter(col);
+      const process = {
+        id: `process-${c.id}`, kind: "process", controlId: c.id,
+        x: cx - STRUCTURE_BOX_W / 2, y: ROW_Y.process, w: STRUCTURE_BOX_W, h: BOX_H,
+        lines: wrapLabel(labelOf(c), 24, 2),
+        sub: wrapLabel(c.process, 30, 2),
+      };
+      nodes.push(process);
+      const bottom = controller.y + controller.h;
+      edges.push({ kind: "action", controlId: c.id, x1: cx - ARROW_OFFSET, y1: bottom, x2: cx - ARROW_OFFSET, y2: process.y });
+      edges.push({ kind: "feedback", controlId: c.id, x1: cx + ARROW_OFFSET, y1: process.y, x2: cx + ARROW_OFFSET, y2: bottom });
+      col += 1;
+    });
+  });
+
+  return { width, height: ROW_Y.process + BOX_H + 8, nodes, edges };
+}
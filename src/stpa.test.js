@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { INITIAL_CONTROLS } from "./catalog";
+import {
+  openUcaCount, newUca, ucasFromCount, ucaTypeSummary, isValidUca, layoutControlStructure, wrapLabel,
+} from "./stpa";
+import { controlHealthPct } from "./scoring";
+
+describe("UCAs", () => {
+  it("counts only open UCAs and falls back to ucaCount", () => {
+    const c = { ucas: [newUca([]), { ...newUca([]), status: "closed" }] };
+    expect(openUcaCount(c)).toBe(1);
+    expect(openUcaCount({ ucaCount: 3 })).toBe(3);
+    expect(openUcaCount({})).toBe(0);
+  });
+
+  it("drives the control penalty", () => {
+    expect(INITIAL_CONTROLS.map(openUcaCount)).toEqual([1, 0, 1, 0, 2, 1]);
+    const closed = INITIAL_CONTROLS.map((c) => ({ ...c, ucas: c.ucas.map((u) => ({ ...u, status: "closed" })) }));
+    expect(controlHealthPct(closed)).toBe(73);
+  });
+
+  it("numbers new UCAs and turns a saved count into placeholders", () => {
+    expect(newUca([{ id: "U1" }, { id: "U4" }]).id).toBe("U5");
+    const ucas = ucasFromCount(2);
+    expect(ucas.map((u) => u.id)).toEqual(["U1", "U2"]);
+    expect(ucas.every(isValidUca)).toBe(true);
+    expect(isValidUca({ ...ucas[0], type: "late" })).toBe(false);
+  });
+
+  it("summarizes open UCAs by type", () => {
+    const s = ucaTypeSummary(INITIAL_CONTROLS.find((c) => c.id === "C5"));
+    expect(s).toEqual({ notProvided: 0, providedUnsafe: 1, wrongTiming: 0, wrongDuration: 1 });
+  });
+});
+
+describe("layoutControlStructure", () => {
+  const layout = layoutControlStructure(INITIAL_CONTROLS);
+
+  it("has the director, one box per controller and one per loop", () => {
+    const kinds = layout.nodes.map((n) => n.kind);
+    expect(kinds.filter((k) => k === "director")).toHaveLength(1);
+    expect(kinds.filter((k) => k === "controller")).toHaveLength(5);
+    expect(kinds.filter((k) => k === "process")).toHaveLength(INITIAL_CONTROLS.length);
+    expect(layout.width).toBe(INITIAL_CONTROLS.length * 170);
+  });
+
+  it("groups loops under their controller without overlaps", () => {
+    const medical = layout.nodes.find((n) => n.lines.join(" ") === "Medical Lead");
+    const loops = ["C1", "C3"].map((id) => layout.nodes.find((n) => n.controlId === id));
+    loops.forEach((p) => {
+      expect(p.x).toBeGreaterThanOrEqual(medical.x);
+      expect(p.x + p.w).toBeLessThanOrEqual(medical.x + medical.w);
+    });
+    const controllers = layout.nodes.filter((n) => n.kind === "controller").sort((a, b) => a.x - b.x);
+    controllers.slice(1).forEach((n, i) => expect(n.x).toBeGreaterThanOrEqual(controllers[i].x + controllers[i].w));
+  });
+
+  it("draws an action and a feedback arrow per loop", () => {
+    const c1 = layout.edges.filter((e) => e.controlId === "C1");
+    expect(c1.map((e) => e.kind)).toEqual(["action", "feedback"]);
+    expect(c1[0].y2).toBeGreaterThan(c1[0].y1);
+    expect(c1[1].y2).toBeLessThan(c1[1].y1);
+  });
+
+  it("wraps long labels", () => {
+    expect(wrapLabel("Runner density in start corrals and the finish chute", 20, 2)).toEqual(["Runner density in", "start corrals and…"]);
+    expect(wrapLabel("", 20, 2)).toEqual([]);
+  });
+});
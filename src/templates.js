@@ -0,0 +1,107 @@
+/**
+ * Hazard register and template helpers — hazard validation and ids, user templates and the
+ * template file { kind: TEMPLATE_FILE_KIND, version: 1, template } they are shared as.
+ */
+import { DOMAINS_EN, TEMPLATES, TEMPLATES_LABELS } from "./catalog";
+import { isValidRule } from "./constraints";
+
+// controlLinks: [{ controlId, effectiveness }]; controlsOverride keeps controlsActive manual despite links
+export const HAZARD_DEFAULTS = { S: 5, O: 3, D: 5, controlsActive: 0.5, weight: 1.0, controlLinks: [], controlsOverride: false, km: null };
+
+// next free "<prefix><n>" id within a list of items
+export function nextPrefixedId(items, prefix) {
+  const re = new RegExp(`^${prefix}(\\d+)$`);
+  const nums = items.map((x) => re.exec(x.id)).filter(Boolean).map((m) => Number(m[1]));
+  return `${prefix}${(nums.length ? Math.max(...nums) : 0) + 1}`;
+}
+
+// next free "H<n>" id; archived hazards keep their id reserved
+export const nextHazardId = (hazards) => nextPrefixedId(hazards, "H");
+
+// returns { field: i18nKey } for every invalid field (empty when valid)
+export function validateHazard(h, segments) {
+  const errors = {};
+  if (!h.name || !h.name.trim()) errors.name = "errNameRequired";
+  if (!DOMAINS_EN.includes(h.domain)) errors.domain = "errDomainInvalid";
+  if (!segments.some((s) => s.id === h.segmentId)) errors.segmentId = "errSegmentInvalid";
+  ["S", "O", "D"].forEach((k) => {
+    if (!Number.isInteger(h[k]) || h[k] < 1 || h[k] > 10) errors[k] = "errScale";
+  });
+  if (!(h.weight >= 0.1 && h.weight <= 3)) errors.weight = "errWeight";
+  if (!(h.controlsActive >= 0 && h.controlsActive <= 1)) errors.controlsActive = "errControlsActive";
+  const links = h.controlLinks || [];
+  if (
+    links.some((l) => !(l.effectiveness >= 0 && l.effectiveness <= 1)) ||
+    new Set(links.map((l) => l.controlId)).size !== links.length
+  ) {
+    errors.controlLinks = "errControlLinks";
+  }
+  return errors;
+}
+
+// -----------------------------
+// User templates
+// Stored as { [key]: { labels: {en, el}, label, hazards, constraints, segments, derivedFrom } }
+// -----------------------------
+export const USER_TEMPLATE_PREFIX = "user:";
+export const TEMPLATE_FILE_KIND = "raceSafetyTemplate";
+
+export const newUserTemplateKey = () => `${USER_TEMPLATE_PREFIX}${Date.now().toString(36)}`;
+
+export function resolveTemplate(key, userTemplates) {
+  return TEMPLATES[key] || userTemplates?.[key] || TEMPLATES.roadShort;
+}
+export function templateLabelOf(key, userTemplates, lang) {
+  if (TEMPLATES_LABELS[key]) return TEMPLATES_LABELS[key][lang];
+  const ut = userTemplates?.[key];
+  return ut ? ut.labels[lang] || ut.labels.en : key;
+}
+
+// deep copy of a template's editable parts, so edits never touch the source
+export function templateDraftFrom(source, labels) {
+  return {
+    labels: { ...labels },
+    hazards: source.hazards.filter((h) => !h.archived).map((h) => ({ ...h })),
+    // overrides belong to an event, not to the template
+    constraints: source.constraints.map(({ override, overrideLog, ...c }) => ({ ...c, status: "pass" })),
+    segments: source.segments.map((sg) => ({ ...sg })),
+  };
+}
+
+// returns { field: i18nKey } plus hazardErrors { hazardId: {...} } (empty when valid)
+export function validateTemplate(draft) {
+  const errors = {};
+  if (!draft.labels.en?.trim()) errors.labelEn = "errLabelRequired";
+  if (!draft.labels.el?.trim()) errors.labelEl = "errLabelRequired";
+  if (!draft.segments.length || draft.segments.some((sg) => !sg.name.trim())) errors.segments = "errSegmentsRequired";
+  if (draft.constraints.some((c) => !c.statement.trim())) errors.constraints = "errConstraintRequired";
+  else if (draft.constraints.some((c) => c.rule && !isValidRule(c.rule))) errors.constraints = "errRuleInvalid";
+  const hazardErrors = {};
+  draft.hazards.forEach((h) => {
+    const e = validateHazard(h, draft.segments);
+    if (Object.keys(e).length) hazardErrors[h.id] = e;
+  });
+  if (Object.keys(hazardErrors).length) {
+    errors.hazards = "errHazardsInvalid";
+    errors.hazardErrors = hazardErrors;
+  }
+  // incidents and actions point at hazards by id
+  const ids = draft.hazards.map((h) => h.id);
+  if (new Set(ids).size < ids.length) errors.hazards = "errDuplicateHazardIds";
+  return errors;
+}
+
+// parses an exported template file; returns a draft or null
+export function parseTemplateFile(text) {
+  try {
+    const doc = JSON.parse(text);
+    const tpl = doc?.kind === TEMPLATE_FILE_KIND ? doc.template : null;
+    if (!tpl || !tpl.labels || !Array.isArray(tpl.hazards) || !Array.isArray(tpl.constraints) || !Array.isArray(tpl.segments)) {
+      return null;
+    }
+    const draft = templateDraftFrom(tpl, { en: String(tpl.labels.en || ""), el: String(tpl.labels.el || "") });
+    return Object.keys(validateTemplate(draft)).length ? null : draft;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { TEMPLATES } from "./catalog";
+import { TEMPLATE_FILE_KIND, templateDraftFrom, validateTemplate, parseTemplateFile } from "./templates";
+
+const labels = { en: "Club 10K", el: "Σύλλογος 10K" };
+const file = (template) => JSON.stringify({ kind: TEMPLATE_FILE_KIND, version: 1, template });
+
+describe("template files", () => {
+  it("reads a shared template back as a draft", () => {
+    const draft = parseTemplateFile(file({ ...TEMPLATES.roadShort, labels }));
+    expect(draft.labels).toEqual(labels);
+    expect(draft.hazards.map((h) => h.id)).toEqual(TEMPLATES.roadShort.hazards.map((h) => h.id));
+  });
+
+  it("rejects other documents and invalid templates", () => {
+    expect(parseTemplateFile("not json")).toBeNull();
+    expect(parseTemplateFile(JSON.stringify({ kind: "raceSafetyEvent", template: TEMPLATES.roadShort }))).toBeNull();
+    expect(parseTemplateFile(file({ ...TEMPLATES.roadShort, labels: { en: "Club 10K" } }))).toBeNull();
+  });
+
+  it("rejects hazards that share an id", () => {
+    const [h1, h2] = TEMPLATES.roadShort.hazards;
+    const template = { ...TEMPLATES.roadShort, labels, hazards: [h1, { ...h2, id: h1.id }] };
+    expect(validateTemplate(templateDraftFrom(template, labels)).hazards).toBe("errDuplicateHazardIds");
+    expect(parseTemplateFile(file(template))).toBeNull();
+  });
+});
@@ -0,0 +1,9 @@
+// -----------------------------
+// Utilities
+// -----------------------------
+export const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+export const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+export const avg = (arr) => (arr.length ? sum(arr) / arr.length : 0);
+export const pct = (x) => Math.round(clamp(x * 100, 0, 100));
+// a segment's distance range along the course: { fromKm, toKm }
+export const isValidRange = (r) => !!r && Number.isFinite(r.fromKm) && Number.isFinite(r.toKm) && r.fromKm >= 0 && r.toKm > r.fromKm;